@@ -0,0 +1,17 @@
+import { loadBackendConfig, ConfigError } from "../config/index.mjs";
+
+// The backend's settings, loaded once when the server starts (see config/index.mjs and .env.example).
+// A missing secret or invalid setting stops the server here, before it opens the database or listens.
+function loadConfig() {
+    try {
+        return loadBackendConfig();
+    } catch (error) {
+        if (error instanceof ConfigError) {
+            console.error(error.message);
+            process.exit(1);
+        }
+        throw error;
+    }
+}
+
+export const config = loadConfig();
@@ -22,13 +22,13 @@ export class ActivityController {
         // ✅ Unified form handling for create, update, and delete (Admin only)
         this.routes.post(
             "/",
-            AuthenticationController.restrict(["admin"]),
+            AuthenticationController.restrict("activities.manage"),
             this.handleActivityAction
         );
 
         this.routes.post(
             "/:id",
-            AuthenticationController.restrict(["admin"]),
+            AuthenticationController.restrict("activities.manage"),
             this.handleActivityAction
         );
     }
@@ -139,7 +139,7 @@ export class ActivityController {
      */
     static async handleActivityAction(req, res) {
         try {
-            const { name, description, action } = req.body;
+            const { name, description, defaultCapacity, action } = req.body;
             const activityId = req.params.id;
 
             // Validate Activity Name
@@ -161,9 +161,19 @@ export class ActivityController {
                 });
             }
 
+            // Validate Default Capacity (optional - blank means unlimited)
+            if (defaultCapacity && !/^[1-9][0-9]*$/.test(defaultCapacity)) {
+                return res.status(400).render("status", {
+                    status: "Activity Capacity Validation Failed",
+                    message: "The default capacity you entered is not valid. It must be a whole number of at least 1, or left blank for unlimited places. Please check your input and try again.",
+                    currentUser: req.authenticatedUser || { role: 'guest' },
+                    isAuthenticated: !!req.authenticatedUser
+                });
+            }
+
             switch (action) {
                 case 'create':
-                    await ActivityModel.create({ name, description });
+                    await ActivityModel.create({ name, description, defaultCapacity });
                     res.redirect("/activities?message=activity_created");
                     break;
                 case 'update':
@@ -200,13 +210,14 @@ export class ActivityController {
                                     message: `This activity has ${associatedSessionsForUpdate.length} active training session(s) that will be automatically updated to reflect the new activity details, and all associated member bookings will be synchronized with the changes.`,                                    
                                     activityId: activityId,
                                     name: name,
-                                    description: description
+                                    description: description,
+                                    defaultCapacity: defaultCapacity
                                 }
                             });
                         }
                     }
                     
-                    await ActivityModel.update(activityId, { name, description });
+                    await ActivityModel.update(activityId, { name, description, defaultCapacity });
                     res.redirect("/activities?message=activity_updated");
                     break;
                 case 'delete':
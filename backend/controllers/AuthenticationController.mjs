@@ -8,7 +8,26 @@ import { BookingModel } from "../models/BookingModel.mjs";
 import { BlogModel } from "../models/BlogModel.mjs";
 import { SessionActivityLocationUserModel } from "../models/SessionActivityLocationUserModel.mjs";
 import { BookingSessionActivityLocationUserModel } from "../models/BookingSessionActivityLocationUserModel.mjs";
-import bcrypt from "bcrypt"
+import { CalendarFeedModel } from "../models/CalendarFeedModel.mjs";
+import { TwoFactorPolicyModel } from "../models/TwoFactorPolicyModel.mjs";
+import { TwoFactorRecoveryCodeModel } from "../models/TwoFactorRecoveryCodeModel.mjs";
+import { buildFeedUrls } from "../utils/icsExport.mjs";
+import { requestPasswordReset, isResetTokenValid, resetPassword } from "../utils/passwordReset.mjs";
+import { attemptLogin, getUnlockUrl, unlockAccount } from "../utils/loginProtection.mjs";
+import { authorize, loadPermissions, can } from "../utils/authorization.mjs";
+import { hasSupportedBody, sendStatus, sendRedirect } from "../utils/contentNegotiation.mjs";
+import { MySqlSessionStore } from "../utils/sessionStore.mjs";
+import {
+    CHALLENGE_MINUTES,
+    MAX_CODE_ATTEMPTS,
+    checkSecondFactor,
+    beginTwoFactorSetup,
+    getTwoFactorSetup,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes
+} from "../utils/twoFactor.mjs";
+import { config } from "../config.mjs";
 import validator from "validator"
 
 export class AuthenticationController {
@@ -16,10 +35,11 @@ export class AuthenticationController {
     static routes = express.Router();
 
     static {
-        // ✅ Enable session-based authentication
+        // ✅ Enable session-based authentication (sessions are kept in MySQL, so logins survive restarts)
         this.middleware.use(
             session({
-                secret: "secureSecretKey123", // Change in production
+                secret: config.session.secret, // Signs the session cookie
+                store: new MySqlSessionStore(),
                 resave: false,
                 saveUninitialized: false,
                 cookie: { secure: false }, // Set to true in production with HTTPS
@@ -48,11 +68,69 @@ export class AuthenticationController {
             this.login
         );
   
-        // Logout
+        // Logout (POST for scripts, GET for the header link)
         this.routes.get(
             "/logout", 
             this.logout
         );
+        this.routes.post(
+            "/logout",
+            this.logout
+        );
+
+        // Forgot password: request a reset link by email
+        this.routes.get(
+            "/forgot-password",
+            this.viewForgotPassword
+        );
+        this.routes.post(
+            "/forgot-password",
+            this.forgotPassword
+        );
+
+        // Reset password: choose a new password from the emailed link
+        this.routes.get(
+            "/reset-password",
+            this.viewResetPassword
+        );
+        this.routes.post(
+            "/reset-password",
+            this.resetPassword
+        );
+
+        // Unlock an account from the link emailed after too many wrong passwords
+        this.routes.get(
+            "/unlock-account",
+            this.unlockAccount
+        );
+
+        // Two-factor login step: enter a code after the password was accepted
+        this.routes.get(
+            "/two-factor",
+            this.viewTwoFactor
+        );
+        this.routes.post(
+            "/two-factor",
+            this.verifyTwoFactor
+        );
+
+        // Two-factor settings on the profile page
+        this.routes.post(
+            "/two-factor/setup",
+            this.setupTwoFactor
+        );
+        this.routes.post(
+            "/two-factor/enable",
+            this.enableTwoFactor
+        );
+        this.routes.post(
+            "/two-factor/disable",
+            this.disableTwoFactor
+        );
+        this.routes.post(
+            "/two-factor/recovery-codes",
+            this.regenerateRecoveryCodes
+        );
                   
     }
 
@@ -68,11 +146,27 @@ export class AuthenticationController {
     static async #session_authentication(req, res, next) {
         if (req.session.userId && !req.authenticatedUser) {
             try {
-                req.authenticatedUser = await UserModel.getById(req.session.userId);
+                const user = await UserModel.getById(req.session.userId);
+                // The password was reset since this session logged in - log it out
+                if ((req.session.sessionVersion ?? 0) !== user.sessionVersion) {
+                    return req.session.destroy(() => next());
+                }
+                req.authenticatedUser = user;
+                // Staff who must set up two-factor can only reach their profile until they do
+                req.twoFactorSetupRequired = await TwoFactorPolicyModel.isSetupRequired(user);
             } catch (error) {
                 console.error("Session authentication error:", error);
             }
         }
+        // Views show links and buttons by permission (guests have none)
+        res.locals.permissions = [];
+        if (req.authenticatedUser) {
+            try {
+                res.locals.permissions = await loadPermissions(req);
+            } catch (error) {
+                console.error("Error loading permissions:", error);
+            }
+        }
         next();
     }
 
@@ -110,11 +204,35 @@ export class AuthenticationController {
             isAuthenticated: true,
             currentUser: req.authenticatedUser,
             role: req.authenticatedUser.role || "guest",
+            message: req.query.message,
             currentPage: 'profile'
         };
+
+        // Add the two-factor authentication settings
+        try {
+            profileData.twoFactor = {
+                enabled: !!req.authenticatedUser.totpEnabledAt,
+                setupRequired: !!req.twoFactorSetupRequired,
+                recoveryCodesRemaining: req.authenticatedUser.totpEnabledAt
+                    ? await TwoFactorRecoveryCodeModel.countUnusedByUserId(req.authenticatedUser.id)
+                    : 0
+            };
+        } catch (error) {
+            console.error("Error fetching two-factor settings:", error);
+            profileData.twoFactor = null;
+        }
+
+        // Add the secret calendar feed link (sessions for trainers, bookings for everyone else)
+        try {
+            const calendarFeed = await CalendarFeedModel.getOrCreateByUserId(req.authenticatedUser.id);
+            profileData.calendarFeed = buildFeedUrls(req, calendarFeed.token);
+        } catch (error) {
+            console.error("Error fetching calendar feed:", error);
+            profileData.calendarFeed = null;
+        }
         
-        // Add statistics for admin users
-        if (req.authenticatedUser.role === 'admin') {
+        // Add statistics for staff who manage the gym's users
+        if (can(req, "users.manage")) {
             try {
                 const [activities, locations, sessions, bookings, users, blogs] = await Promise.all([
                     ActivityModel.getAll(),
@@ -146,8 +264,8 @@ export class AuthenticationController {
             }
         }
         
-        // Add upcoming sessions for trainer users
-        if (req.authenticatedUser.role === 'trainer') {
+        // Add upcoming sessions for staff who teach sessions
+        if (can(req, "sessions.manage")) {
             try {
                 const allSessions = await SessionActivityLocationUserModel.getAll();
                 const currentDate = new Date();
@@ -173,12 +291,12 @@ export class AuthenticationController {
                 profileData.upcomingSessions = [];
             }
         } else {
-            // Always pass empty array for non-trainers
+            // Always pass empty array for users who don't teach
             profileData.upcomingSessions = [];
         }
         
-        // Add upcoming bookings for member users
-        if (req.authenticatedUser.role === 'member') {
+        // Add upcoming bookings for users who book sessions
+        if (can(req, "bookings.create")) {
             try {
                 const allBookings = await BookingSessionActivityLocationUserModel.getAll();
                 const currentDate = new Date();
@@ -204,7 +322,7 @@ export class AuthenticationController {
                 profileData.upcomingBookings = [];
             }
         } else {
-            // Always pass empty array for non-members
+            // Always pass empty array for users who don't book
             profileData.upcomingBookings = [];
         }
         
@@ -214,70 +332,147 @@ export class AuthenticationController {
     /**
      * Handles user login logic.
      * This method checks the credentials provided by the user and verifies them against the database.
-     * If successful, the user is logged in and redirected to the profile page.
+     * Form posts are redirected to the profile page (or the two-factor page) and shown status pages on failure;
+     * JSON and AJAX requests get the same outcomes as JSON (see utils/contentNegotiation.mjs).
+     * Repeated wrong passwords are slowed down and eventually lock the account (429 with Retry-After).
      * 
      * @param {Request} req - The request object containing the user input (email, password).
      * @param {Response} res - The response object.
-     * @returns {Promise<void>} No return value since this method sends an HTTP response. Handles login authentication and redirects or renders status page.
+     * @returns {Promise<void>} No return value since this method sends an HTTP response. Handles login authentication and redirects, renders status page, or sends JSON.
      */
     static async login(req, res) {
-        const contentType = req.get("Content-Type");
+        // Form posts and JSON are both accepted, including with a charset (e.g. "application/x-www-form-urlencoded; charset=UTF-8")
+        if (!hasSupportedBody(req)) {
+            return sendStatus(req, res, 415, {
+                status: "Unsupported Content Type",
+                message: "Unsupported content type. Use application/x-www-form-urlencoded or application/json",
+                currentUser: { role: 'guest' },
+                isAuthenticated: false
+            });
+        }
+
         const { email, password } = req.body;
+        if (!email || !password) {
+            return sendStatus(req, res, 400, {
+                status: "Login Failed",
+                message: "Please enter your email address and password.",
+                currentUser: { role: 'guest' },
+                isAuthenticated: false
+            });
+        }
 
-        // Handle form-based authentication (web browser)
-        if (contentType === "application/x-www-form-urlencoded") {
+        try {
+            let user = null;
             try {
-                const user = await UserModel.getByEmail(email);
-                // console.log("User Input", user);
+                user = await attemptLogin(email, password, req.ip, token => getUnlockUrl(req, token));
+            } catch (error) {
+                if (!error || !("throttled" in error)) {
+                    throw error;
+                }
+                // Too many wrong passwords: slowed down, or the account is temporarily locked
+                if (error.throttled) {
+                    res.set("Retry-After", String(error.retryAfterSeconds));
+                    return sendStatus(req, res, 429, {
+                        status: "Too Many Attempts",
+                        message: error.message,
+                        currentUser: { role: 'guest' },
+                        isAuthenticated: false,
+                        details: '<a href="/authenticate/forgot-password">Forgot your password?</a>'
+                    }, { retryAfterSeconds: error.retryAfterSeconds });
+                }
+            }
 
-                const isPasswordCorrect = await bcrypt.compare(password, user.password);
-                // console.log("Password Check: ", isPasswordCorrect);
-                
-                if (isPasswordCorrect) {
-                    req.session.userId = user.id;
-                    // console.log("Verified User ID: ", req.session.userId);
-                    return res.redirect('/authenticate/profile');
-                } else {
-                    return res.status(401).render("status.ejs", {
+            if (!user) {
+                return sendStatus(req, res, 401, {
                     status: "Login Failed",
                     message: "The email address or password you entered is incorrect. Please check your credentials and try again.",
                     currentUser: { role: 'guest' },
                     isAuthenticated: false
                 });
-                }
-            } catch (error) {
-                console.error("Login error:", error);
-                return res.status(401).render("status.ejs", {
-                    status: "Authentication Failed",
-                    message: "Invalid Credentials",
-                    currentUser: { role: 'guest' },
-                    isAuthenticated: false
+            }
+
+            // Users with two-factor turned on still need to enter a code before they are logged in
+            if (user.totpEnabledAt) {
+                req.session.twoFactorLogin = {
+                    userId: user.id,
+                    sessionVersion: user.sessionVersion,
+                    expiresAt: Date.now() + CHALLENGE_MINUTES * 60 * 1000,
+                    failedAttempts: 0
+                };
+                return sendRedirect(req, res, '/authenticate/two-factor', {
+                    message: "Enter the code from your authenticator app to finish logging in",
+                    twoFactorRequired: true
                 });
             }
+            req.session.userId = user.id;
+            req.session.sessionVersion = user.sessionVersion;
+            // console.log("Verified User ID: ", req.session.userId);
+            return sendRedirect(req, res, '/authenticate/profile', {
+                message: "Login successful",
+                twoFactorRequired: false,
+                user: {
+                    id: user.id,
+                    email: user.email,
+                    firstName: user.firstName,
+                    lastName: user.lastName,
+                    role: user.role
+                }
+            });
+        } catch (error) {
+            console.error("Login error:", error);
+            return sendStatus(req, res, 500, {
+                status: "Authentication Failed",
+                message: "Something went wrong while logging you in. Please try again.",
+                currentUser: { role: 'guest' },
+                isAuthenticated: false
+            });
         }
-        
-        // Handle JSON-based authentication (API, mobile app, AJAX)
-        else if (contentType === "application/json") {
-            // TODO: Implement JSON-based authentication for future API/mobile support
-            // For now, fall through to unsupported content type handler
-        }
-        
-        // Handle unsupported content types
-        else {
-            return res.status(400).render("status.ejs", {
-                status: "Bad Request",
-                message: "Unsupported content type. Use application/x-www-form-urlencoded or application/json"
+    }
+
+    /**
+     * Unlocks an account from the link in the lockout email.
+     * 
+     * @param {Request} req - The request object containing the token query parameter.
+     * @param {Response} res - The response object.
+     * @returns {Promise<void>} No return value since this method sends an HTTP response. Renders status.ejs.
+     */
+    static async unlockAccount(req, res) {
+        try {
+            await unlockAccount(req.query.token);
+            res.render("status", {
+                status: "Account Unlocked",
+                message: "Your account is unlocked and you can log in again. If you didn't try to log in, please reset your password.",
+                currentUser: req.authenticatedUser || { role: 'guest' },
+                isAuthenticated: !!req.authenticatedUser,
+                details: '<a href="/authenticate/login">Log in</a>'
+            });
+        } catch (error) {
+            if (typeof error === "string") {
+                return res.status(400).render("status", {
+                    status: "Link Expired",
+                    message: error,
+                    currentUser: req.authenticatedUser || { role: 'guest' },
+                    isAuthenticated: !!req.authenticatedUser,
+                    details: '<a href="/authenticate/forgot-password">Reset your password</a>'
+                });
+            }
+            console.error("Account unlock error:", error);
+            res.status(500).render("status", {
+                status: "Error",
+                message: "Error unlocking your account. Please try again.",
+                currentUser: req.authenticatedUser || { role: 'guest' },
+                isAuthenticated: !!req.authenticatedUser
             });
         }
     }
 
     /**
      * Logs the user out by destroying the session.
-     * After logging out, the user is redirected to the homepage.
+     * After logging out, the user is redirected to the homepage (JSON and AJAX requests get a JSON confirmation instead).
      * 
      * @param {Request} req - The request object.
      * @param {Response} res - The response object.
-     * @returns {void} No return value since this method sends an HTTP response. Destroys user session and redirects to homepage.
+     * @returns {void} No return value since this method sends an HTTP response. Destroys user session and redirects to homepage or sends JSON.
      */
     static logout(req, res) {
         try {
@@ -286,9 +481,11 @@ export class AuthenticationController {
                 req.session.destroy((err) => {
                     if (err) {
                         console.error("Session destruction error:", err);
-                        return res.status(500).render("status.ejs", {
+                        return sendStatus(req, res, 500, {
                             status: "Logout Error",
-                            message: "There was a problem ending your session. Please try logging out again or close your browser to ensure you are fully logged out."
+                            message: "There was a problem ending your session. Please try logging out again or close your browser to ensure you are fully logged out.",
+                            currentUser: req.authenticatedUser || { role: 'guest' },
+                            isAuthenticated: !!req.authenticatedUser
                         });
                     }
                     
@@ -296,15 +493,15 @@ export class AuthenticationController {
                     res.clearCookie('connect.sid');
                     
                     // Redirect to home page with success message
-                    return res.redirect('/?message=logged_out');
+                    return sendRedirect(req, res, '/?message=logged_out', { message: "Logout successful" });
                 });
             } else {
                 // No session to destroy, just redirect to home page
-                return res.redirect('/?message=logged_out');
+                return sendRedirect(req, res, '/?message=logged_out', { message: "Logout successful" });
             }
         } catch (error) {
             console.error("Logout error:", error);
-            res.status(500).render("status.ejs", {
+            sendStatus(req, res, 500, {
                 status: "Error",
                 message: "Error during logout. Please try again.",
                 currentUser: req.authenticatedUser || { role: 'guest' },
@@ -314,32 +511,441 @@ export class AuthenticationController {
     }
 
     /**
-     * Middleware: Restricts access based on user roles.
-     * This method checks whether the current user has one of the allowed roles. 
-     * If not, it blocks access to the route and sends an error.
+     * Renders the forgot password page, where users enter their email address to be sent a reset link.
      * 
-     * @param {string[]} allowedRoles - The list of roles allowed to access the route.
-     * @returns {Function} - Returns middleware function for route protection.
+     * @param {Request} req - The request object.
+     * @param {Response} res - The response object.
+     * @returns {void} No return value since this method sends an HTTP response. Renders forgot_password.ejs and sends HTML to the client.
+     */
+    static viewForgotPassword(req, res) {
+        res.render("forgot_password.ejs", {
+            isAuthenticated: !!req.authenticatedUser,
+            currentUser: req.authenticatedUser,
+            role: req.authenticatedUser?.role || "guest",
+            currentPage: 'login'
+        });
+    }
+
+    /**
+     * Emails a password reset link to the address entered on the forgot password page.
+     * The same message is shown whether or not the address has an account, so the form can't be used to find out who is a member.
+     * 
+     * @param {Request} req - The request object containing the email address.
+     * @param {Response} res - The response object.
+     * @returns {Promise<void>} No return value since this method sends an HTTP response. Renders status.ejs.
+     */
+    static async forgotPassword(req, res) {
+        const { email } = req.body;
+
+        if (!email || !validator.isEmail(String(email).trim())) {
+            return res.status(400).render("status.ejs", {
+                status: "Invalid Email",
+                message: "Please enter a valid email address.",
+                currentUser: req.authenticatedUser || { role: 'guest' },
+                isAuthenticated: !!req.authenticatedUser
+            });
+        }
+
+        try {
+            await requestPasswordReset(email, token =>
+                `${req.protocol}://${req.get('host')}/authenticate/reset-password?token=${token}`
+            );
+            res.render("status.ejs", {
+                status: "Check Your Email",
+                message: "If an account exists for that email address, we've sent a link to reset your password. The link expires soon and can only be used once.",
+                currentUser: req.authenticatedUser || { role: 'guest' },
+                isAuthenticated: !!req.authenticatedUser,
+                redirectToHome: true
+            });
+        } catch (error) {
+            console.error("Forgot password error:", error);
+            res.status(500).render("status.ejs", {
+                status: "Error",
+                message: "We couldn't send a password reset link right now. Please try again later.",
+                currentUser: req.authenticatedUser || { role: 'guest' },
+                isAuthenticated: !!req.authenticatedUser
+            });
+        }
+    }
+
+    /**
+     * Renders the reset password page for the link in a password reset email.
+     * Links that are invalid, used, or expired show an error straight away instead of the form.
+     * 
+     * @param {Request} req - The request object containing the token query parameter.
+     * @param {Response} res - The response object.
+     * @returns {Promise<void>} No return value since this method sends an HTTP response. Renders reset_password.ejs or status.ejs.
+     */
+    static async viewResetPassword(req, res) {
+        try {
+            if (!await isResetTokenValid(req.query.token)) {
+                return res.status(400).render("status.ejs", {
+                    status: "Link Expired",
+                    message: "This password reset link is invalid or has expired. Please request a new one.",
+                    currentUser: req.authenticatedUser || { role: 'guest' },
+                    isAuthenticated: !!req.authenticatedUser,
+                    redirectToHome: true
+                });
+            }
+            res.render("reset_password.ejs", {
+                token: req.query.token,
+                isAuthenticated: !!req.authenticatedUser,
+                currentUser: req.authenticatedUser,
+                role: req.authenticatedUser?.role || "guest",
+                currentPage: 'login'
+            });
+        } catch (error) {
+            console.error("Reset password page error:", error);
+            res.status(500).render("status.ejs", {
+                status: "Error",
+                message: "Error loading the password reset page. Please try again.",
+                currentUser: req.authenticatedUser || { role: 'guest' },
+                isAuthenticated: !!req.authenticatedUser
+            });
+        }
+    }
+
+    /**
+     * Sets a new password from the reset password form.
+     * The user is logged out everywhere, including this browser, and sent to the login page.
+     * 
+     * @param {Request} req - The request object containing the token, password, and confirmPassword.
+     * @param {Response} res - The response object.
+     * @returns {Promise<void>} No return value since this method sends an HTTP response. Redirects to the login page or renders status.ejs.
      */
-    static restrict(allowedRoles) {
-        return function (req, res, next) {
-            if (req.authenticatedUser) {
-                if (allowedRoles.includes(req.authenticatedUser.role)) {
-                    next()
-                } else {
-                    res.status(403).render("status.ejs", {
-                        status: "Access Restricted",
-                        message: `Your current role (${req.authenticatedUser.role}) does not have permission to access this page. Please contact an administrator if you believe this is an error.`,
-                        currentUser: req.authenticatedUser || { role: 'guest' },
-                        isAuthenticated: !!req.authenticatedUser
-                    })
+    static async resetPassword(req, res) {
+        const { token, password, confirmPassword } = req.body;
+
+        if (!password || password.length < 4) {
+            return res.status(400).render("status.ejs", {
+                status: "Password Too Short",
+                message: "Your password must be at least 4 characters long for security purposes. Please choose a longer password.",
+                currentUser: req.authenticatedUser || { role: 'guest' },
+                isAuthenticated: !!req.authenticatedUser
+            });
+        }
+        if (password !== confirmPassword) {
+            return res.status(400).render("status.ejs", {
+                status: "Password Mismatch",
+                message: "The password and confirm password fields do not match. Please ensure both fields contain the same password.",
+                currentUser: req.authenticatedUser || { role: 'guest' },
+                isAuthenticated: !!req.authenticatedUser
+            });
+        }
+
+        try {
+            await resetPassword(token, password);
+            req.session.destroy(() => {
+                res.clearCookie('connect.sid');
+                res.render("status.ejs", {
+                    status: "Password Reset",
+                    message: "Your password has been changed and you have been logged out on every device. Please log in with your new password.",
+                    currentUser: { role: 'guest' },
+                    isAuthenticated: false,
+                    details: '<a href="/authenticate/login" class="login-link">Go to login</a>'
+                });
+            });
+        } catch (error) {
+            if (typeof error === "string") {
+                return res.status(400).render("status.ejs", {
+                    status: "Link Expired",
+                    message: error,
+                    currentUser: req.authenticatedUser || { role: 'guest' },
+                    isAuthenticated: !!req.authenticatedUser,
+                    redirectToHome: true
+                });
+            }
+            console.error("Reset password error:", error);
+            res.status(500).render("status.ejs", {
+                status: "Error",
+                message: "Error resetting your password. Please try again.",
+                currentUser: req.authenticatedUser || { role: 'guest' },
+                isAuthenticated: !!req.authenticatedUser
+            });
+        }
+    }
+
+    /**
+     * Renders the second login step for users with two-factor authentication turned on.
+     * Without a password login waiting for its code, the user is sent back to the login page.
+     * 
+     * @param {Request} req - The request object.
+     * @param {Response} res - The response object.
+     * @returns {void} No return value since this method sends an HTTP response. Renders two_factor.ejs or redirects to the login page.
+     */
+    static viewTwoFactor(req, res) {
+        const pendingLogin = req.session.twoFactorLogin;
+        if (!pendingLogin || pendingLogin.expiresAt < Date.now()) {
+            delete req.session.twoFactorLogin;
+            return res.redirect('/authenticate/login');
+        }
+        res.render("two_factor.ejs", {
+            error: null,
+            isAuthenticated: false,
+            currentUser: { role: 'guest' },
+            role: "guest",
+            currentPage: 'login'
+        });
+    }
+
+    /**
+     * Checks the code entered on the second login step and finishes logging the user in.
+     * After too many wrong codes the user has to start again with their password.
+     * 
+     * @param {Request} req - The request object containing the code (from the authenticator app, or a recovery code).
+     * @param {Response} res - The response object.
+     * @returns {Promise<void>} No return value since this method sends an HTTP response. Redirects to the profile page or renders two_factor.ejs or status.ejs.
+     */
+    static async verifyTwoFactor(req, res) {
+        const pendingLogin = req.session.twoFactorLogin;
+        if (!pendingLogin || pendingLogin.expiresAt < Date.now()) {
+            delete req.session.twoFactorLogin;
+            return res.status(401).render("status.ejs", {
+                status: "Login Expired",
+                message: "Your login took too long to finish. Please log in again.",
+                currentUser: { role: 'guest' },
+                isAuthenticated: false,
+                details: '<a href="/authenticate/login" class="login-link">Go to login</a>'
+            });
+        }
+
+        try {
+            const user = await UserModel.getById(pendingLogin.userId);
+            const result = user.totpEnabledAt ? await checkSecondFactor(user, req.body.code) : null;
+
+            if (!result) {
+                pendingLogin.failedAttempts++;
+                if (pendingLogin.failedAttempts >= MAX_CODE_ATTEMPTS) {
+                    delete req.session.twoFactorLogin;
+                    return res.status(401).render("status.ejs", {
+                        status: "Too Many Attempts",
+                        message: "Too many incorrect codes were entered. Please log in again.",
+                        currentUser: { role: 'guest' },
+                        isAuthenticated: false,
+                        details: '<a href="/authenticate/login" class="login-link">Go to login</a>'
+                    });
                 }
-            } else {
-                res.status(401).render("status.ejs", {
-                    status: "Login Required",
-                    message: "You must be logged in to access this page. Please sign in with your account credentials to continue.",
+                return res.status(401).render("two_factor.ejs", {
+                    error: "That code didn't work. Please enter the current code from your authenticator app, or one of your recovery codes.",
+                    isAuthenticated: false,
                     currentUser: { role: 'guest' },
-                    isAuthenticated: false
+                    role: "guest",
+                    currentPage: 'login'
+                });
+            }
+
+            delete req.session.twoFactorLogin;
+            req.session.userId = user.id;
+            req.session.sessionVersion = pendingLogin.sessionVersion;
+            res.redirect(result.usedRecoveryCode
+                ? '/authenticate/profile?message=recovery_code_used'
+                : '/authenticate/profile');
+        } catch (error) {
+            console.error("Two-factor login error:", error);
+            res.status(500).render("status.ejs", {
+                status: "Error",
+                message: "Error checking your code. Please try again.",
+                currentUser: { role: 'guest' },
+                isAuthenticated: false
+            });
+        }
+    }
+
+    /**
+     * Starts setting up two-factor authentication from the profile page.
+     * Shows a QR code to scan with an authenticator app, and asks for a code from the app to confirm.
+     * 
+     * @param {Request} req - The request object.
+     * @param {Response} res - The response object.
+     * @returns {Promise<void>} No return value since this method sends an HTTP response. Renders two_factor_setup.ejs or status.ejs.
+     */
+    static async setupTwoFactor(req, res) {
+        if (!req.authenticatedUser) {
+            return res.redirect('/authenticate/login');
+        }
+        try {
+            const setup = await beginTwoFactorSetup(req.authenticatedUser);
+            res.render("two_factor_setup.ejs", {
+                setup: setup,
+                recoveryCodes: null,
+                error: null,
+                isAuthenticated: true,
+                currentUser: req.authenticatedUser,
+                role: req.authenticatedUser.role,
+                currentPage: 'profile'
+            });
+        } catch (error) {
+            AuthenticationController.renderTwoFactorError(req, res, error, "Error starting two-factor setup. Please try again.");
+        }
+    }
+
+    /**
+     * Turns two-factor authentication on once the user has entered a code from their authenticator app,
+     * then shows their recovery codes (the only time they are shown).
+     * 
+     * @param {Request} req - The request object containing the code.
+     * @param {Response} res - The response object.
+     * @returns {Promise<void>} No return value since this method sends an HTTP response. Renders two_factor_setup.ejs or status.ejs.
+     */
+    static async enableTwoFactor(req, res) {
+        if (!req.authenticatedUser) {
+            return res.redirect('/authenticate/login');
+        }
+        try {
+            const recoveryCodes = await enableTwoFactor(req.authenticatedUser.id, req.body.code);
+            res.render("two_factor_setup.ejs", {
+                setup: null,
+                recoveryCodes: recoveryCodes,
+                error: null,
+                isAuthenticated: true,
+                currentUser: req.authenticatedUser,
+                role: req.authenticatedUser.role,
+                currentPage: 'profile'
+            });
+        } catch (error) {
+            // A wrong code shows the same QR code again, so the user doesn't have to scan a new one
+            if (typeof error === "string" && req.authenticatedUser.totpSecret && !req.authenticatedUser.totpEnabledAt) {
+                try {
+                    return res.status(400).render("two_factor_setup.ejs", {
+                        setup: await getTwoFactorSetup(req.authenticatedUser),
+                        recoveryCodes: null,
+                        error: error,
+                        isAuthenticated: true,
+                        currentUser: req.authenticatedUser,
+                        role: req.authenticatedUser.role,
+                        currentPage: 'profile'
+                    });
+                } catch (setupError) {
+                    error = setupError;
+                }
+            }
+            AuthenticationController.renderTwoFactorError(req, res, error, "Error turning on two-factor authentication. Please try again.");
+        }
+    }
+
+    /**
+     * Turns two-factor authentication off from the profile page, after checking a current code.
+     * 
+     * @param {Request} req - The request object containing the code.
+     * @param {Response} res - The response object.
+     * @returns {Promise<void>} No return value since this method sends an HTTP response. Redirects to the profile page or renders status.ejs.
+     */
+    static async disableTwoFactor(req, res) {
+        if (!req.authenticatedUser) {
+            return res.redirect('/authenticate/login');
+        }
+        try {
+            await disableTwoFactor(req.authenticatedUser.id, req.body.code);
+            res.redirect('/authenticate/profile?message=two_factor_disabled');
+        } catch (error) {
+            AuthenticationController.renderTwoFactorError(req, res, error, "Error turning off two-factor authentication. Please try again.");
+        }
+    }
+
+    /**
+     * Replaces the user's recovery codes from the profile page, after checking a current code.
+     * 
+     * @param {Request} req - The request object containing the code.
+     * @param {Response} res - The response object.
+     * @returns {Promise<void>} No return value since this method sends an HTTP response. Renders two_factor_setup.ejs or status.ejs.
+     */
+    static async regenerateRecoveryCodes(req, res) {
+        if (!req.authenticatedUser) {
+            return res.redirect('/authenticate/login');
+        }
+        try {
+            const recoveryCodes = await regenerateRecoveryCodes(req.authenticatedUser.id, req.body.code);
+            res.render("two_factor_setup.ejs", {
+                setup: null,
+                recoveryCodes: recoveryCodes,
+                error: null,
+                isAuthenticated: true,
+                currentUser: req.authenticatedUser,
+                role: req.authenticatedUser.role,
+                currentPage: 'profile'
+            });
+        } catch (error) {
+            AuthenticationController.renderTwoFactorError(req, res, error, "Error creating new recovery codes. Please try again.");
+        }
+    }
+
+    /**
+     * Renders the status page for a failed two-factor settings change.
+     * Messages from the two-factor helpers (wrong code, already on, etc.) are shown as they are; anything else is a server error.
+     * 
+     * @param {Request} req - The request object.
+     * @param {Response} res - The response object.
+     * @param {string|Error} error - The rejection from the two-factor helper.
+     * @param {string} serverErrorMessage - The message to show for unexpected errors.
+     * @returns {void} No return value since this method sends an HTTP response. Renders status.ejs.
+     */
+    static renderTwoFactorError(req, res, error, serverErrorMessage) {
+        if (typeof error === "string") {
+            return res.status(400).render("status.ejs", {
+                status: "Two-Factor Authentication",
+                message: error,
+                currentUser: req.authenticatedUser || { role: 'guest' },
+                isAuthenticated: !!req.authenticatedUser,
+                details: '<a href="/authenticate/profile" class="login-link">Back to profile</a>'
+            });
+        }
+        console.error("Two-factor settings error:", error);
+        res.status(500).render("status.ejs", {
+            status: "Error",
+            message: serverErrorMessage,
+            currentUser: req.authenticatedUser || { role: 'guest' },
+            isAuthenticated: !!req.authenticatedUser
+        });
+    }
+
+    /**
+     * Middleware: Restricts access based on permissions.
+     * This method checks whether the current user's role has one of the required permissions
+     * (see RolePermissionModel.PERMISSIONS). If not, it blocks access to the route and sends an error.
+     * Staff who must set up two-factor authentication are blocked until they have.
+     * 
+     * @param {string|string[]} permissions - The permission (or list of permissions, any one will do) needed to access the route, or "any" for any logged-in user.
+     * @returns {Function} - Returns middleware function for route protection.
+     */
+    static restrict(permissions) {
+        return async function (req, res, next) {
+            try {
+                switch (await authorize(req, permissions)) {
+                    case "allowed":
+                        next()
+                        break
+                    case "two_factor_setup":
+                        res.status(403).render("status.ejs", {
+                            status: "Two-Factor Authentication Required",
+                            message: "Staff accounts must use two-factor authentication. Please turn it on from your profile to continue.",
+                            currentUser: req.authenticatedUser,
+                            isAuthenticated: true,
+                            details: '<a href="/authenticate/profile" class="login-link">Go to profile</a>'
+                        })
+                        break
+                    case "forbidden":
+                        res.status(403).render("status.ejs", {
+                            status: "Access Restricted",
+                            message: `Your current role (${req.authenticatedUser.role}) does not have permission to access this page. Please contact an administrator if you believe this is an error.`,
+                            currentUser: req.authenticatedUser || { role: 'guest' },
+                            isAuthenticated: !!req.authenticatedUser
+                        })
+                        break
+                    default:
+                        res.status(401).render("status.ejs", {
+                            status: "Login Required",
+                            message: "You must be logged in to access this page. Please sign in with your account credentials to continue.",
+                            currentUser: { role: 'guest' },
+                            isAuthenticated: false
+                        })
+                }
+            } catch (error) {
+                console.error("Authorization error:", error)
+                res.status(500).render("status.ejs", {
+                    status: "Error",
+                    message: "Unable to check your access to this page. Please try again.",
+                    currentUser: req.authenticatedUser || { role: 'guest' },
+                    isAuthenticated: !!req.authenticatedUser
                 })
             }
         }
@@ -2,6 +2,8 @@ import express from "express";
 import {BlogModel} from "../models/BlogModel.mjs"; 
 import {BlogUserModel} from "../models/BlogUserModel.mjs"; 
 import {AuthenticationController} from "./AuthenticationController.mjs";
+import {notifyNewBlogPost} from "../utils/notifications.mjs";
+import {can} from "../utils/authorization.mjs";
 
 export class BlogController {
     static routes = express.Router();
@@ -16,13 +18,13 @@ export class BlogController {
         // ✅ Unified form handling for create and delete (CR_D - no update)
         this.routes.post(
             "/",
-            AuthenticationController.restrict(["member", "trainer", "admin"]),
+            AuthenticationController.restrict(["blogs.create", "blogs.moderate"]),
             this.handleBlogAction
         );
 
         this.routes.post(
             "/:id",
-            AuthenticationController.restrict(["member", "trainer", "admin"]),
+            AuthenticationController.restrict(["blogs.create", "blogs.moderate"]),
             this.handleBlogAction
         );
     }
@@ -147,17 +149,16 @@ export class BlogController {
             const { title, content, action } = req.body;
             const blogId = req.params.id;
             const userId = req.authenticatedUser.id;
-            const userRole = req.authenticatedUser.role;
 
             switch (action) {
                 case 'create':
-                    // Additional safety check - ensure only authenticated users can create blogs
-                    if (!req.authenticatedUser || req.authenticatedUser.role === 'guest') {
-                        return res.status(401).render("status.ejs", { 
-                            status: "Authentication Required", 
-                            message: "You must be logged in to create a blog post. Please log in and try again.",
-                            currentUser: { role: 'guest' },
-                            isAuthenticated: false
+                    // Moderators reach this route too, but only roles with blogs.create can write posts
+                    if (!can(req, "blogs.create")) {
+                        return res.status(403).render("status.ejs", { 
+                            status: "Access Restricted", 
+                            message: `Your current role (${req.authenticatedUser.role}) does not have permission to write blog posts.`,
+                            currentUser: req.authenticatedUser,
+                            isAuthenticated: true
                         });
                     }
                     
@@ -190,7 +191,8 @@ export class BlogController {
                         });
                     }
 
-                    await BlogModel.create(title, content, userId);
+                    const createResult = await BlogModel.create(title, content, userId);
+                    await notifyNewBlogPost(createResult.insertId, title, userId);
                     res.redirect("/blogs?message=blog_created");
                     break;
 
@@ -214,7 +216,7 @@ export class BlogController {
                         });
                     }
 
-                    if (userRole !== "admin" && blog.authorId !== userId) {
+                    if (!can(req, "blogs.moderate") && blog.authorId !== userId) {
                         return res.render("status.ejs", { 
                             status: "Delete Permission Denied",
                             message: "You can only delete your own blog posts. Only the author or an administrator can delete this blog post.",
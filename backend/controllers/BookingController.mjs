@@ -8,6 +8,15 @@ import { SessionController } from "./SessionController.mjs"; // For filtering se
 import { UserModel } from "../models/UserModel.mjs"; // User model for trainers
 import { ActivityModel } from "../models/ActivityModel.mjs";
 import { LocationModel } from "../models/LocationModel.mjs";
+import { WaitlistModel } from "../models/WaitlistModel.mjs"; // Waitlist promotion when spots free up
+import { BookingPolicyModel } from "../models/BookingPolicyModel.mjs"; // Cancellation cut-off and strike rules
+import { MembershipModel } from "../models/MembershipModel.mjs"; // Booking entitlements and credits
+import { InvoiceModel } from "../models/InvoiceModel.mjs"; // Drop-in payment refunds
+import { DatabaseModel } from "../models/DatabaseModel.mjs"; // Transactions for multi-step changes
+import { CalendarController } from "./CalendarController.mjs"; // iCalendar generation
+import { exportICS } from "../utils/icsExport.mjs";
+import { notifyBookingConfirmed } from "../utils/notifications.mjs"; // Booking confirmation emails
+import { can } from "../utils/authorization.mjs"; // Permission checks within actions
 
 export class BookingController {
     static routes = express.Router();
@@ -16,34 +25,41 @@ export class BookingController {
         // Define routes for booking management
         this.routes.get(
             "/",
-            AuthenticationController.restrict(["member", "admin"]),
+            AuthenticationController.restrict(["bookings.create", "bookings.view.any"]),
             this.viewAllBookings
         );
         this.routes.get(
             "/:id",
-            AuthenticationController.restrict(["member", "admin"]),
+            AuthenticationController.restrict(["bookings.create", "bookings.view.any"]),
             this.viewBookingById
         );
         // Unified CRUD operations (Member/Admin)
         this.routes.post(
             "/",
-            AuthenticationController.restrict(["member", "admin"]),
+            AuthenticationController.restrict(["bookings.create", "bookings.create.any", "bookings.cancel.any"]),
             this.handleBookingAction
         );
 
         // Unified CRUD operations for specific booking (Member/Admin)
         this.routes.post(
             "/:id",
-            AuthenticationController.restrict(["member", "admin"]),
+            AuthenticationController.restrict(["bookings.create", "bookings.create.any", "bookings.cancel.any"]),
             this.handleBookingAction
         );
 
         // XML Export for member's booking history
         this.routes.get(
             "/export/xml/history",
-            AuthenticationController.restrict(["member"]),
+            AuthenticationController.restrict("bookings.export"),
             this.exportBookingHistoryXML
         );
+
+        // iCalendar (.ics) export of the member's upcoming bookings
+        this.routes.get(
+            "/export/ics",
+            AuthenticationController.restrict("bookings.export"),
+            this.exportBookingsICS
+        );
     }
 
     /**
@@ -124,8 +140,8 @@ export class BookingController {
                 });
             }
 
-            // Only members can see their own bookings
-            if (req.authenticatedUser && req.authenticatedUser.role === 'member') {
+            // Only staff with bookings.view.any see everyone's bookings, members see their own
+            if (!can(req, "bookings.view.any")) {
                 bookings = bookings.filter(booking => booking.user.id == req.authenticatedUser.id); // Filter by logged-in user's ID
             }
 
@@ -226,6 +242,149 @@ export class BookingController {
         return grouped;
     }
 
+    /**
+     * Describes the cancellation cut-off for messages, e.g. "2 hours" or "90 minutes"
+     * @param {number} minutes - The cut-off in minutes
+     * @returns {string} A human-readable duration
+     */
+    static describeCutoff(minutes) {
+        if (minutes % 60 === 0) {
+            const hours = minutes / 60;
+            return `${hours} ${hours === 1 ? 'hour' : 'hours'}`;
+        }
+        return `${minutes} minutes`;
+    }
+
+    /**
+     * Checks whether a member may make a new booking under the booking policy
+     * Members must have verified their email address. Members who reach the strike limit are suspended from
+     * booking for a while, and when a session is given the member also needs a membership that covers it with credits left.
+     * @param {number} memberId - The ID of the member the booking is for
+     * @param {SessionModel|null} session - The session being booked (null skips the membership check)
+     * @returns {Promise<Object>} Result with isValid, status, message, the member's standing, and the membership the booking would use
+     */
+    static async checkBookingEligibility(memberId, session = null) {
+        const member = await UserModel.getById(memberId);
+        if (member.role === 'member' && !member.emailVerifiedAt) {
+            return {
+                isValid: false,
+                status: "Email Not Verified",
+                message: `Please verify your email address before booking. Follow the link we sent to ${member.email}, or send a new one from your profile.`
+            };
+        }
+
+        const policy = await BookingPolicyModel.get();
+        const standing = await BookingPolicyModel.getMemberStanding(memberId, policy);
+        if (standing.isSuspended) {
+            const [year, month, day] = standing.suspendedUntil.split('-');
+            return {
+                isValid: false,
+                status: "Booking Suspended",
+                message: `Bookings are suspended after ${standing.strikeCount} no-shows or late cancellations in the last ${policy.strikeWindowDays} days. You can book again from ${day}/${month}/${year}, or contact the front desk to have your strikes reviewed.`,
+                standing: standing
+            };
+        }
+
+        if (!session) {
+            return { isValid: true, standing: standing };
+        }
+        const membership = await MembershipModel.findEntitlement(memberId, session);
+        if (!membership) {
+            return {
+                isValid: false,
+                status: "No Valid Membership",
+                message: await BookingController.describeMissingEntitlement(memberId, session),
+                standing: standing
+            };
+        }
+        return { isValid: true, standing: standing, membership: membership };
+    }
+
+    /**
+     * Explains why none of a member's memberships covers a session
+     * @param {number} memberId - The ID of the member
+     * @param {SessionModel} session - The session being booked
+     * @returns {Promise<string>} A message for the member
+     */
+    static async describeMissingEntitlement(memberId, session) {
+        const memberships = (await MembershipModel.getByUserId(memberId, true))
+            .filter(membership => session.sessionDate >= membership.startDate && session.sessionDate <= membership.expiryDate);
+        if (memberships.length === 0) {
+            return "There is no active membership covering the date of this session. Please purchase or renew a membership at the front desk before booking.";
+        }
+        if (memberships.every(membership => !MembershipModel.hasCredit(membership))) {
+            return "All the classes on your class pack have been used. Please purchase a new pack at the front desk before booking.";
+        }
+        return "This session is during peak hours, which your off-peak membership does not cover. Please choose an off-peak session or upgrade your membership.";
+    }
+
+    /**
+     * Cancels a booking as checkCancellation decided: a late cancellation (kept as a strike) or a soft delete,
+     * with the credit or drop-in payment refunded when it's early enough. The booking is locked and the changes
+     * commit together, so a booking cancelled twice at once is only refunded once. The freed spot then goes to
+     * the first member on the waitlist.
+     * @param {BookingModel} booking - The booking to cancel
+     * @param {Object} cancellation - The result of checkCancellation
+     * @returns {Promise<void>}
+     */
+    static async cancelBooking(booking, cancellation) {
+        await DatabaseModel.transaction(async () => {
+            await DatabaseModel.lockRows("bookings", [booking.id]);
+            if (cancellation.isLate) {
+                await BookingModel.cancelLate(booking.id);
+            } else {
+                await BookingModel.delete(booking.id);
+            }
+            if (cancellation.refundsCredit) {
+                await MembershipModel.refundBooking(booking);
+                await InvoiceModel.refundBooking(booking);
+            }
+        });
+
+        await WaitlistModel.promoteFromWaitlist(booking.sessionId);
+    }
+
+    /**
+     * Checks whether a booking may be cancelled (or moved) under the booking policy
+     * Nobody can cancel once the session has started, and members cancelling after the cut-off get a late cancellation strike.
+     * Staff acting on a member's behalf (with bookings.cancel.any) never give a strike, and bookings for sessions on earlier days are past records that can be removed from the history.
+     * Cancellations that are not late give a class pack credit or drop-in payment back, except for past bookings, which were used.
+     * @param {BookingModel} booking - The booking to cancel
+     * @param {boolean} cancelsAny - Whether the logged-in user can cancel any member's booking
+     * @returns {Promise<Object>} Result with isValid, status, message, isLate (true when the cancellation counts as a strike), and refundsCredit
+     */
+    static async checkCancellation(booking, cancelsAny) {
+        // Bookings for cancelled sessions can always go
+        const session = await SessionModel.getById(booking.sessionId).catch(() => null);
+        if (!session) {
+            return { isValid: true, isLate: false, refundsCredit: true };
+        }
+        const today = DatabaseModel.toMySqlDate(new Date());
+        if (cancelsAny || session.sessionDate < today) {
+            return { isValid: true, isLate: false, refundsCredit: session.sessionDate >= today };
+        }
+
+        const policy = await BookingPolicyModel.get();
+        const cancellationWindow = BookingPolicyModel.getCancellationWindow(session, policy);
+        if (cancellationWindow === 'started') {
+            return {
+                isValid: false,
+                status: "Session Already Started",
+                message: "This session has already started, so the booking can no longer be cancelled or changed."
+            };
+        }
+        if (cancellationWindow === 'late') {
+            const standing = await BookingPolicyModel.getMemberStanding(booking.memberId, policy);
+            return {
+                isValid: true,
+                isLate: true,
+                refundsCredit: false,
+                message: `This session starts in less than ${BookingController.describeCutoff(policy.cancellationCutoffMinutes)}, so the cancellation counts as a late cancellation (strike ${standing.strikeCount + 1} of ${policy.strikeLimit}) and any class pack credit or drop-in payment is not refunded. Reaching ${policy.strikeLimit} strikes in ${policy.strikeWindowDays} days suspends bookings for ${policy.suspensionDays} days.`
+            };
+        }
+        return { isValid: true, isLate: false, refundsCredit: true };
+    }
+
     /**
      * View a specific booking by ID (Public)
      * 
@@ -291,8 +450,8 @@ export class BookingController {
                 });
             }
 
-            // Only members can see their own bookings
-            if (req.authenticatedUser && req.authenticatedUser.role === 'member') {
+            // Only staff with bookings.view.any see everyone's bookings, members see their own
+            if (!can(req, "bookings.view.any")) {
                 allBookingsForList = allBookingsForList.filter(booking => booking.user.id == req.authenticatedUser.id);
             }
 
@@ -326,8 +485,18 @@ export class BookingController {
             const startDateFilter = req.query.startDate || '';
             const endDateFilter = req.query.endDate || '';
 
+            // Late cancellations need confirming first (see handleBookingAction 'cancel')
+            const lateCancellation = req.query.showCaution === 'late_cancellation'
+                ? await BookingController.checkCancellation(bookingItem.booking, can(req, "bookings.cancel.any"))
+                : null;
+
             res.render("member_bookings.ejs", {
                 selectedBooking: bookingItem,
+                showCaution: !!(lateCancellation && lateCancellation.isLate),
+                cautionData: lateCancellation && lateCancellation.isLate ? {
+                    bookingId: bookingItem.booking.id,
+                    message: lateCancellation.message
+                } : null,
                 groupedBookings: groupedBookingsForList,
                 activities: activities,
                 locations: locations,
@@ -383,17 +552,17 @@ export class BookingController {
                     const { sessionId, memberId } = req.body;
                     let userId;
 
-                    // Determine the user ID based on role
-                    if (req.authenticatedUser.role === 'member') {
-                        // Members can only create bookings for themselves
-                        userId = req.authenticatedUser.id;
-                    } else if (req.authenticatedUser.role === 'admin') {
+                    // Determine the user ID based on permissions
+                    if (can(req, "bookings.create.any")) {
                         // Admins can create bookings for any member
                         userId = memberId;
+                    } else if (can(req, "bookings.create")) {
+                        // Members can only create bookings for themselves
+                        userId = req.authenticatedUser.id;
                     } else {
                         return res.status(403).render("status.ejs", {
                             status: "Error",
-                            message: "Only members and admins can create bookings.",
+                            message: "Your role does not have permission to create bookings.",
                             currentUser: req.authenticatedUser || { role: 'guest' },
                             isAuthenticated: !!req.authenticatedUser
                         });
@@ -408,6 +577,27 @@ export class BookingController {
                         });
                     }
 
+                    const sessionToBook = await SessionModel.getById(sessionId).catch(() => null);
+                    if (!sessionToBook) {
+                        return res.status(404).render("status.ejs", {
+                            status: "Error",
+                            message: "The training session you selected could not be found. It may have been cancelled.",
+                            currentUser: req.authenticatedUser || { role: 'guest' },
+                            isAuthenticated: !!req.authenticatedUser
+                        });
+                    }
+
+                    // Members suspended under the no-show policy, or without a membership covering the session, cannot book
+                    const eligibility = await BookingController.checkBookingEligibility(userId, sessionToBook);
+                    if (!eligibility.isValid) {
+                        return res.status(403).render("status.ejs", {
+                            status: eligibility.status,
+                            message: eligibility.message,
+                            currentUser: req.authenticatedUser || { role: 'guest' },
+                            isAuthenticated: !!req.authenticatedUser
+                        });
+                    }
+
                     // Check if the booking already exists
                     const existingBooking = await BookingModel.checkBookingExists(userId, sessionId);
                     if (existingBooking) {
@@ -420,7 +610,31 @@ export class BookingController {
                     }
 
                     const newBooking = new BookingModel(null, userId, sessionId);
-                    await BookingModel.create(newBooking);
+                    let createResult;
+                    try {
+                        createResult = await MembershipModel.bookWithEntitlement(newBooking, sessionToBook);
+                    } catch (createError) {
+                        // The last pack credit can be spent by another booking between the check and the booking
+                        if (typeof createError === 'string' && createError.includes("no valid membership")) {
+                            return res.status(403).render("status.ejs", {
+                                status: "No Valid Membership",
+                                message: await BookingController.describeMissingEntitlement(userId, sessionToBook),
+                                currentUser: req.authenticatedUser || { role: 'guest' },
+                                isAuthenticated: !!req.authenticatedUser
+                            });
+                        }
+                        // The capacity check happens inside BookingModel.create so it cannot race with other bookings
+                        if (typeof createError === 'string' && createError.includes("is full")) {
+                            return res.status(409).render("status.ejs", {
+                                status: "Session Full",
+                                message: "This training session has reached its capacity and cannot take any more bookings. Please choose another session.",
+                                currentUser: req.authenticatedUser || { role: 'guest' },
+                                isAuthenticated: !!req.authenticatedUser
+                            });
+                        }
+                        throw createError;
+                    }
+                    await notifyBookingConfirmed(createResult.insertId);
                     
                     // Redirect back to bookings page with success message
                     res.redirect('/bookings?message=booking_added');
@@ -430,7 +644,7 @@ export class BookingController {
                 case 'update':
                     const updateData = {
                         sessionId: req.body.sessionId,
-                        memberId: req.authenticatedUser.role === 'admin' ? req.body.memberId : req.authenticatedUser.id
+                        memberId: can(req, "bookings.create.any") ? req.body.memberId : req.authenticatedUser.id
                     };
 
                     if (!updateData.sessionId || !updateData.memberId) {
@@ -453,7 +667,7 @@ export class BookingController {
                     }
 
                     // Members can only update their own bookings
-                    if (req.authenticatedUser.role === 'member' && bookingToUpdate.memberId !== req.authenticatedUser.id) {
+                    if (!can(req, "bookings.create.any") && bookingToUpdate.memberId !== req.authenticatedUser.id) {
                         return res.status(403).render("status.ejs", {
                             status: "Access Restricted",
                             message: "As a member, you can only modify your own training session bookings. Please contact an administrator if you need to update bookings for other members.",
@@ -473,13 +687,81 @@ export class BookingController {
                         });
                     }
 
+                    // Moving a booking is a cancellation of the original session, so the cut-off applies
+                    if (updateData.sessionId != bookingToUpdate.sessionId) {
+                        const moveCheck = await BookingController.checkCancellation(bookingToUpdate, can(req, "bookings.cancel.any"));
+                        if (!moveCheck.isValid || moveCheck.isLate) {
+                            return res.status(409).render("status.ejs", {
+                                status: moveCheck.isValid ? "Cancellation Cut-off Passed" : moveCheck.status,
+                                message: moveCheck.isValid
+                                    ? "This booking is past the cancellation cut-off, so it can no longer be moved to another session. You can still cancel it, which counts as a late cancellation."
+                                    : moveCheck.message,
+                                currentUser: req.authenticatedUser || { role: 'guest' },
+                                isAuthenticated: !!req.authenticatedUser
+                            });
+                        }
+                    }
+
+                    const targetSession = await SessionModel.getById(updateData.sessionId).catch(() => null);
+                    if (!targetSession) {
+                        return res.status(404).render("status.ejs", {
+                            status: "Error",
+                            message: "The training session you selected could not be found. It may have been cancelled.",
+                            currentUser: req.authenticatedUser || { role: 'guest' },
+                            isAuthenticated: !!req.authenticatedUser
+                        });
+                    }
+
                     const updatedBooking = new BookingModel(
                         bookingId,
                         updateData.memberId,
                         updateData.sessionId
                     );
 
-                    await BookingModel.update(bookingId, updatedBooking);
+                    // The capacity check, any change of membership and the move commit together. The target session
+                    // is locked while it is checked, so a booking made at the same time can't take the last spot.
+                    try {
+                        await DatabaseModel.transaction(async () => {
+                            // Moving the booking to another session needs a free spot in that session
+                            if (updateData.sessionId != bookingToUpdate.sessionId) {
+                                await DatabaseModel.lockRows("sessions", [updateData.sessionId]);
+                                const bookedCount = await SessionModel.getBookedCount(updateData.sessionId);
+                                if (SessionModel.spotsRemaining(targetSession.capacity, bookedCount) === 0) {
+                                    return Promise.reject(`Session ID ${updateData.sessionId} is full.`);
+                                }
+                            }
+
+                            // The booking must still be covered by a membership after moving to another session or member
+                            if (updateData.sessionId != bookingToUpdate.sessionId || updateData.memberId != bookingToUpdate.memberId) {
+                                await MembershipModel.transferBooking(bookingToUpdate, updateData.memberId, targetSession);
+                            }
+
+                            await BookingModel.update(bookingId, updatedBooking);
+                        });
+                    } catch (moveError) {
+                        if (typeof moveError === 'string' && moveError.includes("is full")) {
+                            return res.status(409).render("status.ejs", {
+                                status: "Session Full",
+                                message: "The training session you selected has reached its capacity. Please choose another session for this booking.",
+                                currentUser: req.authenticatedUser || { role: 'guest' },
+                                isAuthenticated: !!req.authenticatedUser
+                            });
+                        }
+                        if (typeof moveError === 'string' && moveError.includes("no valid membership")) {
+                            return res.status(403).render("status.ejs", {
+                                status: "No Valid Membership",
+                                message: await BookingController.describeMissingEntitlement(updateData.memberId, targetSession),
+                                currentUser: req.authenticatedUser || { role: 'guest' },
+                                isAuthenticated: !!req.authenticatedUser
+                            });
+                        }
+                        throw moveError;
+                    }
+
+                    // Moving the booking frees a spot in the original session for the next waitlisted member
+                    if (updateData.sessionId != bookingToUpdate.sessionId) {
+                        await WaitlistModel.promoteFromWaitlist(bookingToUpdate.sessionId);
+                    }
                     
                     // Redirect back to bookings page with success message
                     res.redirect('/bookings?message=booking_updated');
@@ -498,7 +780,7 @@ export class BookingController {
                     }
 
                     // Members can only cancel their own bookings
-                    if (req.authenticatedUser.role === 'member' && booking.memberId !== req.authenticatedUser.id) {
+                    if (!can(req, "bookings.cancel.any") && booking.memberId !== req.authenticatedUser.id) {
                         return res.status(403).render("status.ejs", {
                             status: "Access Restricted",
                             message: "As a member, you can only cancel your own training session bookings. Please contact an administrator if you need to cancel bookings for other members.",
@@ -507,10 +789,25 @@ export class BookingController {
                         });
                     }
 
-                    await BookingModel.delete(bookingId);
+                    // Apply the cancellation cut-off: refuse once the session has started, confirm late cancellations first
+                    const cancellation = await BookingController.checkCancellation(booking, can(req, "bookings.cancel.any"));
+                    if (!cancellation.isValid) {
+                        return res.status(409).render("status.ejs", {
+                            status: cancellation.status,
+                            message: cancellation.message,
+                            currentUser: req.authenticatedUser || { role: 'guest' },
+                            isAuthenticated: !!req.authenticatedUser
+                        });
+                    }
+                    if (cancellation.isLate && req.body.acknowledgeLateCancellation !== 'true') {
+                        return res.redirect(`/bookings/${bookingId}?showCaution=late_cancellation`);
+                    }
+
+                    // Cancel and refund, then offer the freed spot to the waitlist
+                    await BookingController.cancelBooking(booking, cancellation);
                     
                     // Redirect back to bookings page with success message
-                    res.redirect('/bookings?message=booking_cancelled');
+                    res.redirect(`/bookings?message=${cancellation.isLate ? 'booking_cancelled_late' : 'booking_cancelled'}`);
                     return;
                     break;
 
@@ -576,6 +873,31 @@ export class BookingController {
             });
         }
     }
+
+    /**
+     * Export member's upcoming bookings as an iCalendar (.ics) file for calendar apps
+     * 
+     * @param {Request} req - The request object.
+     * @param {Response} res - The response object.
+     * @returns {Promise<void>} No return value since this method sends an HTTP response. Sends iCalendar data to the client for download.
+     */
+    static async exportBookingsICS(req, res) {
+        try {
+            const today = DatabaseModel.toMySqlDate(new Date());
+            const icsContent = await CalendarController.generateMemberCalendar(req.authenticatedUser, today);
+
+            const memberName = `${req.authenticatedUser.firstName}-${req.authenticatedUser.lastName}`.replace(/\s+/g, '-');
+            exportICS(res, icsContent, `bookings-${memberName}.ics`);
+        } catch (error) {
+            console.error("Error exporting bookings iCalendar:", error);
+            res.status(500).render("status.ejs", {
+                status: "Export Error",
+                message: "Failed to export your bookings to a calendar file. Please try again.",
+                currentUser: req.authenticatedUser || { role: 'guest' },
+                isAuthenticated: !!req.authenticatedUser
+            });
+        }
+    }
 }
 
     /**
@@ -634,6 +956,7 @@ export class BookingController {
                     <name>${escapeXML(trainer.firstName)} ${escapeXML(trainer.lastName)}</name>
                     <email>${escapeXML(trainer.email)}</email>
                 </trainer>
+                <attendance>${booking.attendance || 'not_recorded'}</attendance>
             </booking>`;
         });
 
@@ -0,0 +1,120 @@
+import express from "express";
+import { AuthenticationController } from "./AuthenticationController.mjs"; // For restricting access
+import { CalendarFeedModel } from "../models/CalendarFeedModel.mjs";
+import { UserModel } from "../models/UserModel.mjs";
+import { DatabaseModel } from "../models/DatabaseModel.mjs";
+import { SessionActivityLocationUserModel } from "../models/SessionActivityLocationUserModel.mjs";
+import { BookingSessionActivityLocationUserModel } from "../models/BookingSessionActivityLocationUserModel.mjs";
+import { generateICS, buildSessionEvent, buildBookingEvent, sendICSFeed } from "../utils/icsExport.mjs";
+
+export class CalendarController {
+    static routes = express.Router();
+
+    // How far back subscribed calendars keep past sessions and bookings
+    static FEED_HISTORY_DAYS = 30;
+
+    static {
+        // Secret calendar feed for Google/Apple Calendar subscriptions (Public - the token is the credential)
+        this.routes.get(
+            "/feed/:token.ics",
+            this.viewCalendarFeed
+        );
+
+        // Replace the feed URL with a new one, revoking the old link (Any logged-in user)
+        this.routes.post(
+            "/feed",
+            AuthenticationController.restrict("any"),
+            this.regenerateCalendarFeed
+        );
+    }
+
+    /**
+     * Serve a user's calendar feed
+     *
+     * Trainers get the sessions they teach; members and admins get their bookings.
+     * Cancelled sessions and bookings stay in the feed as cancelled events so subscribed calendars remove them.
+     *
+     * @param {Request} req - The request object.
+     * @param {Response} res - The response object.
+     * @returns {Promise<void>} No return value since this method sends an HTTP response. Sends iCalendar data to the client.
+     */
+    static async viewCalendarFeed(req, res) {
+        try {
+            const feed = await CalendarFeedModel.getByToken(req.params.token).catch(() => null);
+            const user = feed ? await UserModel.getById(feed.userId).catch(() => null) : null;
+            if (!user) {
+                return res.status(404).type('text/plain').send("Calendar feed not found");
+            }
+
+            const fromDate = DatabaseModel.addDays(DatabaseModel.toMySqlDate(new Date()), -CalendarController.FEED_HISTORY_DAYS);
+            const icsContent = await CalendarController.generateUserCalendar(user, fromDate);
+
+            sendICSFeed(res, icsContent);
+        } catch (error) {
+            console.error("Error serving calendar feed:", error);
+            res.status(500).type('text/plain').send("Failed to load calendar feed");
+        }
+    }
+
+    /**
+     * Regenerate the logged-in user's calendar feed URL
+     *
+     * @param {Request} req - The request object.
+     * @param {Response} res - The response object.
+     * @returns {Promise<void>} No return value since this method sends an HTTP response. Redirects to the profile page.
+     */
+    static async regenerateCalendarFeed(req, res) {
+        try {
+            await CalendarFeedModel.regenerate(req.authenticatedUser.id);
+            res.redirect("/authenticate/profile?message=calendar_feed_reset");
+        } catch (error) {
+            console.error("Error regenerating calendar feed:", error);
+            res.status(500).render("status.ejs", {
+                status: "Calendar Feed Error",
+                message: "Failed to create a new calendar link. Please try again.",
+                currentUser: req.authenticatedUser || { role: 'guest' },
+                isAuthenticated: !!req.authenticatedUser
+            });
+        }
+    }
+
+    /**
+     * Generate iCalendar content for the sessions a trainer teaches
+     * @param {UserModel} trainer - The trainer
+     * @param {string} fromDate - The earliest session date to include (YYYY-MM-DD)
+     * @returns {Promise<string>} iCalendar content
+     */
+    static async generateTrainerCalendar(trainer, fromDate) {
+        const sessions = await SessionActivityLocationUserModel.getCalendarByTrainerId(trainer.id, fromDate);
+        return generateICS({
+            calendarName: `High Street Gym - ${trainer.firstName} ${trainer.lastName} Sessions`,
+            events: sessions.map(buildSessionEvent)
+        });
+    }
+
+    /**
+     * Generate iCalendar content for a member's bookings
+     * @param {UserModel} member - The member (or admin) who made the bookings
+     * @param {string} fromDate - The earliest session date to include (YYYY-MM-DD)
+     * @returns {Promise<string>} iCalendar content
+     */
+    static async generateMemberCalendar(member, fromDate) {
+        const bookings = await BookingSessionActivityLocationUserModel.getCalendarByMemberId(member.id, fromDate);
+        return generateICS({
+            calendarName: `High Street Gym - ${member.firstName} ${member.lastName} Bookings`,
+            events: bookings.map(buildBookingEvent)
+        });
+    }
+
+    /**
+     * Generate the calendar that belongs to a user's role (trainers: sessions taught, everyone else: bookings)
+     * @param {UserModel} user - The user
+     * @param {string} fromDate - The earliest session date to include (YYYY-MM-DD)
+     * @returns {Promise<string>} iCalendar content
+     */
+    static generateUserCalendar(user, fromDate) {
+        return user.role === 'trainer'
+            ? CalendarController.generateTrainerCalendar(user, fromDate)
+            : CalendarController.generateMemberCalendar(user, fromDate);
+    }
+}
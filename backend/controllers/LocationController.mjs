@@ -16,13 +16,13 @@ export class LocationController {
         // ✅ Unified form handling for create, update, and delete (Admin only)
         this.routes.post(
             "/",
-            AuthenticationController.restrict(["admin"]),
+            AuthenticationController.restrict("locations.manage"),
             this.handleLocationAction
         );
 
         this.routes.post(
             "/:id",
-            AuthenticationController.restrict(["admin"]),
+            AuthenticationController.restrict("locations.manage"),
             this.handleLocationAction
         );
     }
@@ -132,7 +132,7 @@ export class LocationController {
      */
     static async handleLocationAction(req, res) {
         try {
-            const { name, address, action } = req.body;
+            const { name, address, capacity, action } = req.body;
             const locationId = req.params.id;
 
             // Validate Location Name
@@ -154,9 +154,19 @@ export class LocationController {
                 });
             }
 
+            // Validate Location Capacity (optional - blank means unlimited)
+            if (capacity && !/^[1-9][0-9]*$/.test(capacity)) {
+                return res.status(400).render("status", {
+                    status: "Location Capacity Validation Failed",
+                    message: "The location capacity you entered is not valid. It must be a whole number of at least 1, or left blank for unlimited places. Please check your input and try again.",
+                    currentUser: req.authenticatedUser || { role: 'guest' },
+                    isAuthenticated: !!req.authenticatedUser
+                });
+            }
+
             switch (action) {
                 case 'create':
-                    await LocationModel.create(name, address);
+                    await LocationModel.create(name, address, capacity);
                     res.redirect("/locations?message=location_created");
                     break;
                 case 'update':
@@ -193,13 +203,14 @@ export class LocationController {
                                     message: `This location has ${associatedSessionsForUpdate.length} active training session(s) that will be automatically updated to reflect the new location details, and all associated member bookings will be synchronized with the changes.`,
                                     locationId: locationId,
                                     name: name,
-                                    address: address
+                                    address: address,
+                                    capacity: capacity
                                 }
                             });
                         }
                     }
                     
-                    await LocationModel.update(locationId, { name, address });
+                    await LocationModel.update(locationId, { name, address, capacity });
                     res.redirect("/locations?message=location_updated");
                     break;
                 case 'delete':
@@ -0,0 +1,164 @@
+import express from "express";
+import { RolePermissionModel } from "../models/RolePermissionModel.mjs";
+import { AuthenticationController } from "./AuthenticationController.mjs";
+import { forgetRolePermissions } from "../utils/authorization.mjs";
+
+export class RoleController {
+    static routes = express.Router();
+
+    static {
+        // ✅ View every role and its permissions (Admin only)
+        this.routes.get(
+            "/",
+            AuthenticationController.restrict("roles.manage"),
+            this.viewAllRoles
+        );
+
+        // ✅ View a role's permissions for editing (Admin only)
+        this.routes.get(
+            "/:role",
+            AuthenticationController.restrict("roles.manage"),
+            this.viewRole
+        );
+
+        // ✅ Save a role's permissions (Admin only)
+        this.routes.post(
+            "/:role",
+            AuthenticationController.restrict("roles.manage"),
+            this.handleRoleAction
+        );
+    }
+
+    /**
+     * View all roles with their permissions.
+     * 
+     * @param {Request} req - The request object.
+     * @param {Response} res - The response object.
+     * @returns {Promise<void>} No return value since this method sends an HTTP response. Renders roles.ejs and sends HTML to the client.
+     */
+    static async viewAllRoles(req, res) {
+        try {
+            const bundles = await RolePermissionModel.getAll();
+
+            res.render("roles", {
+                bundles: bundles,
+                allPermissions: RolePermissionModel.PERMISSIONS,
+                lockedPermissions: RolePermissionModel.LOCKED_PERMISSIONS,
+                selectedRole: null,
+                currentUser: req.authenticatedUser || { role: 'guest' },
+                isAuthenticated: !!req.authenticatedUser,
+                currentPage: 'roles',
+                message: req.query.message || null
+            });
+        } catch (error) {
+            console.error("Error fetching roles:", error);
+            return res.status(500).render("status", {
+                status: "Error",
+                message: "Unable to load roles",
+                details: "There was a problem retrieving the roles and their permissions. Please try again.",
+                currentUser: req.authenticatedUser || { role: 'guest' },
+                isAuthenticated: !!req.authenticatedUser
+            });
+        }
+    }
+
+    /**
+     * View one role's permissions, with the form to change them.
+     * 
+     * @param {Request} req - The request object containing the role as a parameter.
+     * @param {Response} res - The response object.
+     * @returns {Promise<void>} No return value since this method sends an HTTP response. Renders roles.ejs and sends HTML to the client.
+     */
+    static async viewRole(req, res) {
+        try {
+            if (!RolePermissionModel.ROLES.includes(req.params.role)) {
+                return res.status(404).render("status", {
+                    status: "Role Not Found",
+                    message: `There is no role called "${req.params.role}". Roles are ${RolePermissionModel.ROLES.join(", ")}.`,
+                    currentUser: req.authenticatedUser || { role: 'guest' },
+                    isAuthenticated: !!req.authenticatedUser
+                });
+            }
+
+            const bundles = await RolePermissionModel.getAll();
+
+            res.render("roles", {
+                bundles: bundles,
+                allPermissions: RolePermissionModel.PERMISSIONS,
+                lockedPermissions: RolePermissionModel.LOCKED_PERMISSIONS,
+                selectedRole: req.params.role,
+                currentUser: req.authenticatedUser || { role: 'guest' },
+                isAuthenticated: !!req.authenticatedUser,
+                currentPage: 'roles',
+                message: req.query.message || null
+            });
+        } catch (error) {
+            console.error("Error fetching role details:", error);
+            return res.status(500).render("status", {
+                status: "Error",
+                message: "Unable to load role details",
+                details: "There was a problem retrieving the role's permissions. Please try again.",
+                currentUser: req.authenticatedUser || { role: 'guest' },
+                isAuthenticated: !!req.authenticatedUser
+            });
+        }
+    }
+
+    /**
+     * Handle the role form (Admin only). The only action is 'update', which replaces the role's permissions
+     * with the ticked ones. Changes apply from each user's next request.
+     * 
+     * @param {Request} req - The request object containing the role and the ticked permissions.
+     * @param {Response} res - The response object used to send a response back to the client.
+     * @returns {Promise<void>} No return value since this method sends an HTTP response. Redirects or renders status page.
+     */
+    static async handleRoleAction(req, res) {
+        try {
+            const role = req.params.role;
+            if (!RolePermissionModel.ROLES.includes(role)) {
+                return res.status(404).render("status", {
+                    status: "Role Not Found",
+                    message: `There is no role called "${role}". Roles are ${RolePermissionModel.ROLES.join(", ")}.`,
+                    currentUser: req.authenticatedUser || { role: 'guest' },
+                    isAuthenticated: !!req.authenticatedUser
+                });
+            }
+
+            switch (req.body.action) {
+                case 'update':
+                    // Unticked checkboxes aren't submitted, and a single ticked one arrives as a string
+                    const ticked = [].concat(req.body.permissions || []);
+                    const unknown = ticked.filter(permission => !(permission in RolePermissionModel.PERMISSIONS));
+                    if (unknown.length > 0) {
+                        return res.status(400).render("status", {
+                            status: "Invalid Permissions",
+                            message: `Unknown permissions: ${unknown.join(", ")}. Please reload the page and try again.`,
+                            currentUser: req.authenticatedUser || { role: 'guest' },
+                            isAuthenticated: !!req.authenticatedUser
+                        });
+                    }
+
+                    await RolePermissionModel.setForRole(role, ticked);
+                    forgetRolePermissions(role);
+                    res.redirect(`/roles/${role}?message=role_updated`);
+                    break;
+                default:
+                    res.status(400).render("status", {
+                        status: "Invalid Action",
+                        message: "The requested action is not recognised. Please use the form to save the role's permissions.",
+                        currentUser: req.authenticatedUser || { role: 'guest' },
+                        isAuthenticated: !!req.authenticatedUser
+                    });
+            }
+        } catch (error) {
+            console.error("Error updating role:", error);
+            res.status(500).render("status", {
+                status: "Error",
+                message: "Unable to save the role's permissions",
+                details: "There was a problem saving the changes. Please try again.",
+                currentUser: req.authenticatedUser || { role: 'guest' },
+                isAuthenticated: !!req.authenticatedUser
+            });
+        }
+    }
+}
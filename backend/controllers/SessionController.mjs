@@ -6,6 +6,16 @@ import { ActivityModel } from "../models/ActivityModel.mjs";
 import { UserModel } from "../models/UserModel.mjs";
 import { LocationModel } from "../models/LocationModel.mjs";
 import { BookingModel } from "../models/BookingModel.mjs"; // Add this import
+import { BookingSessionActivityLocationUserModel } from "../models/BookingSessionActivityLocationUserModel.mjs"; // Attendance roster
+import { WaitlistModel } from "../models/WaitlistModel.mjs"; // Waitlist promotion and cleanup
+import { MembershipModel } from "../models/MembershipModel.mjs"; // Credit refunds for cancelled sessions
+import { InvoiceModel } from "../models/InvoiceModel.mjs"; // Drop-in refunds for cancelled sessions
+import { SessionSeriesModel } from "../models/SessionSeriesModel.mjs"; // Recurring session series
+import { CalendarController } from "./CalendarController.mjs"; // iCalendar generation
+import { exportICS } from "../utils/icsExport.mjs";
+import { notifySessionChanged, notifySessionCancelled } from "../utils/notifications.mjs"; // Emails to booked members
+import { can } from "../utils/authorization.mjs"; // Permission checks within actions
+import { DatabaseModel } from "../models/DatabaseModel.mjs"; // Transactions for multi-step changes
 
 export class SessionController {
     static routes = express.Router();
@@ -26,23 +36,30 @@ export class SessionController {
         // Unified CRUD operations (Trainer/Admin only)
         this.routes.post(
             "/",
-            AuthenticationController.restrict(["trainer", "admin"]),
+            AuthenticationController.restrict("sessions.manage"),
             this.handleSessionAction
         );
 
         // Unified CRUD operations for specific session (Trainer/Admin only)
         this.routes.post(
             "/:id",
-            AuthenticationController.restrict(["trainer", "admin"]),
+            AuthenticationController.restrict("sessions.manage"),
             this.handleSessionAction
         );
 
         // XML Export for trainer's weekly sessions
         this.routes.get(
             "/export/xml/weekly",
-            AuthenticationController.restrict(["trainer"]),
+            AuthenticationController.restrict("sessions.export"),
             this.exportWeeklySessionsXML
         );
+
+        // iCalendar (.ics) export of the trainer's upcoming sessions
+        this.routes.get(
+            "/export/ics",
+            AuthenticationController.restrict("sessions.export"),
+            this.exportSessionsICS
+        );
     }
 
     /**
@@ -298,9 +315,25 @@ export class SessionController {
             // Group all sessions by day
             const groupedSessions = SessionController.groupSessionsByDay(allSessions);
 
+            // Recurring sessions show the series they belong to
+            const seriesId = sessionArray[0].session.seriesId;
+            const selectedSeries = seriesId
+                ? await SessionSeriesModel.getById(seriesId).catch(() => null)
+                : null;
+
+            // The session's trainer and admins get the attendance roster
+            const attendanceRoster = SessionController.canTakeAttendance(sessionArray[0].session, req)
+                ? await SessionController.getAttendanceRoster(sessionArray[0].session.id)
+                : null;
+
             // Render the session details to the 'sessions.ejs' view with selectedSession
             res.render("sessions", { 
                 selectedSession: sessionArray[0], // Pass the first item if it's an array (since there's only one session)
+                selectedSeries: selectedSeries,
+                attendanceRoster: attendanceRoster,
+                attendanceOpen: SessionController.isAttendanceOpen(sessionArray[0].session),
+                attendanceLabels: BookingModel.ATTENDANCE_LABELS,
+                seriesDescription: selectedSeries ? SessionSeriesModel.describe(selectedSeries) : null,
                 groupedSessions: groupedSessions, // Added groupedSessions
                 activities: activities,           // Added activities
                 locations: locations,             // Added locations
@@ -378,7 +411,11 @@ export class SessionController {
                         sessionTime,
                         activityId,
                         locationId,
-                        userId
+                        userId,
+                        capacity,
+                        durationMinutes,
+                        repeatWeekdays,
+                        repeatUntil
                     } = req.body;
                     
                     // Clean up form data (handle arrays and leading commas)
@@ -410,16 +447,162 @@ export class SessionController {
                         });
                     }
 
-                    // Check for duplicate session
-                    const existingSessionForCreate = await SessionModel.checkSessionExists
-                    (
-                        activityId,
-                        userId,
-                        locationId,
-                        sessionDate,
-                        sessionTime
-                    );
-                    if (existingSessionForCreate) {
+                    // Validate duration (defaults to an hour when left blank)
+                    const durationValidationForCreate = SessionController.validateDuration(durationMinutes);
+                    if (!durationValidationForCreate.isValid) {
+                        return res.status(400).render("status.ejs", {
+                            status: durationValidationForCreate.status,
+                            message: durationValidationForCreate.message,
+                            currentUser: req.authenticatedUser || { role: 'guest' },
+                            isAuthenticated: !!req.authenticatedUser
+                        });
+                    }
+
+                    // Recurring series: create every occurrence, running the duplicate and overlap checks on each one
+                    if (repeatWeekdays && [].concat(repeatWeekdays).length > 0) {
+                        const seriesValidation = SessionController.validateSeries(repeatWeekdays, sessionDate, repeatUntil);
+                        if (!seriesValidation.isValid) {
+                            return res.status(400).render("status.ejs", {
+                                status: seriesValidation.status,
+                                message: seriesValidation.message,
+                                currentUser: req.authenticatedUser || { role: 'guest' },
+                                isAuthenticated: !!req.authenticatedUser
+                            });
+                        }
+
+                        const seriesCapacityValidation = SessionController.validateCapacity(capacity);
+                        if (!seriesCapacityValidation.isValid) {
+                            return res.status(400).render("status.ejs", {
+                                status: seriesCapacityValidation.status,
+                                message: seriesCapacityValidation.message,
+                                currentUser: req.authenticatedUser || { role: 'guest' },
+                                isAuthenticated: !!req.authenticatedUser
+                            });
+                        }
+
+                        const newSeries = new SessionSeriesModel(
+                            null,
+                            activityId,
+                            userId,
+                            locationId,
+                            sessionTime,
+                            seriesValidation.weekdays,
+                            sessionDate,
+                            repeatUntil,
+                            seriesCapacityValidation.capacity ?? await SessionModel.resolveDefaultCapacity(activityId, locationId),
+                            durationValidationForCreate.durationMinutes
+                        );
+                        const seriesResult = await SessionController.createSeriesSessions(
+                            newSeries,
+                            req.body.acknowledgeSeriesClashes === 'true'
+                        );
+
+                        if (seriesResult.occurrenceCount === 0) {
+                            return res.status(400).render("status.ejs", {
+                                status: "No Sessions In Series",
+                                message: "None of the selected days fall between the first session date and the 'Repeat Until' date. Please check the repeat days and dates.",
+                                currentUser: req.authenticatedUser || { role: 'guest' },
+                                isAuthenticated: !!req.authenticatedUser
+                            });
+                        }
+
+                        const clashList = seriesResult.clashes
+                            .map(clash => `${clash.sessionDate} ${clash.sessionTime.substring(0, 5)}`)
+                            .join(', ');
+
+                        if (seriesResult.createdSessionIds.length === 0 && seriesResult.clashes.length === seriesResult.occurrenceCount) {
+                            return res.status(400).render("status.ejs", {
+                                status: "Schedule Conflict",
+                                message: `Every session in this series clashes with an existing session for the same trainer or location (${clashList}). No sessions were created.`,
+                                conflicts: seriesResult.clashes.flatMap(clash => clash.conflicts || []),
+                                currentUser: req.authenticatedUser || { role: 'guest' },
+                                isAuthenticated: !!req.authenticatedUser
+                            });
+                        }
+
+                        if (seriesResult.createdSessionIds.length === 0) {
+                            // Some occurrences clash - ask before creating the rest
+                            return SessionController.renderSessionsWithNotice(req, res, {
+                                showCaution: true,
+                                cautionData: {
+                                    message: `${seriesResult.clashes.length} of the ${seriesResult.occurrenceCount} sessions in this series clash with existing sessions for the same trainer or location: ${clashList}. These dates will be skipped and the other ${seriesResult.occurrenceCount - seriesResult.clashes.length} session(s) created.`,
+                                    seriesClashes: seriesResult.clashes,
+                                    sessionDate,
+                                    sessionTime,
+                                    activityId,
+                                    locationId,
+                                    userId,
+                                    capacity,
+                                    durationMinutes,
+                                    repeatWeekdays: seriesValidation.weekdays,
+                                    repeatUntil
+                                }
+                            });
+                        }
+
+                        newSessionId = seriesResult.createdSessionIds[0];
+                        break;
+                    }
+
+                    // Validate capacity (optional - defaults from the activity or location when left blank)
+                    const capacityValidationForCreate = SessionController.validateCapacity(capacity);
+                    if (!capacityValidationForCreate.isValid) {
+                        return res.status(400).render("status.ejs", {
+                            status: capacityValidationForCreate.status,
+                            message: capacityValidationForCreate.message,
+                            currentUser: req.authenticatedUser || { role: 'guest' },
+                            isAuthenticated: !!req.authenticatedUser
+                        });
+                    }
+                    const capacityForCreate = capacityValidationForCreate.capacity ?? await SessionModel.resolveDefaultCapacity(activityId, locationId);
+
+                    // The clash checks and the insert run with the trainer and the location locked, so a session
+                    // created for either of them at the same time can't slip in between
+                    const createOutcome = await DatabaseModel.transaction(async () => {
+                        await SessionController.lockSchedule(userId, locationId);
+
+                        // Check for duplicate session
+                        const existingSessionForCreate = await SessionModel.checkSessionExists(
+                            activityId,
+                            userId,
+                            locationId,
+                            sessionDate,
+                            sessionTime
+                        );
+                        if (existingSessionForCreate) {
+                            return { isDuplicate: true };
+                        }
+
+                        // Reject the session if the trainer or the location is already busy at that time
+                        const scheduleConflictsForCreate = await SessionActivityLocationUserModel.getOverlapping(
+                            userId,
+                            locationId,
+                            sessionDate,
+                            sessionTime,
+                            durationValidationForCreate.durationMinutes
+                        );
+                        if (scheduleConflictsForCreate.length > 0) {
+                            return { conflicts: scheduleConflictsForCreate };
+                        }
+
+                        // Create new session
+                        const newSession = new SessionModel(
+                            null,           // ID will be auto-generated
+                            activityId,     // activity ID
+                            userId,         // trainer ID
+                            locationId,     // location ID
+                            sessionDate,    // session date
+                            sessionTime,    // session time
+                            0,              // deleted flag (0 for not deleted)
+                            capacityForCreate,
+                            null,           // not part of a series
+                            durationValidationForCreate.durationMinutes
+                        );
+                        const createResult = await SessionModel.create(newSession);
+                        return { sessionId: createResult.insertId };
+                    });
+
+                    if (createOutcome.isDuplicate) {
                         return res.status(400).render("status.ejs", {
                             status: "Duplicate Session Conflict",
                             message: "A training session with the same activity, trainer, location, date, and time already exists in the schedule. Please choose a different time slot or modify the existing session.",
@@ -427,25 +610,21 @@ export class SessionController {
                             isAuthenticated: !!req.authenticatedUser
                         });
                     }
-
-                    // Create new session
-                    const newSession = new SessionModel(
-                        null,           // ID will be auto-generated
-                        activityId,     // activity ID
-                        userId,         // trainer ID
-                        locationId,     // location ID
-                        sessionDate,    // session date
-                        sessionTime,    // session time
-                        0               // deleted flag (0 for not deleted)
-                    );
-
-                    const createResult = await SessionModel.create(newSession);
-                    newSessionId = createResult.insertId; // Assign to function-level variable
+                    if (createOutcome.conflicts) {
+                        return res.status(400).render("status.ejs", {
+                            status: "Schedule Conflict",
+                            message: "The trainer or the location is already booked for another session during this time. Please choose a different time, trainer, or location.",
+                            conflicts: createOutcome.conflicts.map(conflict => SessionController.describeScheduleConflict(conflict, userId, locationId)),
+                            currentUser: req.authenticatedUser || { role: 'guest' },
+                            isAuthenticated: !!req.authenticatedUser
+                        });
+                    }
+                    newSessionId = createOutcome.sessionId; // Assign to function-level variable
                     break;
 
                 case 'update':
                     // Validate ownership: trainers can only update their own sessions
-                    if (req.authenticatedUser.role === 'trainer') {
+                    if (!can(req, "sessions.manage.any")) {
                         const sessionToUpdate = await SessionModel.getById(sessionId);
                         if (sessionToUpdate.trainerId !== req.authenticatedUser.id) {
                             return res.render("status.ejs", {
@@ -456,9 +635,17 @@ export class SessionController {
                             });
                         }
                     }
+
+                    // Recurring sessions can be edited one at a time, from this occurrence on, or as a whole series
+                    const seriesScopeForUpdate = SessionController.normalizeSeriesScope(req.body.seriesScope);
+                    const sessionForUpdate = await SessionModel.getById(sessionId);
+                    const sessionsInScopeForUpdate = await SessionController.getSessionsInScope(sessionForUpdate, seriesScopeForUpdate);
                     
                     // Check for associated bookings first
-                    const associatedBookingsForUpdate = await SessionController.getAssociatedBookings(sessionId);
+                    const associatedBookingsForUpdate = [];
+                    for (const sessionInScope of sessionsInScopeForUpdate) {
+                        associatedBookingsForUpdate.push(...await SessionController.getAssociatedBookings(sessionInScope.id));
+                    }
                     
                     if (associatedBookingsForUpdate.length > 0) {
                         // Check if user has acknowledged the caution
@@ -501,19 +688,26 @@ export class SessionController {
                                 warningData: null,
                                 showCaution: true,
                                 cautionData: {
-                                    message: `This session has ${associatedBookingsForUpdate.length} active member booking(s) that will be automatically updated to reflect the new session details, and all associated booking information will be synchronized with the changes.`,
+                                    message: sessionsInScopeForUpdate.length > 1
+                                        ? `These ${sessionsInScopeForUpdate.length} sessions have ${associatedBookingsForUpdate.length} active member booking(s) that will stay linked to their sessions and be synchronized with the changes.`
+                                        : `This session has ${associatedBookingsForUpdate.length} active member booking(s) that will be automatically updated to reflect the new session details, and all associated booking information will be synchronized with the changes.`,
                                     sessionId: sessionId,
                                     sessionDate: req.body.sessionDate,
                                     sessionTime: req.body.sessionTime,
                                     activityId: req.body.activityId,
                                     locationId: req.body.locationId,
-                                    userId: req.body.userId
+                                    userId: req.body.userId,
+                                    capacity: req.body.capacity,
+                                    durationMinutes: req.body.durationMinutes,
+                                    seriesScope: seriesScopeForUpdate
                                 }
                             });
                         }
                         
                         // User has acknowledged, proceed with update
-                        await SessionController.updateAssociatedBookings(sessionId, req.body);
+                        for (const sessionInScope of sessionsInScopeForUpdate) {
+                            await SessionController.updateAssociatedBookings(sessionInScope.id, req.body);
+                        }
                     }
 
                     // Extract data from the form submission
@@ -522,7 +716,9 @@ export class SessionController {
                         sessionTime: req.body.sessionTime,
                         activityId: Array.isArray(req.body.activityId) ? req.body.activityId[1] : req.body.activityId,
                         locationId: Array.isArray(req.body.locationId) ? req.body.locationId[1] : req.body.locationId,
-                        userId: req.body.userId
+                        userId: req.body.userId,
+                        capacity: req.body.capacity,
+                        durationMinutes: req.body.durationMinutes
                     };
                     
                     // Clean up any leading commas or empty values
@@ -540,41 +736,142 @@ export class SessionController {
                         });
                     }
 
-                    // Check for duplicate session (excluding current session)
-                    const existingSessionForUpdate = await SessionModel.checkSessionExists(
-                        updateData.activityId, 
-                        updateData.userId, 
-                        updateData.locationId, 
-                        updateData.sessionDate, 
-                        updateData.sessionTime, 
-                        sessionId // Exclude current session from duplicate check
-                    );
-                    if (existingSessionForUpdate) {
+                    // The date from the form only moves the selected occurrence - the others keep their own dates
+                    const getUpdatedDate = (sessionInScope) => sessionInScope.id == sessionId ? updateData.sessionDate : sessionInScope.sessionDate;
+
+                    // Check for duplicate sessions (excluding each session being updated)
+                    const duplicateDatesForUpdate = [];
+                    for (const sessionInScope of sessionsInScopeForUpdate) {
+                        const existingSessionForUpdate = await SessionModel.checkSessionExists(
+                            updateData.activityId, 
+                            updateData.userId, 
+                            updateData.locationId, 
+                            getUpdatedDate(sessionInScope), 
+                            updateData.sessionTime, 
+                            sessionInScope.id // Exclude current session from duplicate check
+                        );
+                        if (existingSessionForUpdate) {
+                            duplicateDatesForUpdate.push(getUpdatedDate(sessionInScope));
+                        }
+                    }
+                    if (duplicateDatesForUpdate.length > 0) {
                         return res.status(400).render("status.ejs", {
                             status: "Duplicate Session Conflict",
-                            message: "A training session with the same activity, trainer, location, date, and time already exists in the schedule. Please choose a different time slot or modify the existing session.",
+                            message: sessionsInScopeForUpdate.length > 1
+                                ? `A training session with the same activity, trainer, location, and time already exists on ${duplicateDatesForUpdate.join(', ')}. No sessions were changed. Please choose a different time slot or modify the existing sessions.`
+                                : "A training session with the same activity, trainer, location, date, and time already exists in the schedule. Please choose a different time slot or modify the existing session.",
+                            currentUser: req.authenticatedUser || { role: 'guest' },
+                            isAuthenticated: !!req.authenticatedUser
+                        });
+                    }
+
+                    // Validate duration and reject the change if the trainer or the location is already busy at that time
+                    const durationValidationForUpdate = SessionController.validateDuration(updateData.durationMinutes);
+                    if (!durationValidationForUpdate.isValid) {
+                        return res.status(400).render("status.ejs", {
+                            status: durationValidationForUpdate.status,
+                            message: durationValidationForUpdate.message,
+                            currentUser: req.authenticatedUser || { role: 'guest' },
+                            isAuthenticated: !!req.authenticatedUser
+                        });
+                    }
+                    const scheduleConflictsForUpdate = [];
+                    for (const sessionInScope of sessionsInScopeForUpdate) {
+                        const overlappingSessions = await SessionActivityLocationUserModel.getOverlapping(
+                            updateData.userId,
+                            updateData.locationId,
+                            getUpdatedDate(sessionInScope),
+                            updateData.sessionTime,
+                            durationValidationForUpdate.durationMinutes,
+                            sessionInScope.id // Exclude current session from overlap check
+                        );
+                        scheduleConflictsForUpdate.push(...overlappingSessions);
+                    }
+                    if (scheduleConflictsForUpdate.length > 0) {
+                        return res.status(400).render("status.ejs", {
+                            status: "Schedule Conflict",
+                            message: sessionsInScopeForUpdate.length > 1
+                                ? "The trainer or the location is already booked for other sessions during these times. No sessions were changed. Please choose a different time, trainer, or location."
+                                : "The trainer or the location is already booked for another session during this time. Please choose a different time, trainer, or location.",
+                            conflicts: scheduleConflictsForUpdate.map(conflict => SessionController.describeScheduleConflict(conflict, updateData.userId, updateData.locationId)),
                             currentUser: req.authenticatedUser || { role: 'guest' },
                             isAuthenticated: !!req.authenticatedUser
                         });
                     }
 
-                    // Update the session
-                    const updatedSession = new SessionModel(
-                        sessionId,
-                        updateData.activityId,
-                        updateData.userId,
-                        updateData.locationId,
-                        updateData.sessionDate,
-                        updateData.sessionTime,
-                        0
-                    );
-
-                    await SessionModel.update(updatedSession);
+                    // Validate capacity - it cannot drop below the number of members already booked
+                    const capacityValidationForUpdate = SessionController.validateCapacity(updateData.capacity);
+                    if (!capacityValidationForUpdate.isValid) {
+                        return res.status(400).render("status.ejs", {
+                            status: capacityValidationForUpdate.status,
+                            message: capacityValidationForUpdate.message,
+                            currentUser: req.authenticatedUser || { role: 'guest' },
+                            isAuthenticated: !!req.authenticatedUser
+                        });
+                    }
+                    const capacityForUpdate = capacityValidationForUpdate.capacity
+                        ?? await SessionModel.resolveDefaultCapacity(updateData.activityId, updateData.locationId);
+
+                    // The capacity check, the series template and the sessions commit together. The sessions are locked
+                    // while their bookings are counted, so a booking made at the same time can't push them over the new capacity.
+                    const updatedSessionsForUpdate = [];
+                    const capacityTooLowForUpdate = await DatabaseModel.transaction(async () => {
+                        await DatabaseModel.lockRows("sessions", sessionsInScopeForUpdate.map(sessionInScope => sessionInScope.id));
+                        for (const sessionInScope of sessionsInScopeForUpdate) {
+                            const bookedCountForUpdate = await SessionModel.getBookedCount(sessionInScope.id);
+                            if (capacityForUpdate !== null && capacityForUpdate < bookedCountForUpdate) {
+                                return { session: sessionInScope, bookedCount: bookedCountForUpdate };
+                            }
+                        }
+
+                        // Keep the series template in step (done first, while occurrence dates are unchanged)
+                        await SessionController.updateSeriesForScope(sessionForUpdate, seriesScopeForUpdate, {
+                            activityId: updateData.activityId,
+                            trainerId: updateData.userId,
+                            locationId: updateData.locationId,
+                            sessionTime: updateData.sessionTime,
+                            capacity: capacityForUpdate,
+                            durationMinutes: durationValidationForUpdate.durationMinutes
+                        });
+
+                        // Update the sessions - bookings stay linked to their own occurrence
+                        for (const sessionInScope of sessionsInScopeForUpdate) {
+                            const updatedSession = new SessionModel(
+                                sessionInScope.id,
+                                updateData.activityId,
+                                updateData.userId,
+                                updateData.locationId,
+                                getUpdatedDate(sessionInScope),
+                                updateData.sessionTime,
+                                0,
+                                capacityForUpdate,
+                                sessionInScope.seriesId,
+                                durationValidationForUpdate.durationMinutes
+                            );
+                            await SessionModel.update(updatedSession);
+                            updatedSessionsForUpdate.push({ previous: sessionInScope, updated: updatedSession });
+                        }
+                        return null;
+                    });
+                    if (capacityTooLowForUpdate) {
+                        return res.status(400).render("status.ejs", {
+                            status: "Capacity Too Low",
+                            message: `The session on ${capacityTooLowForUpdate.session.sessionDate} already has ${capacityTooLowForUpdate.bookedCount} member booking(s). The capacity cannot be set below the number of members already booked.`,
+                            currentUser: req.authenticatedUser || { role: 'guest' },
+                            isAuthenticated: !!req.authenticatedUser
+                        });
+                    }
+
+                    // Once committed, members are told about the changes and a raised capacity opens spots for members on the waitlist
+                    for (const { previous, updated } of updatedSessionsForUpdate) {
+                        await notifySessionChanged(previous, updated);
+                        await WaitlistModel.promoteFromWaitlist(updated.id);
+                    }
                     break;
 
                 case 'delete':
                     // Validate ownership: trainers can only delete their own sessions
-                    if (req.authenticatedUser.role === 'trainer') {
+                    if (!can(req, "sessions.manage.any")) {
                         const sessionToDelete = await SessionModel.getById(sessionId);
                         if (sessionToDelete.trainerId !== req.authenticatedUser.id) {
                             return res.render("status.ejs", {
@@ -585,9 +882,17 @@ export class SessionController {
                             });
                         }
                     }
+
+                    // Recurring sessions can be removed one at a time, from this occurrence on, or as a whole series
+                    const seriesScopeForDelete = SessionController.normalizeSeriesScope(req.body.seriesScope);
+                    const sessionForDelete = await SessionModel.getById(sessionId);
+                    const sessionsInScopeForDelete = await SessionController.getSessionsInScope(sessionForDelete, seriesScopeForDelete);
                     
                     // Check for associated bookings first
-                    const associatedBookingsForDelete = await SessionController.getAssociatedBookings(sessionId);
+                    const associatedBookingsForDelete = [];
+                    for (const sessionInScope of sessionsInScopeForDelete) {
+                        associatedBookingsForDelete.push(...await SessionController.getAssociatedBookings(sessionInScope.id));
+                    }
                     
                     if (associatedBookingsForDelete.length > 0) {
                         // Check if user has acknowledged the warning
@@ -628,19 +933,47 @@ export class SessionController {
                                 message: null,
                                 showWarning: true,
                                 warningData: {
-                                    message: `This session has ${associatedBookingsForDelete.length} active member booking(s) that will be automatically cancelled and removed from the schedule.`,
-                                    sessionId: sessionId
+                                    message: sessionsInScopeForDelete.length > 1
+                                        ? `These ${sessionsInScopeForDelete.length} sessions have ${associatedBookingsForDelete.length} active member booking(s) that will be automatically cancelled and removed from the schedule.`
+                                        : `This session has ${associatedBookingsForDelete.length} active member booking(s) that will be automatically cancelled and removed from the schedule.`,
+                                    sessionId: sessionId,
+                                    seriesScope: seriesScopeForDelete
                                 },
                                 showCaution: false,
                                 cautionData: null
                             });
                         }
-                        
-                        // User has acknowledged, proceed with removal
-                        await SessionController.removeAssociatedBookings(sessionId);
                     }
 
-                    await SessionModel.delete(sessionId);
+                    // User has acknowledged any bookings, proceed with removal. The series template is kept in step,
+                    // and it all commits together so a failure part way leaves the schedule as it was.
+                    await DatabaseModel.transaction(async () => {
+                        await SessionController.updateSeriesForScope(sessionForDelete, seriesScopeForDelete, null);
+                        await SessionController.deleteSessions(sessionsInScopeForDelete.map(sessionInScope => sessionInScope.id));
+                    });
+                    break;
+
+                case 'attendance':
+                    // Only the session's trainer (or an admin) can take attendance
+                    const sessionForAttendance = await SessionModel.getById(sessionId);
+                    if (!SessionController.canTakeAttendance(sessionForAttendance, req)) {
+                        return res.render("status.ejs", {
+                            status: "Access Restricted",
+                            message: "As a trainer, you can only take attendance for training sessions that you are assigned to teach.",
+                            currentUser: req.authenticatedUser || { role: 'guest' },
+                            isAuthenticated: !!req.authenticatedUser
+                        });
+                    }
+
+                    const attendanceResult = await SessionController.recordAttendance(sessionForAttendance, req.body.attendance);
+                    if (!attendanceResult.isValid) {
+                        return res.status(400).render("status.ejs", {
+                            status: attendanceResult.status,
+                            message: attendanceResult.message,
+                            currentUser: req.authenticatedUser || { role: 'guest' },
+                            isAuthenticated: !!req.authenticatedUser
+                        });
+                    }
                     break;
 
                 default:
@@ -696,11 +1029,15 @@ export class SessionController {
 
             // Redirect with appropriate success message and smart filter preservation
             if (action === 'create' && newSessionId) {
-                const redirectUrl = `/sessions/${newSessionId}${buildSmartQueryParams('session_created')}`;
+                const createdMessage = req.body.repeatWeekdays ? 'series_created' : 'session_created';
+                const redirectUrl = `/sessions/${newSessionId}${buildSmartQueryParams(createdMessage)}`;
                 return res.redirect(redirectUrl);
             } else if (action === 'update' && sessionId) {
                 const redirectUrl = `/sessions/${sessionId}${buildSmartQueryParams('session_updated')}`;
                 return res.redirect(redirectUrl);
+            } else if (action === 'attendance' && sessionId) {
+                const redirectUrl = `/sessions/${sessionId}${buildSmartQueryParams('attendance_saved')}`;
+                return res.redirect(redirectUrl);
             } else if (action === 'delete') {
                 const redirectUrl = `/sessions${buildSmartQueryParams('session_deleted')}`;
                 return res.redirect(redirectUrl);
@@ -721,6 +1058,315 @@ export class SessionController {
     }
 
 
+    /**
+     * Validates an optional session capacity submitted from a form
+     * @param {string|number|undefined} capacity - Capacity value to validate (blank means use the default)
+     * @returns {Object} Validation result with isValid, status, message, and the parsed capacity (null when blank)
+     */
+    static validateCapacity(capacity) {
+        if (capacity === undefined || capacity === null || capacity.toString().trim() === '') {
+            return { isValid: true, capacity: null };
+        }
+        const parsedCapacity = Number(capacity);
+        if (!Number.isInteger(parsedCapacity) || parsedCapacity < 1) {
+            return {
+                isValid: false,
+                status: "Invalid Capacity",
+                message: "Session capacity must be a whole number of at least 1. Leave it blank to use the default capacity of the activity or location."
+            };
+        }
+        return { isValid: true, capacity: parsedCapacity };
+    }
+
+    /**
+     * Validates an optional session duration submitted from a form
+     * @param {string|number|undefined} durationMinutes - Duration in minutes (blank means the default of an hour)
+     * @returns {Object} Validation result with isValid, status, message, and the parsed duration in minutes
+     */
+    static validateDuration(durationMinutes) {
+        if (durationMinutes === undefined || durationMinutes === null || durationMinutes.toString().trim() === '') {
+            return { isValid: true, durationMinutes: SessionModel.DEFAULT_DURATION_MINUTES };
+        }
+        const parsedDuration = Number(durationMinutes);
+        if (!Number.isInteger(parsedDuration) || parsedDuration < 5 || parsedDuration > 480) {
+            return {
+                isValid: false,
+                status: "Invalid Duration",
+                message: "Session duration must be a whole number of minutes between 5 and 480. Leave it blank for a one hour session."
+            };
+        }
+        return { isValid: true, durationMinutes: parsedDuration };
+    }
+
+    /**
+     * Describes a conflicting session for an error message, e.g. "Yoga on 2025-11-01 09:00-10:00 with Jane Smith at Studio A (same trainer)"
+     * @param {SessionActivityLocationUserModel} conflict - The session that overlaps
+     * @param {number} trainerId - The trainer of the session being scheduled
+     * @param {number} locationId - The location of the session being scheduled
+     * @returns {string} A one-line description of the conflicting session and why it clashes
+     */
+    static describeScheduleConflict(conflict, trainerId, locationId) {
+        const reasons = [];
+        if (conflict.session.trainerId == trainerId) {
+            reasons.push("same trainer");
+        }
+        if (conflict.session.locationId == locationId) {
+            reasons.push("same location");
+        }
+        const startTime = String(conflict.session.sessionTime).substring(0, 5);
+        const endTime = SessionModel.getEndTime(conflict.session.sessionTime, conflict.session.durationMinutes);
+        return `${conflict.activity.name} on ${conflict.session.sessionDate} ${startTime}-${endTime} with ${conflict.user.firstName} ${conflict.user.lastName} at ${conflict.location.name} (${reasons.join(", ")})`;
+    }
+
+    /**
+     * Renders the sessions page with a warning or caution notice that the user must confirm
+     * @param {Request} req - The request object.
+     * @param {Response} res - The response object.
+     * @param {Object} notice - selectedSession, showWarning/warningData, and showCaution/cautionData for the view
+     * @returns {Promise<void>} No return value since this method sends an HTTP response. Renders sessions.ejs.
+     */
+    static async renderSessionsWithNotice(req, res, notice) {
+        // Only upcoming sessions are listed alongside the notice
+        let allSessions = await SessionActivityLocationUserModel.getAll();
+        allSessions = SessionController.filterSessions(allSessions);
+
+        const activities = await ActivityModel.getAll();
+        const locations = await LocationModel.getAll();
+        const allUsers = await UserModel.getAll();
+
+        return res.render("sessions", {
+            groupedSessions: SessionController.groupSessionsByDay(allSessions),
+            activities: activities,
+            locations: locations,
+            users: allUsers.filter(user => user.role === 'trainer'),
+            currentUser: req.authenticatedUser || { role: 'guest' },
+            isAuthenticated: !!req.authenticatedUser,
+            selectedSession: notice.selectedSession || null,
+            startDate: null,
+            endDate: null,
+            trainerId: null,
+            activityId: null,
+            locationId: null,
+            message: null,
+            showWarning: !!notice.showWarning,
+            warningData: notice.warningData || null,
+            showCaution: !!notice.showCaution,
+            cautionData: notice.cautionData || null
+        });
+    }
+
+    /**
+     * Validates the repeat settings of a recurring series
+     * @param {string|number|Array<string|number>} weekdays - Days to repeat on (0 = Sunday ... 6 = Saturday), one value or an array from checkboxes
+     * @param {string} startDate - The first date of the series (YYYY-MM-DD)
+     * @param {string} endDate - The last date of the series, inclusive (YYYY-MM-DD)
+     * @returns {Object} Validation result with isValid, status, message, and the parsed weekdays
+     */
+    static validateSeries(weekdays, startDate, endDate) {
+        const parsedWeekdays = [...new Set([].concat(weekdays ?? []).map(Number))];
+        if (parsedWeekdays.length === 0 || parsedWeekdays.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+            return {
+                isValid: false,
+                status: "Invalid Repeat Days",
+                message: "Please select at least one day of the week for the recurring session."
+            };
+        }
+        if (!endDate || !/^\d{4}-\d{2}-\d{2}$/.test(endDate) || endDate < startDate) {
+            return {
+                isValid: false,
+                status: "Invalid Repeat End Date",
+                message: "Please choose a 'Repeat Until' date on or after the first session date."
+            };
+        }
+        if (endDate > DatabaseModel.addDays(startDate, SessionSeriesModel.MAX_SERIES_DAYS)) {
+            return {
+                isValid: false,
+                status: "Series Too Long",
+                message: `A recurring series can cover at most ${SessionSeriesModel.MAX_SERIES_DAYS} days. Please choose an earlier 'Repeat Until' date.`
+            };
+        }
+        return { isValid: true, weekdays: parsedWeekdays };
+    }
+
+    /**
+     * Normalises the scope of an edit or cancellation on a recurring session
+     * @param {string|undefined} scope - 'single', 'following', or 'series'
+     * @returns {string} The scope, defaulting to 'single' for anything else
+     */
+    static normalizeSeriesScope(scope) {
+        return ['following', 'series'].includes(scope) ? scope : 'single';
+    }
+
+    /**
+     * Locks a trainer and a location until the current transaction ends, so sessions being created for either of them
+     * are checked for clashes one at a time. Must be called inside DatabaseModel.transaction().
+     * @param {number} trainerId - The ID of the trainer
+     * @param {number} locationId - The ID of the location
+     * @returns {Promise<void>}
+     */
+    static async lockSchedule(trainerId, locationId) {
+        await DatabaseModel.lockRows("users", [trainerId]);
+        await DatabaseModel.lockRows("locations", [locationId]);
+    }
+
+    /**
+     * Creates the occurrences of a recurring series, running the duplicate session and overlap checks on every occurrence.
+     * Nothing is created while there are clashes unless skipClashes is set, in which case the clashing dates are left out.
+     * The checks and the inserts run in one transaction with the trainer and the location locked, so another series created
+     * for them at the same time waits, and the clashes reported are the ones the created sessions were checked against.
+     * @param {SessionSeriesModel} series - The series template (trainer, activity, location, time, weekdays, dates, capacity)
+     * @param {boolean} skipClashes - Whether to create the remaining occurrences when some dates clash
+     * @returns {Promise<Object>} The new series ID (null if nothing was created), the created session IDs, the number of upcoming occurrences, and the clashes found
+     */
+    static async createSeriesSessions(series, skipClashes = false) {
+        // Occurrences that have already started are skipped (session dates and times are gym local time)
+        const now = DatabaseModel.toMySqlDateTime(new Date());
+        const startTime = String(series.sessionTime).length === 5 ? `${series.sessionTime}:00` : series.sessionTime;
+        const occurrenceDates = SessionSeriesModel.getOccurrenceDates(series.weekdays, series.startDate, series.endDate)
+            .filter(date => `${date} ${startTime}` >= now);
+
+        return DatabaseModel.transaction(async () => {
+            await SessionController.lockSchedule(series.trainerId, series.locationId);
+
+            const clashes = [];
+            for (const sessionDate of occurrenceDates) {
+                const existingSession = await SessionModel.checkSessionExists(
+                    series.activityId,
+                    series.trainerId,
+                    series.locationId,
+                    sessionDate,
+                    series.sessionTime
+                );
+                if (existingSession) {
+                    clashes.push({ sessionDate, sessionTime: series.sessionTime, existingSessionId: existingSession.id });
+                    continue;
+                }
+
+                // The trainer or the location may also be busy with a different session at that time
+                const overlappingSessions = await SessionActivityLocationUserModel.getOverlapping(
+                    series.trainerId,
+                    series.locationId,
+                    sessionDate,
+                    series.sessionTime,
+                    series.durationMinutes
+                );
+                if (overlappingSessions.length > 0) {
+                    clashes.push({
+                        sessionDate,
+                        sessionTime: series.sessionTime,
+                        existingSessionId: overlappingSessions[0].session.id,
+                        conflicts: overlappingSessions.map(conflict => SessionController.describeScheduleConflict(conflict, series.trainerId, series.locationId))
+                    });
+                }
+            }
+
+            const freeDates = occurrenceDates.filter(date => !clashes.some(clash => clash.sessionDate === date));
+            if (freeDates.length === 0 || (clashes.length > 0 && !skipClashes)) {
+                return { seriesId: null, createdSessionIds: [], occurrenceCount: occurrenceDates.length, clashes };
+            }
+
+            // The series and its occurrences commit together, so a failed insert leaves no partial series behind
+            const seriesResult = await SessionSeriesModel.create(series);
+            const createdSessionIds = [];
+            for (const sessionDate of freeDates) {
+                const occurrence = new SessionModel(
+                    null,
+                    series.activityId,
+                    series.trainerId,
+                    series.locationId,
+                    sessionDate,
+                    series.sessionTime,
+                    0,
+                    series.capacity,
+                    seriesResult.insertId,
+                    series.durationMinutes
+                );
+                const result = await SessionModel.create(occurrence);
+                createdSessionIds.push(result.insertId);
+            }
+
+            return { seriesId: seriesResult.insertId, createdSessionIds, occurrenceCount: occurrenceDates.length, clashes };
+        });
+    }
+
+    /**
+     * Gets the sessions an edit or cancellation applies to
+     * @param {SessionModel} session - The occurrence that was selected
+     * @param {string} scope - 'single' (just this session), 'following' (this and later occurrences), or 'series' (every upcoming occurrence)
+     * @returns {Promise<SessionModel[]>} The affected sessions, sorted by date
+     */
+    static async getSessionsInScope(session, scope) {
+        if (!session.seriesId || scope === 'single') {
+            return [session];
+        }
+
+        const fromDate = scope === 'following'
+            ? session.sessionDate
+            : DatabaseModel.toMySqlDate(new Date());
+        const sessionsInScope = await SessionModel.getBySeriesId(session.seriesId, fromDate);
+
+        // The selected occurrence is always included, even when it is already in the past
+        return sessionsInScope.some(item => item.id == session.id)
+            ? sessionsInScope
+            : [session, ...sessionsInScope];
+    }
+
+    /**
+     * Keeps the series template in step after an edit or cancellation that covers more than one occurrence.
+     * 'following' splits the series at the selected occurrence; 'series' changes (or cancels) the whole template.
+     * @param {SessionModel} session - The occurrence that was selected
+     * @param {string} scope - 'single', 'following', or 'series'
+     * @param {Object|null} changes - New activityId, trainerId, locationId, sessionTime, capacity, and durationMinutes, or null for a cancellation
+     * @returns {Promise<void>}
+     */
+    static async updateSeriesForScope(session, scope, changes) {
+        if (!session.seriesId || scope === 'single') {
+            return;
+        }
+
+        const series = await SessionSeriesModel.getById(session.seriesId).catch(() => null);
+        if (!series) {
+            return;
+        }
+
+        // Editing or cancelling from the first occurrence onwards covers the whole series
+        const coversWholeSeries = scope === 'series' || session.sessionDate <= series.startDate;
+
+        if (!changes) {
+            if (coversWholeSeries) {
+                await SessionSeriesModel.delete(series.id);
+            } else {
+                series.endDate = DatabaseModel.addDays(session.sessionDate, -1);
+                await SessionSeriesModel.update(series);
+            }
+            return;
+        }
+
+        if (coversWholeSeries) {
+            await SessionSeriesModel.update(Object.assign(series, changes));
+            return;
+        }
+
+        // Split: the following occurrences move to a new series carrying the changes
+        const followingSeries = new SessionSeriesModel(
+            null,
+            changes.activityId,
+            changes.trainerId,
+            changes.locationId,
+            changes.sessionTime,
+            series.weekdays,
+            session.sessionDate,
+            series.endDate,
+            changes.capacity,
+            changes.durationMinutes
+        );
+        const followingResult = await SessionSeriesModel.create(followingSeries);
+        await SessionModel.reassignSeries(series.id, session.sessionDate, followingResult.insertId);
+
+        series.endDate = DatabaseModel.addDays(session.sessionDate, -1);
+        await SessionSeriesModel.update(series);
+    }
+
     /**
      * Gets all bookings associated with a specific session
      * @param {number} sessionId - The ID of the session
@@ -770,29 +1416,127 @@ export class SessionController {
         }
     }
 
+    /**
+     * Deletes sessions along with their bookings and waitlists, in one transaction (joining the caller's, if any)
+     * The sessions are locked first, so no booking can be made on them part way through.
+     * @param {Array<number>} sessionIds - The IDs of the sessions to delete
+     * @returns {Promise<void>} Resolves once committed, or rejects (with nothing changed) if any step fails
+     */
+    static async deleteSessions(sessionIds) {
+        await DatabaseModel.transaction(async () => {
+            await DatabaseModel.lockRows("sessions", sessionIds);
+            for (const sessionId of sessionIds) {
+                await SessionController.removeAssociatedBookings(sessionId);
+                await SessionModel.delete(sessionId);
+                await WaitlistModel.deleteBySessionId(sessionId);
+            }
+        });
+    }
+
     /**
      * Removes all bookings associated with a session when the session is deleted
+     * Class pack credits and drop-in payments for the bookings are refunded, since the gym cancelled the session, and the members are emailed.
+     * Errors are passed on, so the transaction the session is deleted in rolls back rather than leaving bookings on a deleted session.
      * @param {number} sessionId - The ID of the session being deleted
      * @returns {Promise<number>} Number of bookings removed
      */
     static async removeAssociatedBookings(sessionId) {
-        try {
-            // Get all bookings for this session
-            const associatedBookings = await BookingModel.getBySessionId(sessionId);
-            
-            let removedCount = 0;
-            
-            // Delete each booking associated with this session
-            for (const booking of associatedBookings) {
-                await BookingModel.delete(booking.id);
-                removedCount++;
+        // Tell the booked members before their bookings go
+        await notifySessionCancelled(sessionId);
+
+        // Get all bookings for this session
+        const associatedBookings = await BookingModel.getBySessionId(sessionId);
+        
+        let removedCount = 0;
+        
+        // Delete each booking associated with this session
+        for (const booking of associatedBookings) {
+            await BookingModel.delete(booking.id);
+            await MembershipModel.refundBooking(booking);
+            await InvoiceModel.refundBooking(booking);
+            removedCount++;
+        }
+        
+        return removedCount;
+    }
+
+    /**
+     * Checks whether the logged-in user may take attendance for a session (anyone who can manage any session, or the trainer who teaches it)
+     * @param {SessionModel} session - The session
+     * @param {Request} req - The request, with the logged-in user and their permissions
+     * @returns {boolean} True if the user may see the roster and record attendance
+     */
+    static canTakeAttendance(session, req) {
+        if (!req.authenticatedUser) return false;
+        return can(req, "sessions.manage.any") || (can(req, "sessions.manage") && session.trainerId === req.authenticatedUser.id);
+    }
+
+    /**
+     * Checks whether attendance can be recorded yet (check-in opens on the day of the session, in gym local time)
+     * @param {SessionModel} session - The session
+     * @returns {boolean} True if the session is today or in the past
+     */
+    static isAttendanceOpen(session) {
+        return session.sessionDate <= DatabaseModel.toMySqlDate(new Date());
+    }
+
+    /**
+     * Gets the attendance roster for a session: every active booking, sorted by member name
+     * @param {number} sessionId - The ID of the session
+     * @returns {Promise<BookingSessionActivityLocationUserModel[]>} The booked members with their attendance
+     */
+    static async getAttendanceRoster(sessionId) {
+        const roster = await BookingSessionActivityLocationUserModel.getBySessionId(sessionId);
+        return roster.sort((a, b) =>
+            `${a.user.firstName} ${a.user.lastName}`.localeCompare(`${b.user.firstName} ${b.user.lastName}`)
+        );
+    }
+
+    /**
+     * Validates and records attendance for the members booked on a session
+     * Bookings that are not on the session's roster are ignored.
+     * @param {SessionModel} session - The session
+     * @param {Object} records - Attendance keyed by booking ID ('attended', 'no_show', 'late_cancelled', or blank to clear)
+     * @returns {Promise<Object>} Result with isValid, status, message, and the number of bookings updated
+     */
+    static async recordAttendance(session, records) {
+        if (!SessionController.isAttendanceOpen(session)) {
+            return {
+                isValid: false,
+                status: "Attendance Not Open",
+                message: "Attendance can only be recorded from the day of the session."
+            };
+        }
+        if (!records || typeof records !== 'object' || Array.isArray(records)) {
+            return {
+                isValid: false,
+                status: "Missing Attendance",
+                message: "Please choose an attendance status for at least one booked member."
+            };
+        }
+
+        const invalidStatus = Object.values(records).find(status =>
+            status !== null && status !== '' && !BookingModel.ATTENDANCE_STATUSES.includes(status)
+        );
+        if (invalidStatus !== undefined) {
+            return {
+                isValid: false,
+                status: "Invalid Attendance",
+                message: `Attendance must be one of: ${BookingModel.ATTENDANCE_STATUSES.join(", ")}.`
+            };
+        }
+
+        let updatedCount = 0;
+        const roster = await BookingModel.getBySessionId(session.id);
+        for (const booking of roster) {
+            if (!Object.prototype.hasOwnProperty.call(records, booking.id)) continue;
+            const attendance = records[booking.id] || null;
+            if (attendance !== booking.attendance) {
+                await BookingModel.updateAttendance(booking.id, attendance);
+                updatedCount++;
             }
-            
-            return removedCount;
-        } catch (error) {
-            console.error("Error removing associated bookings:", error);
-            return 0;
         }
+        return { isValid: true, updatedCount };
     }
 
     /**
@@ -860,6 +1604,31 @@ export class SessionController {
             });
         }
     }
+
+    /**
+     * Export the trainer's upcoming sessions as an iCalendar (.ics) file for calendar apps
+     * 
+     * @param {Request} req - The request object.
+     * @param {Response} res - The response object.
+     * @returns {Promise<void>} No return value since this method sends an HTTP response. Sends iCalendar data to the client for download.
+     */
+    static async exportSessionsICS(req, res) {
+        try {
+            const today = DatabaseModel.toMySqlDate(new Date());
+            const icsContent = await CalendarController.generateTrainerCalendar(req.authenticatedUser, today);
+
+            const trainerName = `${req.authenticatedUser.firstName}-${req.authenticatedUser.lastName}`.replace(/\s+/g, '-');
+            exportICS(res, icsContent, `sessions-${trainerName}.ics`);
+        } catch (error) {
+            console.error("Error exporting sessions iCalendar:", error);
+            res.status(500).render("status.ejs", {
+                status: "Export Error",
+                message: "Failed to export your sessions to a calendar file. Please try again.",
+                currentUser: req.authenticatedUser || { role: 'guest' },
+                isAuthenticated: !!req.authenticatedUser
+            });
+        }
+    }
 }
 
     /**
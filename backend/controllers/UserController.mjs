@@ -1,8 +1,23 @@
 import express from "express";
 import { AuthenticationController } from "./AuthenticationController.mjs";
-import { UserModel } from "../models/UserModel.mjs";
+import { UserModel, USER_ROLE_MEMBER } from "../models/UserModel.mjs";
 import { SessionModel } from "../models/SessionModel.mjs";
 import { BookingModel } from "../models/BookingModel.mjs";
+import { BookingPolicyModel } from "../models/BookingPolicyModel.mjs";
+import { MembershipModel } from "../models/MembershipModel.mjs";
+import { MembershipPlanModel } from "../models/MembershipPlanModel.mjs";
+import { TwoFactorPolicyModel } from "../models/TwoFactorPolicyModel.mjs";
+import { WebSessionModel } from "../models/WebSessionModel.mjs";
+import { ApiTokenModel } from "../models/ApiTokenModel.mjs";
+import { RefreshTokenModel } from "../models/RefreshTokenModel.mjs";
+import { WaitlistModel } from "../models/WaitlistModel.mjs";
+import { InvoiceModel } from "../models/InvoiceModel.mjs";
+import { DatabaseModel } from "../models/DatabaseModel.mjs";
+import { SessionController } from "./SessionController.mjs";
+import { sendVerificationEmail, verifyEmail } from "../utils/emailVerification.mjs";
+import { resetTwoFactor } from "../utils/twoFactor.mjs";
+import { unlockUser, isLocked } from "../utils/loginProtection.mjs";
+import { hasSupportedBody, sendStatus } from "../utils/contentNegotiation.mjs";
 import validator from "validator"
 
 export class UserController {
@@ -20,30 +35,36 @@ export class UserController {
             this.register
         );
 
+        // ✅ Email verification link from the verification email (public)
+        this.routes.get(
+            "/verify-email",
+            this.verifyEmail
+        );
+
         // ✅ Fetch all users (Admin only)
         this.routes.get(
             "/",
-            AuthenticationController.restrict(["admin"]),
+            AuthenticationController.restrict("users.manage"),
             this.viewAllUsers
         );
 
         // ✅ Fetch a specific user by ID (Admin only)
         this.routes.get(
             "/:id",
-            AuthenticationController.restrict(["admin"]),
+            AuthenticationController.restrict("users.manage"),
             this.viewUserById
         );
 
         // ✅ Unified form handling for create, update, and delete (Admin only)
         this.routes.post(
             "/",
-            AuthenticationController.restrict(["admin"]),
+            AuthenticationController.restrict("users.manage"),
             this.handleUserAction
         );
 
         this.routes.post(
             "/:id",
-            AuthenticationController.restrict(["admin"]),
+            AuthenticationController.restrict("users.manage"),
             this.handleUserAction
         );
     }
@@ -78,8 +99,18 @@ export class UserController {
             
             // console.log("Fetched Users:", users);  // Log to check user data
 
+            // Strike counts flag members heading for (or in) a booking suspension
+            const bookingPolicy = await BookingPolicyModel.get();
+            const strikeCounts = await BookingModel.getStrikeCounts(BookingPolicyModel.getStrikeWindowStart(bookingPolicy));
+            const twoFactorPolicy = await TwoFactorPolicyModel.get();
+            const lockedUserIds = users.filter(isLocked).map(user => user.id);
+
             res.render("users", { 
                 users, 
+                lockedUserIds: lockedUserIds,
+                bookingPolicy: bookingPolicy,
+                twoFactorPolicy: twoFactorPolicy,
+                strikeCounts: strikeCounts,
                 currentUser: req.authenticatedUser || { role: 'guest' },
                 isAuthenticated: !!req.authenticatedUser,
                 selectedUser: null,
@@ -124,16 +155,39 @@ export class UserController {
             }
 
             const users = await UserModel.getAll();
+
+            // Members show their strikes and any booking suspension
+            const bookingPolicy = await BookingPolicyModel.get();
+            const strikeCounts = await BookingModel.getStrikeCounts(BookingPolicyModel.getStrikeWindowStart(bookingPolicy));
+            const memberStanding = user.role === 'member'
+                ? await BookingPolicyModel.getMemberStanding(user.id, bookingPolicy)
+                : null;
+            const twoFactorPolicy = await TwoFactorPolicyModel.get();
+            const lockedUserIds = users.filter(isLocked).map(user => user.id);
+            const activeSessionCount = await WebSessionModel.countActiveByUserId(user.id);
+
+            // Members also show their memberships and the plans they can be signed up to
+            const memberships = user.role === 'member' ? await MembershipModel.getByUserId(user.id) : null;
+            const membershipPlans = user.role === 'member' ? await MembershipPlanModel.getAll() : null;
+
             // console.log("Fetched User:", user);  // Log to check user data
             res.render("users", {
                 selectedUser: user,                
+                bookingPolicy: bookingPolicy,
+                twoFactorPolicy: twoFactorPolicy,
+                lockedUserIds: lockedUserIds,
+                activeSessionCount: activeSessionCount,
+                strikeCounts: strikeCounts,
+                memberStanding: memberStanding,
+                memberships: memberships,
+                membershipPlans: membershipPlans,
                 users: users,
                 currentUser: req.authenticatedUser || { role: 'guest' },
                 isAuthenticated: !!req.authenticatedUser,
                 currentPage: 'users',
                 searchKeyword: null, // Add this to prevent the ReferenceError
                 userRole: null, // Add this to prevent the ReferenceError
-                message: null,
+                message: req.query.message || null,
                 showWarning: false,
                 warningData: null,
                 showCaution: false,
@@ -239,7 +293,9 @@ export class UserController {
 
             switch (action) {
                 case 'create':
-                    await UserModel.create(req.body);
+                    const createResult = await UserModel.create(req.body);
+                    UserController.sendVerificationEmail(req, { id: createResult.insertId, email: email, firstName: firstName })
+                        .catch(error => console.error(`Error sending verification email to user ${createResult.insertId}:`, error));
                     res.redirect("/users?message=user_created");
                     break;
                 case 'update':
@@ -531,8 +587,29 @@ export class UserController {
                         // Continue with deletion even if check fails
                     }
 
+                    // The user's upcoming sessions (with their members' bookings) and their own upcoming bookings and waitlist
+                    // places go with them. It all commits together, so a failure part way leaves everything as it was.
+                    let freedSessionIds = [];
                     try {
-                        await UserModel.delete(userId);
+                        freedSessionIds = await DatabaseModel.transaction(async () => {
+                            await DatabaseModel.lockRows("users", [userId]);
+
+                            const today = DatabaseModel.toMySqlDate(new Date());
+                            const upcomingSessions = (await SessionModel.getByTrainerId(userId))
+                                .filter(session => session.sessionDate >= today);
+                            await SessionController.deleteSessions(upcomingSessions.map(session => session.id));
+
+                            const upcomingBookings = await BookingModel.getUpcomingByMemberId(userId);
+                            for (const booking of upcomingBookings) {
+                                await BookingModel.delete(booking.id);
+                                await MembershipModel.refundBooking(booking);
+                                await InvoiceModel.refundBooking(booking);
+                            }
+                            await WaitlistModel.deleteByMemberId(userId);
+
+                            await UserModel.delete(userId);
+                            return upcomingBookings.map(booking => booking.sessionId);
+                        });
                     } catch (deleteError) {
                         console.error("Error deleting user:", deleteError);
                         return res.status(500).render("status", {
@@ -542,8 +619,144 @@ export class UserController {
                             isAuthenticated: !!req.authenticatedUser
                         });
                     }
+
+                    // The spots the member's bookings held go to the first members on the waitlists
+                    for (const sessionId of new Set(freedSessionIds)) {
+                        await WaitlistModel.promoteFromWaitlist(sessionId);
+                    }
                     res.redirect("/users?message=user_deleted");
                     break;
+                case 'clear_strikes':
+                    if (!userId) {
+                        return res.status(400).render("status", {
+                            status: "Missing User ID",
+                            message: "Cannot clear strikes: User ID is required to identify which member to clear.",
+                            currentUser: req.authenticatedUser || { role: 'guest' },
+                            isAuthenticated: !!req.authenticatedUser
+                        });
+                    }
+                    // Clearing strikes also lifts any booking suspension they caused
+                    await BookingModel.clearStrikes(userId);
+                    res.redirect(`/users/${userId}?message=strikes_cleared`);
+                    break;
+                case 'resend_verification':
+                case 'verify_email':
+                    const userToVerify = userId ? await UserModel.getById(userId).catch(() => null) : null;
+                    if (!userToVerify) {
+                        return res.status(404).render("status", {
+                            status: "User Not Found",
+                            message: "The user you're trying to verify could not be found. They may have been deleted.",
+                            currentUser: req.authenticatedUser || { role: 'guest' },
+                            isAuthenticated: !!req.authenticatedUser
+                        });
+                    }
+                    if (action === 'verify_email') {
+                        // e.g. the member showed ID at the front desk, or the email never arrives
+                        await UserModel.markEmailVerified(userId);
+                        return res.redirect(`/users/${userId}?message=email_verified`);
+                    }
+                    try {
+                        await UserController.sendVerificationEmail(req, userToVerify);
+                    } catch (sendError) {
+                        console.error(`Error sending verification email to user ${userId}:`, sendError);
+                        return res.status(502).render("status", {
+                            status: "Email Not Sent",
+                            message: "The verification email could not be sent right now. Please try again later, or verify the user manually.",
+                            currentUser: req.authenticatedUser || { role: 'guest' },
+                            isAuthenticated: !!req.authenticatedUser
+                        });
+                    }
+                    res.redirect(`/users/${userId}?message=verification_sent`);
+                    break;
+                case 'update_policy':
+                    const policyValidation = UserController.validateBookingPolicy(req.body);
+                    if (!policyValidation.isValid) {
+                        return res.status(400).render("status", {
+                            status: policyValidation.status,
+                            message: policyValidation.message,
+                            currentUser: req.authenticatedUser || { role: 'guest' },
+                            isAuthenticated: !!req.authenticatedUser
+                        });
+                    }
+                    await BookingPolicyModel.update(policyValidation.policy);
+                    res.redirect("/users?message=policy_updated");
+                    break;
+                case 'update_two_factor_policy':
+                    // Unticked checkboxes aren't submitted, so a missing field turns the requirement off
+                    await TwoFactorPolicyModel.update(new TwoFactorPolicyModel(req.body.requiredForStaff === '1'));
+                    res.redirect("/users?message=two_factor_policy_updated");
+                    break;
+                case 'reset_two_factor':
+                    const userToReset = userId ? await UserModel.getById(userId).catch(() => null) : null;
+                    if (!userToReset) {
+                        return res.status(404).render("status", {
+                            status: "User Not Found",
+                            message: "The user whose two-factor authentication you're trying to reset could not be found. They may have been deleted.",
+                            currentUser: req.authenticatedUser || { role: 'guest' },
+                            isAuthenticated: !!req.authenticatedUser
+                        });
+                    }
+                    // e.g. a trainer lost their phone and their recovery codes - they can set it up again from their profile
+                    await resetTwoFactor(userToReset.id);
+                    res.redirect(`/users/${userId}?message=two_factor_reset`);
+                    break;
+                case 'unlock_account':
+                    const userToUnlock = userId ? await UserModel.getById(userId).catch(() => null) : null;
+                    if (!userToUnlock) {
+                        return res.status(404).render("status", {
+                            status: "User Not Found",
+                            message: "The user whose account you're trying to unlock could not be found. They may have been deleted.",
+                            currentUser: req.authenticatedUser || { role: 'guest' },
+                            isAuthenticated: !!req.authenticatedUser
+                        });
+                    }
+                    // Also clears the user's count of incorrect passwords and any unlock link they were emailed
+                    await unlockUser(userToUnlock);
+                    res.redirect(`/users/${userId}?message=account_unlocked`);
+                    break;
+                case 'force_logout':
+                    const userToLogOut = userId ? await UserModel.getById(userId).catch(() => null) : null;
+                    if (!userToLogOut) {
+                        return res.status(404).render("status", {
+                            status: "User Not Found",
+                            message: "The user you're trying to log out could not be found. They may have been deleted.",
+                            currentUser: req.authenticatedUser || { role: 'guest' },
+                            isAuthenticated: !!req.authenticatedUser
+                        });
+                    }
+                    // Ends their web sessions and app logins; bearer access tokens already issued run out within minutes
+                    await WebSessionModel.deleteByUserId(userToLogOut.id);
+                    await ApiTokenModel.revokeByUserId(userToLogOut.id);
+                    await RefreshTokenModel.revokeByUserId(userToLogOut.id);
+                    res.redirect(`/users/${userId}?message=logged_out_everywhere`);
+                    break;
+                case 'assign_membership':
+                    const membershipValidation = await UserController.validateMembership(userId, req.body);
+                    if (!membershipValidation.isValid) {
+                        return res.status(membershipValidation.statusCode || 400).render("status", {
+                            status: membershipValidation.status,
+                            message: membershipValidation.message,
+                            currentUser: req.authenticatedUser || { role: 'guest' },
+                            isAuthenticated: !!req.authenticatedUser
+                        });
+                    }
+                    await MembershipModel.create(membershipValidation.membership, membershipValidation.plan);
+                    res.redirect(`/users/${userId}?message=membership_assigned`);
+                    break;
+                case 'end_membership':
+                    const membershipToEnd = await MembershipModel.getById(req.body.membershipId).catch(() => null);
+                    if (!membershipToEnd || membershipToEnd.userId != userId) {
+                        return res.status(404).render("status", {
+                            status: "Membership Not Found",
+                            message: "The membership you're trying to end could not be found. It may have already been ended.",
+                            currentUser: req.authenticatedUser || { role: 'guest' },
+                            isAuthenticated: !!req.authenticatedUser
+                        });
+                    }
+                    // Bookings already made against the membership are kept
+                    await MembershipModel.delete(membershipToEnd.id);
+                    res.redirect(`/users/${userId}?message=membership_ended`);
+                    break;
                 default:
                     return res.status(400).render("status", {
                         status: "Invalid Action",
@@ -609,19 +822,30 @@ export class UserController {
     /**
      * Handles user registration.
      * This method validates user inputs and creates a new user in the database if valid.
+     * Form posts get status pages; JSON and AJAX requests get the same outcomes as JSON (see utils/contentNegotiation.mjs).
      * 
      * @param {Request} req - The request object containing the user data.
      * @param {Response} res - The response object.
-     * @returns {Promise<void>} No return value since this method sends an HTTP response. Handles user registration and redirects or renders status page.
+     * @returns {Promise<void>} No return value since this method sends an HTTP response. Handles user registration and renders status page or sends JSON.
      */
     static async register(req, res) {
         // console.log("Received request body:", req.body);  // Debugging
+        // Form posts and JSON are both accepted, including with a charset (e.g. "application/x-www-form-urlencoded; charset=UTF-8")
+        if (!hasSupportedBody(req)) {
+            return sendStatus(req, res, 415, {
+                status: "Unsupported Content Type",
+                message: "Unsupported content type. Use application/x-www-form-urlencoded or application/json",
+                currentUser: req.authenticatedUser || { role: 'guest' },
+                isAuthenticated: !!req.authenticatedUser
+            });
+        }
+
         try {
-            const { email, password, confirmPassword, role, firstName, lastName } = req.body;
+            const { email, password, confirmPassword, firstName, lastName } = req.body;
 
             // Validate that password and confirmPassword match
             if (password !== confirmPassword) {
-                return res.status(400).render("status", {
+                return sendStatus(req, res, 400, {
                     status: "Password Mismatch",
                     message: "The password and confirm password fields do not match. Please ensure both fields contain the same password.",
                     currentUser: req.authenticatedUser || { role: 'guest' },
@@ -632,7 +856,7 @@ export class UserController {
             // Validate email
             const emailValidation = UserController.validateEmail(email);
             if (!emailValidation.isValid) {
-                return res.status(400).render("status", {
+                return sendStatus(req, res, 400, {
                     status: emailValidation.status,
                     message: emailValidation.message,
                     currentUser: req.authenticatedUser || { role: 'guest' },
@@ -643,7 +867,7 @@ export class UserController {
             // Validate names
             const firstNameValidation = UserController.validateName(firstName, 'first name');
             if (!firstNameValidation.isValid) {
-                return res.status(400).render("status", {
+                return sendStatus(req, res, 400, {
                     status: firstNameValidation.status,
                     message: firstNameValidation.message,
                     currentUser: req.authenticatedUser || { role: 'guest' },
@@ -653,7 +877,7 @@ export class UserController {
 
             const lastNameValidation = UserController.validateName(lastName, 'last name');
             if (!lastNameValidation.isValid) {
-                return res.status(400).render("status", {
+                return sendStatus(req, res, 400, {
                     status: lastNameValidation.status,
                     message: lastNameValidation.message,
                     currentUser: req.authenticatedUser || { role: 'guest' },
@@ -664,7 +888,7 @@ export class UserController {
             // Validate password
             const passwordValidation = UserController.validatePassword(password, confirmPassword);
             if (!passwordValidation.isValid) {
-                return res.status(400).render("status", {
+                return sendStatus(req, res, 400, {
                     status: passwordValidation.status,
                     message: passwordValidation.message,
                     currentUser: req.authenticatedUser || { role: 'guest' },
@@ -673,15 +897,22 @@ export class UserController {
             }
 
             // Create user after validation
-            const newUser = await UserModel.create(req.body);
+            // Anyone can register, so new accounts are always members whatever role the request names
+            const newUser = await UserModel.create({ ...req.body, role: USER_ROLE_MEMBER });
+
+            // The account starts unverified - send the link without making the member wait for the mail server
+            UserController.sendVerificationEmail(req, { id: newUser.insertId, email: email, firstName: firstName })
+                .catch(error => console.error(`Error sending verification email to user ${newUser.insertId}:`, error));
 
             // Successful registration message.
-            return res.status(201).render("status", {
+            return sendStatus(req, res, 201, {
                 status: "Registration Complete",
-                message: `Welcome to High Street Gym, ${firstName} ${lastName}! Your account has been successfully created. You can now log in using your email address and password to access member features.`,
+                message: `Welcome to High Street Gym, ${firstName} ${lastName}! Your account has been successfully created and you can now log in. We've emailed a link to ${email} - please verify your email address before booking sessions.`,
                 currentUser: { role: 'guest' },
                 isAuthenticated: false,
                 redirectToHome: true
+            }, {
+                user: { id: newUser.insertId, email: email, firstName: firstName, lastName: lastName, role: USER_ROLE_MEMBER }
             });
                 
 
@@ -708,7 +939,7 @@ export class UserController {
                 errorMessage = "One or more fields contain too much text. Please shorten your input and try again.";
             }
             
-            return res.status(400).render("status", {
+            return sendStatus(req, res, 400, {
                 status: errorStatus,
                 message: errorMessage,
                 currentUser: { role: 'guest' },
@@ -717,6 +948,55 @@ export class UserController {
         }
     }
 
+    /**
+     * Sends a verification email whose link opens the verify email page of this site
+     * @param {Request} req - The request object, used to build the link
+     * @param {Object} user - The user to verify (id, email, and firstName)
+     * @returns {Promise<void>} Rejects if the email could not be sent
+     */
+    static sendVerificationEmail(req, user) {
+        return sendVerificationEmail(user, token =>
+            `${req.protocol}://${req.get('host')}/users/verify-email?token=${token}`
+        );
+    }
+
+    /**
+     * Verifies a user's email address from the link in their verification email.
+     * 
+     * @param {Request} req - The request object containing the token query parameter.
+     * @param {Response} res - The response object.
+     * @returns {Promise<void>} No return value since this method sends an HTTP response. Renders status.ejs.
+     */
+    static async verifyEmail(req, res) {
+        try {
+            await verifyEmail(req.query.token);
+            res.render("status", {
+                status: "Email Verified",
+                message: "Thanks for confirming your email address. You can now book sessions at High Street Gym.",
+                currentUser: req.authenticatedUser || { role: 'guest' },
+                isAuthenticated: !!req.authenticatedUser,
+                redirectToHome: true
+            });
+        } catch (error) {
+            if (typeof error === "string") {
+                return res.status(400).render("status", {
+                    status: "Link Expired",
+                    message: `${error} Log in to the app and open your profile to send a new link, or ask at the front desk.`,
+                    currentUser: req.authenticatedUser || { role: 'guest' },
+                    isAuthenticated: !!req.authenticatedUser,
+                    redirectToHome: true
+                });
+            }
+            console.error("Email verification error:", error);
+            res.status(500).render("status", {
+                status: "Error",
+                message: "Error verifying your email address. Please try again.",
+                currentUser: req.authenticatedUser || { role: 'guest' },
+                isAuthenticated: !!req.authenticatedUser
+            });
+        }
+    }
+
     // Validation methods as static methods within UserController
     static validateEmail(email) {
         if (!email || !validator.isEmail(email)) {
@@ -754,7 +1034,7 @@ export class UserController {
      */
     static validatePassword(password, confirmPassword) {
         // Development version - simple length check
-        if (password.length < 4) {
+        if (!password || password.length < 4) {
             return {
                 isValid: false,
                 status: "Password Too Short",
@@ -782,4 +1062,92 @@ export class UserController {
         
         return { isValid: true };
     }
+
+    /**
+     * Validates a membership assignment submitted from the admin form
+     * The start date defaults to today and the expiry date to the plan's usual length.
+     * @param {number} userId - The ID of the member being signed up
+     * @param {Object} body - Form data with planId, startDate, and expiryDate
+     * @returns {Promise<Object>} Validation result with isValid, status, message, statusCode, the MembershipModel, and its plan
+     */
+    static async validateMembership(userId, body) {
+        const user = userId ? await UserModel.getById(userId).catch(() => null) : null;
+        if (!user || user.role !== 'member') {
+            return {
+                isValid: false,
+                status: "Invalid Member",
+                message: "Memberships can only be assigned to members.",
+                statusCode: 400
+            };
+        }
+
+        const plan = await MembershipPlanModel.getById(body.planId).catch(() => null);
+        if (!plan) {
+            return {
+                isValid: false,
+                status: "Invalid Membership Plan",
+                message: "Please select a membership plan."
+            };
+        }
+
+        const startDate = body.startDate || DatabaseModel.toMySqlDate(new Date());
+        const expiryDate = body.expiryDate || MembershipModel.defaultExpiryDate(startDate, plan);
+        if (!validator.isDate(startDate, { format: 'YYYY-MM-DD', strictMode: true }) || !validator.isDate(expiryDate, { format: 'YYYY-MM-DD', strictMode: true })) {
+            return {
+                isValid: false,
+                status: "Invalid Membership Dates",
+                message: "Start and expiry dates must be valid dates."
+            };
+        }
+        if (expiryDate < startDate) {
+            return {
+                isValid: false,
+                status: "Invalid Membership Dates",
+                message: "The expiry date cannot be before the start date."
+            };
+        }
+
+        return {
+            isValid: true,
+            plan: plan,
+            membership: new MembershipModel(null, user.id, plan.id, startDate, expiryDate, plan.credits, 0)
+        };
+    }
+
+    /**
+     * Validates the booking policy rules submitted from the admin form
+     * @param {Object} body - Form data with cancellationCutoffMinutes, strikeLimit, strikeWindowDays, and suspensionDays
+     * @returns {Object} Validation result with isValid, status, message, and the parsed BookingPolicyModel
+     */
+    static validateBookingPolicy(body) {
+        const rules = [
+            { field: "cancellationCutoffMinutes", label: "Cancellation cut-off (minutes)", min: 0, max: 1440 },
+            { field: "strikeLimit", label: "Strikes before suspension", min: 1, max: 20 },
+            { field: "strikeWindowDays", label: "Strike window (days)", min: 1, max: 365 },
+            { field: "suspensionDays", label: "Suspension length (days)", min: 1, max: 90 }
+        ];
+
+        const values = {};
+        for (const rule of rules) {
+            const value = Number(body[rule.field]);
+            if (body[rule.field] === undefined || String(body[rule.field]).trim() === '' || !Number.isInteger(value) || value < rule.min || value > rule.max) {
+                return {
+                    isValid: false,
+                    status: "Invalid Booking Policy",
+                    message: `${rule.label} must be a whole number between ${rule.min} and ${rule.max}.`
+                };
+            }
+            values[rule.field] = value;
+        }
+
+        return {
+            isValid: true,
+            policy: new BookingPolicyModel(
+                values.cancellationCutoffMinutes,
+                values.strikeLimit,
+                values.strikeWindowDays,
+                values.suspensionDays
+            )
+        };
+    }
 }
\ No newline at end of file
@@ -1,7 +1,18 @@
 import express from "express";
-import crypto from "crypto";
 import { UserModel } from "../../models/UserModel.mjs";
-import bcrypt from "bcryptjs";
+import { ApiTokenModel } from "../../models/ApiTokenModel.mjs";
+import { TwoFactorPolicyModel } from "../../models/TwoFactorPolicyModel.mjs";
+import { CHALLENGE_MINUTES, startLoginChallenge, completeLoginChallenge } from "../../utils/twoFactor.mjs";
+import { issueBearerTokens, verifyAccessToken, refreshBearerTokens, revokeRefreshToken } from "../../utils/bearerTokens.mjs";
+import { attemptLogin, getUnlockUrl } from "../../utils/loginProtection.mjs";
+import { authorize } from "../../utils/authorization.mjs";
+import { config } from "../../config.mjs";
+
+// How long an API key works for after logging in
+export const API_TOKEN_LIFETIME_DAYS = config.apiTokens.lifetimeDays;
+
+// Longest device label kept (the api_tokens.label and refresh_tokens.label columns)
+const CLIENT_LABEL_LENGTH = 100;
 
 export class APIAuthenticationController {
     static middleware = express.Router();
@@ -11,23 +22,59 @@ export class APIAuthenticationController {
         // Setup API Authentication Provider
         this.middleware.use(this.#APIAuthenticationProvider);
         this.routes.post("/login", this.login);
+        this.routes.post("/login/two-factor", this.loginTwoFactor);
+        this.routes.post("/token", this.token);
+        this.routes.post("/token/revoke", this.revokeToken);
         this.routes.delete("/logout", this.logout);
     }
 
     /**
-     * This middleware checks the for the API key header and
+     * This middleware checks the for a bearer access token or the API key header and
      * loads the respective user into req.authenticatedUser if found.
+     * An API key's token is loaded into req.apiToken, so logging out only ends this device's login.
      * 
      * @private
      * @type {express.RequestHandler}
      */
     static async #APIAuthenticationProvider(req, res, next) {
+        const authorization = req.headers["authorization"];
         const authenticationKey = req.headers["x-auth-key"];
-        if (authenticationKey) {
+        if (authorization && authorization.startsWith("Bearer ")) {
+            try {
+                const claims = verifyAccessToken(authorization.slice("Bearer ".length).trim());
+                if (!claims) {
+                    throw "invalid token";
+                }
+                const user = await UserModel.getById(claims.userId);
+                // A password reset ends the user's logins, including access tokens issued before it
+                if (user.sessionVersion !== claims.sessionVersion) {
+                    throw "invalid token";
+                }
+                req.authenticatedUser = user;
+                req.twoFactorSetupRequired = await TwoFactorPolicyModel.isSetupRequired(req.authenticatedUser);
+            } catch (error) {
+                if (error == "invalid token" || error == "User not found") {
+                    res.set("WWW-Authenticate", 'Bearer error="invalid_token"');
+                    res.status(401).json({
+                        message: "Failed to authenticate - access token invalid or expired"
+                    });
+                } else {
+                    res.status(500).json({
+                        message: "Failed to authenticated - database error"
+                    });
+                }
+                return;
+            }
+        } else if (authenticationKey) {
             try {
-                req.authenticatedUser = await UserModel.getByAuthenticationKey(authenticationKey);
+                req.apiToken = await ApiTokenModel.getValidByToken(authenticationKey);
+                req.authenticatedUser = await UserModel.getById(req.apiToken.userId);
+                await ApiTokenModel.touch(req.apiToken.id);
+                // Staff who must set up two-factor can only reach their own account until they do
+                req.twoFactorSetupRequired = await TwoFactorPolicyModel.isSetupRequired(req.authenticatedUser);
             } catch (error) {
-                if (error == "not found") {
+                // Unknown, expired and revoked keys, and keys of deleted users, are all treated as not found
+                if (error == "not found" || error == "User not found") {
                     res.status(404).json({
                         message: "Failed to authenticate - key not found"
                     });
@@ -49,7 +96,7 @@ export class APIAuthenticationController {
      *   post:
      *     summary: "Authenticate user and get API key"
      *     tags: [Authentication]
-     *     description: "Login with email and password to receive an API key for authenticated requests"
+     *     description: "Login with email and password to receive an API key for authenticated requests. Each login gets its own key (optionally labelled with the device name), which expires after API_TOKEN_LIFETIME_DAYS days; logging in again doesn't log out other devices. Users with two-factor authentication turned on get a 202 with a challenge token instead, which is sent to /login/two-factor with a code from their authenticator app. Repeated wrong passwords from one IP address or for one account are slowed down, and LOGIN_MAX_FAILED_ATTEMPTS in a row lock the account for LOGIN_LOCKOUT_MINUTES minutes (the user is emailed an unlock link); both return 429 with a Retry-After header."
      *     requestBody:
      *       required: true
      *       content:
@@ -59,8 +106,12 @@ export class APIAuthenticationController {
      *     responses:
      *       200:
      *         $ref: '#/components/responses/LoginSuccess'
+     *       202:
+     *         $ref: '#/components/responses/TwoFactorChallengeIssued'
      *       400:
      *         $ref: '#/components/responses/BadRequest'
+     *       429:
+     *         $ref: '#/components/responses/TooManyRequests'
      *       500:
      *         $ref: '#/components/responses/InternalServerError'
      */
@@ -74,53 +125,276 @@ export class APIAuthenticationController {
                 });
             }
 
-            let user;
+            const user = await APIAuthenticationController.checkCredentials(req, res);
+            if (user) {
+                // Users with two-factor turned on still need to send a code before they get a key
+                if (user.totpEnabledAt) {
+                    return res.status(202).json(await APIAuthenticationController.startTwoFactorLogin(user));
+                }
+
+                res.status(200).json(await APIAuthenticationController.issueAuthenticationKey(user, APIAuthenticationController.getClientLabel(req)));
+            }
+        } catch (error) {
+            console.error("Login error:", error);
+            console.error("Error details:", {
+                message: error.message,
+                stack: error.stack,
+                name: error.name
+            });
+            res.status(500).json({
+                message: "Failed to authenticate user",
+                error: config.profile === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+
+    /**
+     * @openapi
+     * /login/two-factor:
+     *   post:
+     *     summary: "Complete a two-factor login"
+     *     tags: [Authentication]
+     *     description: "Send the challenge token from /login with a code from the authenticator app (or a single-use recovery code) to receive an API key. A wrong code returns 400 and can be retried; after 5 wrong codes, or once the challenge expires, it returns 401 and the user must log in with their password again."
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/TwoFactorLoginRequest'
+     *     responses:
+     *       200:
+     *         $ref: '#/components/responses/LoginSuccess'
+     *       400:
+     *         $ref: '#/components/responses/BadRequest'
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       500:
+     *         $ref: '#/components/responses/InternalServerError'
+     */
+    static async loginTwoFactor(req, res) {
+        try {
+            const { challengeToken, code } = req.body;
+
+            let result;
             try {
-                user = await UserModel.getByEmail(email);
+                result = await completeLoginChallenge(challengeToken, code);
             } catch (error) {
-                // User not found - return invalid credentials for security
-                return res.status(400).json({
-                    message: "Invalid credentials"
-                });
+                if (error && typeof error.message === "string" && "expired" in error) {
+                    return res.status(error.expired ? 401 : 400).json({ message: error.message });
+                }
+                throw error;
             }
-            
-            if (await bcrypt.compare(password, user.password)) {
-                // Generate a cryptographically secure and random UUID for use as the authentication key
-                const authenticationKey = crypto.randomUUID();
 
-                // Store the authenticated user's authentication key into the database
-                user.authenticationKey = authenticationKey;
-                await UserModel.update(user);
+            res.status(200).json(await APIAuthenticationController.issueAuthenticationKey(result.user, APIAuthenticationController.getClientLabel(req)));
+        } catch (error) {
+            console.error("Two-factor login error:", error);
+            res.status(500).json({
+                message: "Failed to authenticate user"
+            });
+        }
+    }
 
+    /**
+     * @openapi
+     * /token:
+     *   post:
+     *     summary: "Get a bearer access token"
+     *     tags: [Authentication]
+     *     description: "OAuth-style token endpoint for integrations that use 'Authorization: Bearer' instead of the x-auth-key header. grantType 'password' logs in with email and password (users with two-factor turned on get a 202 challenge, completed with grantType 'two_factor', the challengeToken and a code). grantType 'refresh_token' exchanges a refresh token for new tokens. Access tokens are JWTs that expire after JWT_ACCESS_TOKEN_MINUTES minutes. Refresh tokens last JWT_REFRESH_TOKEN_DAYS days and only work once - each refresh returns a new one, and reusing an old one revokes every token from that login (401). Password logins have the same brute-force protection as /login (429 with Retry-After)."
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/TokenRequest'
+     *     responses:
+     *       200:
+     *         $ref: '#/components/responses/TokenIssued'
+     *       202:
+     *         $ref: '#/components/responses/TwoFactorChallengeIssued'
+     *       400:
+     *         $ref: '#/components/responses/BadRequest'
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       429:
+     *         $ref: '#/components/responses/TooManyRequests'
+     *       500:
+     *         $ref: '#/components/responses/InternalServerError'
+     */
+    static async token(req, res) {
+        try {
+            const { grantType, email, password, challengeToken, code, refreshToken } = req.body;
+            const label = APIAuthenticationController.getClientLabel(req);
+
+            if (grantType === "password") {
+                if (!email || !password) {
+                    return res.status(400).json({
+                        message: "Email and password are required"
+                    });
+                }
+                const user = await APIAuthenticationController.checkCredentials(req, res);
+                if (!user) {
+                    return;
+                }
+                if (user.totpEnabledAt) {
+                    return res.status(202).json(await APIAuthenticationController.startTwoFactorLogin(user));
+                }
                 res.status(200).json({
-                    key: authenticationKey,
-                    user: {
-                        id: user.id,
-                        email: user.email,
-                        firstName: user.firstName,
-                        lastName: user.lastName,
-                        role: user.role
+                    ...await issueBearerTokens(user, label),
+                    user: APIAuthenticationController.toLoginUser(user)
+                });
+            } else if (grantType === "two_factor") {
+                let result;
+                try {
+                    result = await completeLoginChallenge(challengeToken, code);
+                } catch (error) {
+                    if (error && typeof error.message === "string" && "expired" in error) {
+                        return res.status(error.expired ? 401 : 400).json({ message: error.message });
                     }
+                    throw error;
+                }
+                res.status(200).json({
+                    ...await issueBearerTokens(result.user, label),
+                    user: APIAuthenticationController.toLoginUser(result.user)
                 });
             } else {
-                res.status(400).json({
-                    message: "Invalid credentials"
+                let result;
+                try {
+                    result = await refreshBearerTokens(refreshToken);
+                } catch (error) {
+                    if (error && typeof error.message === "string" && "reused" in error) {
+                        return res.status(401).json({ message: error.message });
+                    }
+                    throw error;
+                }
+                res.status(200).json({
+                    ...result.tokens,
+                    user: APIAuthenticationController.toLoginUser(result.user)
                 });
             }
         } catch (error) {
-            console.error("Login error:", error);
-            console.error("Error details:", {
-                message: error.message,
-                stack: error.stack,
-                name: error.name
+            console.error("Token error:", error);
+            res.status(500).json({
+                message: "Failed to issue token"
+            });
+        }
+    }
+
+    /**
+     * @openapi
+     * /token/revoke:
+     *   post:
+     *     summary: "Revoke a refresh token"
+     *     tags: [Authentication]
+     *     description: "Ends a bearer login: the refresh token, and every refresh token rotated from the same login, stop working. Access tokens already issued keep working until they expire. Unknown tokens are accepted too, so the response doesn't reveal whether a token existed."
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/RevokeTokenRequest'
+     *     responses:
+     *       200:
+     *         $ref: '#/components/responses/SuccessMessage'
+     *       500:
+     *         $ref: '#/components/responses/InternalServerError'
+     */
+    static async revokeToken(req, res) {
+        try {
+            await revokeRefreshToken(req.body.refreshToken);
+            res.status(200).json({
+                message: "Refresh token revoked"
             });
+        } catch (error) {
+            console.error("Revoke token error:", error);
             res.status(500).json({
-                message: "Failed to authenticate user",
-                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+                message: "Failed to revoke token"
             });
         }
     }
 
+    /**
+     * Checks the email and password in a login request, with brute-force protection.
+     * Wrong credentials get a 400, and too many wrong passwords a 429 with Retry-After
+     * (from the IP address or account being slowed down, or the account being temporarily locked).
+     * @param {express.Request} req - The login request, with email and password in its body.
+     * @param {express.Response} res - The response, which is sent if the login is rejected.
+     * @returns {Promise<UserModel|null>} The user if the password is correct, or null once the rejection has been sent.
+     */
+    static async checkCredentials(req, res) {
+        try {
+            return await attemptLogin(req.body.email, req.body.password, req.ip, token => getUnlockUrl(req, token));
+        } catch (error) {
+            if (!error || !("throttled" in error)) {
+                throw error;
+            }
+            if (error.throttled) {
+                res.set("Retry-After", String(error.retryAfterSeconds));
+                res.status(429).json({ message: error.message });
+            } else {
+                // Unknown email addresses are reported the same as a wrong password for security
+                res.status(400).json({ message: "Invalid credentials" });
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Starts the second step of a login for a user with two-factor turned on.
+     * @param {UserModel} user - The user whose password was correct.
+     * @returns {Promise<Object>} The 202 response body, with the challenge token to send back with a code.
+     */
+    static async startTwoFactorLogin(user) {
+        const challengeToken = await startLoginChallenge(user.id);
+        return {
+            twoFactorRequired: true,
+            challengeToken: challengeToken,
+            expiresInMinutes: CHALLENGE_MINUTES,
+            message: "Enter the code from your authenticator app"
+        };
+    }
+
+    /**
+     * Works out the name shown for a client in the user's list of logins.
+     * @param {express.Request} req - The login request.
+     * @returns {string|null} The client's label, or its User-Agent, trimmed to fit the database.
+     */
+    static getClientLabel(req) {
+        const label = req.body.label || req.headers["user-agent"];
+        return label ? String(label).slice(0, CLIENT_LABEL_LENGTH) : null;
+    }
+
+    /**
+     * Picks the user details returned when logging in.
+     * @param {UserModel} user - The user logging in.
+     * @returns {Object} The user's ID, email, name and role.
+     */
+    static toLoginUser(user) {
+        return {
+            id: user.id,
+            email: user.email,
+            firstName: user.firstName,
+            lastName: user.lastName,
+            role: user.role
+        };
+    }
+
+    /**
+     * Creates a new API key for a user whose login has been checked. Keys for the user's other devices keep working.
+     * @param {UserModel} user - The user logging in.
+     * @param {string|null} label - A name for the device.
+     * @returns {Promise<Object>} The login response body, with the key and the user's details.
+     */
+    static async issueAuthenticationKey(user, label) {
+        // Only the key's hash is stored, so this response is the only time the client sees it
+        const authenticationKey = await ApiTokenModel.create(user.id, label, API_TOKEN_LIFETIME_DAYS);
+
+        return {
+            key: authenticationKey,
+            user: APIAuthenticationController.toLoginUser(user)
+        };
+    }
 
     /**
      * @openapi
@@ -128,12 +402,14 @@ export class APIAuthenticationController {
      *   delete:
      *     summary: "Deauthenticate user"
      *     tags: [Authentication]
-     *     description: "Invalidate the current API authentication key"
+     *     description: "Invalidate the current API authentication key. The user's other devices stay logged in. Bearer logins end at /token/revoke instead."
      *     security:
      *       - apiKey: []
      *     responses:
      *       200:
      *         $ref: '#/components/responses/SuccessMessage'
+     *       400:
+     *         $ref: '#/components/responses/BadRequest'
      *       401:
      *         $ref: '#/components/responses/Unauthorized'
      *       404:
@@ -143,11 +419,13 @@ export class APIAuthenticationController {
      */
     static async logout(req, res) {
         try {
-            if (req.authenticatedUser) {
-                // Clear authentication key
-                const user = await UserModel.getByAuthenticationKey(req.authenticatedUser.authenticationKey);
-                user.authenticationKey = null;
-                await UserModel.update(user);
+            if (req.authenticatedUser && !req.apiToken) {
+                res.status(400).json({
+                    message: "Bearer logins end by revoking the refresh token at /token/revoke"
+                });
+            } else if (req.authenticatedUser) {
+                // Revoke this device's key only
+                await ApiTokenModel.revoke(req.apiToken.id, req.authenticatedUser.id);
                 
                 res.status(200).json({
                     message: "Logout successful"
@@ -166,25 +444,41 @@ export class APIAuthenticationController {
     }
 
     /**
-     * Creates a middleware function that restricts access based on user roles.
-     * @param {Array<"admin" | "trainer" | "member"> | "any"} allowedRoles - Array of allowed roles or "any" for any authenticated user.
-     * @returns {express.RequestHandler} Middleware function that checks user roles.
+     * Creates a middleware function that restricts access based on permissions (see RolePermissionModel.PERMISSIONS).
+     * Staff who must set up two-factor authentication are blocked until they have, except from routes that allow it.
+     * @param {string | string[] | "any"} permissions - The permission (or list of permissions, any one will do) needed, or "any" for any authenticated user.
+     * @param {boolean} allowDuringTwoFactorSetup - Whether staff who still have to set up two-factor can use the route (their own account and two-factor settings).
+     * @returns {express.RequestHandler} Middleware function that checks the user's permissions.
      */
-    static restrict(allowedRoles) {
-        return function (req, res, next) {
-            if (req.authenticatedUser) {
-                if (allowedRoles == "any" || allowedRoles.includes(req.authenticatedUser.role)) {
-                    next();
-                } else {
-                    res.status(403).json({
-                        message: "Access forbidden",
-                        errors: ["Role does not have access to the requested resource."]
-                    });
+    static restrict(permissions, allowDuringTwoFactorSetup = false) {
+        return async function (req, res, next) {
+            try {
+                switch (await authorize(req, permissions, allowDuringTwoFactorSetup)) {
+                    case "allowed":
+                        next();
+                        break;
+                    case "two_factor_setup":
+                        res.status(403).json({
+                            message: "Two-factor authentication required",
+                            errors: ["Staff accounts must turn on two-factor authentication from their profile before using this resource."]
+                        });
+                        break;
+                    case "forbidden":
+                        res.status(403).json({
+                            message: "Access forbidden",
+                            errors: ["Role does not have access to the requested resource."]
+                        });
+                        break;
+                    default:
+                        res.status(401).json({
+                            message: "Not authenticated",
+                            errors: ["Please authenticate to access the requested resource."]
+                        });
                 }
-            } else {
-                res.status(401).json({
-                    message: "Not authenticated",
-                    errors: ["Please authenticate to access the requested resource."]
+            } catch (error) {
+                console.error("Authorization error:", error);
+                res.status(500).json({
+                    message: "Failed to check access to the requested resource"
                 });
             }
         };
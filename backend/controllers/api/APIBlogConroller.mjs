@@ -1,6 +1,8 @@
 import express from "express";
 import { BlogModel } from "../../models/BlogModel.mjs";
 import { APIAuthenticationController } from "./APIAuthenticationController.mjs";
+import { notifyNewBlogPost } from "../../utils/notifications.mjs";
+import { can } from "../../utils/authorization.mjs";
 
 export class APIBlogController {
     static routes = express.Router();
@@ -8,8 +10,8 @@ export class APIBlogController {
     static {
         this.routes.get("/", this.viewAllBlogs);
         this.routes.get("/:id", this.viewBlogById);
-        this.routes.post("/", APIAuthenticationController.restrict("any"), this.createBlog);
-        this.routes.delete("/:id", APIAuthenticationController.restrict("any"), this.deleteBlog);
+        this.routes.post("/", APIAuthenticationController.restrict("blogs.create"), this.createBlog);
+        this.routes.delete("/:id", APIAuthenticationController.restrict(["blogs.create", "blogs.moderate"]), this.deleteBlog);
     }
     /**
      * @openapi
@@ -71,7 +73,7 @@ export class APIBlogController {
             res.status(200).json(blog);
         } catch (error) {
             console.error(`Error fetching blog with ID ${req.params.id}:`, error);
-            if (error.message === "Blog not found" || error === "not found") {
+            if (error.message === "Blog not found" || error === "not found" || error === "Blog post not found") {
                 res.status(404).json({ message: "Blog not found" });
             } else {
                 res.status(500).json({ message: "Failed to retrieve blog" });
@@ -91,6 +93,7 @@ export class APIBlogController {
      *     description: "Create a new blog post (Authentication required)"
      *     security:
      *       - apiKey: []
+     *       - bearerAuth: []
      *     requestBody:
      *       required: true
      *       content:
@@ -104,6 +107,8 @@ export class APIBlogController {
      *         $ref: '#/components/responses/BadRequest'
      *       401:
      *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         $ref: '#/components/responses/Forbidden'
      *       500:
      *         $ref: '#/components/responses/InternalServerError'
      */
@@ -123,6 +128,7 @@ export class APIBlogController {
             const authorId = req.authenticatedUser.id;
             
             const result = await BlogModel.create(title, content, authorId);
+            await notifyNewBlogPost(result.insertId, title, authorId);
             const newBlog = await BlogModel.getById(result.insertId);
             
             res.status(201).json(newBlog);
@@ -137,9 +143,10 @@ export class APIBlogController {
      *   delete:
      *     summary: "Delete a blog post"
      *     tags: [Blogs]
-     *     description: "Delete a blog post by ID (Authentication required)"
+     *     description: "Delete a blog post by ID. Authors can delete their own posts; roles with the blogs.moderate permission can delete anyone's."
      *     security:
      *       - apiKey: []
+     *       - bearerAuth: []
      *     parameters:
      *       - in: path
      *         name: id
@@ -152,6 +159,8 @@ export class APIBlogController {
      *         $ref: '#/components/responses/SuccessMessage'
      *       401:
      *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         $ref: '#/components/responses/Forbidden'
      *       404:
      *         $ref: '#/components/responses/BlogNotFound'
      *       500:
@@ -159,11 +168,15 @@ export class APIBlogController {
      */
     static async deleteBlog(req, res) {
         try {
+            const blog = await BlogModel.getById(req.params.id);
+            if (!can(req, "blogs.moderate") && blog.authorId !== req.authenticatedUser.id) {
+                return res.status(403).json({ message: "Access forbidden - you can only delete your own blog posts" });
+            }
             await BlogModel.delete(req.params.id);
             res.status(200).json({ message: "Blog deleted successfully" });
         } catch (error) {
             console.error(`Error deleting blog with ID ${req.params.id}:`, error);
-            if (error.message === "Blog not found" || error === "not found") {
+            if (error.message === "Blog not found" || error === "not found" || error === "Blog post not found") {
                 res.status(404).json({ message: "Blog not found" });
             } else {
                 res.status(500).json({ message: "Failed to delete blog" });
@@ -2,9 +2,20 @@ import express from "express";
 import { BookingModel } from "../../models/BookingModel.mjs";
 import { SessionModel } from "../../models/SessionModel.mjs";
 import { BookingSessionActivityLocationUserModel } from "../../models/BookingSessionActivityLocationUserModel.mjs";
+import { SessionActivityLocationUserModel } from "../../models/SessionActivityLocationUserModel.mjs";
+import { WaitlistModel } from "../../models/WaitlistModel.mjs";
+import { MembershipModel } from "../../models/MembershipModel.mjs";
+import { InvoiceModel } from "../../models/InvoiceModel.mjs";
+import { DatabaseModel } from "../../models/DatabaseModel.mjs";
 import { BookingController } from "../BookingController.mjs";
+import { CalendarController } from "../CalendarController.mjs";
 import { APIAuthenticationController } from "./APIAuthenticationController.mjs";
 import { exportXML, getWeekRange, escapeXML, formatLocalDateTime, generateWeeklyXML } from "../../utils/xmlExport.mjs";
+import { exportICS } from "../../utils/icsExport.mjs";
+import { DROP_IN_PRICE_CENTS } from "../../utils/payments.mjs";
+import { notifyBookingConfirmed } from "../../utils/notifications.mjs";
+import { can } from "../../utils/authorization.mjs";
+import { config } from "../../config.mjs";
 
 export class APIBookingController {
     static routes = express.Router();
@@ -12,29 +23,49 @@ export class APIBookingController {
     static {
         this.routes.get(
             "/self",
-            APIAuthenticationController.restrict(["member", "admin"]),
+            APIAuthenticationController.restrict("bookings.create"),
             this.viewMyBookings
         );
         this.routes.get(
             "/:id(\\d+)",
-            APIAuthenticationController.restrict(["member", "admin"]),
+            APIAuthenticationController.restrict(["bookings.create", "bookings.view.any"]),
             this.viewBookingById
         );
         this.routes.post(
             "/",
-            APIAuthenticationController.restrict(["member", "admin"]),
+            APIAuthenticationController.restrict("bookings.create"),
             this.createBooking
         );
         this.routes.delete(
             "/:id(\\d+)",
-            APIAuthenticationController.restrict(["member", "admin"]),
+            APIAuthenticationController.restrict(["bookings.create", "bookings.cancel.any"]),
             this.cancelBooking
         );
         this.routes.get(
             "/export/xml/history",
-            APIAuthenticationController.restrict(["member", "admin"]),
+            APIAuthenticationController.restrict("bookings.export"),
             this.exportBookingHistoryXML
         );
+        this.routes.get(
+            "/export/ics",
+            APIAuthenticationController.restrict("bookings.export"),
+            this.exportBookingsICS
+        );
+        this.routes.get(
+            "/waitlist/self",
+            APIAuthenticationController.restrict("bookings.create"),
+            this.viewMyWaitlist
+        );
+        this.routes.post(
+            "/waitlist",
+            APIAuthenticationController.restrict("bookings.create"),
+            this.joinWaitlist
+        );
+        this.routes.delete(
+            "/waitlist/:sessionId(\\d+)",
+            APIAuthenticationController.restrict("bookings.create"),
+            this.leaveWaitlist
+        );
     }
 
     /**
@@ -46,6 +77,7 @@ export class APIBookingController {
      *     description: "Retrieve a list of all active bookings for the authenticated member"
      *     security:
      *       - apiKey: []
+     *       - bearerAuth: []
      *     parameters:
      *       - in: query
      *         name: includePast
@@ -97,7 +129,8 @@ export class APIBookingController {
                     locationName: item.location ? item.location.name : null,
                     sessionDate: item.session.sessionDate,
                     sessionTime: item.session.sessionTime,
-                    deleted: item.booking.deleted
+                    deleted: item.booking.deleted,
+                    attendance: item.booking.attendance
                 };
             });
             
@@ -117,6 +150,7 @@ export class APIBookingController {
      *     description: "Retrieve a specific booking with full session, activity, location, and trainer details. Members can only view their own bookings."
      *     security:
      *       - apiKey: []
+     *       - bearerAuth: []
      *     parameters:
      *       - in: path
      *         name: id
@@ -154,8 +188,7 @@ export class APIBookingController {
                 return res.status(404).json({ message: "Booking not found" });
             }
 
-            const isAdmin = req.authenticatedUser.role === "admin";
-            if (!isAdmin && bookingItem.booking.memberId !== req.authenticatedUser.id) {
+            if (!can(req, "bookings.view.any") && bookingItem.booking.memberId !== req.authenticatedUser.id) {
                 return res.status(403).json({ message: "Access forbidden - you can only view your own bookings" });
             }
 
@@ -181,7 +214,8 @@ export class APIBookingController {
                 locationAddress: bookingItem.location ? bookingItem.location.address : null,
                 sessionDate: bookingItem.session.sessionDate,
                 sessionTime: bookingItem.session.sessionTime,
-                deleted: bookingItem.booking.deleted
+                deleted: bookingItem.booking.deleted,
+                attendance: bookingItem.booking.attendance
             };
 
             res.status(200).json(booking);
@@ -197,9 +231,10 @@ export class APIBookingController {
      *   post:
      *     summary: "Create a new booking"
      *     tags: [Bookings]
-     *     description: "Create a booking for the authenticated member by selecting a session. Members can only create bookings for themselves."
+     *     description: "Create a booking for the authenticated member by selecting a session. Members can only create bookings for themselves. Returns 409 if the member is already booked or the session is full, and 403 (with the reason) if the member has not verified their email address, is suspended for too many no-shows or late cancellations, or has no membership covering the session. Class pack bookings spend one credit. Members without a membership covering the session can book it as a drop-in class by sending a paymentToken - the drop-in price is charged and a receipt issued, and 402 is returned if the payment is declined."
      *     security:
      *       - apiKey: []
+     *       - bearerAuth: []
      *     requestBody:
      *       required: true
      *       content:
@@ -213,6 +248,8 @@ export class APIBookingController {
      *         $ref: '#/components/responses/BadRequest'
      *       401:
      *         $ref: '#/components/responses/Unauthorized'
+     *       402:
+     *         $ref: '#/components/responses/PaymentDeclined'
      *       403:
      *         $ref: '#/components/responses/Forbidden'
      *       404:
@@ -228,8 +265,8 @@ export class APIBookingController {
                 return res.status(401).json({ message: "Not authenticated" });
             }
 
-            // Extract sessionId from request body
-            const { sessionId } = req.body;
+            // Extract sessionId (and the payment method for drop-in classes) from request body
+            const { sessionId, paymentToken } = req.body;
             
             if (!sessionId) {
                 return res.status(400).json({ message: "sessionId is required" });
@@ -250,9 +287,35 @@ export class APIBookingController {
             // Extract memberId from authenticated user
             const memberId = req.authenticatedUser.id;
 
-            // Create booking using BookingModel
+            // Members who haven't verified their email or are suspended under the no-show policy cannot book, and
+            // members without a membership covering the session can only book by paying for a drop-in class
+            const eligibility = await BookingController.checkBookingEligibility(memberId, session);
+            const isDropIn = !eligibility.isValid && eligibility.status === "No Valid Membership" && !!paymentToken;
+            if (!eligibility.isValid && !isDropIn) {
+                return res.status(403).json({ message: eligibility.message });
+            }
+
             const booking = new BookingModel(null, memberId, sessionId, 0);
-            const result = await BookingModel.create(booking);
+            let result;
+            if (isDropIn) {
+                result = await APIBookingController.createDropInBooking(booking, session, paymentToken, res);
+                if (!result) {
+                    return;
+                }
+            } else {
+                // Create the booking against the member's membership (spends a credit from class packs)
+                try {
+                    result = await MembershipModel.bookWithEntitlement(booking, session);
+                } catch (bookingError) {
+                    // The last pack credit can be spent by another booking between the check and the booking
+                    if (typeof bookingError === 'string' && bookingError.includes("no valid membership")) {
+                        return res.status(403).json({ message: await BookingController.describeMissingEntitlement(memberId, session) });
+                    }
+                    throw bookingError;
+                }
+            }
+
+            await notifyBookingConfirmed(result.insertId);
 
             // Get the created booking using the insertId from the result
             const createdBooking = await BookingModel.getById(result.insertId);
@@ -262,20 +325,69 @@ export class APIBookingController {
             if (error.includes && error.includes("already booked")) {
                 return res.status(409).json({ message: "You are already booked for this session" });
             }
+            // Handle full session error (capacity is checked atomically by BookingModel.create)
+            if (error.includes && error.includes("is full")) {
+                return res.status(409).json({ message: "This session is full" });
+            }
             console.error("Error creating booking:", error);
             res.status(500).json({ message: "Failed to create booking" });
         }
     }
 
+    /**
+     * Books a session as a paid drop-in class: charges the drop-in price, then creates the booking.
+     * The charge is refunded if the booking cannot be made.
+     * @param {BookingModel} booking - The booking to create
+     * @param {SessionModel} session - The booked session
+     * @param {string} paymentToken - The payment provider's token for the member's payment method
+     * @param {Response} res - The response object, used to send 402 or 409 when nothing is booked
+     * @returns {Promise<mysql.OkPacket|null>} The MySQL result packet of the new booking, or null once an error response has been sent
+     */
+    static async createDropInBooking(booking, session, paymentToken, res) {
+        // Avoid charging for bookings that would be refused anyway
+        if (await BookingModel.checkBookingExists(booking.memberId, session.id)) {
+            res.status(409).json({ message: "You are already booked for this session" });
+            return null;
+        }
+        if (SessionModel.spotsRemaining(session.capacity, await SessionModel.getBookedCount(session.id)) === 0) {
+            res.status(409).json({ message: "This session is full" });
+            return null;
+        }
+
+        const sessionItem = await SessionActivityLocationUserModel.getBySessionId(session.id);
+        const [year, month, day] = session.sessionDate.split('-');
+        const invoice = await InvoiceModel.charge({
+            userId: booking.memberId,
+            description: `Drop-in class: ${sessionItem.activity.name} on ${day}/${month}/${year} at ${session.sessionTime.slice(0, 5)}`,
+            amountCents: DROP_IN_PRICE_CENTS,
+            paymentToken: paymentToken
+        });
+        if (invoice.status !== "paid") {
+            res.status(402).json({ message: invoice.declineMessage });
+            return null;
+        }
+
+        let result;
+        try {
+            result = await BookingModel.create(booking);
+        } catch (bookingError) {
+            await InvoiceModel.refund(invoice);
+            throw bookingError;
+        }
+        await InvoiceModel.linkPurchase(invoice.id, { bookingId: result.insertId });
+        return result;
+    }
+
     /**
      * @openapi
      * /bookings/{id}:
      *   delete:
      *     summary: "Cancel a booking"
      *     tags: [Bookings]
-     *     description: "Cancel a booking by ID. Only the member who owns the booking can cancel it."
+     *     description: "Cancel a booking by ID. Only the member who owns the booking can cancel it. The freed spot is given to the first member on the session's waitlist. Cancelling before the cancellation cut-off refunds the class pack credit or drop-in payment; cancelling after it is recorded as a late cancellation (a strike towards a booking suspension) with no refund, and bookings cannot be cancelled once the session has started (409)."
      *     security:
      *       - apiKey: []
+     *       - bearerAuth: []
      *     parameters:
      *       - in: path
      *         name: id
@@ -292,6 +404,8 @@ export class APIBookingController {
      *         $ref: '#/components/responses/Forbidden'
      *       404:
      *         $ref: '#/components/responses/NotFound'
+     *       409:
+     *         $ref: '#/components/responses/Conflict'
      *       500:
      *         $ref: '#/components/responses/InternalServerError'
      */
@@ -316,21 +430,232 @@ export class APIBookingController {
 
             // Check if the authenticated user is the member who owns this booking
             // Admins can cancel any booking, members can only cancel their own
-            if (req.authenticatedUser.role !== "admin" && booking.memberId !== req.authenticatedUser.id) {
+            if (!can(req, "bookings.cancel.any") && booking.memberId !== req.authenticatedUser.id) {
                 return res.status(403).json({ 
                     message: "Access forbidden - you can only cancel your own bookings" 
                 });
             }
 
-            // Cancel the booking (soft delete)
-            await BookingModel.delete(bookingId);
-            res.status(200).json({ message: "Booking canceled successfully" });
+            // Apply the cancellation cut-off: refuse once the session has started, record late cancellations as strikes
+            const cancellation = await BookingController.checkCancellation(booking, can(req, "bookings.cancel.any"));
+            if (!cancellation.isValid) {
+                return res.status(409).json({ message: cancellation.message });
+            }
+
+            // Cancel the booking (soft delete) and refund it, then offer the freed spot to the waitlist
+            await BookingController.cancelBooking(booking, cancellation);
+            res.status(200).json({
+                message: cancellation.isLate
+                    ? `Booking canceled. ${cancellation.message}`
+                    : "Booking canceled successfully"
+            });
         } catch (error) {
             console.error(`Error canceling booking with ID ${req.params.id}:`, error);
             res.status(500).json({ message: "Failed to cancel booking" });
         }
     }
 
+    /**
+     * Transforms a waitlist entry and its session details into the API response shape
+     * @param {WaitlistModel} entry - The waitlist entry
+     * @param {SessionActivityLocationUserModel} sessionItem - The session with activity, location, and trainer details
+     * @returns {Object} Waitlist entry with session information
+     */
+    static transformWaitlistEntry(entry, sessionItem) {
+        return {
+            id: entry.id,
+            memberId: entry.memberId,
+            sessionId: entry.sessionId,
+            position: entry.position,
+            createdAt: entry.createdAt,
+            activityId: sessionItem.session.activityId,
+            activityName: sessionItem.activity ? sessionItem.activity.name : null,
+            trainerId: sessionItem.session.trainerId,
+            trainerName: sessionItem.user ? `${sessionItem.user.firstName} ${sessionItem.user.lastName}` : null,
+            locationId: sessionItem.session.locationId,
+            locationName: sessionItem.location ? sessionItem.location.name : null,
+            sessionDate: sessionItem.session.sessionDate,
+            sessionTime: sessionItem.session.sessionTime
+        };
+    }
+
+    /**
+     * @openapi
+     * /bookings/waitlist/self:
+     *   get:
+     *     summary: "Get authenticated member's waitlist entries"
+     *     tags: [Bookings]
+     *     description: "Retrieve the upcoming sessions the authenticated member is waiting for, with their current position in each queue"
+     *     security:
+     *       - apiKey: []
+     *       - bearerAuth: []
+     *     responses:
+     *       200:
+     *         $ref: '#/components/responses/WaitlistEntriesList'
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         $ref: '#/components/responses/Forbidden'
+     *       500:
+     *         $ref: '#/components/responses/InternalServerError'
+     */
+    static async viewMyWaitlist(req, res) {
+        try {
+            if (!req.authenticatedUser) {
+                return res.status(401).json({ message: "Not authenticated" });
+            }
+
+            const entries = await WaitlistModel.getByMemberId(req.authenticatedUser.id);
+            const waitlist = [];
+            for (const entry of entries) {
+                const sessionItem = await SessionActivityLocationUserModel.getBySessionId(entry.sessionId);
+                waitlist.push(APIBookingController.transformWaitlistEntry(entry, sessionItem));
+            }
+
+            res.status(200).json(waitlist);
+        } catch (error) {
+            console.error("Error fetching member waitlist:", error);
+            res.status(500).json({ message: "Failed to retrieve waitlist" });
+        }
+    }
+
+    /**
+     * @openapi
+     * /bookings/waitlist:
+     *   post:
+     *     summary: "Join the waitlist for a full session"
+     *     tags: [Bookings]
+     *     description: "Add the authenticated member to the end of a full session's waitlist. The member is booked automatically when a spot frees up. Returns 409 if the member is already booked or waiting, or if the session still has spots, and 403 if the member is suspended or has no membership covering the session."
+     *     security:
+     *       - apiKey: []
+     *       - bearerAuth: []
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/BookingInput'
+     *     responses:
+     *       201:
+     *         $ref: '#/components/responses/WaitlistEntryCreated'
+     *       400:
+     *         $ref: '#/components/responses/BadRequest'
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         $ref: '#/components/responses/Forbidden'
+     *       404:
+     *         $ref: '#/components/responses/NotFound'
+     *       409:
+     *         $ref: '#/components/responses/Conflict'
+     *       500:
+     *         $ref: '#/components/responses/InternalServerError'
+     */
+    static async joinWaitlist(req, res) {
+        try {
+            if (!req.authenticatedUser) {
+                return res.status(401).json({ message: "Not authenticated" });
+            }
+
+            const { sessionId } = req.body;
+            if (!sessionId) {
+                return res.status(400).json({ message: "sessionId is required" });
+            }
+
+            // Verify that the session exists
+            let sessionItem;
+            try {
+                sessionItem = await SessionActivityLocationUserModel.getBySessionId(sessionId);
+            } catch (error) {
+                if (error === "Session not found") {
+                    return res.status(404).json({ message: "Session not found" });
+                }
+                throw error;
+            }
+
+            const memberId = req.authenticatedUser.id;
+            if (await BookingModel.checkBookingExists(memberId, sessionId)) {
+                return res.status(409).json({ message: "You are already booked for this session" });
+            }
+
+            // Suspended members, and members whose membership does not cover the session, cannot queue for a booking either
+            const eligibility = await BookingController.checkBookingEligibility(memberId, sessionItem.session);
+            if (!eligibility.isValid) {
+                return res.status(403).json({ message: eligibility.message });
+            }
+
+            // Only full sessions have a waitlist - otherwise the member should just book
+            if (sessionItem.spotsRemaining !== 0) {
+                return res.status(409).json({ message: "This session still has spots available - book it instead" });
+            }
+
+            const entry = new WaitlistModel(null, memberId, sessionId, null, 0);
+            const result = await WaitlistModel.create(entry);
+
+            const createdEntry = await WaitlistModel.getById(result.insertId);
+            res.status(201).json(APIBookingController.transformWaitlistEntry(createdEntry, sessionItem));
+        } catch (error) {
+            if (error.includes && error.includes("already on the waitlist")) {
+                return res.status(409).json({ message: "You are already on the waitlist for this session" });
+            }
+            console.error("Error joining waitlist:", error);
+            res.status(500).json({ message: "Failed to join waitlist" });
+        }
+    }
+
+    /**
+     * @openapi
+     * /bookings/waitlist/{sessionId}:
+     *   delete:
+     *     summary: "Leave the waitlist for a session"
+     *     tags: [Bookings]
+     *     description: "Remove the authenticated member from a session's waitlist"
+     *     security:
+     *       - apiKey: []
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: sessionId
+     *         required: true
+     *         schema:
+     *           type: integer
+     *         description: The ID of the session whose waitlist to leave
+     *     responses:
+     *       200:
+     *         $ref: '#/components/responses/SuccessMessage'
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         $ref: '#/components/responses/Forbidden'
+     *       404:
+     *         $ref: '#/components/responses/NotFound'
+     *       500:
+     *         $ref: '#/components/responses/InternalServerError'
+     */
+    static async leaveWaitlist(req, res) {
+        try {
+            if (!req.authenticatedUser) {
+                return res.status(401).json({ message: "Not authenticated" });
+            }
+
+            let entry;
+            try {
+                entry = await WaitlistModel.getByMemberAndSession(req.authenticatedUser.id, req.params.sessionId);
+            } catch (error) {
+                if (error === "Waitlist entry not found") {
+                    return res.status(404).json({ message: "You are not on the waitlist for this session" });
+                }
+                throw error;
+            }
+
+            await WaitlistModel.delete(entry.id);
+            res.status(200).json({ message: "Left waitlist successfully" });
+        } catch (error) {
+            console.error(`Error leaving waitlist for session ID ${req.params.sessionId}:`, error);
+            res.status(500).json({ message: "Failed to leave waitlist" });
+        }
+    }
+
     /**
      * @openapi
      * /bookings/export/xml/history:
@@ -340,6 +665,7 @@ export class APIBookingController {
      *     description: "Export the authenticated member's booking history as XML for fitness tracking applications. Includes activity data, session details, location, and trainer information."
      *     security:
      *       - apiKey: []
+     *       - bearerAuth: []
      *     parameters:
      *       - in: query
      *         name: onlyPast
@@ -414,11 +740,64 @@ export class APIBookingController {
             console.error("Error stack:", error.stack);
             res.status(500).json({ 
                 message: "Failed to export booking history",
-                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+                error: config.profile === 'development' ? error.message : undefined
             });
         }
     }
 
+    /**
+     * @openapi
+     * /bookings/export/ics:
+     *   get:
+     *     summary: "Export member's upcoming bookings as iCalendar"
+     *     tags: [Bookings]
+     *     description: "Export the authenticated member's upcoming bookings as an .ics file. Each booking keeps the same UID in every export, so re-importing updates the existing calendar entry and cancelled bookings are marked as cancelled."
+     *     security:
+     *       - apiKey: []
+     *       - bearerAuth: []
+     *     responses:
+     *       200:
+     *         description: iCalendar (RFC 5545) file for import into calendar apps
+     *         content:
+     *           text/calendar:
+     *             schema:
+     *               type: string
+     *               example: |
+     *                 BEGIN:VCALENDAR
+     *                 VERSION:2.0
+     *                 PRODID:-//High Street Gym//Sessions//EN
+     *                 BEGIN:VEVENT
+     *                 UID:booking-7@highstreetgym
+     *                 DTSTART:20251101T000000Z
+     *                 DTEND:20251101T010000Z
+     *                 SUMMARY:Yoga
+     *                 STATUS:CONFIRMED
+     *                 END:VEVENT
+     *                 END:VCALENDAR
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         $ref: '#/components/responses/Forbidden'
+     *       500:
+     *         $ref: '#/components/responses/InternalServerError'
+     */
+    static async exportBookingsICS(req, res) {
+        try {
+            if (!req.authenticatedUser) {
+                return res.status(401).json({ message: "Not authenticated" });
+            }
+
+            const today = DatabaseModel.toMySqlDate(new Date());
+            const icsContent = await CalendarController.generateMemberCalendar(req.authenticatedUser, today);
+
+            const memberName = `${req.authenticatedUser.firstName}-${req.authenticatedUser.lastName}`.replace(/\s+/g, '-');
+            exportICS(res, icsContent, `bookings-${memberName}.ics`);
+        } catch (error) {
+            console.error("Error exporting bookings iCalendar:", error);
+            res.status(500).json({ message: "Failed to export bookings calendar" });
+        }
+    }
+
     /**
      * Generate XML content for member's booking history
      * @param {Array} bookings - Array of BookingSessionActivityLocationUserModel instances
@@ -444,7 +823,7 @@ export class APIBookingController {
     <!ATTLIST week start CDATA #IMPLIED>
     <!ATTLIST week end CDATA #IMPLIED>
     <!ATTLIST week period_label CDATA #IMPLIED>
-    <!ELEMENT booking (booking_date, booking_time, datetime, activity, location, trainer, booking_id, session_id)>
+    <!ELEMENT booking (booking_date, booking_time, datetime, activity, location, trainer, booking_id, session_id, attendance)>
     <!ELEMENT booking_date (#PCDATA)>
     <!ELEMENT booking_time (#PCDATA)>
     <!ELEMENT datetime (#PCDATA)>
@@ -455,6 +834,7 @@ export class APIBookingController {
     <!ELEMENT trainer (name, email, id)>
     <!ELEMENT booking_id (#PCDATA)>
     <!ELEMENT session_id (#PCDATA)>
+    <!ELEMENT attendance (#PCDATA)>
 ]>`;
 
         // Render a single booking
@@ -497,6 +877,7 @@ export class APIBookingController {
             </trainer>
             <booking_id>${bookingId}</booking_id>
             <session_id>${sessionId}</session_id>
+            <attendance>${booking.attendance || 'not_recorded'}</attendance>
         </booking>`;
         };
 
@@ -11,6 +11,9 @@ import { APIUserController } from "./APIUserController.mjs";
 import { APIBlogController } from "./APIBlogConroller.mjs";
 import { APISessionController } from "./APISessionController.mjs";
 import { APIBookingController } from "./APIBookingController.mjs";
+import { APIPaymentController } from "./APIPaymentController.mjs";
+import { APINotificationController } from "./APINotificationController.mjs";
+import { config } from "../../config.mjs";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -36,8 +39,8 @@ const options = {
         },
         servers: [
             {
-                url: "http://localhost:8080/api",
-                description: "Local development server"
+                url: config.apiUrl,
+                description: `Backend (${config.profile} profile)`
             }
         ],
         components: {
@@ -46,7 +49,13 @@ const options = {
                     type: "apiKey",
                     in: "header",
                     name: "x-auth-key",
-                    description: "API key for authentication"
+                    description: `API key from /login - one per device, expiring after ${config.apiTokens.lifetimeDays} days`
+                },
+                bearerAuth: {
+                    type: "http",
+                    scheme: "bearer",
+                    bearerFormat: "JWT",
+                    description: `Access token from /token - a JWT that expires after ${config.jwt.accessTokenMinutes} minutes (refresh it at /token)`
                 }
             },
             schemas: {
@@ -110,5 +119,7 @@ export class APIController {
         this.routes.use("/blogs", APIBlogController.routes);
         this.routes.use("/sessions", APISessionController.routes);
         this.routes.use("/bookings", APIBookingController.routes);
+        this.routes.use("/payments", APIPaymentController.routes);
+        this.routes.use("/notifications", APINotificationController.routes);
     }
 }
\ No newline at end of file
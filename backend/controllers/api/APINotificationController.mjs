@@ -0,0 +1,205 @@
+import express from "express";
+import { NotificationModel } from "../../models/NotificationModel.mjs";
+import { APIAuthenticationController } from "./APIAuthenticationController.mjs";
+
+export class APINotificationController {
+    static routes = express.Router();
+
+    static {
+        this.routes.get(
+            "/",
+            APIAuthenticationController.restrict("any", true),
+            this.viewMyNotifications
+        );
+        this.routes.get(
+            "/unread-count",
+            APIAuthenticationController.restrict("any", true),
+            this.viewUnreadCount
+        );
+        this.routes.put(
+            "/read-all",
+            APIAuthenticationController.restrict("any", true),
+            this.markAllRead
+        );
+        this.routes.put(
+            "/:id(\\d+)/read",
+            APIAuthenticationController.restrict("any", true),
+            this.markRead
+        );
+    }
+
+    /**
+     * Helper method to transform a notification into the API response format
+     * @param {NotificationModel} notification - The notification
+     * @returns {Object} Notification with its read state
+     */
+    static transformNotification(notification) {
+        return {
+            id: notification.id,
+            type: notification.type,
+            title: notification.title,
+            message: notification.message,
+            link: notification.link,
+            isRead: notification.readAt !== null,
+            readAt: notification.readAt,
+            createdAt: notification.createdAt
+        };
+    }
+
+    /**
+     * @openapi
+     * /notifications:
+     *   get:
+     *     summary: "Get current user's notifications"
+     *     tags: [Notifications]
+     *     description: "Returns the authenticated user's in-app notifications (booking confirmations, waitlist promotions, session changes and cancellations, and new blog posts), newest first, with the number still unread."
+     *     security:
+     *       - apiKey: []
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: query
+     *         name: unread
+     *         required: false
+     *         schema:
+     *           type: boolean
+     *         description: Only return unread notifications
+     *       - in: query
+     *         name: limit
+     *         required: false
+     *         schema:
+     *           type: integer
+     *           minimum: 1
+     *           maximum: 100
+     *           default: 50
+     *         description: The most notifications to return
+     *     responses:
+     *       200:
+     *         $ref: '#/components/responses/NotificationList'
+     *       400:
+     *         $ref: '#/components/responses/BadRequest'
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       500:
+     *         $ref: '#/components/responses/InternalServerError'
+     */
+    static async viewMyNotifications(req, res) {
+        try {
+            const limit = Number(req.query.limit) || 50;
+            const unreadOnly = req.query.unread === true || req.query.unread === "true";
+            const notifications = await NotificationModel.getByUserId(req.authenticatedUser.id, limit, unreadOnly);
+            const unreadCount = await NotificationModel.getUnreadCount(req.authenticatedUser.id);
+            res.status(200).json({
+                unreadCount: unreadCount,
+                notifications: notifications.map(notification => APINotificationController.transformNotification(notification))
+            });
+        } catch (error) {
+            console.error("Error fetching notifications:", error);
+            res.status(500).json({ message: "Failed to load notifications" });
+        }
+    }
+
+    /**
+     * @openapi
+     * /notifications/unread-count:
+     *   get:
+     *     summary: "Get current user's unread notification count"
+     *     tags: [Notifications]
+     *     description: "Returns how many of the authenticated user's notifications are unread. Cheap enough to poll for the notification bell."
+     *     security:
+     *       - apiKey: []
+     *       - bearerAuth: []
+     *     responses:
+     *       200:
+     *         $ref: '#/components/responses/NotificationUnreadCount'
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       500:
+     *         $ref: '#/components/responses/InternalServerError'
+     */
+    static async viewUnreadCount(req, res) {
+        try {
+            const unreadCount = await NotificationModel.getUnreadCount(req.authenticatedUser.id);
+            res.status(200).json({ unreadCount: unreadCount });
+        } catch (error) {
+            console.error("Error fetching unread notification count:", error);
+            res.status(500).json({ message: "Failed to load unread notification count" });
+        }
+    }
+
+    /**
+     * @openapi
+     * /notifications/{id}/read:
+     *   put:
+     *     summary: "Mark a notification as read"
+     *     tags: [Notifications]
+     *     description: "Mark one of the authenticated user's notifications as read. Marking a notification that is already read is allowed and changes nothing."
+     *     security:
+     *       - apiKey: []
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *         description: The notification ID
+     *     responses:
+     *       200:
+     *         $ref: '#/components/responses/NotificationRead'
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       404:
+     *         $ref: '#/components/responses/NotFound'
+     *       500:
+     *         $ref: '#/components/responses/InternalServerError'
+     */
+    static async markRead(req, res) {
+        try {
+            let notification;
+            try {
+                notification = await NotificationModel.markRead(req.params.id, req.authenticatedUser.id);
+            } catch (error) {
+                if (error === "Notification not found") {
+                    return res.status(404).json({ message: "Notification not found" });
+                }
+                throw error;
+            }
+            const unreadCount = await NotificationModel.getUnreadCount(req.authenticatedUser.id);
+            res.status(200).json({
+                unreadCount: unreadCount,
+                notification: APINotificationController.transformNotification(notification)
+            });
+        } catch (error) {
+            console.error(`Error marking notification ${req.params.id} as read:`, error);
+            res.status(500).json({ message: "Failed to mark notification as read" });
+        }
+    }
+
+    /**
+     * @openapi
+     * /notifications/read-all:
+     *   put:
+     *     summary: "Mark all notifications as read"
+     *     tags: [Notifications]
+     *     description: "Mark every unread notification of the authenticated user as read."
+     *     security:
+     *       - apiKey: []
+     *       - bearerAuth: []
+     *     responses:
+     *       200:
+     *         $ref: '#/components/responses/NotificationUnreadCount'
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       500:
+     *         $ref: '#/components/responses/InternalServerError'
+     */
+    static async markAllRead(req, res) {
+        try {
+            await NotificationModel.markAllRead(req.authenticatedUser.id);
+            res.status(200).json({ unreadCount: 0 });
+        } catch (error) {
+            console.error("Error marking all notifications as read:", error);
+            res.status(500).json({ message: "Failed to mark notifications as read" });
+        }
+    }
+}
@@ -0,0 +1,257 @@
+import express from "express";
+import { UserModel } from "../../models/UserModel.mjs";
+import { InvoiceModel } from "../../models/InvoiceModel.mjs";
+import { MembershipModel } from "../../models/MembershipModel.mjs";
+import { MembershipPlanModel } from "../../models/MembershipPlanModel.mjs";
+import { DatabaseModel } from "../../models/DatabaseModel.mjs";
+import { APIAuthenticationController } from "./APIAuthenticationController.mjs";
+import { APIUserController } from "./APIUserController.mjs";
+import { formatAmount } from "../../utils/payments.mjs";
+import { can } from "../../utils/authorization.mjs";
+
+export class APIPaymentController {
+    static routes = express.Router();
+
+    static {
+        this.routes.get(
+            "/plans",
+            APIAuthenticationController.restrict("any", true),
+            this.viewPlans
+        );
+        this.routes.post(
+            "/memberships",
+            APIAuthenticationController.restrict("memberships.purchase"),
+            this.purchaseMembership
+        );
+        this.routes.get(
+            "/invoices",
+            APIAuthenticationController.restrict("any", true),
+            this.viewMyInvoices
+        );
+        this.routes.get(
+            "/invoices/:id(\\d+)/receipt",
+            APIAuthenticationController.restrict("any", true),
+            this.downloadReceipt
+        );
+    }
+
+    /**
+     * Helper method to transform an invoice into the API response format
+     * @param {InvoiceModel} invoice - The invoice
+     * @returns {Object} Invoice with its receipt number
+     */
+    static transformInvoice(invoice) {
+        return {
+            id: invoice.id,
+            receiptNumber: InvoiceModel.receiptNumber(invoice),
+            description: invoice.description,
+            amountCents: invoice.amountCents,
+            currency: invoice.currency,
+            status: invoice.status,
+            bookingId: invoice.bookingId,
+            membershipId: invoice.membershipId,
+            createdAt: invoice.createdAt,
+            paidAt: invoice.paidAt,
+            refundedAt: invoice.refundedAt
+        };
+    }
+
+    /**
+     * @openapi
+     * /payments/plans:
+     *   get:
+     *     summary: "List membership plans for sale"
+     *     tags: [Payments]
+     *     description: "Returns the membership plans that can be bought online, with their prices in cents."
+     *     security:
+     *       - apiKey: []
+     *       - bearerAuth: []
+     *     responses:
+     *       200:
+     *         $ref: '#/components/responses/MembershipPlanList'
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       500:
+     *         $ref: '#/components/responses/InternalServerError'
+     */
+    static async viewPlans(req, res) {
+        try {
+            const plans = await MembershipPlanModel.getAll();
+            res.status(200).json(plans
+                .filter(plan => plan.priceCents !== null)
+                .map(plan => ({
+                    id: plan.id,
+                    name: plan.name,
+                    credits: plan.credits,
+                    durationDays: plan.durationDays,
+                    offPeakOnly: !!plan.offPeakOnly,
+                    priceCents: plan.priceCents
+                })));
+        } catch (error) {
+            console.error("Error fetching membership plans:", error);
+            res.status(500).json({ message: "Failed to load membership plans" });
+        }
+    }
+
+    /**
+     * @openapi
+     * /payments/memberships:
+     *   post:
+     *     summary: "Buy a membership"
+     *     tags: [Payments]
+     *     description: "Charge the authenticated member for a membership plan and start the membership today. A receipt (paid invoice) is issued. Returns 402 with the provider's reason if the payment is declined - with the mock gateway, the token 'tok_mock_decline' is declined and any other token is approved."
+     *     security:
+     *       - apiKey: []
+     *       - bearerAuth: []
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/MembershipPurchaseInput'
+     *     responses:
+     *       201:
+     *         $ref: '#/components/responses/MembershipPurchased'
+     *       400:
+     *         $ref: '#/components/responses/BadRequest'
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       402:
+     *         $ref: '#/components/responses/PaymentDeclined'
+     *       403:
+     *         $ref: '#/components/responses/Forbidden'
+     *       404:
+     *         $ref: '#/components/responses/NotFound'
+     *       500:
+     *         $ref: '#/components/responses/InternalServerError'
+     */
+    static async purchaseMembership(req, res) {
+        try {
+            const { planId, paymentToken } = req.body;
+
+            const plan = await MembershipPlanModel.getById(planId).catch(() => null);
+            if (!plan || plan.priceCents === null) {
+                return res.status(404).json({ message: "Membership plan not found" });
+            }
+
+            const invoice = await InvoiceModel.charge({
+                userId: req.authenticatedUser.id,
+                description: `${plan.name} membership`,
+                amountCents: plan.priceCents,
+                paymentToken: paymentToken
+            });
+            if (invoice.status !== "paid") {
+                return res.status(402).json({ message: invoice.declineMessage });
+            }
+
+            const startDate = DatabaseModel.toMySqlDate(new Date());
+            const membership = new MembershipModel(
+                null,
+                req.authenticatedUser.id,
+                plan.id,
+                startDate,
+                MembershipModel.defaultExpiryDate(startDate, plan),
+                plan.credits,
+                0
+            );
+            const result = await MembershipModel.create(membership, plan);
+            await InvoiceModel.linkPurchase(invoice.id, { membershipId: result.insertId });
+
+            const createdMembership = await MembershipModel.getById(result.insertId);
+            const paidInvoice = await InvoiceModel.getById(invoice.id);
+            res.status(201).json({
+                membership: APIUserController.transformMembership(createdMembership),
+                invoice: APIPaymentController.transformInvoice(paidInvoice)
+            });
+        } catch (error) {
+            console.error("Error purchasing membership:", error);
+            res.status(500).json({ message: "Failed to purchase membership" });
+        }
+    }
+
+    /**
+     * @openapi
+     * /payments/invoices:
+     *   get:
+     *     summary: "Get current user's invoices"
+     *     tags: [Payments]
+     *     description: "Returns the authenticated user's paid and refunded invoices, newest first. Each one has a downloadable receipt."
+     *     security:
+     *       - apiKey: []
+     *       - bearerAuth: []
+     *     responses:
+     *       200:
+     *         $ref: '#/components/responses/InvoiceList'
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       500:
+     *         $ref: '#/components/responses/InternalServerError'
+     */
+    static async viewMyInvoices(req, res) {
+        try {
+            const invoices = await InvoiceModel.getByUserId(req.authenticatedUser.id);
+            res.status(200).json(invoices.map(invoice => APIPaymentController.transformInvoice(invoice)));
+        } catch (error) {
+            console.error("Error fetching invoices:", error);
+            res.status(500).json({ message: "Failed to load invoices" });
+        }
+    }
+
+    /**
+     * @openapi
+     * /payments/invoices/{id}/receipt:
+     *   get:
+     *     summary: "Download a receipt"
+     *     tags: [Payments]
+     *     description: "Download the receipt for a paid or refunded invoice as an HTML document that can be printed or saved as PDF. Members can only download their own receipts; admins can download any."
+     *     security:
+     *       - apiKey: []
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *         description: The invoice ID
+     *     responses:
+     *       200:
+     *         description: Printable HTML receipt
+     *         content:
+     *           text/html:
+     *             schema:
+     *               type: string
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         $ref: '#/components/responses/Forbidden'
+     *       404:
+     *         $ref: '#/components/responses/NotFound'
+     *       500:
+     *         $ref: '#/components/responses/InternalServerError'
+     */
+    static async downloadReceipt(req, res) {
+        try {
+            const invoice = await InvoiceModel.getById(req.params.id).catch(() => null);
+            if (!invoice || !["paid", "refund_pending", "refunded", "refund_failed"].includes(invoice.status)) {
+                return res.status(404).json({ message: "Receipt not found" });
+            }
+            if (!can(req, "payments.view.any") && invoice.userId !== req.authenticatedUser.id) {
+                return res.status(403).json({ message: "Access forbidden - you can only download your own receipts" });
+            }
+
+            const customer = await UserModel.getById(invoice.userId);
+            const receiptNumber = InvoiceModel.receiptNumber(invoice);
+            res.attachment(`receipt-${receiptNumber}.html`);
+            res.render("receipt", {
+                invoice: invoice,
+                customer: customer,
+                receiptNumber: receiptNumber,
+                amount: formatAmount(invoice.amountCents, invoice.currency)
+            });
+        } catch (error) {
+            console.error(`Error downloading receipt for invoice ${req.params.id}:`, error);
+            res.status(500).json({ message: "Failed to download receipt" });
+        }
+    }
+}
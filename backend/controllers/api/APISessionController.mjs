@@ -1,40 +1,86 @@
 import express from "express";
 import { SessionModel } from "../../models/SessionModel.mjs";
+import { SessionSeriesModel } from "../../models/SessionSeriesModel.mjs";
 import { SessionActivityLocationUserModel } from "../../models/SessionActivityLocationUserModel.mjs";
 import { UserModel } from "../../models/UserModel.mjs";
+import { WaitlistModel } from "../../models/WaitlistModel.mjs";
+import { BookingModel } from "../../models/BookingModel.mjs";
+import { MembershipModel } from "../../models/MembershipModel.mjs";
+import { InvoiceModel } from "../../models/InvoiceModel.mjs";
+import { DatabaseModel } from "../../models/DatabaseModel.mjs";
 import { SessionController } from "../SessionController.mjs";
+import { CalendarController } from "../CalendarController.mjs";
 import { APIAuthenticationController } from "./APIAuthenticationController.mjs";
 import { exportXML, getWeekRange, escapeXML, formatLocalDateTime, generateWeeklyXML } from "../../utils/xmlExport.mjs";
+import { exportICS } from "../../utils/icsExport.mjs";
+import { notifySessionCancelled } from "../../utils/notifications.mjs";
+import { onSessionChanged } from "../../utils/sessionEvents.mjs";
+import { can } from "../../utils/authorization.mjs";
+import { config } from "../../config.mjs";
 
 export class APISessionController {
     static routes = express.Router();
 
+    // Open /sessions/stream responses
+    static streamClients = new Set();
+
+    // Sessions changed since the last broadcast - changes made together (e.g. a cancelled booking
+    // promoting someone off the waitlist) go out as one event per session
+    static pendingSessionIds = new Set();
+    static broadcastTimer = null;
+
     static {
         this.routes.get(
             "/",
             this.viewAllSessions
         );
+        this.routes.get(
+            "/stream",
+            this.streamSessions
+        );
         
         this.routes.get(
             "/self",
-            APIAuthenticationController.restrict(["trainer", "admin"]),
+            APIAuthenticationController.restrict("sessions.manage"),
             this.viewMySessions
         );
         this.routes.post(
             "/",
-            APIAuthenticationController.restrict(["trainer", "admin"]),
+            APIAuthenticationController.restrict("sessions.manage"),
             this.createSession
         );
+        this.routes.post(
+            "/series",
+            APIAuthenticationController.restrict("sessions.manage"),
+            this.createSessionSeries
+        );
         this.routes.delete(
             "/:id",
-            APIAuthenticationController.restrict(["trainer", "admin"]),
+            APIAuthenticationController.restrict("sessions.manage"),
             this.cancelSession
         );
+        this.routes.get(
+            "/:id/attendance",
+            APIAuthenticationController.restrict("sessions.manage"),
+            this.viewAttendance
+        );
+        this.routes.put(
+            "/:id/attendance",
+            APIAuthenticationController.restrict("sessions.manage"),
+            this.recordAttendance
+        );
         this.routes.get(
             "/export/xml/weekly",
-            APIAuthenticationController.restrict(["trainer", "admin"]),
+            APIAuthenticationController.restrict("sessions.export"),
             this.exportWeeklySessionsXML
         );
+        this.routes.get(
+            "/export/ics",
+            APIAuthenticationController.restrict("sessions.export"),
+            this.exportSessionsICS
+        );
+
+        onSessionChanged(sessionId => APISessionController.queueBroadcast(sessionId));
     }
     /**
      * Helper method to filter and transform session details into API response format
@@ -45,8 +91,16 @@ export class APISessionController {
         // Filter out past sessions using the same logic as SessionController
         const filteredSessions = SessionController.filterSessions(sessionDetails);
         
-        // Transform to include activity name, trainer name, and location name in session object
-        return filteredSessions.map(item => ({
+        return filteredSessions.map(item => APISessionController.transformSession(item));
+    }
+
+    /**
+     * Helper method to transform one session's details into API response format
+     * @param {SessionActivityLocationUserModel} item - Session with activity, location, and trainer details
+     * @returns {Object} Session object including activity name, trainer name, and location name
+     */
+    static transformSession(item) {
+        return {
             id: item.session.id,
             activityId: item.session.activityId,
             activityName: item.activity.name,
@@ -56,8 +110,13 @@ export class APISessionController {
             locationName: item.location ? item.location.name : null,
             sessionDate: item.session.sessionDate,
             sessionTime: item.session.sessionTime,
-            deleted: item.session.deleted
-        }));
+            durationMinutes: item.session.durationMinutes,
+            deleted: item.session.deleted,
+            capacity: item.session.capacity,
+            bookedCount: item.bookedCount,
+            spotsRemaining: item.spotsRemaining,
+            seriesId: item.session.seriesId
+        };
     }
 
     /**
@@ -84,6 +143,102 @@ export class APISessionController {
         }
     }
 
+    /**
+     * @openapi
+     * /sessions/stream:
+     *   get:
+     *     summary: "Stream live session changes"
+     *     tags: [Sessions]
+     *     description: |
+     *       Server-Sent Events stream of changes to upcoming sessions, for keeping a session list up to date without polling.
+     *       - `session` events carry a Session object (as returned by GET /sessions) whenever a session is created or changed, or a booking for it is made or cancelled. Add it, or replace the session with the same id.
+     *       - `session-removed` events carry `{"id": <session id>}` when a session is cancelled.
+     *
+     *       A comment line is sent every 25 seconds to keep the connection open. Changes made while disconnected are not replayed, so reload GET /sessions after reconnecting.
+     *     responses:
+     *       200:
+     *         description: Event stream
+     *         content:
+     *           text/event-stream:
+     *             schema:
+     *               type: string
+     */
+    static streamSessions(req, res) {
+        res.writeHead(200, {
+            "Content-Type": "text/event-stream",
+            "Cache-Control": "no-cache",
+            "Connection": "keep-alive",
+            "X-Accel-Buffering": "no"
+        });
+        // Ask EventSource to wait 5 seconds before reconnecting if the connection drops
+        res.write("retry: 5000\n\n");
+        APISessionController.streamClients.add(res);
+
+        const heartbeat = setInterval(() => res.write(": keep-alive\n\n"), 25000);
+        req.on("close", () => {
+            clearInterval(heartbeat);
+            APISessionController.streamClients.delete(res);
+        });
+    }
+
+    /**
+     * Helper method to schedule a changed session for the next broadcast to /sessions/stream
+     * @param {number} sessionId - The ID of the changed session
+     */
+    static queueBroadcast(sessionId) {
+        if (APISessionController.streamClients.size === 0) {
+            return;
+        }
+        APISessionController.pendingSessionIds.add(sessionId);
+        if (!APISessionController.broadcastTimer) {
+            APISessionController.broadcastTimer = setTimeout(() => APISessionController.broadcastPendingSessions(), 100);
+        }
+    }
+
+    /**
+     * Helper method to send the latest details of each pending session to every /sessions/stream client
+     * Sessions that were cancelled or have already started are sent as session-removed.
+     */
+    static async broadcastPendingSessions() {
+        const sessionIds = [...APISessionController.pendingSessionIds];
+        APISessionController.pendingSessionIds.clear();
+        APISessionController.broadcastTimer = null;
+
+        for (const sessionId of sessionIds) {
+            try {
+                let sessions = [];
+                try {
+                    const sessionDetails = await SessionActivityLocationUserModel.getBySessionId(sessionId);
+                    sessions = APISessionController.transformSessions([sessionDetails]);
+                } catch (error) {
+                    if (error !== "Session not found") {
+                        throw error;
+                    }
+                }
+
+                if (sessions.length > 0) {
+                    APISessionController.sendStreamEvent("session", sessions[0]);
+                } else {
+                    APISessionController.sendStreamEvent("session-removed", { id: sessionId });
+                }
+            } catch (error) {
+                console.error(`Error streaming changes to session ${sessionId}:`, error);
+            }
+        }
+    }
+
+    /**
+     * Helper method to write one event to every /sessions/stream client
+     * @param {string} event - The event name
+     * @param {Object} data - The event data (sent as JSON)
+     */
+    static sendStreamEvent(event, data) {
+        const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+        for (const client of APISessionController.streamClients) {
+            client.write(message);
+        }
+    }
+
     /**
      * @openapi
      * /sessions/self:
@@ -93,6 +248,7 @@ export class APISessionController {
      *     description: "Retrieve a list of all active sessions for the authenticated trainer, sorted by date and time"
      *     security:
      *       - apiKey: []
+     *       - bearerAuth: []
      *     responses:
      *       200:
      *         $ref: '#/components/responses/SessionsList'
@@ -127,12 +283,13 @@ export class APISessionController {
      *   post:
      *     summary: "Create a new session"
      *     tags: [Sessions]
-     *     description: "Create a session for the authenticated trainer. Trainers can only create sessions for themselves."
+     *     description: "Create a session for the authenticated trainer. Trainers can only create sessions for themselves. The session is rejected when its time range overlaps another session for the same trainer or at the same location."
      *     security:
      *       - apiKey: []
+     *       - bearerAuth: []
      *     requestBody:
      *       required: true
-     *       description: Session request containing activity, location, date, and time
+     *       description: Session request containing activity, location, date, time, and an optional capacity and duration
      *       content:
      *         application/json:
      *           schema:
@@ -146,6 +303,8 @@ export class APISessionController {
      *         $ref: '#/components/responses/Unauthorized'
      *       403:
      *         $ref: '#/components/responses/Forbidden'
+     *       409:
+     *         $ref: '#/components/responses/ScheduleConflict'
      *       500:
      *         $ref: '#/components/responses/InternalServerError'
      */
@@ -156,7 +315,7 @@ export class APISessionController {
             }
 
             // Extract session details from request body
-            const { activityId, locationId, sessionDate, sessionTime } = req.body;
+            const { activityId, locationId, sessionDate, sessionTime, capacity, durationMinutes } = req.body;
             
             // Validate required fields
             if (!activityId || !locationId || !sessionDate || !sessionTime) {
@@ -169,9 +328,32 @@ export class APISessionController {
             // Extract trainerId from authenticated user
             const trainerId = req.authenticatedUser.id;
 
-            // Create session using SessionModel
-            const session = new SessionModel(null, activityId, trainerId, locationId, sessionDate, sessionTime, 0);
-            const result = await SessionModel.create(session);
+            // Capacity defaults to the activity or location capacity when not provided
+            const sessionDuration = durationMinutes ?? SessionModel.DEFAULT_DURATION_MINUTES;
+            const sessionCapacity = capacity ?? await SessionModel.resolveDefaultCapacity(activityId, locationId);
+
+            // The overlap check and the insert run with the trainer and the location locked, so a session
+            // created for either of them at the same time can't slip in between
+            const outcome = await DatabaseModel.transaction(async () => {
+                await SessionController.lockSchedule(trainerId, locationId);
+
+                // Reject the session if the trainer or the location is already busy at that time
+                const conflicts = await SessionActivityLocationUserModel.getOverlapping(trainerId, locationId, sessionDate, sessionTime, sessionDuration);
+                if (conflicts.length > 0) {
+                    return { conflicts: conflicts };
+                }
+
+                // Create session using SessionModel
+                const session = new SessionModel(null, activityId, trainerId, locationId, sessionDate, sessionTime, 0, sessionCapacity, null, sessionDuration);
+                return { result: await SessionModel.create(session) };
+            });
+            if (outcome.conflicts) {
+                return res.status(409).json({
+                    message: "The trainer or the location is already booked for another session during this time",
+                    conflicts: outcome.conflicts.map(conflict => APISessionController.transformSession(conflict))
+                });
+            }
+            const result = outcome.result;
 
             // Get the created session using the insertId from the result
             const createdSession = await SessionModel.getById(result.insertId);
@@ -182,15 +364,121 @@ export class APISessionController {
         }
     }
 
+    /**
+     * @openapi
+     * /sessions/series:
+     *   post:
+     *     summary: "Create a recurring session series"
+     *     tags: [Sessions]
+     *     description: "Create a session for the authenticated trainer that repeats on the given weekdays until the end date. The duplicate session and trainer/location overlap checks run on every occurrence; when any clash, nothing is created unless skipClashes is true."
+     *     security:
+     *       - apiKey: []
+     *       - bearerAuth: []
+     *     requestBody:
+     *       required: true
+     *       description: Series request containing activity, location, time, repeat weekdays, start and end dates, and an optional capacity
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/SessionSeriesInput'
+     *     responses:
+     *       201:
+     *         $ref: '#/components/responses/SessionSeriesCreated'
+     *       400:
+     *         $ref: '#/components/responses/BadRequest'
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         $ref: '#/components/responses/Forbidden'
+     *       409:
+     *         $ref: '#/components/responses/SeriesClashConflict'
+     *       500:
+     *         $ref: '#/components/responses/InternalServerError'
+     */
+    static async createSessionSeries(req, res) {
+        try {
+            if (!req.authenticatedUser) {
+                return res.status(401).json({ message: "Not authenticated" });
+            }
+
+            const { activityId, locationId, sessionTime, weekdays, startDate, endDate, capacity, durationMinutes, skipClashes } = req.body;
+
+            // Validate required fields
+            if (!activityId || !locationId || !sessionTime || !startDate || !endDate) {
+                return res.status(400).json({
+                    message: "activityId, locationId, sessionTime, weekdays, startDate, and endDate are required"
+                });
+            }
+
+            // Validate the repeat settings (same rules as the sessions page)
+            const seriesValidation = SessionController.validateSeries(weekdays, startDate, endDate);
+            if (!seriesValidation.isValid) {
+                return res.status(400).json({ message: seriesValidation.message });
+            }
+
+            // Trainers can only create sessions for themselves
+            const trainerId = req.authenticatedUser.id;
+
+            // Capacity defaults to the activity or location capacity when not provided
+            const seriesCapacity = capacity ?? await SessionModel.resolveDefaultCapacity(activityId, locationId);
+
+            const series = new SessionSeriesModel(
+                null,
+                activityId,
+                trainerId,
+                locationId,
+                sessionTime,
+                seriesValidation.weekdays,
+                startDate,
+                endDate,
+                seriesCapacity,
+                durationMinutes ?? SessionModel.DEFAULT_DURATION_MINUTES
+            );
+            const seriesResult = await SessionController.createSeriesSessions(series, skipClashes === true);
+
+            if (seriesResult.occurrenceCount === 0) {
+                return res.status(400).json({
+                    message: "None of the weekdays fall on an upcoming date between startDate and endDate"
+                });
+            }
+
+            if (!seriesResult.seriesId) {
+                return res.status(409).json({
+                    message: seriesResult.clashes.length === seriesResult.occurrenceCount
+                        ? "Every session in this series already exists"
+                        : "Some sessions in this series already exist - set skipClashes to create the others",
+                    clashes: seriesResult.clashes
+                });
+            }
+
+            // Return the created occurrences in the same shape as the session list
+            const trainerSessions = await SessionActivityLocationUserModel.getByTrainerId(trainerId);
+            const sessions = APISessionController.transformSessions(trainerSessions)
+                .filter(session => session.seriesId == seriesResult.seriesId);
+
+            series.id = seriesResult.seriesId;
+            res.status(201).json({
+                seriesId: seriesResult.seriesId,
+                description: SessionSeriesModel.describe(series),
+                sessions: sessions,
+                clashes: seriesResult.clashes
+            });
+        } catch (error) {
+            console.error("Error creating session series:", error);
+            res.status(500).json({ message: "Failed to create session series" });
+        }
+    }
+
     /**
      * @openapi
      * /sessions/{id}:
      *   delete:
      *     summary: "Cancel a session"
      *     tags: [Sessions]
-     *     description: "Cancel a session by ID. Only the trainer who owns the session can cancel it."
+     *     description: "Cancel a session by ID. Only the trainer who owns the session can cancel it. For a recurring session, the scope decides whether just this occurrence, this and the following occurrences, or the entire series is cancelled. Class pack credits and drop-in payments members spent on the cancelled sessions are refunded."
      *     security:
      *       - apiKey: []
+     *       - bearerAuth: []
      *     parameters:
      *       - in: path
      *         name: id
@@ -198,6 +486,13 @@ export class APISessionController {
      *         schema:
      *           type: integer
      *         description: The session ID
+     *       - in: query
+     *         name: scope
+     *         schema:
+     *           type: string
+     *           enum: [single, following, series]
+     *           default: single
+     *         description: Which occurrences of a recurring session to cancel
      *     responses:
      *       200:
      *         $ref: '#/components/responses/SuccessMessage'
@@ -231,21 +526,181 @@ export class APISessionController {
 
             // Check if the authenticated user is the trainer who owns this session
             // Admins can cancel any session, trainers can only cancel their own
-            if (req.authenticatedUser.role !== "admin" && session.trainerId !== req.authenticatedUser.id) {
+            if (!can(req, "sessions.manage.any") && session.trainerId !== req.authenticatedUser.id) {
                 return res.status(403).json({ 
                     message: "Access forbidden - you can only cancel your own sessions" 
                 });
             }
 
-            // Cancel the session (soft delete)
-            await SessionModel.delete(sessionId);
-            res.status(200).json({ message: "Session canceled successfully" });
+            // Recurring sessions can be cancelled one at a time, from this occurrence on, or as a whole series
+            const scope = SessionController.normalizeSeriesScope(req.query.scope);
+            const sessionsInScope = await SessionController.getSessionsInScope(session, scope);
+
+            // Cancel the sessions (soft delete), email the booked members, and give them back the class pack credits and drop-in payments they spent on them.
+            // It all commits together, with the sessions locked so no booking can be made on them part way through.
+            await DatabaseModel.transaction(async () => {
+                await DatabaseModel.lockRows("sessions", sessionsInScope.map(sessionInScope => sessionInScope.id));
+                await SessionController.updateSeriesForScope(session, scope, null);
+                for (const sessionInScope of sessionsInScope) {
+                    await notifySessionCancelled(sessionInScope.id);
+                    await SessionModel.delete(sessionInScope.id);
+                    await WaitlistModel.deleteBySessionId(sessionInScope.id);
+                    for (const booking of await BookingModel.getBySessionId(sessionInScope.id)) {
+                        await MembershipModel.refundBooking(booking);
+                        await InvoiceModel.refundBooking(booking);
+                    }
+                }
+            });
+            res.status(200).json({
+                message: sessionsInScope.length > 1
+                    ? `${sessionsInScope.length} sessions canceled successfully`
+                    : "Session canceled successfully"
+            });
         } catch (error) {
             console.error(`Error canceling session with ID ${req.params.id}:`, error);
             res.status(500).json({ message: "Failed to cancel session" });
         }
     }
 
+    /**
+     * Helper method to transform a session's bookings into the attendance roster response format
+     * @param {Array<BookingSessionActivityLocationUserModel>} roster - Active bookings for the session
+     * @returns {Array} Roster entries with the booked member and their attendance
+     */
+    static transformAttendanceRoster(roster) {
+        return roster.map(item => ({
+            bookingId: item.booking.id,
+            memberId: item.booking.memberId,
+            memberName: `${item.user.firstName} ${item.user.lastName}`,
+            attendance: item.booking.attendance
+        }));
+    }
+
+    /**
+     * @openapi
+     * /sessions/{id}/attendance:
+     *   get:
+     *     summary: "Get a session's attendance roster"
+     *     tags: [Sessions]
+     *     description: "List every member booked on the session with their recorded attendance. Only the trainer who owns the session (or an admin) can view the roster."
+     *     security:
+     *       - apiKey: []
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *         description: The session ID
+     *     responses:
+     *       200:
+     *         $ref: '#/components/responses/AttendanceRoster'
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         $ref: '#/components/responses/Forbidden'
+     *       404:
+     *         $ref: '#/components/responses/NotFound'
+     *       500:
+     *         $ref: '#/components/responses/InternalServerError'
+     *   put:
+     *     summary: "Record attendance for a session"
+     *     tags: [Sessions]
+     *     description: "Mark booked members as attended, no-show or late-cancelled (null clears the record). Attendance opens on the day of the session. Only the trainer who owns the session (or an admin) can record attendance; bookings that are not on the session's roster are ignored."
+     *     security:
+     *       - apiKey: []
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *         description: The session ID
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/AttendanceInput'
+     *     responses:
+     *       200:
+     *         $ref: '#/components/responses/AttendanceRoster'
+     *       400:
+     *         $ref: '#/components/responses/BadRequest'
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         $ref: '#/components/responses/Forbidden'
+     *       404:
+     *         $ref: '#/components/responses/NotFound'
+     *       500:
+     *         $ref: '#/components/responses/InternalServerError'
+     */
+    static async viewAttendance(req, res) {
+        try {
+            let session;
+            try {
+                session = await SessionModel.getById(req.params.id);
+            } catch (error) {
+                if (error === "Session not found") {
+                    return res.status(404).json({ message: "Session not found" });
+                }
+                throw error;
+            }
+
+            if (!SessionController.canTakeAttendance(session, req)) {
+                return res.status(403).json({
+                    message: "Access forbidden - you can only take attendance for your own sessions"
+                });
+            }
+
+            const roster = await SessionController.getAttendanceRoster(session.id);
+            res.status(200).json(APISessionController.transformAttendanceRoster(roster));
+        } catch (error) {
+            console.error(`Error fetching attendance for session with ID ${req.params.id}:`, error);
+            res.status(500).json({ message: "Failed to retrieve attendance" });
+        }
+    }
+
+    static async recordAttendance(req, res) {
+        try {
+            let session;
+            try {
+                session = await SessionModel.getById(req.params.id);
+            } catch (error) {
+                if (error === "Session not found") {
+                    return res.status(404).json({ message: "Session not found" });
+                }
+                throw error;
+            }
+
+            if (!SessionController.canTakeAttendance(session, req)) {
+                return res.status(403).json({
+                    message: "Access forbidden - you can only take attendance for your own sessions"
+                });
+            }
+
+            // The shared validation takes attendance keyed by booking ID
+            const records = {};
+            for (const record of req.body.records) {
+                records[record.bookingId] = record.attendance;
+            }
+
+            const result = await SessionController.recordAttendance(session, records);
+            if (!result.isValid) {
+                return res.status(400).json({ message: result.message });
+            }
+
+            const roster = await SessionController.getAttendanceRoster(session.id);
+            res.status(200).json(APISessionController.transformAttendanceRoster(roster));
+        } catch (error) {
+            console.error(`Error recording attendance for session with ID ${req.params.id}:`, error);
+            res.status(500).json({ message: "Failed to record attendance" });
+        }
+    }
+
     /**
      * @openapi
      * /sessions/export/xml/weekly:
@@ -255,6 +710,7 @@ export class APISessionController {
      *     description: "Export the authenticated trainer's sessions as XML for calendar import. Supports optional date range filtering via query parameters."
      *     security:
      *       - apiKey: []
+     *       - bearerAuth: []
      *     parameters:
      *       - in: query
      *         name: startDate
@@ -365,11 +821,64 @@ export class APISessionController {
             console.error("Error stack:", error.stack);
             res.status(500).json({ 
                 message: "Failed to export weekly sessions",
-                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+                error: config.profile === 'development' ? error.message : undefined
             });
         }
     }
 
+    /**
+     * @openapi
+     * /sessions/export/ics:
+     *   get:
+     *     summary: "Export trainer's upcoming sessions as iCalendar"
+     *     tags: [Sessions]
+     *     description: "Export the authenticated trainer's upcoming sessions as an .ics file. Each session keeps the same UID in every export, so re-importing updates or cancels the existing calendar entry."
+     *     security:
+     *       - apiKey: []
+     *       - bearerAuth: []
+     *     responses:
+     *       200:
+     *         description: iCalendar (RFC 5545) file for import into calendar apps
+     *         content:
+     *           text/calendar:
+     *             schema:
+     *               type: string
+     *               example: |
+     *                 BEGIN:VCALENDAR
+     *                 VERSION:2.0
+     *                 PRODID:-//High Street Gym//Sessions//EN
+     *                 BEGIN:VEVENT
+     *                 UID:session-12@highstreetgym
+     *                 DTSTART:20251101T000000Z
+     *                 DTEND:20251101T010000Z
+     *                 SUMMARY:Yoga
+     *                 STATUS:CONFIRMED
+     *                 END:VEVENT
+     *                 END:VCALENDAR
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         $ref: '#/components/responses/Forbidden'
+     *       500:
+     *         $ref: '#/components/responses/InternalServerError'
+     */
+    static async exportSessionsICS(req, res) {
+        try {
+            if (!req.authenticatedUser) {
+                return res.status(401).json({ message: "Not authenticated" });
+            }
+
+            const today = DatabaseModel.toMySqlDate(new Date());
+            const icsContent = await CalendarController.generateTrainerCalendar(req.authenticatedUser, today);
+
+            const trainerName = `${req.authenticatedUser.firstName}-${req.authenticatedUser.lastName}`.replace(/\s+/g, '-');
+            exportICS(res, icsContent, `sessions-${trainerName}.ics`);
+        } catch (error) {
+            console.error("Error exporting sessions iCalendar:", error);
+            res.status(500).json({ message: "Failed to export sessions calendar" });
+        }
+    }
+
     /**
      * Generate XML content for trainer's weekly sessions
      * @param {Array} sessions - Array of SessionActivityLocationUserModel instances
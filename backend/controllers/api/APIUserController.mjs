@@ -1,30 +1,93 @@
 import express from "express";
 import { UserModel } from "../../models/UserModel.mjs";
 import bcrypt from "bcryptjs";
+import { CalendarFeedModel } from "../../models/CalendarFeedModel.mjs";
+import { MembershipModel } from "../../models/MembershipModel.mjs";
+import { ApiTokenModel } from "../../models/ApiTokenModel.mjs";
+import { RefreshTokenModel } from "../../models/RefreshTokenModel.mjs";
 import { APIAuthenticationController } from "./APIAuthenticationController.mjs";
+import { buildFeedUrls } from "../../utils/icsExport.mjs";
+import { requestPasswordReset, resetPassword } from "../../utils/passwordReset.mjs";
+import { sendVerificationEmail, verifyEmail } from "../../utils/emailVerification.mjs";
+import { FRONTEND_URL } from "../../utils/notifications.mjs";
+import { beginTwoFactorSetup, enableTwoFactor, disableTwoFactor, regenerateRecoveryCodes } from "../../utils/twoFactor.mjs";
 
 export class APIUserController {
     static routes = express.Router();
     static {
         // Public routes (no authentication required)
         this.routes.post("/register", this.register);
+        this.routes.post("/forgot-password", this.forgotPassword);
+        this.routes.post("/reset-password", this.resetPassword);
+        this.routes.post("/verify-email", this.verifyEmail);
         
         // Protected routes (authentication required)
+        // Staff who still have to set up two-factor can use their own account, including its two-factor settings
         this.routes.get(
             "/self", 
-            APIAuthenticationController.restrict("any"), 
+            APIAuthenticationController.restrict("any", true), 
             this.getAuthenticatedUser
         );
         this.routes.put(
             "/self",
-            APIAuthenticationController.restrict("any"),
+            APIAuthenticationController.restrict("any", true),
             this.updateAuthenticatedUser
         );
         this.routes.patch(
             "/self",
-            APIAuthenticationController.restrict("any"),
+            APIAuthenticationController.restrict("any", true),
             this.updateAuthenticatedUser
         );
+        this.routes.post(
+            "/self/verification-email",
+            APIAuthenticationController.restrict("any", true),
+            this.resendVerificationEmail
+        );
+        this.routes.post(
+            "/self/two-factor/setup",
+            APIAuthenticationController.restrict("any", true),
+            this.setupTwoFactor
+        );
+        this.routes.post(
+            "/self/two-factor/enable",
+            APIAuthenticationController.restrict("any", true),
+            this.enableTwoFactor
+        );
+        this.routes.post(
+            "/self/two-factor/disable",
+            APIAuthenticationController.restrict("any", true),
+            this.disableTwoFactor
+        );
+        this.routes.post(
+            "/self/two-factor/recovery-codes",
+            APIAuthenticationController.restrict("any", true),
+            this.regenerateRecoveryCodes
+        );
+        this.routes.get(
+            "/self/calendar-feed",
+            APIAuthenticationController.restrict("any", true),
+            this.getCalendarFeed
+        );
+        this.routes.post(
+            "/self/calendar-feed",
+            APIAuthenticationController.restrict("any", true),
+            this.regenerateCalendarFeed
+        );
+        this.routes.get(
+            "/self/devices",
+            APIAuthenticationController.restrict("any", true),
+            this.getDevices
+        );
+        this.routes.delete(
+            "/self/devices/:id",
+            APIAuthenticationController.restrict("any", true),
+            this.revokeDevice
+        );
+        this.routes.get(
+            "/self/memberships",
+            APIAuthenticationController.restrict("any", true),
+            this.getMemberships
+        );
     }
 
     /**
@@ -78,9 +141,13 @@ export class APIUserController {
             };
 
             const user = await UserModel.create(newUser);
+
+            // The account starts unverified - send the link without making the member wait for the mail server
+            APIUserController.sendVerificationEmail({ id: user.insertId, email: newUser.email, firstName: newUser.firstName })
+                .catch(error => console.error(`Error sending verification email to user ${user.insertId}:`, error));
             
             res.status(201).json({
-                message: "User registered successfully",
+                message: "User registered successfully. Please check your email for a link to verify your address before booking.",
                 user: {
                     id: user.insertId,
                     email: newUser.email,
@@ -97,6 +164,353 @@ export class APIUserController {
         }
     }
 
+    /**
+     * @openapi
+     * /users/forgot-password:
+     *   post:
+     *     summary: "Request a password reset email"
+     *     tags: [Users]
+     *     description: "Email a single-use link for choosing a new password to the account with this email address. The link opens the React app's reset password page and expires after PASSWORD_RESET_MINUTES minutes. The response is the same whether or not the address has an account."
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/ForgotPasswordRequest'
+     *     responses:
+     *       200:
+     *         $ref: '#/components/responses/SuccessMessage'
+     *       400:
+     *         $ref: '#/components/responses/BadRequest'
+     *       500:
+     *         $ref: '#/components/responses/InternalServerError'
+     */
+    static async forgotPassword(req, res) {
+        try {
+            await requestPasswordReset(req.body.email, token =>
+                `${FRONTEND_URL}/authenticate/reset-password?token=${token}`
+            );
+            res.status(200).json({
+                message: "If an account exists for that email address, a password reset link has been sent"
+            });
+        } catch (error) {
+            console.error("Forgot password error:", error);
+            res.status(500).json({
+                message: "Failed to send password reset email"
+            });
+        }
+    }
+
+    /**
+     * @openapi
+     * /users/reset-password:
+     *   post:
+     *     summary: "Reset password"
+     *     tags: [Users]
+     *     description: "Set a new password using the token from a password reset email. The token can only be used once. The user is logged out everywhere - their API key is cleared and their web sessions end - so they must log in again with the new password."
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/ResetPasswordRequest'
+     *     responses:
+     *       200:
+     *         $ref: '#/components/responses/SuccessMessage'
+     *       400:
+     *         $ref: '#/components/responses/BadRequest'
+     *       500:
+     *         $ref: '#/components/responses/InternalServerError'
+     */
+    static async resetPassword(req, res) {
+        try {
+            const { token, password } = req.body;
+            try {
+                await resetPassword(token, password);
+            } catch (error) {
+                if (typeof error === "string") {
+                    return res.status(400).json({ message: error });
+                }
+                throw error;
+            }
+            res.status(200).json({
+                message: "Password reset successfully. Please log in with your new password."
+            });
+        } catch (error) {
+            console.error("Reset password error:", error);
+            res.status(500).json({
+                message: "Failed to reset password"
+            });
+        }
+    }
+
+    /**
+     * Sends a verification email whose link opens the React app's verify email page
+     * @param {Object} user - The user to verify (id, email, and firstName)
+     * @returns {Promise<void>} Rejects if the email could not be sent
+     */
+    static sendVerificationEmail(user) {
+        return sendVerificationEmail(user, token => `${FRONTEND_URL}/authenticate/verify-email?token=${token}`);
+    }
+
+    /**
+     * @openapi
+     * /users/verify-email:
+     *   post:
+     *     summary: "Verify email address"
+     *     tags: [Users]
+     *     description: "Confirm a user's email address using the token from their verification email. New accounts must be verified before members can book sessions. Links expire after EMAIL_VERIFICATION_HOURS hours."
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/VerifyEmailRequest'
+     *     responses:
+     *       200:
+     *         $ref: '#/components/responses/SuccessMessage'
+     *       400:
+     *         $ref: '#/components/responses/BadRequest'
+     *       500:
+     *         $ref: '#/components/responses/InternalServerError'
+     */
+    static async verifyEmail(req, res) {
+        try {
+            try {
+                await verifyEmail(req.body.token);
+            } catch (error) {
+                if (typeof error === "string") {
+                    return res.status(400).json({ message: error });
+                }
+                throw error;
+            }
+            res.status(200).json({
+                message: "Email verified successfully"
+            });
+        } catch (error) {
+            console.error("Email verification error:", error);
+            res.status(500).json({
+                message: "Failed to verify email"
+            });
+        }
+    }
+
+    /**
+     * @openapi
+     * /users/self/verification-email:
+     *   post:
+     *     summary: "Resend verification email"
+     *     tags: [Users]
+     *     description: "Email the authenticated user a new link to verify their email address. Earlier links stop working. Returns 409 if the address is already verified."
+     *     security:
+     *       - apiKey: []
+     *       - bearerAuth: []
+     *     responses:
+     *       200:
+     *         $ref: '#/components/responses/SuccessMessage'
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       409:
+     *         $ref: '#/components/responses/Conflict'
+     *       500:
+     *         $ref: '#/components/responses/InternalServerError'
+     */
+    static async resendVerificationEmail(req, res) {
+        try {
+            if (req.authenticatedUser.emailVerifiedAt) {
+                return res.status(409).json({ message: "Your email address is already verified" });
+            }
+            await APIUserController.sendVerificationEmail(req.authenticatedUser);
+            res.status(200).json({
+                message: `Verification email sent to ${req.authenticatedUser.email}`
+            });
+        } catch (error) {
+            console.error("Error resending verification email:", error);
+            res.status(500).json({
+                message: "Failed to send verification email"
+            });
+        }
+    }
+
+    /**
+     * @openapi
+     * /users/self/two-factor/setup:
+     *   post:
+     *     summary: "Start setting up two-factor authentication"
+     *     tags: [Users]
+     *     description: "Creates a new authenticator secret for the authenticated user and returns it as a QR code (PNG data URL) and an otpauth:// link. Two-factor stays off until a code from the app is sent to /users/self/two-factor/enable. Returns 409 if two-factor is already on."
+     *     security:
+     *       - apiKey: []
+     *       - bearerAuth: []
+     *     responses:
+     *       200:
+     *         $ref: '#/components/responses/TwoFactorSetupStarted'
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       409:
+     *         $ref: '#/components/responses/Conflict'
+     *       500:
+     *         $ref: '#/components/responses/InternalServerError'
+     */
+    static async setupTwoFactor(req, res) {
+        try {
+            let setup;
+            try {
+                setup = await beginTwoFactorSetup(req.authenticatedUser);
+            } catch (error) {
+                if (typeof error === "string") {
+                    return res.status(409).json({ message: error });
+                }
+                throw error;
+            }
+            res.status(200).json(setup);
+        } catch (error) {
+            console.error("Error starting two-factor setup:", error);
+            res.status(500).json({
+                message: "Failed to start two-factor setup"
+            });
+        }
+    }
+
+    /**
+     * @openapi
+     * /users/self/two-factor/enable:
+     *   post:
+     *     summary: "Turn on two-factor authentication"
+     *     tags: [Users]
+     *     description: "Confirms setup with a code from the authenticator app and turns two-factor on. Returns the user's single-use recovery codes - this is the only time they are shown."
+     *     security:
+     *       - apiKey: []
+     *       - bearerAuth: []
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/TwoFactorCodeRequest'
+     *     responses:
+     *       200:
+     *         $ref: '#/components/responses/RecoveryCodeList'
+     *       400:
+     *         $ref: '#/components/responses/BadRequest'
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       500:
+     *         $ref: '#/components/responses/InternalServerError'
+     */
+    static async enableTwoFactor(req, res) {
+        try {
+            let recoveryCodes;
+            try {
+                recoveryCodes = await enableTwoFactor(req.authenticatedUser.id, req.body.code);
+            } catch (error) {
+                if (typeof error === "string") {
+                    return res.status(400).json({ message: error });
+                }
+                throw error;
+            }
+            res.status(200).json({ recoveryCodes: recoveryCodes });
+        } catch (error) {
+            console.error("Error turning on two-factor:", error);
+            res.status(500).json({
+                message: "Failed to turn on two-factor authentication"
+            });
+        }
+    }
+
+    /**
+     * @openapi
+     * /users/self/two-factor/disable:
+     *   post:
+     *     summary: "Turn off two-factor authentication"
+     *     tags: [Users]
+     *     description: "Turns two-factor off after checking a code from the authenticator app (or a recovery code). Trainers and admins can't turn it off while the gym requires two-factor for staff."
+     *     security:
+     *       - apiKey: []
+     *       - bearerAuth: []
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/TwoFactorCodeRequest'
+     *     responses:
+     *       200:
+     *         $ref: '#/components/responses/SuccessMessage'
+     *       400:
+     *         $ref: '#/components/responses/BadRequest'
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       500:
+     *         $ref: '#/components/responses/InternalServerError'
+     */
+    static async disableTwoFactor(req, res) {
+        try {
+            try {
+                await disableTwoFactor(req.authenticatedUser.id, req.body.code);
+            } catch (error) {
+                if (typeof error === "string") {
+                    return res.status(400).json({ message: error });
+                }
+                throw error;
+            }
+            res.status(200).json({
+                message: "Two-factor authentication turned off"
+            });
+        } catch (error) {
+            console.error("Error turning off two-factor:", error);
+            res.status(500).json({
+                message: "Failed to turn off two-factor authentication"
+            });
+        }
+    }
+
+    /**
+     * @openapi
+     * /users/self/two-factor/recovery-codes:
+     *   post:
+     *     summary: "Replace recovery codes"
+     *     tags: [Users]
+     *     description: "Creates a new set of single-use recovery codes after checking a code from the authenticator app (or a recovery code). The old codes stop working."
+     *     security:
+     *       - apiKey: []
+     *       - bearerAuth: []
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/TwoFactorCodeRequest'
+     *     responses:
+     *       200:
+     *         $ref: '#/components/responses/RecoveryCodeList'
+     *       400:
+     *         $ref: '#/components/responses/BadRequest'
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       500:
+     *         $ref: '#/components/responses/InternalServerError'
+     */
+    static async regenerateRecoveryCodes(req, res) {
+        try {
+            let recoveryCodes;
+            try {
+                recoveryCodes = await regenerateRecoveryCodes(req.authenticatedUser.id, req.body.code);
+            } catch (error) {
+                if (typeof error === "string") {
+                    return res.status(400).json({ message: error });
+                }
+                throw error;
+            }
+            res.status(200).json({ recoveryCodes: recoveryCodes });
+        } catch (error) {
+            console.error("Error replacing recovery codes:", error);
+            res.status(500).json({
+                message: "Failed to create new recovery codes"
+            });
+        }
+    }
+
     /**
      * @openapi
      * /users/self:
@@ -106,6 +520,7 @@ export class APIUserController {
      *     description: "Returns information about the currently authenticated user"
      *     security:
      *       - apiKey: []
+     *       - bearerAuth: []
      *     responses:
      *       200:
      *         $ref: '#/components/responses/UserResponse'
@@ -125,7 +540,10 @@ export class APIUserController {
                 email: req.authenticatedUser.email,
                 firstName: req.authenticatedUser.firstName,
                 lastName: req.authenticatedUser.lastName,
-                role: req.authenticatedUser.role
+                role: req.authenticatedUser.role,
+                emailVerified: !!req.authenticatedUser.emailVerifiedAt,
+                twoFactorEnabled: !!req.authenticatedUser.totpEnabledAt,
+                twoFactorSetupRequired: !!req.twoFactorSetupRequired
             };
             res.status(200).json(safeUser);
         } catch (error) {
@@ -145,6 +563,7 @@ export class APIUserController {
      *     description: "Update personal details (first name, last name, and optionally password) for the authenticated user. Email cannot be changed - users must register a new account or contact an admin. Note: Replace example values with your actual current or new values. Only include fields you want to update (partial updates are supported). IMPORTANT: Ensure valid JSON format - no trailing commas. Examples: {\"firstName\": \"John\"} or {\"firstName\": \"John\", \"lastName\": \"Doe\"}"
      *     security:
      *       - apiKey: []
+     *       - bearerAuth: []
      *     requestBody:
      *       required: true
      *       content:
@@ -168,6 +587,7 @@ export class APIUserController {
      *     description: "Partially update personal details (first name, last name, and optionally password) for the authenticated user. Email cannot be changed - users must register a new account or contact an admin. Only include fields you want to update. IMPORTANT: Ensure valid JSON format - no trailing commas. Examples: {\"firstName\": \"John\"} or {\"firstName\": \"John\", \"lastName\": \"Doe\"}"
      *     security:
      *       - apiKey: []
+     *       - bearerAuth: []
      *     requestBody:
      *       required: true
      *       content:
@@ -214,7 +634,6 @@ export class APIUserController {
             const currentUser = await UserModel.getById(req.authenticatedUser.id);
 
             // Build update object - only include fields that are provided
-            // If password changes, invalidate the current authentication key for security
             const updatedUser = new UserModel(
                 currentUser.id,
                 currentUser.email, // Email cannot be changed
@@ -222,8 +641,7 @@ export class APIUserController {
                 currentUser.role, // Role cannot be changed by user
                 firstName || currentUser.firstName,
                 lastName || currentUser.lastName,
-                currentUser.deleted,
-                password ? null : currentUser.authenticationKey // Invalidate key if password changes
+                currentUser.deleted
             );
 
             // Hash password if it was provided
@@ -235,6 +653,12 @@ export class APIUserController {
             // Update the user in the database
             await UserModel.update(updatedUser);
 
+            // If password changes, log the user out of the API on every device for security
+            if (password) {
+                await ApiTokenModel.revokeByUserId(currentUser.id);
+                await RefreshTokenModel.revokeByUserId(currentUser.id);
+            }
+
             // Fetch updated user to return fresh data
             const updatedUserFromDb = await UserModel.getById(currentUser.id);
 
@@ -263,4 +687,191 @@ export class APIUserController {
             });
         }
     }
-}
+
+    /**
+     * @openapi
+     * /users/self/calendar-feed:
+     *   get:
+     *     summary: "Get current user's calendar feed URL"
+     *     tags: [Users]
+     *     description: "Returns the secret URL for subscribing to the authenticated user's sessions (trainers) or bookings (members) from Google Calendar, Apple Calendar or Outlook. The feed is created the first time it is requested."
+     *     security:
+     *       - apiKey: []
+     *       - bearerAuth: []
+     *     responses:
+     *       200:
+     *         $ref: '#/components/responses/CalendarFeedResponse'
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       500:
+     *         $ref: '#/components/responses/InternalServerError'
+     *   post:
+     *     summary: "Regenerate current user's calendar feed URL"
+     *     tags: [Users]
+     *     description: "Revokes the authenticated user's calendar feed URL and returns a new one. Calendars subscribed to the old URL stop updating."
+     *     security:
+     *       - apiKey: []
+     *       - bearerAuth: []
+     *     responses:
+     *       200:
+     *         $ref: '#/components/responses/CalendarFeedResponse'
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       500:
+     *         $ref: '#/components/responses/InternalServerError'
+     */
+    static async getCalendarFeed(req, res) {
+        try {
+            const feed = await CalendarFeedModel.getOrCreateByUserId(req.authenticatedUser.id);
+            res.status(200).json(buildFeedUrls(req, feed.token));
+        } catch (error) {
+            console.error("Error fetching calendar feed:", error);
+            res.status(500).json({
+                message: "Failed to retrieve calendar feed"
+            });
+        }
+    }
+
+    static async regenerateCalendarFeed(req, res) {
+        try {
+            const feed = await CalendarFeedModel.regenerate(req.authenticatedUser.id);
+            res.status(200).json(buildFeedUrls(req, feed.token));
+        } catch (error) {
+            console.error("Error regenerating calendar feed:", error);
+            res.status(500).json({
+                message: "Failed to regenerate calendar feed"
+            });
+        }
+    }
+
+    /**
+     * @openapi
+     * /users/self/devices:
+     *   get:
+     *     summary: "List current user's logged-in devices"
+     *     tags: [Users]
+     *     description: "Returns each device (API key) that is logged in to the authenticated user's account and hasn't expired, most recently used first. The device making the request is marked as current. Keys themselves are never returned."
+     *     security:
+     *       - apiKey: []
+     *       - bearerAuth: []
+     *     responses:
+     *       200:
+     *         $ref: '#/components/responses/ApiTokenList'
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       500:
+     *         $ref: '#/components/responses/InternalServerError'
+     */
+    static async getDevices(req, res) {
+        try {
+            const tokens = await ApiTokenModel.getActiveByUserId(req.authenticatedUser.id);
+            res.status(200).json(tokens.map(token => ({
+                id: token.id,
+                label: token.label,
+                createdAt: token.createdAt,
+                lastUsedAt: token.lastUsedAt,
+                expiresAt: token.expiresAt,
+                current: token.id === req.apiToken?.id
+            })));
+        } catch (error) {
+            console.error("Error fetching devices:", error);
+            res.status(500).json({
+                message: "Failed to retrieve devices"
+            });
+        }
+    }
+
+    /**
+     * @openapi
+     * /users/self/devices/{id}:
+     *   delete:
+     *     summary: "Log out one of current user's devices"
+     *     tags: [Users]
+     *     description: "Revokes a device's API key, so it has to log in again. Revoking the current device logs it out."
+     *     security:
+     *       - apiKey: []
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *         description: The device ID from the list of logged-in devices
+     *     responses:
+     *       200:
+     *         $ref: '#/components/responses/SuccessMessage'
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       404:
+     *         $ref: '#/components/responses/NotFound'
+     *       500:
+     *         $ref: '#/components/responses/InternalServerError'
+     */
+    static async revokeDevice(req, res) {
+        try {
+            // Scoped to the authenticated user, so other users' devices are reported as not found
+            if (await ApiTokenModel.revoke(req.params.id, req.authenticatedUser.id)) {
+                res.status(200).json({
+                    message: "Device logged out"
+                });
+            } else {
+                res.status(404).json({
+                    message: "Device not found"
+                });
+            }
+        } catch (error) {
+            console.error("Error revoking device:", error);
+            res.status(500).json({
+                message: "Failed to log out device"
+            });
+        }
+    }
+
+    /**
+     * Helper method to transform a membership into the API response format
+     * @param {MembershipModel} membership - The membership, loaded with its plan
+     * @returns {Object} Membership with its plan details and remaining credits
+     */
+    static transformMembership(membership) {
+        return {
+            id: membership.id,
+            planName: membership.plan.name,
+            offPeakOnly: !!membership.plan.offPeakOnly,
+            startDate: membership.startDate,
+            expiryDate: membership.expiryDate,
+            credits: membership.plan.credits,
+            creditsRemaining: membership.creditsRemaining
+        };
+    }
+
+    /**
+     * @openapi
+     * /users/self/memberships:
+     *   get:
+     *     summary: "Get current user's memberships"
+     *     tags: [Users]
+     *     description: "Returns the authenticated member's current and upcoming memberships, latest expiry first, with the class pack credits remaining. Expired and ended memberships are left out. Users who are not members have none."
+     *     security:
+     *       - apiKey: []
+     *       - bearerAuth: []
+     *     responses:
+     *       200:
+     *         $ref: '#/components/responses/MembershipList'
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       500:
+     *         $ref: '#/components/responses/InternalServerError'
+     */
+    static async getMemberships(req, res) {
+        try {
+            const memberships = await MembershipModel.getByUserId(req.authenticatedUser.id, true);
+            res.status(200).json(memberships.map(membership => APIUserController.transformMembership(membership)));
+        } catch (error) {
+            console.error("Error fetching memberships:", error);
+            res.status(500).json({
+                message: "Failed to retrieve memberships"
+            });
+        }
+    }
+}
\ No newline at end of file
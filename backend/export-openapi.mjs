@@ -3,10 +3,14 @@ import yaml from "js-yaml";
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
+import { loadFrontendConfig } from "../config/index.mjs";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Only the API's address is needed here, so the docs can be exported without the backend's secrets
+const config = loadFrontendConfig();
+
 // Load components from YAML file
 let componentsFromFile = {};
 try {
@@ -28,17 +32,24 @@ const options = {
         },
         servers: [
             {
-                url: "http://localhost:8080/api",
-                description: "Local development server"
+                url: config.apiUrl,
+                description: `Backend (${config.profile} profile)`
             }
         ],
         components: {
+            // Token lifetimes are backend settings, so the exported docs name the setting instead of a value
             securitySchemes: {
                 apiKey: {
                     type: "apiKey",
                     in: "header",
                     name: "x-auth-key",
-                    description: "API key for authentication"
+                    description: "API key from /login - one per device, expiring after API_TOKEN_LIFETIME_DAYS days"
+                },
+                bearerAuth: {
+                    type: "http",
+                    scheme: "bearer",
+                    bearerFormat: "JWT",
+                    description: "Access token from /token - a JWT that expires after JWT_ACCESS_TOKEN_MINUTES minutes (refresh it at /token)"
                 }
             },
             schemas: {
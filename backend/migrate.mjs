@@ -0,0 +1,57 @@
+import { connect, getStatus, migrateUp, migrateDown, markApplied } from "./utils/migrations.mjs";
+
+// Database migrations (see migrations/ and utils/migrations.mjs)
+//   node migrate.mjs up [version]        Apply pending migrations (up to and including version)
+//   node migrate.mjs down [steps]        Undo the last migration (or the last steps migrations)
+//   node migrate.mjs status              List migrations and whether each is applied
+//   node migrate.mjs mark-applied <version>
+//                                        Record migrations up to version as applied without running them,
+//                                        for a database set up before migrations were tracked
+
+const usage = "Usage: node migrate.mjs up [version] | down [steps] | status | mark-applied <version>";
+const [command = "up", argument] = process.argv.slice(2);
+
+if (argument !== undefined && !/^\d+$/.test(argument)) {
+    console.error(usage);
+    process.exit(1);
+}
+const version = argument === undefined ? null : argument.padStart(3, "0");
+
+const connection = await connect();
+try {
+    switch (command) {
+        case "up": {
+            const count = await migrateUp(connection, version, line => console.log(line));
+            console.log(count > 0 ? `✅ Applied ${count} migration(s)` : "✅ Database is up to date");
+            break;
+        }
+        case "down": {
+            const count = await migrateDown(connection, argument === undefined ? 1 : Number(argument), line => console.log(line));
+            console.log(count > 0 ? `✅ Reverted ${count} migration(s)` : "✅ No migrations to revert");
+            break;
+        }
+        case "status":
+            for (const migration of await getStatus(connection)) {
+                console.log(`${migration.appliedAt ? "✅" : "⏳"} ${migration.version}_${migration.name}${migration.appliedAt ? ` (applied ${migration.appliedAt})` : ""}`);
+            }
+            break;
+        case "mark-applied": {
+            if (version === null) {
+                console.error(usage);
+                process.exitCode = 1;
+                break;
+            }
+            const count = await markApplied(connection, version);
+            console.log(`✅ Recorded ${count} migration(s) as applied`);
+            break;
+        }
+        default:
+            console.error(usage);
+            process.exitCode = 1;
+    }
+} catch (error) {
+    console.error("❌ Migration failed:", error.message);
+    process.exitCode = 1;
+} finally {
+    await connection.end();
+}
@@ -0,0 +1,91 @@
+-- Initial schema
+-- The tables the gym started with: users (members, trainers and admins),
+-- activities, locations, the sessions that put an activity, a trainer and a
+-- location together at a date and time, members' bookings on those sessions,
+-- and blog posts. Rows are soft deleted (deleted = 1) so history is kept.
+-- Everything added since is in the numbered migrations that follow.
+
+-- migrate:up
+
+CREATE TABLE users (
+    id INT NOT NULL AUTO_INCREMENT,
+    email VARCHAR(255) NOT NULL,
+    password VARCHAR(255) NOT NULL,
+    role ENUM('member', 'trainer', 'admin') NOT NULL DEFAULT 'member',
+    first_name VARCHAR(100) NOT NULL,
+    last_name VARCHAR(100) NOT NULL,
+    authentication_key VARCHAR(255) NULL,
+    deleted TINYINT(1) NOT NULL DEFAULT 0,
+    PRIMARY KEY (id),
+    KEY idx_users_email (email, deleted),
+    KEY idx_users_role (role, deleted),
+    KEY idx_users_authentication_key (authentication_key)
+);
+
+CREATE TABLE activities (
+    id INT NOT NULL AUTO_INCREMENT,
+    name VARCHAR(100) NOT NULL,
+    description TEXT NULL,
+    deleted TINYINT(1) NOT NULL DEFAULT 0,
+    PRIMARY KEY (id)
+);
+
+CREATE TABLE locations (
+    id INT NOT NULL AUTO_INCREMENT,
+    name VARCHAR(100) NOT NULL,
+    address VARCHAR(255) NOT NULL,
+    deleted TINYINT(1) NOT NULL DEFAULT 0,
+    PRIMARY KEY (id)
+);
+
+CREATE TABLE sessions (
+    id INT NOT NULL AUTO_INCREMENT,
+    activity_id INT NOT NULL,
+    trainer_id INT NOT NULL,
+    location_id INT NOT NULL,
+    session_date DATE NOT NULL,
+    session_time TIME NOT NULL,
+    deleted TINYINT(1) NOT NULL DEFAULT 0,
+    PRIMARY KEY (id),
+    KEY idx_sessions_date (session_date, session_time),
+    KEY idx_sessions_activity (activity_id),
+    KEY idx_sessions_trainer (trainer_id),
+    KEY idx_sessions_location (location_id),
+    CONSTRAINT fk_sessions_activity FOREIGN KEY (activity_id) REFERENCES activities (id),
+    CONSTRAINT fk_sessions_trainer FOREIGN KEY (trainer_id) REFERENCES users (id),
+    CONSTRAINT fk_sessions_location FOREIGN KEY (location_id) REFERENCES locations (id)
+);
+
+CREATE TABLE bookings (
+    id INT NOT NULL AUTO_INCREMENT,
+    member_id INT NOT NULL,
+    session_id INT NOT NULL,
+    deleted TINYINT(1) NOT NULL DEFAULT 0,
+    PRIMARY KEY (id),
+    KEY idx_bookings_member (member_id, deleted),
+    KEY idx_bookings_session (session_id, deleted),
+    CONSTRAINT fk_bookings_member FOREIGN KEY (member_id) REFERENCES users (id),
+    CONSTRAINT fk_bookings_session FOREIGN KEY (session_id) REFERENCES sessions (id)
+);
+
+CREATE TABLE blogs (
+    id INT NOT NULL AUTO_INCREMENT,
+    title VARCHAR(255) NOT NULL,
+    content TEXT NOT NULL,
+    author_id INT NOT NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    deleted TINYINT(1) NOT NULL DEFAULT 0,
+    PRIMARY KEY (id),
+    KEY idx_blogs_author (author_id, deleted),
+    KEY idx_blogs_created (deleted, created_at),
+    CONSTRAINT fk_blogs_author FOREIGN KEY (author_id) REFERENCES users (id)
+);
+
+-- migrate:down
+
+DROP TABLE blogs;
+DROP TABLE bookings;
+DROP TABLE sessions;
+DROP TABLE locations;
+DROP TABLE activities;
+DROP TABLE users;
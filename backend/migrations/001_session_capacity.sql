@@ -0,0 +1,15 @@
+-- Session capacity limits
+-- A NULL capacity means unlimited places. New sessions default to the smaller
+-- of the activity default capacity and the location capacity.
+
+-- migrate:up
+
+ALTER TABLE activities ADD COLUMN default_capacity INT NULL AFTER description;
+ALTER TABLE locations ADD COLUMN capacity INT NULL AFTER address;
+ALTER TABLE sessions ADD COLUMN capacity INT NULL AFTER session_time;
+
+-- migrate:down
+
+ALTER TABLE sessions DROP COLUMN capacity;
+ALTER TABLE locations DROP COLUMN capacity;
+ALTER TABLE activities DROP COLUMN default_capacity;
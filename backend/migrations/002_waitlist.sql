@@ -0,0 +1,22 @@
+-- Waitlist for full sessions
+-- Entries are promoted to bookings in id order (first in, first out) when a
+-- spot frees up. Promoted or abandoned entries are closed with deleted = 1.
+
+-- migrate:up
+
+CREATE TABLE waitlist_entries (
+    id INT NOT NULL AUTO_INCREMENT,
+    member_id INT NOT NULL,
+    session_id INT NOT NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    deleted TINYINT(1) NOT NULL DEFAULT 0,
+    PRIMARY KEY (id),
+    KEY idx_waitlist_entries_session (session_id, deleted),
+    KEY idx_waitlist_entries_member (member_id, deleted),
+    CONSTRAINT fk_waitlist_entries_member FOREIGN KEY (member_id) REFERENCES users (id),
+    CONSTRAINT fk_waitlist_entries_session FOREIGN KEY (session_id) REFERENCES sessions (id)
+);
+
+-- migrate:down
+
+DROP TABLE waitlist_entries;
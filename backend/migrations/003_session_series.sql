@@ -0,0 +1,37 @@
+-- Recurring session series
+-- A series is the template for a weekly session; each occurrence is still an
+-- ordinary row in sessions (linked by series_id) so bookings keep working.
+-- weekdays holds a comma-separated list of day numbers (0 = Sunday ... 6 = Saturday).
+
+-- migrate:up
+
+CREATE TABLE session_series (
+    id INT NOT NULL AUTO_INCREMENT,
+    activity_id INT NOT NULL,
+    trainer_id INT NOT NULL,
+    location_id INT NOT NULL,
+    session_time TIME NOT NULL,
+    weekdays VARCHAR(20) NOT NULL,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    capacity INT NULL,
+    deleted TINYINT(1) NOT NULL DEFAULT 0,
+    PRIMARY KEY (id),
+    CONSTRAINT fk_session_series_activity FOREIGN KEY (activity_id) REFERENCES activities (id),
+    CONSTRAINT fk_session_series_trainer FOREIGN KEY (trainer_id) REFERENCES users (id),
+    CONSTRAINT fk_session_series_location FOREIGN KEY (location_id) REFERENCES locations (id)
+);
+
+ALTER TABLE sessions
+    ADD COLUMN series_id INT NULL,
+    ADD KEY idx_sessions_series (series_id, session_date),
+    ADD CONSTRAINT fk_sessions_series FOREIGN KEY (series_id) REFERENCES session_series (id);
+
+-- migrate:down
+
+ALTER TABLE sessions DROP FOREIGN KEY fk_sessions_series;
+ALTER TABLE sessions
+    DROP KEY idx_sessions_series,
+    DROP COLUMN series_id;
+
+DROP TABLE session_series;
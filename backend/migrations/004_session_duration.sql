@@ -0,0 +1,24 @@
+-- Session duration
+-- Every session runs for duration_minutes from its start time. New sessions
+-- are rejected when that range overlaps another session for the same trainer
+-- or at the same location. Existing sessions are assumed to run for an hour.
+
+-- migrate:up
+
+ALTER TABLE sessions
+    ADD COLUMN duration_minutes INT NOT NULL DEFAULT 60 AFTER session_time,
+    ADD KEY idx_sessions_trainer_date (trainer_id, session_date),
+    ADD KEY idx_sessions_location_date (location_id, session_date);
+
+ALTER TABLE session_series
+    ADD COLUMN duration_minutes INT NOT NULL DEFAULT 60 AFTER session_time;
+
+-- migrate:down
+
+ALTER TABLE session_series
+    DROP COLUMN duration_minutes;
+
+ALTER TABLE sessions
+    DROP KEY idx_sessions_location_date,
+    DROP KEY idx_sessions_trainer_date,
+    DROP COLUMN duration_minutes;
@@ -0,0 +1,35 @@
+-- Calendar exports and subscription feeds
+-- updated_at lets exported events carry a LAST-MODIFIED time, so calendar apps
+-- pick up changes to sessions and bookings they already know about.
+-- Each user has at most one active feed; creating a new link soft deletes the
+-- old one (deleted = 1), which stops it from working.
+
+-- migrate:up
+
+ALTER TABLE sessions
+    ADD COLUMN updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP;
+
+ALTER TABLE bookings
+    ADD COLUMN updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP;
+
+CREATE TABLE calendar_feeds (
+    id INT NOT NULL AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    token VARCHAR(64) NOT NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    deleted TINYINT(1) NOT NULL DEFAULT 0,
+    PRIMARY KEY (id),
+    UNIQUE KEY uq_calendar_feeds_token (token),
+    KEY idx_calendar_feeds_user (user_id, deleted),
+    CONSTRAINT fk_calendar_feeds_user FOREIGN KEY (user_id) REFERENCES users (id)
+);
+
+-- migrate:down
+
+DROP TABLE calendar_feeds;
+
+ALTER TABLE bookings
+    DROP COLUMN updated_at;
+
+ALTER TABLE sessions
+    DROP COLUMN updated_at;
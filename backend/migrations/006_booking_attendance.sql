@@ -0,0 +1,12 @@
+-- Attendance recorded by the session's trainer at check-in
+-- NULL means attendance has not been taken yet for the booking.
+
+-- migrate:up
+
+ALTER TABLE bookings
+    ADD COLUMN attendance ENUM('attended', 'no_show', 'late_cancelled') NULL DEFAULT NULL;
+
+-- migrate:down
+
+ALTER TABLE bookings
+    DROP COLUMN attendance;
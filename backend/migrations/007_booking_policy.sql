@@ -0,0 +1,28 @@
+-- Booking policy: cancellation cut-off, no-show strikes and suspensions
+-- A single row (id = 1) holds the policy; when it is missing the defaults in
+-- BookingPolicyModel apply. Strikes are bookings whose attendance is no_show
+-- or late_cancelled; admins clear them with strike_cleared = 1 so the
+-- attendance history is kept.
+
+-- migrate:up
+
+ALTER TABLE bookings
+    ADD COLUMN strike_cleared TINYINT(1) NOT NULL DEFAULT 0;
+
+CREATE TABLE booking_policy (
+    id INT NOT NULL,
+    cancellation_cutoff_minutes INT NOT NULL DEFAULT 120,
+    strike_limit INT NOT NULL DEFAULT 3,
+    strike_window_days INT NOT NULL DEFAULT 30,
+    suspension_days INT NOT NULL DEFAULT 7,
+    PRIMARY KEY (id)
+);
+
+INSERT INTO booking_policy (id) VALUES (1);
+
+-- migrate:down
+
+DROP TABLE booking_policy;
+
+ALTER TABLE bookings
+    DROP COLUMN strike_cleared;
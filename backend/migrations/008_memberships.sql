@@ -0,0 +1,57 @@
+-- Membership plans and booking entitlements
+-- Members book sessions against a membership: unlimited plans book freely,
+-- class packs spend one credit per booking (refunded when the booking is
+-- cancelled before the cut-off or the session is cancelled), and off-peak
+-- plans only cover sessions outside the peak hours in MembershipPlanModel.
+-- bookings.membership_id records which membership paid for the booking; it is
+-- cleared once the credit has been refunded.
+
+-- migrate:up
+
+CREATE TABLE membership_plans (
+    id INT NOT NULL AUTO_INCREMENT,
+    name VARCHAR(100) NOT NULL,
+    credits INT NULL,
+    duration_days INT NOT NULL,
+    off_peak_only TINYINT(1) NOT NULL DEFAULT 0,
+    deleted TINYINT(1) NOT NULL DEFAULT 0,
+    PRIMARY KEY (id)
+);
+
+CREATE TABLE memberships (
+    id INT NOT NULL AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    plan_id INT NOT NULL,
+    start_date DATE NOT NULL,
+    expiry_date DATE NOT NULL,
+    credits_remaining INT NULL,
+    deleted TINYINT(1) NOT NULL DEFAULT 0,
+    PRIMARY KEY (id),
+    KEY idx_memberships_user (user_id, deleted),
+    CONSTRAINT fk_memberships_user FOREIGN KEY (user_id) REFERENCES users (id),
+    CONSTRAINT fk_memberships_plan FOREIGN KEY (plan_id) REFERENCES membership_plans (id)
+);
+
+ALTER TABLE bookings
+    ADD COLUMN membership_id INT NULL,
+    ADD CONSTRAINT fk_bookings_membership FOREIGN KEY (membership_id) REFERENCES memberships (id);
+
+INSERT INTO membership_plans (name, credits, duration_days, off_peak_only) VALUES
+    ('Unlimited', NULL, 30, 0),
+    ('10-Class Pack', 10, 90, 0),
+    ('Off-Peak', NULL, 30, 1);
+
+-- Existing members keep booking as before on an open-ended unlimited membership
+INSERT INTO memberships (user_id, plan_id, start_date, expiry_date, credits_remaining)
+SELECT users.id, membership_plans.id, CURDATE(), DATE_ADD(CURDATE(), INTERVAL 30 DAY), NULL
+FROM users
+INNER JOIN membership_plans ON membership_plans.name = 'Unlimited'
+WHERE users.role = 'member' AND users.deleted = 0;
+
+-- migrate:down
+
+ALTER TABLE bookings DROP FOREIGN KEY fk_bookings_membership;
+ALTER TABLE bookings DROP COLUMN membership_id;
+
+DROP TABLE memberships;
+DROP TABLE membership_plans;
@@ -0,0 +1,44 @@
+-- Payments: invoices and membership prices
+-- Every charge raises an invoice, paid or declined. A paid invoice is the
+-- member's receipt; it links to the membership or drop-in booking it bought,
+-- and cancelling a drop-in booking before the cut-off refunds it through the
+-- same provider (provider + transaction_id).
+
+-- migrate:up
+
+ALTER TABLE membership_plans
+    ADD COLUMN price_cents INT NULL;
+
+UPDATE membership_plans SET price_cents = 8900 WHERE name = 'Unlimited';
+UPDATE membership_plans SET price_cents = 15000 WHERE name = '10-Class Pack';
+UPDATE membership_plans SET price_cents = 5900 WHERE name = 'Off-Peak';
+
+CREATE TABLE invoices (
+    id INT NOT NULL AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    booking_id INT NULL,
+    membership_id INT NULL,
+    description VARCHAR(255) NOT NULL,
+    amount_cents INT NOT NULL,
+    currency CHAR(3) NOT NULL,
+    status ENUM('pending', 'paid', 'declined', 'refunded') NOT NULL DEFAULT 'pending',
+    provider VARCHAR(50) NOT NULL,
+    transaction_id VARCHAR(100) NULL,
+    refund_id VARCHAR(100) NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    paid_at DATETIME NULL,
+    refunded_at DATETIME NULL,
+    PRIMARY KEY (id),
+    KEY idx_invoices_user (user_id, status),
+    KEY idx_invoices_booking (booking_id, status),
+    CONSTRAINT fk_invoices_user FOREIGN KEY (user_id) REFERENCES users (id),
+    CONSTRAINT fk_invoices_booking FOREIGN KEY (booking_id) REFERENCES bookings (id),
+    CONSTRAINT fk_invoices_membership FOREIGN KEY (membership_id) REFERENCES memberships (id)
+);
+
+-- migrate:down
+
+DROP TABLE invoices;
+
+ALTER TABLE membership_plans
+    DROP COLUMN price_cents;
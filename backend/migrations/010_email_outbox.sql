@@ -0,0 +1,31 @@
+-- Email outbox
+-- Notifications are queued here and sent by the outbox worker through SMTP
+-- (a local catcher such as Mailpit or MailHog on port 1025 in development).
+-- Failed sends are retried with a growing delay until max attempts, then left
+-- as 'failed' for inspection. dedupe_key stops the same notification (e.g. a
+-- reminder for one booking) being queued twice.
+
+-- migrate:up
+
+CREATE TABLE email_outbox (
+    id INT NOT NULL AUTO_INCREMENT,
+    to_address VARCHAR(255) NOT NULL,
+    subject VARCHAR(255) NOT NULL,
+    template VARCHAR(100) NOT NULL,
+    body_html MEDIUMTEXT NOT NULL,
+    body_text MEDIUMTEXT NOT NULL,
+    dedupe_key VARCHAR(191) NULL,
+    status ENUM('pending', 'sent', 'failed') NOT NULL DEFAULT 'pending',
+    attempts INT NOT NULL DEFAULT 0,
+    last_error TEXT NULL,
+    next_attempt_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    sent_at DATETIME NULL,
+    PRIMARY KEY (id),
+    UNIQUE KEY uq_email_outbox_dedupe (dedupe_key),
+    KEY idx_email_outbox_due (status, next_attempt_at)
+);
+
+-- migrate:down
+
+DROP TABLE email_outbox;
@@ -0,0 +1,27 @@
+-- Scheduled jobs
+-- One row per background job (email outbox, session reminders, trainer
+-- rosters). next_run_at is kept here rather than in memory so the schedule
+-- survives restarts - a job that was due while the server was down runs as
+-- soon as it starts again. A process must claim a job's lock (locked_by and
+-- locked_until) before running it, so when several backend processes share
+-- the database each run happens once. The lock expires after a while in case
+-- the process holding it dies. Rows are created by the scheduler on start-up.
+-- Times are gym local time (Australia/Brisbane), like session dates and times.
+
+-- migrate:up
+
+CREATE TABLE scheduled_jobs (
+    name VARCHAR(100) NOT NULL,
+    next_run_at DATETIME NOT NULL,
+    locked_by VARCHAR(100) NULL,
+    locked_until DATETIME NULL,
+    last_started_at DATETIME NULL,
+    last_finished_at DATETIME NULL,
+    last_status ENUM('succeeded', 'failed') NULL,
+    last_error TEXT NULL,
+    PRIMARY KEY (name)
+);
+
+-- migrate:down
+
+DROP TABLE scheduled_jobs;
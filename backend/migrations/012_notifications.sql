@@ -0,0 +1,26 @@
+-- In-app notifications
+-- The notification centre in the React app (bell in the header) lists these.
+-- They are written alongside the emails for booking confirmations, waitlist
+-- promotions, session changes and cancellations, and for new blog posts.
+-- link is the frontend route the notification opens (e.g. /bookings), and
+-- read_at is NULL until the user has read it.
+
+-- migrate:up
+
+CREATE TABLE notifications (
+    id INT NOT NULL AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    type ENUM('booking_confirmed', 'waitlist_promoted', 'session_changed', 'session_cancelled', 'blog_post') NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    message TEXT NOT NULL,
+    link VARCHAR(255) NULL,
+    read_at DATETIME NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (id),
+    KEY idx_notifications_user (user_id, read_at),
+    CONSTRAINT fk_notifications_user FOREIGN KEY (user_id) REFERENCES users (id)
+);
+
+-- migrate:down
+
+DROP TABLE notifications;
@@ -0,0 +1,32 @@
+-- Password reset tokens
+-- "Forgot password" emails a link carrying a random token; only its SHA-256
+-- hash is stored here, so the database alone cannot be used to reset anyone's
+-- password. A token works once (used_at is set when it is redeemed, or when a
+-- newer link is requested) and only until expires_at.
+-- session_version is bumped when a password is reset. Web sessions remember the
+-- version they logged in with, so bumping it logs the user out everywhere.
+
+-- migrate:up
+
+CREATE TABLE password_reset_tokens (
+    id INT NOT NULL AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    token_hash CHAR(64) NOT NULL,
+    expires_at DATETIME NOT NULL,
+    used_at DATETIME NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (id),
+    UNIQUE KEY uq_password_reset_tokens_hash (token_hash),
+    KEY idx_password_reset_tokens_user (user_id, used_at),
+    CONSTRAINT fk_password_reset_tokens_user FOREIGN KEY (user_id) REFERENCES users (id)
+);
+
+ALTER TABLE users
+    ADD COLUMN session_version INT NOT NULL DEFAULT 0;
+
+-- migrate:down
+
+ALTER TABLE users
+    DROP COLUMN session_version;
+
+DROP TABLE password_reset_tokens;
@@ -0,0 +1,34 @@
+-- Email address verification
+-- New accounts start unverified (email_verified_at is NULL) and are emailed a
+-- link carrying a random token; as with password resets only the token's
+-- SHA-256 hash is stored. Members can't book until they follow the link, and
+-- admins can resend it or verify an account by hand from the users page.
+-- Accounts that already exist were created before verification, so they are
+-- treated as verified.
+
+-- migrate:up
+
+ALTER TABLE users
+    ADD COLUMN email_verified_at DATETIME NULL;
+
+UPDATE users SET email_verified_at = NOW();
+
+CREATE TABLE email_verification_tokens (
+    id INT NOT NULL AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    token_hash CHAR(64) NOT NULL,
+    expires_at DATETIME NOT NULL,
+    used_at DATETIME NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (id),
+    UNIQUE KEY uq_email_verification_tokens_hash (token_hash),
+    KEY idx_email_verification_tokens_user (user_id, used_at),
+    CONSTRAINT fk_email_verification_tokens_user FOREIGN KEY (user_id) REFERENCES users (id)
+);
+
+-- migrate:down
+
+DROP TABLE email_verification_tokens;
+
+ALTER TABLE users
+    DROP COLUMN email_verified_at;
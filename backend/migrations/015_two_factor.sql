@@ -0,0 +1,62 @@
+-- Two-factor authentication (TOTP, RFC 6238)
+-- totp_secret is the base32 secret shared with the user's authenticator app.
+-- It is saved when enrolment starts, but 2FA is only switched on
+-- (totp_enabled_at set) once the user has entered a code from the app.
+-- totp_last_step is the time step of the last code accepted, so a code can't
+-- be used twice.
+-- Recovery codes are single use and, like password reset tokens, only their
+-- SHA-256 hash is stored.
+-- API logins for users with 2FA get a short-lived challenge token after the
+-- password check, which is swapped for an API key together with a code.
+-- A single row (id = 1) in two_factor_policy holds the admin setting that
+-- makes 2FA mandatory for trainers and admins.
+
+-- migrate:up
+
+ALTER TABLE users
+    ADD COLUMN totp_secret VARCHAR(64) NULL,
+    ADD COLUMN totp_enabled_at DATETIME NULL,
+    ADD COLUMN totp_last_step BIGINT NULL;
+
+CREATE TABLE two_factor_recovery_codes (
+    id INT NOT NULL AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    code_hash CHAR(64) NOT NULL,
+    used_at DATETIME NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (id),
+    KEY idx_two_factor_recovery_codes_user (user_id, used_at),
+    CONSTRAINT fk_two_factor_recovery_codes_user FOREIGN KEY (user_id) REFERENCES users (id)
+);
+
+CREATE TABLE two_factor_challenges (
+    id INT NOT NULL AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    token_hash CHAR(64) NOT NULL,
+    failed_attempts INT NOT NULL DEFAULT 0,
+    expires_at DATETIME NOT NULL,
+    used_at DATETIME NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (id),
+    UNIQUE KEY uq_two_factor_challenges_hash (token_hash),
+    CONSTRAINT fk_two_factor_challenges_user FOREIGN KEY (user_id) REFERENCES users (id)
+);
+
+CREATE TABLE two_factor_policy (
+    id INT NOT NULL,
+    required_for_staff TINYINT(1) NOT NULL DEFAULT 0,
+    PRIMARY KEY (id)
+);
+
+INSERT INTO two_factor_policy (id) VALUES (1);
+
+-- migrate:down
+
+DROP TABLE two_factor_policy;
+DROP TABLE two_factor_challenges;
+DROP TABLE two_factor_recovery_codes;
+
+ALTER TABLE users
+    DROP COLUMN totp_last_step,
+    DROP COLUMN totp_enabled_at,
+    DROP COLUMN totp_secret;
@@ -0,0 +1,41 @@
+-- API tokens (one per device)
+-- Each API login creates its own token instead of overwriting the single
+-- authentication_key on the users row, so logging in on a phone no longer logs
+-- out the laptop. As with password reset links only the token's SHA-256 hash is
+-- stored. Tokens expire (API_TOKEN_LIFETIME_DAYS, 30 by default) and members can
+-- see and revoke their logged-in devices from their profile.
+-- Keys that are in use today are carried over so nobody is logged out.
+
+-- migrate:up
+
+CREATE TABLE api_tokens (
+    id INT NOT NULL AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    token_hash CHAR(64) NOT NULL,
+    label VARCHAR(100) NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    last_used_at DATETIME NULL,
+    expires_at DATETIME NOT NULL,
+    revoked_at DATETIME NULL,
+    PRIMARY KEY (id),
+    UNIQUE KEY uq_api_tokens_hash (token_hash),
+    KEY idx_api_tokens_user (user_id, revoked_at, expires_at),
+    CONSTRAINT fk_api_tokens_user FOREIGN KEY (user_id) REFERENCES users (id)
+);
+
+INSERT INTO api_tokens (user_id, token_hash, label, expires_at)
+SELECT id, SHA2(authentication_key, 256), 'Existing login', NOW() + INTERVAL 30 DAY
+FROM users
+WHERE authentication_key IS NOT NULL AND deleted = 0;
+
+ALTER TABLE users
+    DROP COLUMN authentication_key;
+
+-- migrate:down
+
+-- Only the tokens' hashes are stored, so API users have to log in again
+ALTER TABLE users
+    ADD COLUMN authentication_key VARCHAR(255) NULL AFTER last_name,
+    ADD KEY idx_users_authentication_key (authentication_key);
+
+DROP TABLE api_tokens;
@@ -0,0 +1,31 @@
+-- JWT refresh tokens
+-- Integrations can log in at /api/token and send "Authorization: Bearer" access
+-- tokens instead of the x-auth-key header. Access tokens are signed JWTs that
+-- expire after a few minutes and are never stored. Refresh tokens are stored as
+-- SHA-256 hashes and are single-use: each refresh marks the old token rotated
+-- and issues a new one in the same family. If a rotated token is ever presented
+-- again it has been stolen or replayed, so the whole family is revoked and the
+-- client has to log in again.
+
+-- migrate:up
+
+CREATE TABLE refresh_tokens (
+    id INT NOT NULL AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    family_id CHAR(32) NOT NULL,
+    token_hash CHAR(64) NOT NULL,
+    label VARCHAR(100) NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME NOT NULL,
+    rotated_at DATETIME NULL,
+    revoked_at DATETIME NULL,
+    PRIMARY KEY (id),
+    UNIQUE KEY uq_refresh_tokens_hash (token_hash),
+    KEY idx_refresh_tokens_family (family_id),
+    KEY idx_refresh_tokens_user (user_id, revoked_at),
+    CONSTRAINT fk_refresh_tokens_user FOREIGN KEY (user_id) REFERENCES users (id)
+);
+
+-- migrate:down
+
+DROP TABLE refresh_tokens;
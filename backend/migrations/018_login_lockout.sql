@@ -0,0 +1,35 @@
+-- Login brute-force protection
+-- Failed logins are counted per account; after LOGIN_MAX_FAILED_ATTEMPTS (5 by
+-- default) in a row the account is locked until locked_until
+-- (LOGIN_LOCKOUT_MINUTES, 15 by default) and the user is emailed a link that
+-- unlocks it straight away. As with password resets only the link token's
+-- SHA-256 hash is stored. Admins can also unlock accounts from the users page,
+-- and resetting the password unlocks the account. Per-IP limits and the short
+-- progressive delays between guesses are kept in memory by the backend.
+
+-- migrate:up
+
+ALTER TABLE users
+    ADD COLUMN failed_login_count INT NOT NULL DEFAULT 0,
+    ADD COLUMN locked_until DATETIME NULL;
+
+CREATE TABLE account_unlock_tokens (
+    id INT NOT NULL AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    token_hash CHAR(64) NOT NULL,
+    expires_at DATETIME NOT NULL,
+    used_at DATETIME NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (id),
+    UNIQUE KEY uq_account_unlock_tokens_hash (token_hash),
+    KEY idx_account_unlock_tokens_user (user_id, used_at),
+    CONSTRAINT fk_account_unlock_tokens_user FOREIGN KEY (user_id) REFERENCES users (id)
+);
+
+-- migrate:down
+
+DROP TABLE account_unlock_tokens;
+
+ALTER TABLE users
+    DROP COLUMN locked_until,
+    DROP COLUMN failed_login_count;
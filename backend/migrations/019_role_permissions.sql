@@ -0,0 +1,42 @@
+-- Role permissions
+-- What each role can do is a bundle of named permissions (e.g. sessions.manage,
+-- bookings.cancel.any) that admins can change from the Roles page, rather
+-- than being fixed in the code. The permission names themselves are listed in
+-- RolePermissionModel.PERMISSIONS; a role has a permission while its row exists.
+-- The rows below give each role the access it had before.
+
+-- migrate:up
+
+CREATE TABLE role_permissions (
+    role VARCHAR(20) NOT NULL,
+    permission VARCHAR(50) NOT NULL,
+    PRIMARY KEY (role, permission)
+);
+
+INSERT INTO role_permissions (role, permission) VALUES
+    ('member', 'blogs.create'),
+    ('member', 'bookings.create'),
+    ('member', 'bookings.export'),
+    ('member', 'memberships.purchase'),
+    ('trainer', 'blogs.create'),
+    ('trainer', 'sessions.manage'),
+    ('trainer', 'sessions.export'),
+    ('admin', 'blogs.create'),
+    ('admin', 'blogs.moderate'),
+    ('admin', 'bookings.create'),
+    ('admin', 'bookings.create.any'),
+    ('admin', 'bookings.view.any'),
+    ('admin', 'bookings.cancel.any'),
+    ('admin', 'bookings.export'),
+    ('admin', 'sessions.manage'),
+    ('admin', 'sessions.manage.any'),
+    ('admin', 'sessions.export'),
+    ('admin', 'activities.manage'),
+    ('admin', 'locations.manage'),
+    ('admin', 'users.manage'),
+    ('admin', 'payments.view.any'),
+    ('admin', 'roles.manage');
+
+-- migrate:down
+
+DROP TABLE role_permissions;
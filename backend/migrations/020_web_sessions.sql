@@ -0,0 +1,25 @@
+-- Web sessions
+-- The EJS admin site's express-session data, kept in MySQL rather than in the
+-- server's memory so logins survive restarts and memory doesn't grow with
+-- every visitor. (Named web_sessions because sessions holds the gym's
+-- training sessions.) data is the session as JSON. user_id is copied out of it
+-- when someone is logged in, so an admin can log a user out of every browser.
+-- Sessions expire after a period without use; expired rows are ignored and
+-- pruned by a scheduled job.
+-- Times are gym local time (Australia/Brisbane), like session dates and times.
+
+-- migrate:up
+
+CREATE TABLE web_sessions (
+    sid VARCHAR(128) NOT NULL,
+    user_id INT NULL,
+    data TEXT NOT NULL,
+    expires_at DATETIME NOT NULL,
+    PRIMARY KEY (sid),
+    KEY idx_web_sessions_user (user_id),
+    KEY idx_web_sessions_expires (expires_at)
+);
+
+-- migrate:down
+
+DROP TABLE web_sessions;
@@ -0,0 +1,35 @@
+-- Refund retries
+-- A refund is claimed as 'refund_pending' and sent to the payment provider once
+-- the cancellation that caused it has committed. If the provider refuses or
+-- can't be reached, the refund is retried by a scheduled job with a growing
+-- delay (like the email outbox), and once it runs out of attempts the invoice
+-- is left as 'refund_failed' and the member is told to contact the gym.
+-- refund_error is the provider's reason for the last failure.
+
+-- migrate:up
+
+ALTER TABLE invoices
+    MODIFY COLUMN status ENUM('pending', 'paid', 'declined', 'refund_pending', 'refunded', 'refund_failed') NOT NULL DEFAULT 'pending',
+    ADD COLUMN refund_attempts INT NOT NULL DEFAULT 0,
+    ADD COLUMN refund_error TEXT NULL,
+    ADD COLUMN next_refund_attempt_at DATETIME NULL,
+    ADD KEY idx_invoices_refund_due (status, next_refund_attempt_at);
+
+ALTER TABLE notifications
+    MODIFY COLUMN type ENUM('booking_confirmed', 'waitlist_promoted', 'session_changed', 'session_cancelled', 'blog_post', 'refund_failed') NOT NULL;
+
+-- migrate:down
+
+DELETE FROM notifications WHERE type = 'refund_failed';
+
+ALTER TABLE notifications
+    MODIFY COLUMN type ENUM('booking_confirmed', 'waitlist_promoted', 'session_changed', 'session_cancelled', 'blog_post') NOT NULL;
+
+UPDATE invoices SET status = 'paid', refunded_at = NULL WHERE status IN ('refund_pending', 'refund_failed');
+
+ALTER TABLE invoices
+    DROP KEY idx_invoices_refund_due,
+    DROP COLUMN next_refund_attempt_at,
+    DROP COLUMN refund_error,
+    DROP COLUMN refund_attempts,
+    MODIFY COLUMN status ENUM('pending', 'paid', 'declined', 'refunded') NOT NULL DEFAULT 'pending';
@@ -0,0 +1,106 @@
+import crypto from "crypto";
+import { DatabaseModel } from "./DatabaseModel.mjs";
+
+export class AccountUnlockTokenModel extends DatabaseModel {
+    /**
+     * Constructor to initialize an AccountUnlockTokenModel instance (one "unlock your account" link)
+     * @param {number} id - The unique ID of the token.
+     * @param {number} userId - The ID of the user whose account the token unlocks.
+     * @param {string} tokenHash - The SHA-256 hash (hex) of the token sent in the email. The token itself is never stored.
+     * @param {string} expiresAt - When the link stops working (YYYY-MM-DD HH:MM:SS, gym local time).
+     * @param {string|null} usedAt - When the link was followed or replaced (null while it can still be used).
+     * @param {string|null} createdAt - When the link was sent.
+     */
+    constructor(id, userId, tokenHash, expiresAt, usedAt = null, createdAt = null) {
+        super();
+        this.id = id;
+        this.userId = userId;
+        this.tokenHash = tokenHash;
+        this.expiresAt = expiresAt;
+        this.usedAt = usedAt;
+        this.createdAt = createdAt;
+    }
+
+    /**
+     * Converts a database row to an AccountUnlockTokenModel instance.
+     * @param {Object} row - A database row representing an account unlock token.
+     * @returns {AccountUnlockTokenModel} A new instance of AccountUnlockTokenModel with the provided database row data.
+     */
+    static tableToModel(row) {
+        const data = row.account_unlock_tokens || row; // Handles nested structures if nestTables: true
+        return new AccountUnlockTokenModel(
+            data["id"],
+            data["user_id"],
+            data["token_hash"],
+            data["expires_at"],
+            data["used_at"] ?? null,
+            data["created_at"] ?? null
+        );
+    }
+
+    /**
+     * Hashes a token the way it is stored.
+     * @param {string} token - The token from the unlock link.
+     * @returns {string} The SHA-256 hash of the token (hex).
+     */
+    static hashToken(token) {
+        return crypto.createHash("sha256").update(String(token)).digest("hex");
+    }
+
+    /**
+     * Issues a new unlock token for a user. Any earlier link the user still has stops working.
+     * @param {number} userId - The ID of the user.
+     * @param {number} lifetimeMinutes - How long the link works for.
+     * @returns {Promise<string>} Promise that resolves to the token to send to the user (only its hash is stored).
+     */
+    static async create(userId, lifetimeMinutes) {
+        const token = crypto.randomBytes(32).toString("hex");
+        const expiresAt = DatabaseModel.toMySqlDateTime(new Date(Date.now() + lifetimeMinutes * 60 * 1000));
+        await this.revokeByUserId(userId);
+        await this.query(
+            "INSERT INTO account_unlock_tokens (user_id, token_hash, expires_at, created_at) VALUES (?, ?, ?, ?)",
+            [userId, this.hashToken(token), expiresAt, DatabaseModel.toMySqlDateTime(new Date())]
+        );
+        return token;
+    }
+
+    /**
+     * Retrieves an unused, unexpired token.
+     * @param {string} token - The token from the unlock link.
+     * @returns {Promise<AccountUnlockTokenModel>} Promise that resolves to the token, or rejects if it is unknown, used, or expired.
+     */
+    static getValidByToken(token) {
+        return this.query(`
+            SELECT * FROM account_unlock_tokens
+            WHERE token_hash = ? AND used_at IS NULL AND expires_at > ?
+        `, [this.hashToken(token), DatabaseModel.toMySqlDateTime(new Date())])
+            .then(result => result.length > 0
+                ? this.tableToModel(result[0])
+                : Promise.reject("Unlock token not found"));
+    }
+
+    /**
+     * Marks a token as used. Only one request can redeem a token, even if two arrive at once.
+     * @param {number} id - The unique ID of the token.
+     * @returns {Promise<boolean>} Promise that resolves to true if this call redeemed the token.
+     */
+    static async markUsed(id) {
+        const result = await this.query(
+            "UPDATE account_unlock_tokens SET used_at = ? WHERE id = ? AND used_at IS NULL",
+            [DatabaseModel.toMySqlDateTime(new Date()), id]
+        );
+        return result.affectedRows > 0;
+    }
+
+    /**
+     * Stops all of a user's outstanding unlock links from working.
+     * @param {number} userId - The ID of the user.
+     * @returns {Promise<mysql.OkPacket>} Promise that resolves to MySQL result packet containing update operation details.
+     */
+    static revokeByUserId(userId) {
+        return this.query(
+            "UPDATE account_unlock_tokens SET used_at = ? WHERE user_id = ? AND used_at IS NULL",
+            [DatabaseModel.toMySqlDateTime(new Date()), userId]
+        );
+    }
+}
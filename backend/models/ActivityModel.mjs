@@ -8,13 +8,15 @@ export class ActivityModel extends DatabaseModel {
      * @param {string} name - The name of the activity.
      * @param {string} description - A description of the activity.
      * @param {number} deleted - Flag to indicate if the activity is deleted (0 = active, 1 = deleted).
+     * @param {number|null} defaultCapacity - Default number of spots for sessions of this activity (null = no default).
      */
-    constructor(id, name, description, deleted) {
+    constructor(id, name, description, deleted, defaultCapacity = null) {
         super();
         this.id = id;
         this.name = name;
         this.description = description;
         this.deleted = deleted;
+        this.defaultCapacity = defaultCapacity;
     }
     
     /**
@@ -28,7 +30,8 @@ export class ActivityModel extends DatabaseModel {
             row["id"],
             row["name"],
             row["description"],
-            row["deleted"]
+            row["deleted"],
+            row["default_capacity"]
         );
     }
 
@@ -77,11 +80,12 @@ export class ActivityModel extends DatabaseModel {
     static update(id, activity) {
         return this.query(`
             UPDATE activities
-            SET name = ?, description = ?
+            SET name = ?, description = ?, default_capacity = ?
             WHERE id = ?
         `, [
             activity.name,
             activity.description,
+            activity.defaultCapacity || null,
             id
         ]);
     }
@@ -93,11 +97,12 @@ export class ActivityModel extends DatabaseModel {
      */
     static create(activity) {
         return this.query(`
-            INSERT INTO activities (name, description, deleted)
-            VALUES (?, ?, 0)
+            INSERT INTO activities (name, description, default_capacity, deleted)
+            VALUES (?, ?, ?, 0)
         `, [
             activity.name,
-            activity.description           
+            activity.description,
+            activity.defaultCapacity || null
         ]);
     }
 
@@ -0,0 +1,145 @@
+import crypto from "crypto";
+import { DatabaseModel } from "./DatabaseModel.mjs";
+
+// last_used_at is only updated when it is older than this, so busy clients don't write on every request
+const LAST_USED_RESOLUTION_MINUTES = 5;
+
+export class ApiTokenModel extends DatabaseModel {
+    /**
+     * Constructor to initialize an ApiTokenModel instance (one logged-in device or API client)
+     * @param {number} id - The unique ID of the token.
+     * @param {number} userId - The ID of the user the token logs in as.
+     * @param {string} tokenHash - The SHA-256 hash (hex) of the key sent in the x-auth-key header. The key itself is never stored.
+     * @param {string|null} label - A name for the device, e.g. the browser it was created in.
+     * @param {string|null} createdAt - When the user logged in.
+     * @param {string|null} lastUsedAt - When the token was last used (to the nearest few minutes).
+     * @param {string} expiresAt - When the token stops working (YYYY-MM-DD HH:MM:SS, gym local time).
+     * @param {string|null} revokedAt - When the token was logged out or revoked (null while it can still be used).
+     */
+    constructor(id, userId, tokenHash, label, createdAt, lastUsedAt, expiresAt, revokedAt = null) {
+        super();
+        this.id = id;
+        this.userId = userId;
+        this.tokenHash = tokenHash;
+        this.label = label;
+        this.createdAt = createdAt;
+        this.lastUsedAt = lastUsedAt;
+        this.expiresAt = expiresAt;
+        this.revokedAt = revokedAt;
+    }
+
+    /**
+     * Converts a database row to an ApiTokenModel instance.
+     * @param {Object} row - A database row representing an API token.
+     * @returns {ApiTokenModel} A new instance of ApiTokenModel with the provided database row data.
+     */
+    static tableToModel(row) {
+        const data = row.api_tokens || row; // Handles nested structures if nestTables: true
+        return new ApiTokenModel(
+            data["id"],
+            data["user_id"],
+            data["token_hash"],
+            data["label"] ?? null,
+            data["created_at"] ?? null,
+            data["last_used_at"] ?? null,
+            data["expires_at"],
+            data["revoked_at"] ?? null
+        );
+    }
+
+    /**
+     * Hashes a key the way it is stored.
+     * @param {string} token - The key from the x-auth-key header.
+     * @returns {string} The SHA-256 hash of the key (hex).
+     */
+    static hashToken(token) {
+        return crypto.createHash("sha256").update(String(token)).digest("hex");
+    }
+
+    /**
+     * Issues a new token for a user. The user's other devices stay logged in.
+     * @param {number} userId - The ID of the user.
+     * @param {string|null} label - A name for the device.
+     * @param {number} lifetimeDays - How long the token works for.
+     * @returns {Promise<string>} Promise that resolves to the key to give to the client (only its hash is stored).
+     */
+    static async create(userId, label, lifetimeDays) {
+        const token = crypto.randomBytes(32).toString("hex");
+        const now = new Date();
+        const expiresAt = DatabaseModel.toMySqlDateTime(new Date(now.getTime() + lifetimeDays * 24 * 60 * 60 * 1000));
+        await this.query(
+            "INSERT INTO api_tokens (user_id, token_hash, label, created_at, last_used_at, expires_at) VALUES (?, ?, ?, ?, ?, ?)",
+            [userId, this.hashToken(token), label, DatabaseModel.toMySqlDateTime(now), DatabaseModel.toMySqlDateTime(now), expiresAt]
+        );
+        return token;
+    }
+
+    /**
+     * Retrieves an unrevoked, unexpired token.
+     * @param {string} token - The key from the x-auth-key header.
+     * @returns {Promise<ApiTokenModel>} Promise that resolves to the token, or rejects if it is unknown, revoked, or expired.
+     */
+    static getValidByToken(token) {
+        return this.query(`
+            SELECT * FROM api_tokens
+            WHERE token_hash = ? AND revoked_at IS NULL AND expires_at > ?
+        `, [this.hashToken(token), DatabaseModel.toMySqlDateTime(new Date())])
+            .then(result => result.length > 0
+                ? this.tableToModel(result[0])
+                : Promise.reject("not found"));
+    }
+
+    /**
+     * Retrieves a user's tokens that can still be used, most recently used first.
+     * @param {number} userId - The ID of the user.
+     * @returns {Promise<Array<ApiTokenModel>>} Promise that resolves to the user's active tokens.
+     */
+    static getActiveByUserId(userId) {
+        return this.query(`
+            SELECT * FROM api_tokens
+            WHERE user_id = ? AND revoked_at IS NULL AND expires_at > ?
+            ORDER BY last_used_at DESC, id DESC
+        `, [userId, DatabaseModel.toMySqlDateTime(new Date())])
+            .then(result => result.map(row => this.tableToModel(row)));
+    }
+
+    /**
+     * Records that a token has just been used.
+     * @param {number} id - The unique ID of the token.
+     * @returns {Promise<mysql.OkPacket>} Promise that resolves to MySQL result packet containing update operation details.
+     */
+    static touch(id) {
+        const now = new Date();
+        const staleBefore = new Date(now.getTime() - LAST_USED_RESOLUTION_MINUTES * 60 * 1000);
+        return this.query(
+            "UPDATE api_tokens SET last_used_at = ? WHERE id = ? AND (last_used_at IS NULL OR last_used_at < ?)",
+            [DatabaseModel.toMySqlDateTime(now), id, DatabaseModel.toMySqlDateTime(staleBefore)]
+        );
+    }
+
+    /**
+     * Revokes one of a user's tokens, logging that device out.
+     * @param {number} id - The unique ID of the token.
+     * @param {number} userId - The ID of the user the token must belong to.
+     * @returns {Promise<boolean>} Promise that resolves to true if an active token was revoked.
+     */
+    static async revoke(id, userId) {
+        const result = await this.query(
+            "UPDATE api_tokens SET revoked_at = ? WHERE id = ? AND user_id = ? AND revoked_at IS NULL",
+            [DatabaseModel.toMySqlDateTime(new Date()), id, userId]
+        );
+        return result.affectedRows > 0;
+    }
+
+    /**
+     * Revokes all of a user's tokens, logging them out of the API on every device.
+     * @param {number} userId - The ID of the user.
+     * @returns {Promise<mysql.OkPacket>} Promise that resolves to MySQL result packet containing update operation details.
+     */
+    static revokeByUserId(userId) {
+        return this.query(
+            "UPDATE api_tokens SET revoked_at = ? WHERE user_id = ? AND revoked_at IS NULL",
+            [DatabaseModel.toMySqlDateTime(new Date()), userId]
+        );
+    }
+}
@@ -1,19 +1,38 @@
 import { DatabaseModel } from "../models/DatabaseModel.mjs";
+import { publishSessionChanged } from "../utils/sessionEvents.mjs";
 
 export class BookingModel extends DatabaseModel {
+    // Attendance a trainer can record against a booking (null = not recorded yet)
+    static ATTENDANCE_STATUSES = ["attended", "no_show", "late_cancelled"];
+
+    static ATTENDANCE_LABELS = {
+        attended: "Attended",
+        no_show: "No-show",
+        late_cancelled: "Late cancelled"
+    };
+
+    // Attendance that counts as a strike against the member under the booking policy
+    static STRIKE_STATUSES = ["no_show", "late_cancelled"];
+
     /**
      * Constructor to initialize a BookingModel instance
      * @param {number} id - The unique ID for the booking.
      * @param {number} memberId - The ID of the member making the booking.
      * @param {number} sessionId - The ID of the session being booked.
      * @param {number} deleted - Flag indicating if the booking is deleted (0 = active, 1 = deleted).
+     * @param {string|null} updatedAt - When the booking last changed (YYYY-MM-DD HH:MM:SS).
+     * @param {string|null} attendance - Whether the member turned up ('attended', 'no_show', 'late_cancelled', or null if not recorded).
+     * @param {number|null} membershipId - The membership that paid for the booking (null once refunded, or for bookings made before memberships).
      */
-    constructor(id, memberId, sessionId, deleted) {
+    constructor(id, memberId, sessionId, deleted, updatedAt = null, attendance = null, membershipId = null) {
         super();
         this.id = id;
         this.memberId = memberId;
         this.sessionId = sessionId;
         this.deleted = deleted;
+        this.updatedAt = updatedAt;
+        this.attendance = attendance;
+        this.membershipId = membershipId;
     }
 
     /**
@@ -29,27 +48,50 @@ export class BookingModel extends DatabaseModel {
             data["id"],
             data["member_id"],
             data["session_id"],
-            data["deleted"]
+            data["deleted"],
+            data["updated_at"],
+            data["attendance"] ?? null,
+            data["membership_id"] ?? null
         );
     }
 
     /**
      * Creates a new booking entry in the database.
-     * Ensures that the member is not already booked for the same session.
+     * Ensures that the member is not already booked for the same session and that the session still has room.
+     * The session row is locked while checking, so concurrent bookings for a session take turns and
+     * cannot double-book a member or overfill the session.
      * 
      * @param {BookingModel} booking - The BookingModel instance to be created.
-     * @returns {Promise<mysql.OkPacket>} Promise that resolves to MySQL result packet containing insert operation details and new booking ID.
+     * @returns {Promise<mysql.OkPacket>} Promise that resolves to MySQL result packet containing insert operation details and new booking ID, or rejects if the member is already booked or the session is full.
      */
     static async create(booking) {
-        const existingBooking = await this.checkBookingExists(booking.memberId, booking.sessionId);
-        if (existingBooking) {
-            return Promise.reject(`Member ID ${booking.memberId} is already booked for Session ID ${booking.sessionId}.`);
-        }
+        return this.transaction(async () => {
+            await this.lockRows("sessions", [booking.sessionId]);
 
-        return this.query(`
-            INSERT INTO bookings (member_id, session_id, deleted)
-            VALUES (?, ?, 0)
-        `, [booking.memberId, booking.sessionId]);
+            const existingBooking = await this.checkBookingExists(booking.memberId, booking.sessionId);
+            if (existingBooking) {
+                return Promise.reject(`Member ID ${booking.memberId} is already booked for Session ID ${booking.sessionId}.`);
+            }
+
+            const result = await this.query(`
+                INSERT INTO bookings (member_id, session_id, membership_id, deleted)
+                SELECT ?, sessions.id, ?, 0 FROM sessions
+                WHERE sessions.id = ? AND sessions.deleted = 0
+                AND (
+                    sessions.capacity IS NULL
+                    OR sessions.capacity > (
+                        SELECT COUNT(*) FROM bookings
+                        WHERE bookings.session_id = sessions.id AND bookings.deleted = 0
+                    )
+                )
+            `, [booking.memberId, booking.membershipId ?? null, booking.sessionId]);
+
+            if (result.affectedRows === 0) {
+                return Promise.reject(`Session ID ${booking.sessionId} is full.`);
+            }
+            publishSessionChanged(booking.sessionId);
+            return result;
+        });
     }
 
     /**
@@ -100,6 +142,22 @@ export class BookingModel extends DatabaseModel {
             .then(result => result.map(row => this.tableToModel(row)));
     }
 
+    /**
+     * Retrieves a member's bookings for sessions from today on (their past bookings are attendance history).
+     * 
+     * @param {number} memberId - The ID of the member whose bookings are to be retrieved.
+     * @returns {Promise<BookingModel[]>} Promise that resolves to an array of the member's upcoming bookings.
+     */
+    static getUpcomingByMemberId(memberId) {
+        return this.query(`
+            SELECT bookings.* FROM bookings
+            INNER JOIN sessions ON bookings.session_id = sessions.id
+            WHERE bookings.member_id = ? AND bookings.deleted = 0
+            AND sessions.deleted = 0 AND sessions.session_date >= ?
+        `, [memberId, DatabaseModel.toMySqlDate(new Date())])
+            .then(result => result.map(row => this.tableToModel(row)));
+    }
+
     /**
      * Retrieves all bookings for a specific session.
      * 
@@ -111,6 +169,19 @@ export class BookingModel extends DatabaseModel {
             .then(result => result.map(row => this.tableToModel(row)));
     }
 
+    /**
+     * Announces a change to the booked count of a booking's session (see utils/sessionEvents.mjs).
+     * 
+     * @param {number} id - The unique ID of the booking.
+     * @returns {Promise<void>} Promise that resolves once the change has been announced.
+     */
+    static async publishSessionOf(id) {
+        const result = await this.query("SELECT session_id FROM bookings WHERE id = ?", [id]);
+        if (result.length > 0) {
+            publishSessionChanged(result[0].bookings.session_id);
+        }
+    }
+
     /**
      * Updates an existing booking with new data.
      * 
@@ -118,8 +189,10 @@ export class BookingModel extends DatabaseModel {
      * @param {BookingModel} booking - The updated BookingModel instance.
      * @returns {Promise<mysql.OkPacket>} Promise that resolves to MySQL result packet containing update operation details.
      */
-    static update(id, booking) {
-        return this.query(`
+    static async update(id, booking) {
+        // A booking moved to another session changes the booked count of both sessions
+        await this.publishSessionOf(id);
+        const result = await this.query(`
             UPDATE bookings
             SET member_id = ?, session_id = ?
             WHERE id = ?
@@ -128,6 +201,67 @@ export class BookingModel extends DatabaseModel {
             booking.sessionId,
             id
         ]);
+        publishSessionChanged(booking.sessionId);
+        return result;
+    }
+
+    /**
+     * Records whether the member turned up for the booked session.
+     * 
+     * @param {number} id - The unique ID of the booking.
+     * @param {string|null} attendance - One of ATTENDANCE_STATUSES, or null to clear the record.
+     * @returns {Promise<mysql.OkPacket>} Promise that resolves to MySQL result packet containing update operation details.
+     */
+    static updateAttendance(id, attendance) {
+        return this.query("UPDATE bookings SET attendance = ? WHERE id = ?", [attendance, id]);
+    }
+
+    /**
+     * Cancels a booking after the cancellation cut-off: soft deletes it and records it as a late cancellation (a strike).
+     * 
+     * @param {number} id - The unique ID of the booking to be cancelled.
+     * @returns {Promise<mysql.OkPacket>} Promise that resolves to MySQL result packet containing update operation details.
+     */
+    static async cancelLate(id) {
+        const result = await this.query("UPDATE bookings SET deleted = 1, attendance = 'late_cancelled' WHERE id = ?", [id]);
+        await this.publishSessionOf(id);
+        return result;
+    }
+
+    /**
+     * Counts each member's uncleared strikes (no-shows and late cancellations) for sessions on or after a date.
+     * Cancelled bookings are included, since a late cancellation is itself a cancelled booking.
+     * 
+     * @param {string} sinceDate - The earliest session date to count (YYYY-MM-DD).
+     * @returns {Promise<Object>} Promise that resolves to strike counts keyed by member ID (members without strikes are left out).
+     */
+    static getStrikeCounts(sinceDate) {
+        return this.query(`
+            SELECT strike_counts.* FROM (
+                SELECT bookings.member_id, COUNT(*) AS strike_count FROM bookings
+                INNER JOIN sessions ON bookings.session_id = sessions.id
+                WHERE bookings.attendance IN (?)
+                AND bookings.strike_cleared = 0
+                AND sessions.session_date >= ?
+                GROUP BY bookings.member_id
+            ) AS strike_counts
+        `, [BookingModel.STRIKE_STATUSES, sinceDate])
+            .then(result => Object.fromEntries(
+                result.map(row => [row.strike_counts.member_id, Number(row.strike_counts.strike_count)])
+            ));
+    }
+
+    /**
+     * Clears a member's strikes so they no longer count towards a suspension (the attendance history is kept).
+     * 
+     * @param {number} memberId - The ID of the member.
+     * @returns {Promise<mysql.OkPacket>} Promise that resolves to MySQL result packet containing update operation details.
+     */
+    static clearStrikes(memberId) {
+        return this.query(
+            "UPDATE bookings SET strike_cleared = 1 WHERE member_id = ? AND attendance IN (?) AND strike_cleared = 0",
+            [memberId, BookingModel.STRIKE_STATUSES]
+        );
     }
 
     /**
@@ -136,8 +270,10 @@ export class BookingModel extends DatabaseModel {
      * @param {number} id - The unique ID of the booking to be deleted.
      * @returns {Promise<mysql.OkPacket>} Promise that resolves to MySQL result packet containing soft delete operation details.
      */
-    static delete(id) {
-        return this.query("UPDATE bookings SET deleted = 1 WHERE id = ?", [id]);
+    static async delete(id) {
+        const result = await this.query("UPDATE bookings SET deleted = 1 WHERE id = ?", [id]);
+        await this.publishSessionOf(id);
+        return result;
     }
 
     /**
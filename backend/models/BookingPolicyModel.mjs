@@ -0,0 +1,140 @@
+import { DatabaseModel } from "./DatabaseModel.mjs";
+import { BookingSessionActivityLocationUserModel } from "./BookingSessionActivityLocationUserModel.mjs";
+
+export class BookingPolicyModel extends DatabaseModel {
+    // Rules that apply until an admin saves their own
+    static DEFAULTS = {
+        cancellationCutoffMinutes: 120,
+        strikeLimit: 3,
+        strikeWindowDays: 30,
+        suspensionDays: 7
+    };
+
+    /**
+     * Constructor to initialize a BookingPolicyModel instance (the gym's cancellation and no-show rules)
+     * @param {number} cancellationCutoffMinutes - How long before a session members can still cancel without a strike.
+     * @param {number} strikeLimit - How many strikes (no-shows and late cancellations) trigger a suspension.
+     * @param {number} strikeWindowDays - How many days back strikes are counted.
+     * @param {number} suspensionDays - How long a suspension lasts, counted from the latest strike.
+     */
+    constructor(cancellationCutoffMinutes, strikeLimit, strikeWindowDays, suspensionDays) {
+        super();
+        this.cancellationCutoffMinutes = cancellationCutoffMinutes;
+        this.strikeLimit = strikeLimit;
+        this.strikeWindowDays = strikeWindowDays;
+        this.suspensionDays = suspensionDays;
+    }
+
+    /**
+     * Converts a database row to a BookingPolicyModel instance.
+     * @param {Object} row - A database row representing the booking policy.
+     * @returns {BookingPolicyModel} A new instance of BookingPolicyModel with the provided database row data.
+     */
+    static tableToModel(row) {
+        const data = row.booking_policy || row; // Handles nested structures if nestTables: true
+        return new BookingPolicyModel(
+            data["cancellation_cutoff_minutes"],
+            data["strike_limit"],
+            data["strike_window_days"],
+            data["suspension_days"]
+        );
+    }
+
+    /**
+     * Retrieves the current booking policy.
+     * @returns {Promise<BookingPolicyModel>} Promise that resolves to the saved policy, or the defaults if none has been saved.
+     */
+    static async get() {
+        const result = await this.query("SELECT * FROM booking_policy WHERE id = 1");
+        if (result.length > 0) {
+            return this.tableToModel(result[0]);
+        }
+        const defaults = BookingPolicyModel.DEFAULTS;
+        return new BookingPolicyModel(
+            defaults.cancellationCutoffMinutes,
+            defaults.strikeLimit,
+            defaults.strikeWindowDays,
+            defaults.suspensionDays
+        );
+    }
+
+    /**
+     * Saves the booking policy (there is only ever one).
+     * @param {BookingPolicyModel} policy - The policy to save.
+     * @returns {Promise<mysql.OkPacket>} Promise that resolves to MySQL result packet containing insert or update operation details.
+     */
+    static update(policy) {
+        return this.query(`
+            INSERT INTO booking_policy (id, cancellation_cutoff_minutes, strike_limit, strike_window_days, suspension_days)
+            VALUES (1, ?, ?, ?, ?)
+            ON DUPLICATE KEY UPDATE
+                cancellation_cutoff_minutes = VALUES(cancellation_cutoff_minutes),
+                strike_limit = VALUES(strike_limit),
+                strike_window_days = VALUES(strike_window_days),
+                suspension_days = VALUES(suspension_days)
+        `, [
+            policy.cancellationCutoffMinutes,
+            policy.strikeLimit,
+            policy.strikeWindowDays,
+            policy.suspensionDays
+        ]);
+    }
+
+    /**
+     * Works out where a cancellation falls under the policy.
+     * Session dates and times are gym local time, so they're compared with now in gym local time, whatever the server's timezone.
+     * @param {SessionModel} session - The booked session.
+     * @param {BookingPolicyModel} policy - The booking policy.
+     * @param {Date} now - The time of the cancellation (defaults to now).
+     * @returns {string} 'free' before the cut-off, 'late' between the cut-off and the start, or 'started' once the session has begun.
+     */
+    static getCancellationWindow(session, policy, now = new Date()) {
+        // Both times are gym local, so reading them as UTC keeps the difference right
+        const asUtc = value => Date.parse(value.replace(" ", "T") + "Z");
+        const sessionTime = String(session.sessionTime).length === 5 ? `${session.sessionTime}:00` : session.sessionTime;
+        const msUntilStart = asUtc(`${session.sessionDate} ${sessionTime}`) - asUtc(DatabaseModel.toMySqlDateTime(now));
+        if (msUntilStart <= 0) {
+            return 'started';
+        }
+        return msUntilStart <= policy.cancellationCutoffMinutes * 60 * 1000 ? 'late' : 'free';
+    }
+
+    /**
+     * Gets the first session date whose strikes still count under the policy.
+     * @param {BookingPolicyModel} policy - The booking policy.
+     * @returns {string} The earliest counted session date (YYYY-MM-DD).
+     */
+    static getStrikeWindowStart(policy) {
+        return DatabaseModel.addDays(DatabaseModel.toMySqlDate(new Date()), -policy.strikeWindowDays);
+    }
+
+    /**
+     * Works out a member's standing: their current strikes and whether they are suspended from booking.
+     * A member who reaches the strike limit is suspended for suspensionDays after their latest strike.
+     * @param {number} memberId - The ID of the member.
+     * @param {BookingPolicyModel} policy - The booking policy.
+     * @returns {Promise<Object>} Standing with strikes (most recent first), strikeCount, strikeLimit, isSuspended, and suspendedUntil (the date bookings reopen, YYYY-MM-DD).
+     */
+    static async getMemberStanding(memberId, policy) {
+        const strikes = await BookingSessionActivityLocationUserModel.getStrikesByMemberId(
+            memberId,
+            BookingPolicyModel.getStrikeWindowStart(policy)
+        );
+
+        let suspendedUntil = null;
+        if (strikes.length >= policy.strikeLimit) {
+            const reopensOn = DatabaseModel.addDays(strikes[0].session.sessionDate, policy.suspensionDays);
+            if (reopensOn > DatabaseModel.toMySqlDate(new Date())) {
+                suspendedUntil = reopensOn;
+            }
+        }
+
+        return {
+            strikes: strikes,
+            strikeCount: strikes.length,
+            strikeLimit: policy.strikeLimit,
+            isSuspended: suspendedUntil !== null,
+            suspendedUntil: suspendedUntil
+        };
+    }
+}
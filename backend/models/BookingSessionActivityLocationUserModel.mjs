@@ -121,6 +121,72 @@ export class BookingSessionActivityLocationUserModel extends DatabaseModel {
         `, [userId]).then(result => result.map(row => this.tableToModel(row)));
     }
 
+    /**
+     * Fetch a member's bookings for their calendar, including cancelled bookings and cancelled sessions so calendar apps can remove them.
+     * @param {number} userId - The ID of the member.
+     * @param {string} fromDate - The earliest session date to include (YYYY-MM-DD).
+     * @returns {Promise<Array<BookingSessionActivityLocationUserModel>>} Promise that resolves to the member's active and cancelled bookings from the given date, sorted by date and time.
+     */
+    static getCalendarByMemberId(userId, fromDate) {
+        return this.query(`
+            SELECT 
+                bookings.*,
+                sessions.*,
+                activities.*,
+                locations.*,
+                users.*,
+                trainers.id as trainer_id,
+                trainers.first_name as trainer_first_name,
+                trainers.last_name as trainer_last_name,
+                trainers.email as trainer_email,
+                trainers.role as trainer_role,
+                trainers.deleted as trainer_deleted
+            FROM bookings
+            INNER JOIN sessions ON bookings.session_id = sessions.id
+            INNER JOIN activities ON sessions.activity_id = activities.id
+            INNER JOIN locations ON sessions.location_id = locations.id
+            INNER JOIN users ON bookings.member_id = users.id
+            INNER JOIN users as trainers ON sessions.trainer_id = trainers.id
+            WHERE bookings.member_id = ?
+            AND sessions.session_date >= ?
+            ORDER BY sessions.session_date ASC, sessions.session_time ASC
+        `, [userId, fromDate]).then(result => result.map(row => this.tableToModel(row)));
+    }
+
+    /**
+     * Fetch a member's uncleared strikes (no-shows and late cancellations), including cancelled bookings.
+     * @param {number} userId - The ID of the member.
+     * @param {string} sinceDate - The earliest session date to include (YYYY-MM-DD).
+     * @returns {Promise<Array<BookingSessionActivityLocationUserModel>>} Promise that resolves to the member's strikes, most recent first.
+     */
+    static getStrikesByMemberId(userId, sinceDate) {
+        return this.query(`
+            SELECT 
+                bookings.*,
+                sessions.*,
+                activities.*,
+                locations.*,
+                users.*,
+                trainers.id as trainer_id,
+                trainers.first_name as trainer_first_name,
+                trainers.last_name as trainer_last_name,
+                trainers.email as trainer_email,
+                trainers.role as trainer_role,
+                trainers.deleted as trainer_deleted
+            FROM bookings
+            INNER JOIN sessions ON bookings.session_id = sessions.id
+            INNER JOIN activities ON sessions.activity_id = activities.id
+            INNER JOIN locations ON sessions.location_id = locations.id
+            INNER JOIN users ON bookings.member_id = users.id
+            INNER JOIN users as trainers ON sessions.trainer_id = trainers.id
+            WHERE bookings.member_id = ?
+            AND bookings.attendance IN (?)
+            AND bookings.strike_cleared = 0
+            AND sessions.session_date >= ?
+            ORDER BY sessions.session_date DESC, sessions.session_time DESC
+        `, [userId, BookingModel.STRIKE_STATUSES, sinceDate]).then(result => result.map(row => this.tableToModel(row)));
+    }
+
     /**
      * Fetch all bookings for a specific session.
      * @param {number} sessionId - The ID of the session.
@@ -150,6 +216,41 @@ export class BookingSessionActivityLocationUserModel extends DatabaseModel {
         `, [sessionId]).then(result => result.map(row => this.tableToModel(row)));
     }
     
+    /**
+     * Fetch active bookings for sessions that start within a time window, e.g. to send reminders.
+     * @param {string} fromDateTime - The start of the window (YYYY-MM-DD HH:MM:SS).
+     * @param {string} toDateTime - The end of the window (YYYY-MM-DD HH:MM:SS).
+     * @returns {Promise<Array<BookingSessionActivityLocationUserModel>>} Promise that resolves to the bookings with complete details, sorted by session date and time.
+     */
+    static getStartingBetween(fromDateTime, toDateTime) {
+        return this.query(`
+            SELECT 
+                bookings.*,
+                sessions.*,
+                activities.*,
+                locations.*,
+                users.*,
+                trainers.id as trainer_id,
+                trainers.first_name as trainer_first_name,
+                trainers.last_name as trainer_last_name,
+                trainers.email as trainer_email,
+                trainers.role as trainer_role,
+                trainers.deleted as trainer_deleted
+            FROM bookings
+            INNER JOIN sessions ON bookings.session_id = sessions.id
+            INNER JOIN activities ON sessions.activity_id = activities.id
+            INNER JOIN locations ON sessions.location_id = locations.id
+            INNER JOIN users ON bookings.member_id = users.id
+            INNER JOIN users as trainers ON sessions.trainer_id = trainers.id
+            WHERE bookings.deleted = 0
+            AND sessions.deleted = 0
+            AND users.deleted = 0
+            AND TIMESTAMP(sessions.session_date, sessions.session_time) > ?
+            AND TIMESTAMP(sessions.session_date, sessions.session_time) <= ?
+            ORDER BY sessions.session_date ASC, sessions.session_time ASC
+        `, [fromDateTime, toDateTime]).then(result => result.map(row => this.tableToModel(row)));
+    }
+
     /**
      * Fetch a specific booking by its ID along with session, activity, location, user, and trainer details.
      * @param {number} bookingId - The ID of the booking.
@@ -0,0 +1,86 @@
+import crypto from "crypto";
+import { DatabaseModel } from "./DatabaseModel.mjs";
+
+export class CalendarFeedModel extends DatabaseModel {
+    /**
+     * Constructor to initialize a CalendarFeedModel instance (a user's secret calendar subscription link)
+     * @param {number} id - The unique ID of the feed.
+     * @param {number} userId - The ID of the user the feed belongs to.
+     * @param {string} token - The secret token that identifies the feed in its URL.
+     * @param {string} createdAt - When the feed was created (YYYY-MM-DD HH:MM:SS).
+     * @param {number} deleted - Flag indicating if the feed is revoked (0 = active, 1 = revoked).
+     */
+    constructor(id, userId, token, createdAt, deleted) {
+        super();
+        this.id = id;
+        this.userId = userId;
+        this.token = token;
+        this.createdAt = createdAt;
+        this.deleted = deleted;
+    }
+
+    /**
+     * Converts a database row to a CalendarFeedModel instance.
+     * @param {Object} row - A database row representing a calendar feed.
+     * @returns {CalendarFeedModel} A new instance of CalendarFeedModel with the provided database row data.
+     */
+    static tableToModel(row) {
+        const data = row.calendar_feeds || row; // Handles nested structures if nestTables: true
+        return new CalendarFeedModel(
+            data["id"],
+            data["user_id"],
+            data["token"],
+            data["created_at"],
+            data["deleted"]
+        );
+    }
+
+    /**
+     * Retrieves an active feed by its secret token.
+     * @param {string} token - The feed token from the subscription URL.
+     * @returns {Promise<CalendarFeedModel>} Promise that resolves to the feed, or rejects if the token is unknown or revoked.
+     */
+    static getByToken(token) {
+        return this.query("SELECT * FROM calendar_feeds WHERE token = ? AND deleted = 0", [token])
+            .then(result => result.length > 0
+                ? this.tableToModel(result[0])
+                : Promise.reject("Calendar feed not found"));
+    }
+
+    /**
+     * Retrieves a user's active feed, creating one the first time it is asked for.
+     * @param {number} userId - The ID of the user.
+     * @returns {Promise<CalendarFeedModel>} Promise that resolves to the user's active feed.
+     */
+    static async getOrCreateByUserId(userId) {
+        const result = await this.query("SELECT * FROM calendar_feeds WHERE user_id = ? AND deleted = 0", [userId]);
+        if (result.length > 0) {
+            return this.tableToModel(result[0]);
+        }
+        return this.create(userId);
+    }
+
+    /**
+     * Creates a new feed for a user with a fresh unguessable token.
+     * @param {number} userId - The ID of the user.
+     * @returns {Promise<CalendarFeedModel>} Promise that resolves to the new feed.
+     */
+    static async create(userId) {
+        const token = crypto.randomBytes(32).toString("hex");
+        const result = await this.query(
+            "INSERT INTO calendar_feeds (user_id, token, created_at, deleted) VALUES (?, ?, NOW(), 0)",
+            [userId, token]
+        );
+        return new CalendarFeedModel(result.insertId, userId, token, null, 0);
+    }
+
+    /**
+     * Revokes a user's current feed and issues a new one (the old URL stops working).
+     * @param {number} userId - The ID of the user.
+     * @returns {Promise<CalendarFeedModel>} Promise that resolves to the new feed.
+     */
+    static async regenerate(userId) {
+        await this.query("UPDATE calendar_feeds SET deleted = 1 WHERE user_id = ? AND deleted = 0", [userId]);
+        return this.create(userId);
+    }
+}
@@ -1,16 +1,23 @@
 import mysql from "mysql2/promise";
+import { AsyncLocalStorage } from "async_hooks";
+import { config } from "../config.mjs";
+
+// The transaction the current code is running in, if any: { connection, finished, afterCommit }.
+// Kept per async call chain, so concurrent requests each see their own.
+const currentTransaction = new AsyncLocalStorage();
 
 export class DatabaseModel {
     static connection;
 
     static {
         this.connection = mysql.createPool({
-            host: "localhost",
-            user: "root",  
-            password: "0000",  
-            database: "high_street_gym",
+            host: config.database.host,
+            port: config.database.port,
+            user: config.database.user,
+            password: config.database.password,
+            database: config.database.name,
             waitForConnections: true,// Allows queuing of requests if all connections are in use.
-            connectionLimit: 10, // Maximum number of connections in the pool.
+            connectionLimit: config.database.connectionLimit, // Maximum number of connections in the pool.
             queueLimit: 0, // Controls how many queries can wait if connections are full (0 means unlimited).
             dateStrings: true, // Ensures date/time values are returned as strings instead of JS Date objects.
             nestTables: true // Allows nested structures when performing complex joins.
@@ -24,7 +31,11 @@ export class DatabaseModel {
      * @returns {Promise<Array>} Promise that resolves to an array of database rows returned by the SQL query, or rejects if the query fails.
      */
     static query(sql, values = []) {
-        return this.connection.query(sql, values)
+        // Inside DatabaseModel.transaction() queries share its connection (work it started but didn't wait for
+        // falls back to the pool once it has finished, since the connection has gone back to the pool)
+        const transaction = currentTransaction.getStore();
+        const connection = transaction && !transaction.finished ? transaction.connection : this.connection;
+        return connection.query(sql, values)
             .then(([result]) => result)
             .catch(error => {
                 console.error("Database query error:", error);
@@ -32,6 +43,82 @@ export class DatabaseModel {
             });
     }
 
+    /**
+     * Runs work in a transaction. Every query made through DatabaseModel.query while work runs, by any model,
+     * uses the transaction's connection, so the queries commit together, or all roll back if work throws.
+     * Calling transaction() inside another transaction joins it rather than starting a new one.
+     * @param {Function} work - Async function doing the queries
+     * @returns {Promise<*>} Promise that resolves to what work resolved to once committed, or rejects with work's error after rolling back.
+     */
+    static async transaction(work) {
+        if (currentTransaction.getStore()?.finished === false) {
+            return work();
+        }
+
+        const connection = await this.connection.getConnection();
+        const transaction = { connection: connection, finished: false, afterCommit: [] };
+        try {
+            await connection.beginTransaction();
+            const result = await currentTransaction.run(transaction, work);
+            await connection.commit();
+            transaction.finished = true;
+            for (const callback of transaction.afterCommit) {
+                try {
+                    callback();
+                } catch (error) {
+                    console.error("Error after database commit:", error);
+                }
+            }
+            return result;
+        } catch (error) {
+            if (!transaction.finished) {
+                transaction.finished = true;
+                await connection.rollback().catch(rollbackError => console.error("Database rollback error:", rollbackError));
+            }
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Runs a callback once the current transaction has committed, or straight away outside a transaction.
+     * For things other processes or browsers act on, e.g. live session updates, which shouldn't go out for changes that may roll back.
+     * Callbacks are dropped if the transaction rolls back.
+     * @param {Function} callback - The callback
+     */
+    static afterCommit(callback) {
+        const transaction = currentTransaction.getStore();
+        if (transaction && !transaction.finished) {
+            transaction.afterCommit.push(callback);
+        } else {
+            callback();
+        }
+    }
+
+    /**
+     * Locks rows until the current transaction ends (SELECT ... FOR UPDATE). Other transactions that lock or change
+     * the same rows wait until then, so checks made after locking stay true until the changes are committed.
+     * Must be called inside DatabaseModel.transaction(), since outside one the lock would end straight away.
+     * @param {string} table - The table
+     * @param {Array<number>} ids - The IDs of the rows to lock
+     * @returns {Promise<Array<number>>} Promise that resolves to the IDs of the rows that exist (deleted or not), or rejects outside a transaction.
+     */
+    static async lockRows(table, ids) {
+        const transaction = currentTransaction.getStore();
+        if (!transaction || transaction.finished) {
+            throw new Error("DatabaseModel.lockRows must be called inside DatabaseModel.transaction");
+        }
+        if (ids.length === 0) {
+            return [];
+        }
+        const [rows] = await transaction.connection.query(
+            { sql: "SELECT id FROM ?? WHERE id IN (?) ORDER BY id FOR UPDATE", nestTables: false },
+            [table, ids]
+        );
+        return rows.map(row => row.id);
+    }
+
     /**
      * Converts JavaScript Date object to MySQL DATE format (YYYY-MM-DD).
      * @param {Date} date - JavaScript Date object.
@@ -43,4 +130,26 @@ export class DatabaseModel {
         const day = date.toLocaleString("en-AU", { day: "2-digit", timeZone: "Australia/Brisbane" });
         return [year, month, day].join("-");
     }
+
+    /**
+     * Moves a MySQL DATE (YYYY-MM-DD) by a number of days. Works on the date alone, so the server's timezone
+     * and daylight saving changes don't affect it.
+     * @param {string} date - The date to move (YYYY-MM-DD).
+     * @param {number} days - The number of days to add (negative to go back).
+     * @returns {string} The moved date (YYYY-MM-DD).
+     */
+    static addDays(date, days) {
+        const moved = new Date(`${date}T00:00:00Z`);
+        moved.setUTCDate(moved.getUTCDate() + days);
+        return moved.toISOString().slice(0, 10);
+    }
+
+    /**
+     * Converts JavaScript Date object to MySQL DATETIME format (YYYY-MM-DD HH:MM:SS).
+     * @param {Date} date - JavaScript Date object.
+     * @returns {string} Date and time string in Australian timezone, matching how session dates and times are stored.
+     */
+    static toMySqlDateTime(date) {
+        return date.toLocaleString("sv-SE", { timeZone: "Australia/Brisbane", hour12: false });
+    }
 }
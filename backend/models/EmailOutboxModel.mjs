@@ -0,0 +1,149 @@
+import { DatabaseModel } from "./DatabaseModel.mjs";
+
+export class EmailOutboxModel extends DatabaseModel {
+    // Sending stops after this many failed attempts and the email is marked 'failed'
+    static MAX_ATTEMPTS = 5;
+
+    // Minutes to wait before each retry (the last value is reused)
+    static RETRY_DELAYS_MINUTES = [1, 5, 15, 60];
+
+    /**
+     * Constructor to initialize an EmailOutboxModel instance (an email waiting to be sent, or already sent)
+     * @param {number} id - The unique ID of the email.
+     * @param {string} toAddress - The recipient's email address.
+     * @param {string} subject - The subject line.
+     * @param {string} template - The template the email was rendered from.
+     * @param {string} bodyHtml - The rendered HTML body.
+     * @param {string} bodyText - The plain text body.
+     * @param {string|null} dedupeKey - Key that stops the same notification being queued twice.
+     * @param {string} status - 'pending', 'sent', or 'failed'.
+     * @param {number} attempts - How many times sending has been tried.
+     * @param {string|null} lastError - Why the last attempt failed.
+     * @param {string|null} nextAttemptAt - When the email is next due to be sent (YYYY-MM-DD HH:MM:SS).
+     * @param {string|null} createdAt - When the email was queued (YYYY-MM-DD HH:MM:SS).
+     * @param {string|null} sentAt - When the email was sent (YYYY-MM-DD HH:MM:SS).
+     */
+    constructor(id, toAddress, subject, template, bodyHtml, bodyText, dedupeKey = null, status = "pending", attempts = 0, lastError = null, nextAttemptAt = null, createdAt = null, sentAt = null) {
+        super();
+        this.id = id;
+        this.toAddress = toAddress;
+        this.subject = subject;
+        this.template = template;
+        this.bodyHtml = bodyHtml;
+        this.bodyText = bodyText;
+        this.dedupeKey = dedupeKey;
+        this.status = status;
+        this.attempts = attempts;
+        this.lastError = lastError;
+        this.nextAttemptAt = nextAttemptAt;
+        this.createdAt = createdAt;
+        this.sentAt = sentAt;
+    }
+
+    /**
+     * Converts a database row to an EmailOutboxModel instance.
+     * @param {Object} row - A database row representing a queued email.
+     * @returns {EmailOutboxModel} A new instance of EmailOutboxModel with the provided database row data.
+     */
+    static tableToModel(row) {
+        const data = row.email_outbox || row; // Handles nested structures if nestTables: true
+        return new EmailOutboxModel(
+            data["id"],
+            data["to_address"],
+            data["subject"],
+            data["template"],
+            data["body_html"],
+            data["body_text"],
+            data["dedupe_key"] ?? null,
+            data["status"],
+            data["attempts"],
+            data["last_error"] ?? null,
+            data["next_attempt_at"] ?? null,
+            data["created_at"] ?? null,
+            data["sent_at"] ?? null
+        );
+    }
+
+    /**
+     * Queues an email for sending. An email with the same dedupe key is only ever queued once.
+     * @param {EmailOutboxModel} email - The email to queue.
+     * @returns {Promise<boolean>} Promise that resolves to true if the email was queued, false if it was a duplicate.
+     */
+    static async enqueue(email) {
+        const result = await this.query(`
+            INSERT IGNORE INTO email_outbox (to_address, subject, template, body_html, body_text, dedupe_key, status, attempts, next_attempt_at, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, 'pending', 0, NOW(), NOW())
+        `, [
+            email.toAddress,
+            email.subject,
+            email.template,
+            email.bodyHtml,
+            email.bodyText,
+            email.dedupeKey
+        ]);
+        return result.affectedRows > 0;
+    }
+
+    /**
+     * Retrieves pending emails that are due to be sent, oldest first.
+     * @param {number} limit - The most emails to return.
+     * @returns {Promise<Array<EmailOutboxModel>>} Promise that resolves to the due emails.
+     */
+    static getDue(limit = 20) {
+        return this.query(
+            "SELECT * FROM email_outbox WHERE status = 'pending' AND next_attempt_at <= NOW() ORDER BY next_attempt_at, id LIMIT ?",
+            [limit]
+        ).then(result => result.map(row => this.tableToModel(row)));
+    }
+
+    /**
+     * Claims a due email for sending by pushing its next attempt back, so another process running the outbox skips it.
+     * If the sender dies before marking the email sent or failed, it is picked up again once the claim runs out.
+     * @param {number} id - The unique ID of the email.
+     * @param {number} claimMinutes - How long the claim lasts.
+     * @returns {Promise<boolean>} Promise that resolves to true if this process now holds the email.
+     */
+    static async claim(id, claimMinutes = 10) {
+        const result = await this.query(`
+            UPDATE email_outbox
+            SET next_attempt_at = DATE_ADD(NOW(), INTERVAL ? MINUTE)
+            WHERE id = ? AND status = 'pending' AND next_attempt_at <= NOW()
+        `, [claimMinutes, id]);
+        return result.affectedRows > 0;
+    }
+
+    /**
+     * Marks an email as sent.
+     * @param {number} id - The unique ID of the email.
+     * @returns {Promise<mysql.OkPacket>} Promise that resolves to MySQL result packet containing update operation details.
+     */
+    static markSent(id) {
+        return this.query(
+            "UPDATE email_outbox SET status = 'sent', attempts = attempts + 1, last_error = NULL, sent_at = NOW() WHERE id = ?",
+            [id]
+        );
+    }
+
+    /**
+     * Records a failed attempt and schedules a retry, or gives up once MAX_ATTEMPTS is reached.
+     * @param {EmailOutboxModel} email - The email that failed to send.
+     * @param {string} error - Why it failed.
+     * @returns {Promise<mysql.OkPacket>} Promise that resolves to MySQL result packet containing update operation details.
+     */
+    static markFailed(email, error) {
+        const attempts = email.attempts + 1;
+        const delays = EmailOutboxModel.RETRY_DELAYS_MINUTES;
+        const delayMinutes = delays[Math.min(attempts - 1, delays.length - 1)];
+        return this.query(`
+            UPDATE email_outbox
+            SET attempts = ?, last_error = ?, status = ?, next_attempt_at = DATE_ADD(NOW(), INTERVAL ? MINUTE)
+            WHERE id = ?
+        `, [
+            attempts,
+            String(error).slice(0, 1000),
+            attempts >= EmailOutboxModel.MAX_ATTEMPTS ? "failed" : "pending",
+            delayMinutes,
+            email.id
+        ]);
+    }
+}
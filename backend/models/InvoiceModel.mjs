@@ -0,0 +1,281 @@
+import { DatabaseModel } from "./DatabaseModel.mjs";
+import { CURRENCY, getPaymentProvider } from "../utils/payments.mjs";
+import { notifyRefundFailed } from "../utils/notifications.mjs";
+
+export class InvoiceModel extends DatabaseModel {
+    static STATUSES = ["pending", "paid", "declined", "refund_pending", "refunded", "refund_failed"];
+
+    // A refund the provider refuses is given up on after this many attempts and marked 'refund_failed'
+    static MAX_REFUND_ATTEMPTS = 5;
+
+    // Minutes to wait before each retry of a refund (the last value is reused)
+    static REFUND_RETRY_DELAYS_MINUTES = [5, 15, 60, 240];
+
+    // How long a process sending a refund holds it before another process may try it
+    static REFUND_CLAIM_MINUTES = 10;
+
+    /**
+     * Constructor to initialize an InvoiceModel instance (a charge to a user for a membership or a drop-in booking)
+     * @param {number} id - The unique ID of the invoice.
+     * @param {number} userId - The ID of the user being charged.
+     * @param {number|null} bookingId - The drop-in booking the invoice pays for (null for memberships).
+     * @param {number|null} membershipId - The membership the invoice pays for (null for drop-ins).
+     * @param {string} description - What the invoice is for, e.g. "10-Class Pack membership".
+     * @param {number} amountCents - The amount charged, in cents.
+     * @param {string} currency - The ISO currency code.
+     * @param {string} status - 'pending', 'paid', 'declined', 'refund_pending', 'refunded', or 'refund_failed'.
+     * @param {string} provider - The payment provider that took the payment.
+     * @param {string|null} transactionId - The provider's ID for the charge.
+     * @param {string|null} refundId - The provider's ID for the refund.
+     * @param {string|null} createdAt - When the invoice was raised (YYYY-MM-DD HH:MM:SS).
+     * @param {string|null} paidAt - When the invoice was paid (YYYY-MM-DD HH:MM:SS).
+     * @param {string|null} refundedAt - When the payment was refunded (YYYY-MM-DD HH:MM:SS).
+     * @param {number} refundAttempts - How many times the refund has been sent to the provider.
+     * @param {string|null} refundError - Why the provider refused the last attempt.
+     * @param {string|null} nextRefundAttemptAt - When a pending refund is next due to be sent (YYYY-MM-DD HH:MM:SS).
+     */
+    constructor(id, userId, bookingId, membershipId, description, amountCents, currency, status, provider, transactionId = null, refundId = null, createdAt = null, paidAt = null, refundedAt = null, refundAttempts = 0, refundError = null, nextRefundAttemptAt = null) {
+        super();
+        this.id = id;
+        this.userId = userId;
+        this.bookingId = bookingId;
+        this.membershipId = membershipId;
+        this.description = description;
+        this.amountCents = amountCents;
+        this.currency = currency;
+        this.status = status;
+        this.provider = provider;
+        this.transactionId = transactionId;
+        this.refundId = refundId;
+        this.createdAt = createdAt;
+        this.paidAt = paidAt;
+        this.refundedAt = refundedAt;
+        this.refundAttempts = refundAttempts;
+        this.refundError = refundError;
+        this.nextRefundAttemptAt = nextRefundAttemptAt;
+    }
+
+    /**
+     * Converts a database row to an InvoiceModel instance.
+     * @param {Object} row - A database row representing an invoice.
+     * @returns {InvoiceModel} A new instance of InvoiceModel with the provided database row data.
+     */
+    static tableToModel(row) {
+        const data = row.invoices || row; // Handles nested structures if nestTables: true
+        return new InvoiceModel(
+            data["id"],
+            data["user_id"],
+            data["booking_id"] ?? null,
+            data["membership_id"] ?? null,
+            data["description"],
+            data["amount_cents"],
+            data["currency"],
+            data["status"],
+            data["provider"],
+            data["transaction_id"] ?? null,
+            data["refund_id"] ?? null,
+            data["created_at"] ?? null,
+            data["paid_at"] ?? null,
+            data["refunded_at"] ?? null,
+            data["refund_attempts"] ?? 0,
+            data["refund_error"] ?? null,
+            data["next_refund_attempt_at"] ?? null
+        );
+    }
+
+    /**
+     * Builds the receipt number printed on a paid invoice's receipt.
+     * @param {InvoiceModel} invoice - The invoice.
+     * @returns {string} The receipt number, e.g. "HSG-000042".
+     */
+    static receiptNumber(invoice) {
+        return `HSG-${String(invoice.id).padStart(6, "0")}`;
+    }
+
+    /**
+     * Retrieves an invoice by its unique ID.
+     * @param {number} id - The unique ID of the invoice.
+     * @returns {Promise<InvoiceModel>} Promise that resolves to the invoice, or rejects if not found.
+     */
+    static getById(id) {
+        return this.query("SELECT * FROM invoices WHERE id = ?", [id])
+            .then(result => result.length > 0
+                ? this.tableToModel(result[0])
+                : Promise.reject("Invoice not found"));
+    }
+
+    /**
+     * Retrieves a user's invoices, newest first. Declined attempts are left out.
+     * @param {number} userId - The ID of the user.
+     * @returns {Promise<Array<InvoiceModel>>} Promise that resolves to the user's paid invoices, including those being or already refunded.
+     */
+    static getByUserId(userId) {
+        return this.query(
+            "SELECT * FROM invoices WHERE user_id = ? AND status IN ('paid', 'refund_pending', 'refunded', 'refund_failed') ORDER BY created_at DESC, id DESC",
+            [userId]
+        ).then(result => result.map(row => this.tableToModel(row)));
+    }
+
+    /**
+     * Raises an invoice and charges it through the payment provider.
+     * The invoice is kept whatever the outcome, so declined attempts are on record too.
+     * @param {Object} charge - The charge to make
+     * @param {number} charge.userId - The ID of the user being charged
+     * @param {string} charge.description - What the charge is for
+     * @param {number} charge.amountCents - The amount to charge, in cents
+     * @param {string} charge.paymentToken - The provider's token for the user's payment method
+     * @returns {Promise<InvoiceModel>} Promise that resolves to the invoice with status 'paid' or 'declined' (declineMessage explains a decline).
+     */
+    static async charge(charge) {
+        const provider = getPaymentProvider();
+        const result = await this.query(`
+            INSERT INTO invoices (user_id, description, amount_cents, currency, status, provider, created_at)
+            VALUES (?, ?, ?, ?, 'pending', ?, NOW())
+        `, [charge.userId, charge.description, charge.amountCents, CURRENCY, provider.name]);
+
+        const payment = await provider.charge({
+            amountCents: charge.amountCents,
+            currency: CURRENCY,
+            description: charge.description,
+            paymentToken: charge.paymentToken
+        });
+
+        if (payment.status === "succeeded") {
+            await this.query(
+                "UPDATE invoices SET status = 'paid', transaction_id = ?, paid_at = NOW() WHERE id = ?",
+                [payment.transactionId, result.insertId]
+            );
+        } else {
+            await this.query("UPDATE invoices SET status = 'declined' WHERE id = ?", [result.insertId]);
+        }
+
+        const invoice = await this.getById(result.insertId);
+        invoice.declineMessage = payment.status === "succeeded" ? null : payment.message;
+        return invoice;
+    }
+
+    /**
+     * Links a paid invoice to the booking or membership it bought.
+     * @param {number} id - The unique ID of the invoice.
+     * @param {Object} purchase - What was bought: bookingId or membershipId.
+     * @returns {Promise<mysql.OkPacket>} Promise that resolves to MySQL result packet containing update operation details.
+     */
+    static linkPurchase(id, purchase) {
+        return this.query(
+            "UPDATE invoices SET booking_id = ?, membership_id = ? WHERE id = ?",
+            [purchase.bookingId ?? null, purchase.membershipId ?? null, id]
+        );
+    }
+
+    /**
+     * Refunds a paid invoice in full through the provider that took the payment.
+     * The invoice is claimed as 'refund_pending' before the provider is called, so it is never refunded twice. Inside a
+     * transaction the claim commits with the rest of the transaction, and the provider is only called once it has
+     * committed, so a rollback never leaves money refunded for a booking that is still there. A refund the provider
+     * refuses is retried by the refunds job (see retryRefunds).
+     * @param {InvoiceModel} invoice - The invoice to refund.
+     * @returns {Promise<boolean>} Promise that resolves to true if the refund was claimed (and is sent to the provider once committed), false if the invoice was not paid.
+     */
+    static async refund(invoice) {
+        const claimed = await this.query(`
+            UPDATE invoices
+            SET status = 'refund_pending', next_refund_attempt_at = DATE_ADD(NOW(), INTERVAL ? MINUTE)
+            WHERE id = ? AND status = 'paid'
+        `, [InvoiceModel.REFUND_CLAIM_MINUTES, invoice.id]);
+        if (claimed.affectedRows === 0) {
+            return false;
+        }
+
+        this.afterCommit(() => this.sendRefund(invoice)
+            .catch(error => console.error(`Error refunding invoice ${invoice.id}:`, error)));
+        return true;
+    }
+
+    /**
+     * Sends a claimed refund to the provider. A refusal (or the provider being unreachable) is recorded and the
+     * refund retried later with back-off, until MAX_REFUND_ATTEMPTS is reached and the invoice is marked 'refund_failed'.
+     * @param {InvoiceModel} invoice - The invoice being refunded.
+     * @returns {Promise<string>} Promise that resolves to the invoice's new status: 'refunded', 'refund_pending' (to be retried), or 'refund_failed'.
+     */
+    static async sendRefund(invoice) {
+        let refund;
+        try {
+            refund = await getPaymentProvider(invoice.provider).refund({
+                transactionId: invoice.transactionId,
+                amountCents: invoice.amountCents
+            });
+        } catch (error) {
+            refund = { status: "failed", message: error.message || String(error) };
+        }
+
+        if (refund.status === "refunded") {
+            await this.query(`
+                UPDATE invoices
+                SET status = 'refunded', refund_id = ?, refunded_at = NOW(), refund_attempts = refund_attempts + 1,
+                    refund_error = NULL, next_refund_attempt_at = NULL
+                WHERE id = ?
+            `, [refund.refundId, invoice.id]);
+            return "refunded";
+        }
+
+        const attempts = invoice.refundAttempts + 1;
+        const delays = InvoiceModel.REFUND_RETRY_DELAYS_MINUTES;
+        const status = attempts >= InvoiceModel.MAX_REFUND_ATTEMPTS ? "refund_failed" : "refund_pending";
+        console.error(`Refund attempt ${attempts} failed for invoice ${invoice.id}: ${refund.message}`);
+        await this.query(`
+            UPDATE invoices
+            SET status = ?, refund_attempts = ?, refund_error = ?,
+                next_refund_attempt_at = IF(? = 'refund_pending', DATE_ADD(NOW(), INTERVAL ? MINUTE), NULL)
+            WHERE id = ?
+        `, [status, attempts, String(refund.message).slice(0, 1000), status, delays[Math.min(attempts - 1, delays.length - 1)], invoice.id]);
+
+        if (status === "refund_failed") {
+            await notifyRefundFailed({ ...invoice, status: status, refundAttempts: attempts, refundError: refund.message });
+        }
+        return status;
+    }
+
+    /**
+     * Sends the pending refunds that are due: ones the provider refused earlier, and ones whose process stopped
+     * before sending them. Each is claimed first, so two processes never send the same refund.
+     * @param {number} limit - The most refunds to send in one run
+     * @returns {Promise<Object>} Counts of refunded, retrying and failed invoices
+     */
+    static async retryRefunds(limit = 20) {
+        const due = await this.query(
+            "SELECT * FROM invoices WHERE status = 'refund_pending' AND next_refund_attempt_at <= NOW() ORDER BY next_refund_attempt_at, id LIMIT ?",
+            [limit]
+        ).then(result => result.map(row => this.tableToModel(row)));
+
+        const counts = { refunded: 0, retrying: 0, failed: 0 };
+        for (const invoice of due) {
+            const claimed = await this.query(`
+                UPDATE invoices
+                SET next_refund_attempt_at = DATE_ADD(NOW(), INTERVAL ? MINUTE)
+                WHERE id = ? AND status = 'refund_pending' AND next_refund_attempt_at <= NOW()
+            `, [InvoiceModel.REFUND_CLAIM_MINUTES, invoice.id]);
+            if (claimed.affectedRows === 0) {
+                continue;
+            }
+            const status = await this.sendRefund(invoice);
+            counts[{ refunded: "refunded", refund_pending: "retrying", refund_failed: "failed" }[status]]++;
+        }
+        return counts;
+    }
+
+    /**
+     * Refunds the drop-in payment for a cancelled booking, if it was paid for as a drop-in.
+     * @param {BookingModel} booking - The cancelled booking.
+     * @returns {Promise<boolean>} Promise that resolves to true if a payment is being refunded.
+     */
+    static async refundBooking(booking) {
+        const result = await this.query(
+            "SELECT * FROM invoices WHERE booking_id = ? AND status = 'paid'",
+            [booking.id]
+        );
+        if (result.length === 0) {
+            return false;
+        }
+        return this.refund(this.tableToModel(result[0]));
+    }
+}
@@ -9,13 +9,15 @@ export class LocationModel extends DatabaseModel {
      * @param {string} name - The name of the location (e.g., "Downtown Gym").
      * @param {string} address - The physical address of the location.
      * @param {boolean} deleted - The status indicating whether the location is deleted or active (0 for active, 1 for deleted).
+     * @param {number|null} capacity - The maximum number of people the location can hold per session (null = no limit).
      */
-    constructor(id, name, address, deleted) {
+    constructor(id, name, address, deleted, capacity = null) {
         super();
         this.id = id;
         this.name = name;
         this.address = address;
         this.deleted = deleted;
+        this.capacity = capacity;
     }
 
     /**
@@ -28,7 +30,8 @@ export class LocationModel extends DatabaseModel {
             row["id"],
             row["name"],
             row["address"],
-            row["deleted"]
+            row["deleted"],
+            row["capacity"]
         );
     }
 
@@ -71,13 +74,15 @@ export class LocationModel extends DatabaseModel {
 
     /**
      * Creates a new location.
-     * @param {LocationModel} location - Location object.
+     * @param {string} name - Location name.
+     * @param {string} address - Location address.
+     * @param {number|null} capacity - Maximum number of people per session (null = no limit).
      * @returns {Promise<void>} Promise that resolves when the new location is successfully inserted into the database.
      */
-    static async create(name, address) {
+    static async create(name, address, capacity = null) {
         return this.query(
-            `INSERT INTO locations (name, address, deleted) VALUES (?, ?, 0)`,
-            [name, address]
+            `INSERT INTO locations (name, address, capacity, deleted) VALUES (?, ?, ?, 0)`,
+            [name, address, capacity || null]
         );
     }
 
@@ -88,8 +93,8 @@ export class LocationModel extends DatabaseModel {
      */
     static async update(id, location) {
         return this.query(
-            "UPDATE locations SET name = ?, address = ? WHERE id = ?",
-            [location.name, location.address, id]  // Fix parameter order
+            "UPDATE locations SET name = ?, address = ?, capacity = ? WHERE id = ?",
+            [location.name, location.address, location.capacity || null, id]  // Fix parameter order
         );
     }
     
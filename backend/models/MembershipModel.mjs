@@ -0,0 +1,245 @@
+import { DatabaseModel } from "./DatabaseModel.mjs";
+import { BookingModel } from "./BookingModel.mjs";
+import { MembershipPlanModel } from "./MembershipPlanModel.mjs";
+
+export class MembershipModel extends DatabaseModel {
+    /**
+     * Constructor to initialize a MembershipModel instance (a member's sign-up to a plan)
+     * @param {number} id - The unique ID of the membership.
+     * @param {number} userId - The ID of the member.
+     * @param {number} planId - The ID of the plan.
+     * @param {string} startDate - The first day the membership can be booked against (YYYY-MM-DD).
+     * @param {string} expiryDate - The last day the membership can be booked against (YYYY-MM-DD).
+     * @param {number|null} creditsRemaining - Bookings left on a class pack (null = unlimited).
+     * @param {number} deleted - Flag indicating if the membership is ended (0 = active, 1 = ended).
+     * @param {MembershipPlanModel|null} plan - The plan, when it was loaded with the membership.
+     */
+    constructor(id, userId, planId, startDate, expiryDate, creditsRemaining, deleted, plan = null) {
+        super();
+        this.id = id;
+        this.userId = userId;
+        this.planId = planId;
+        this.startDate = startDate;
+        this.expiryDate = expiryDate;
+        this.creditsRemaining = creditsRemaining;
+        this.deleted = deleted;
+        this.plan = plan;
+    }
+
+    /**
+     * Converts a database row to a MembershipModel instance.
+     * @param {Object} row - A database row representing a membership, optionally joined with its plan.
+     * @returns {MembershipModel} A new instance of MembershipModel with the provided database row data.
+     */
+    static tableToModel(row) {
+        const data = row.memberships || row; // Handles nested structures if nestTables: true
+        return new MembershipModel(
+            data["id"],
+            data["user_id"],
+            data["plan_id"],
+            data["start_date"],
+            data["expiry_date"],
+            data["credits_remaining"] ?? null,
+            data["deleted"],
+            row.membership_plans ? MembershipPlanModel.tableToModel(row) : null
+        );
+    }
+
+    /**
+     * Retrieves a member's memberships with their plans, latest expiry first.
+     * @param {number} userId - The ID of the member.
+     * @param {boolean} currentOnly - Leave out memberships that expired before today (gym local time).
+     * @returns {Promise<Array<MembershipModel>>} Promise that resolves to the member's memberships.
+     */
+    static getByUserId(userId, currentOnly = false) {
+        return this.query(`
+            SELECT memberships.*, membership_plans.*
+            FROM memberships
+            INNER JOIN membership_plans ON memberships.plan_id = membership_plans.id
+            WHERE memberships.user_id = ? AND memberships.deleted = 0
+            ${currentOnly ? "AND memberships.expiry_date >= ?" : ""}
+            ORDER BY memberships.expiry_date DESC
+        `, currentOnly ? [userId, DatabaseModel.toMySqlDate(new Date())] : [userId]).then(result => result.map(row => this.tableToModel(row)));
+    }
+
+    /**
+     * Retrieves a membership by its unique ID, with its plan.
+     * @param {number} id - The unique ID of the membership.
+     * @returns {Promise<MembershipModel>} Promise that resolves to the membership, or rejects if not found.
+     */
+    static getById(id) {
+        return this.query(`
+            SELECT memberships.*, membership_plans.*
+            FROM memberships
+            INNER JOIN membership_plans ON memberships.plan_id = membership_plans.id
+            WHERE memberships.id = ? AND memberships.deleted = 0
+        `, [id]).then(result => result.length > 0
+            ? this.tableToModel(result[0])
+            : Promise.reject("Membership not found"));
+    }
+
+    /**
+     * Signs a member up to a plan. Class packs start with the plan's full allowance of credits.
+     * @param {MembershipModel} membership - The membership to create.
+     * @param {MembershipPlanModel} plan - The plan being signed up to.
+     * @returns {Promise<mysql.OkPacket>} Promise that resolves to MySQL result packet containing insert operation details and new membership ID.
+     */
+    static create(membership, plan) {
+        return this.query(`
+            INSERT INTO memberships (user_id, plan_id, start_date, expiry_date, credits_remaining, deleted)
+            VALUES (?, ?, ?, ?, ?, 0)
+        `, [
+            membership.userId,
+            plan.id,
+            membership.startDate,
+            membership.expiryDate,
+            plan.credits
+        ]);
+    }
+
+    /**
+     * Works out when a membership on a plan expires if no expiry date is given.
+     * @param {string} startDate - The first day of the membership (YYYY-MM-DD).
+     * @param {MembershipPlanModel} plan - The plan.
+     * @returns {string} The last day of the membership (YYYY-MM-DD), durationDays after it starts.
+     */
+    static defaultExpiryDate(startDate, plan) {
+        return DatabaseModel.addDays(startDate, plan.durationDays - 1);
+    }
+
+    /**
+     * Ends a membership by setting its 'deleted' flag to 1 (bookings already made against it stay).
+     * @param {number} id - The unique ID of the membership.
+     * @returns {Promise<mysql.OkPacket>} Promise that resolves to MySQL result packet containing soft delete operation details.
+     */
+    static delete(id) {
+        return this.query("UPDATE memberships SET deleted = 1 WHERE id = ?", [id]);
+    }
+
+    /**
+     * Checks whether a membership's plan and dates cover a session (credits are not checked).
+     * @param {MembershipModel} membership - The membership, loaded with its plan.
+     * @param {SessionModel} session - The session.
+     * @returns {boolean} True if the session falls inside the membership dates and the plan's hours.
+     */
+    static coversSession(membership, session) {
+        if (session.sessionDate < membership.startDate || session.sessionDate > membership.expiryDate) {
+            return false;
+        }
+        return !membership.plan.offPeakOnly || !MembershipPlanModel.isPeakSession(session);
+    }
+
+    /**
+     * Checks whether a membership still has bookings left.
+     * @param {MembershipModel} membership - The membership.
+     * @returns {boolean} True for unlimited memberships and class packs with credits remaining.
+     */
+    static hasCredit(membership) {
+        return membership.creditsRemaining === null || membership.creditsRemaining > 0;
+    }
+
+    /**
+     * Finds the membership a member's booking for a session would be made against.
+     * Unlimited memberships are preferred so pack credits are only spent when needed, then the one expiring soonest.
+     * @param {number} userId - The ID of the member.
+     * @param {SessionModel} session - The session to book.
+     * @returns {Promise<MembershipModel|null>} Promise that resolves to the membership to use, or null if nothing covers the session.
+     */
+    static async findEntitlement(userId, session) {
+        const memberships = await this.getByUserId(userId, true);
+        const entitlements = memberships
+            .filter(membership => MembershipModel.coversSession(membership, session) && MembershipModel.hasCredit(membership))
+            .sort((a, b) => {
+                if ((a.creditsRemaining === null) !== (b.creditsRemaining === null)) {
+                    return a.creditsRemaining === null ? -1 : 1;
+                }
+                return a.expiryDate.localeCompare(b.expiryDate);
+            });
+        return entitlements[0] || null;
+    }
+
+    /**
+     * Spends one credit from a class pack. Unlimited memberships have nothing to spend.
+     * The check and the decrement run as a single statement so two bookings cannot spend the last credit twice.
+     * @param {MembershipModel} membership - The membership to spend from.
+     * @returns {Promise<boolean>} Promise that resolves to true if the booking is paid for, false if the pack has run out.
+     */
+    static async useCredit(membership) {
+        if (membership.creditsRemaining === null) {
+            return true;
+        }
+        const result = await this.query(
+            "UPDATE memberships SET credits_remaining = credits_remaining - 1 WHERE id = ? AND credits_remaining > 0",
+            [membership.id]
+        );
+        return result.affectedRows > 0;
+    }
+
+    /**
+     * Creates a booking paid for by the member's best entitlement for the session.
+     * The credit and the booking are one transaction, so if the booking fails the credit is never spent.
+     * @param {BookingModel} booking - The booking to create.
+     * @param {SessionModel} session - The booked session.
+     * @returns {Promise<mysql.OkPacket>} Promise that resolves to MySQL result packet of the new booking, or rejects if the member has no valid membership (or for any reason BookingModel.create rejects).
+     */
+    static bookWithEntitlement(booking, session) {
+        return this.transaction(async () => {
+            const membership = await this.findEntitlement(booking.memberId, session);
+            if (!membership || !(await this.useCredit(membership))) {
+                return Promise.reject(`Member ID ${booking.memberId} has no valid membership for Session ID ${session.id}.`);
+            }
+
+            booking.membershipId = membership.id;
+            return BookingModel.create(booking);
+        });
+    }
+
+    /**
+     * Gives a booking's credit back to the class pack that paid for it.
+     * The booking is unlinked from the membership first, so a booking is never refunded twice.
+     * @param {BookingModel} booking - The booking being cancelled.
+     * @returns {Promise<boolean>} Promise that resolves to true if the booking was linked to a membership and is now refunded.
+     */
+    static async refundBooking(booking) {
+        if (!booking.membershipId) {
+            return false;
+        }
+        const unlinked = await this.query(
+            "UPDATE bookings SET membership_id = NULL WHERE id = ? AND membership_id = ?",
+            [booking.id, booking.membershipId]
+        );
+        if (unlinked.affectedRows === 0) {
+            return false;
+        }
+        await this.query(
+            "UPDATE memberships SET credits_remaining = credits_remaining + 1 WHERE id = ? AND credits_remaining IS NOT NULL",
+            [booking.membershipId]
+        );
+        return true;
+    }
+
+    /**
+     * Re-checks a booking's entitlement when it moves to another session or member.
+     * The booking keeps its membership if that still covers the move; otherwise it is paid for again from
+     * the member's best entitlement and the original credit is refunded.
+     * @param {BookingModel} booking - The booking being moved.
+     * @param {number} memberId - The member the booking will belong to.
+     * @param {SessionModel} session - The session the booking moves to.
+     * @returns {Promise<void>} Resolves once the booking is paid for, or rejects if the member has no valid membership.
+     */
+    static async transferBooking(booking, memberId, session) {
+        if (booking.membershipId) {
+            const current = await this.getById(booking.membershipId).catch(() => null);
+            if (current && current.userId == memberId && MembershipModel.coversSession(current, session)) {
+                return;
+            }
+        }
+
+        const membership = await this.findEntitlement(memberId, session);
+        if (!membership || !(await this.useCredit(membership))) {
+            return Promise.reject(`Member ID ${memberId} has no valid membership for Session ID ${session.id}.`);
+        }
+        await this.refundBooking(booking);
+        await this.query("UPDATE bookings SET membership_id = ? WHERE id = ?", [membership.id, booking.id]);
+    }
+}
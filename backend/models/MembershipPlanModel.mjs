@@ -0,0 +1,84 @@
+import { DatabaseModel } from "./DatabaseModel.mjs";
+
+export class MembershipPlanModel extends DatabaseModel {
+    // Weekday (Monday-Friday) start times that count as peak hours; off-peak plans cannot book these sessions
+    static PEAK_PERIODS = [
+        { start: "06:00:00", end: "09:00:00" },
+        { start: "17:00:00", end: "20:00:00" }
+    ];
+
+    /**
+     * Constructor to initialize a MembershipPlanModel instance (a plan members can be signed up to)
+     * @param {number} id - The unique ID of the plan.
+     * @param {string} name - The name of the plan, e.g. "10-Class Pack".
+     * @param {number|null} credits - How many bookings the plan includes (null = unlimited).
+     * @param {number} durationDays - How long a membership on the plan lasts by default, in days.
+     * @param {number} offPeakOnly - Flag indicating if the plan only covers off-peak sessions (0 = any session, 1 = off-peak only).
+     * @param {number} deleted - Flag indicating if the plan is retired (0 = active, 1 = retired).
+     * @param {number|null} priceCents - What the plan costs to buy online, in cents (null = sold at the front desk only).
+     */
+    constructor(id, name, credits, durationDays, offPeakOnly, deleted, priceCents = null) {
+        super();
+        this.id = id;
+        this.name = name;
+        this.credits = credits;
+        this.durationDays = durationDays;
+        this.offPeakOnly = offPeakOnly;
+        this.deleted = deleted;
+        this.priceCents = priceCents;
+    }
+
+    /**
+     * Converts a database row to a MembershipPlanModel instance.
+     * @param {Object} row - A database row representing a membership plan.
+     * @returns {MembershipPlanModel} A new instance of MembershipPlanModel with the provided database row data.
+     */
+    static tableToModel(row) {
+        const data = row.membership_plans || row; // Handles nested structures if nestTables: true
+        return new MembershipPlanModel(
+            data["id"],
+            data["name"],
+            data["credits"] ?? null,
+            data["duration_days"],
+            data["off_peak_only"],
+            data["deleted"],
+            data["price_cents"] ?? null
+        );
+    }
+
+    /**
+     * Retrieves all active plans.
+     * @returns {Promise<Array<MembershipPlanModel>>} Promise that resolves to the active plans in name order.
+     */
+    static getAll() {
+        return this.query("SELECT * FROM membership_plans WHERE deleted = 0 ORDER BY name")
+            .then(result => result.map(row => this.tableToModel(row)));
+    }
+
+    /**
+     * Retrieves a plan by its unique ID.
+     * @param {number} id - The unique ID of the plan.
+     * @returns {Promise<MembershipPlanModel>} Promise that resolves to the plan, or rejects if not found.
+     */
+    static getById(id) {
+        return this.query("SELECT * FROM membership_plans WHERE id = ? AND deleted = 0", [id])
+            .then(result => result.length > 0
+                ? this.tableToModel(result[0])
+                : Promise.reject("Membership plan not found"));
+    }
+
+    /**
+     * Checks whether a session starts during peak hours.
+     * @param {SessionModel} session - The session.
+     * @returns {boolean} True if the session starts on a weekday inside one of the PEAK_PERIODS.
+     */
+    static isPeakSession(session) {
+        const weekday = new Date(`${session.sessionDate}T00:00:00`).getDay();
+        if (weekday === 0 || weekday === 6) {
+            return false;
+        }
+        return MembershipPlanModel.PEAK_PERIODS.some(period =>
+            session.sessionTime >= period.start && session.sessionTime < period.end
+        );
+    }
+}
@@ -0,0 +1,132 @@
+import { DatabaseModel } from "./DatabaseModel.mjs";
+
+export class NotificationModel extends DatabaseModel {
+    static TYPES = ["booking_confirmed", "waitlist_promoted", "session_changed", "session_cancelled", "blog_post", "refund_failed"];
+
+    /**
+     * Constructor to initialize a NotificationModel instance (a message in a user's in-app notification centre)
+     * @param {number} id - The unique ID of the notification.
+     * @param {number} userId - The ID of the user the notification is for.
+     * @param {string} type - One of NotificationModel.TYPES.
+     * @param {string} title - The short headline.
+     * @param {string} message - The full message.
+     * @param {string|null} link - The frontend route the notification opens, e.g. "/bookings".
+     * @param {string|null} readAt - When the user read the notification (null while unread).
+     * @param {string|null} createdAt - When the notification was created (YYYY-MM-DD HH:MM:SS).
+     */
+    constructor(id, userId, type, title, message, link = null, readAt = null, createdAt = null) {
+        super();
+        this.id = id;
+        this.userId = userId;
+        this.type = type;
+        this.title = title;
+        this.message = message;
+        this.link = link;
+        this.readAt = readAt;
+        this.createdAt = createdAt;
+    }
+
+    /**
+     * Converts a database row to a NotificationModel instance.
+     * @param {Object} row - A database row representing a notification.
+     * @returns {NotificationModel} A new instance of NotificationModel with the provided database row data.
+     */
+    static tableToModel(row) {
+        const data = row.notifications || row; // Handles nested structures if nestTables: true
+        return new NotificationModel(
+            data["id"],
+            data["user_id"],
+            data["type"],
+            data["title"],
+            data["message"],
+            data["link"] ?? null,
+            data["read_at"] ?? null,
+            data["created_at"] ?? null
+        );
+    }
+
+    /**
+     * Retrieves a user's notifications, newest first.
+     * @param {number} userId - The ID of the user.
+     * @param {number} limit - The most notifications to return.
+     * @param {boolean} unreadOnly - Whether to leave out notifications that have been read.
+     * @returns {Promise<Array<NotificationModel>>} Promise that resolves to the user's notifications.
+     */
+    static getByUserId(userId, limit = 50, unreadOnly = false) {
+        return this.query(`
+            SELECT * FROM notifications
+            WHERE user_id = ? ${unreadOnly ? "AND read_at IS NULL" : ""}
+            ORDER BY created_at DESC, id DESC
+            LIMIT ?
+        `, [userId, limit]).then(result => result.map(row => this.tableToModel(row)));
+    }
+
+    /**
+     * Counts a user's unread notifications.
+     * @param {number} userId - The ID of the user.
+     * @returns {Promise<number>} Promise that resolves to the number of unread notifications.
+     */
+    static getUnreadCount(userId) {
+        return this.query(`
+            SELECT * FROM (
+                SELECT COUNT(*) AS unread_count FROM notifications
+                WHERE user_id = ? AND read_at IS NULL
+            ) AS unread_counts
+        `, [userId]).then(result => Number(result[0].unread_counts.unread_count));
+    }
+
+    /**
+     * Creates a notification for one user.
+     * @param {NotificationModel} notification - The notification to create.
+     * @returns {Promise<mysql.OkPacket>} Promise that resolves to MySQL result packet containing insert operation details.
+     */
+    static create(notification) {
+        return this.query(`
+            INSERT INTO notifications (user_id, type, title, message, link, created_at)
+            VALUES (?, ?, ?, ?, ?, NOW())
+        `, [notification.userId, notification.type, notification.title, notification.message, notification.link]);
+    }
+
+    /**
+     * Creates the same notification for every active user, e.g. to announce a new blog post.
+     * @param {NotificationModel} notification - The notification to create (its userId is ignored).
+     * @param {number|null} excludeUserId - A user who should not be notified, e.g. the author of the post.
+     * @returns {Promise<mysql.OkPacket>} Promise that resolves to MySQL result packet containing insert operation details.
+     */
+    static createForAllUsers(notification, excludeUserId = null) {
+        return this.query(`
+            INSERT INTO notifications (user_id, type, title, message, link, created_at)
+            SELECT id, ?, ?, ?, ?, NOW() FROM users
+            WHERE deleted = 0 AND id <> ?
+        `, [notification.type, notification.title, notification.message, notification.link, excludeUserId ?? 0]);
+    }
+
+    /**
+     * Marks one of a user's notifications as read.
+     * @param {number} id - The unique ID of the notification.
+     * @param {number} userId - The ID of the user, so users can only mark their own notifications.
+     * @returns {Promise<NotificationModel>} Promise that resolves to the read notification, or rejects if the user has no such notification.
+     */
+    static async markRead(id, userId) {
+        await this.query(
+            "UPDATE notifications SET read_at = NOW() WHERE id = ? AND user_id = ? AND read_at IS NULL",
+            [id, userId]
+        );
+        const result = await this.query("SELECT * FROM notifications WHERE id = ? AND user_id = ?", [id, userId]);
+        return result.length > 0
+            ? this.tableToModel(result[0])
+            : Promise.reject("Notification not found");
+    }
+
+    /**
+     * Marks all of a user's notifications as read.
+     * @param {number} userId - The ID of the user.
+     * @returns {Promise<mysql.OkPacket>} Promise that resolves to MySQL result packet containing update operation details (affectedRows is how many were unread).
+     */
+    static markAllRead(userId) {
+        return this.query(
+            "UPDATE notifications SET read_at = NOW() WHERE user_id = ? AND read_at IS NULL",
+            [userId]
+        );
+    }
+}
@@ -0,0 +1,106 @@
+import crypto from "crypto";
+import { DatabaseModel } from "./DatabaseModel.mjs";
+
+export class PasswordResetTokenModel extends DatabaseModel {
+    /**
+     * Constructor to initialize a PasswordResetTokenModel instance (one "forgot password" link)
+     * @param {number} id - The unique ID of the token.
+     * @param {number} userId - The ID of the user whose password the token resets.
+     * @param {string} tokenHash - The SHA-256 hash (hex) of the token sent in the email. The token itself is never stored.
+     * @param {string} expiresAt - When the link stops working (YYYY-MM-DD HH:MM:SS, gym local time).
+     * @param {string|null} usedAt - When the link was redeemed or replaced (null while it can still be used).
+     * @param {string|null} createdAt - When the link was requested.
+     */
+    constructor(id, userId, tokenHash, expiresAt, usedAt = null, createdAt = null) {
+        super();
+        this.id = id;
+        this.userId = userId;
+        this.tokenHash = tokenHash;
+        this.expiresAt = expiresAt;
+        this.usedAt = usedAt;
+        this.createdAt = createdAt;
+    }
+
+    /**
+     * Converts a database row to a PasswordResetTokenModel instance.
+     * @param {Object} row - A database row representing a password reset token.
+     * @returns {PasswordResetTokenModel} A new instance of PasswordResetTokenModel with the provided database row data.
+     */
+    static tableToModel(row) {
+        const data = row.password_reset_tokens || row; // Handles nested structures if nestTables: true
+        return new PasswordResetTokenModel(
+            data["id"],
+            data["user_id"],
+            data["token_hash"],
+            data["expires_at"],
+            data["used_at"] ?? null,
+            data["created_at"] ?? null
+        );
+    }
+
+    /**
+     * Hashes a token the way it is stored.
+     * @param {string} token - The token from the reset link.
+     * @returns {string} The SHA-256 hash of the token (hex).
+     */
+    static hashToken(token) {
+        return crypto.createHash("sha256").update(String(token)).digest("hex");
+    }
+
+    /**
+     * Issues a new reset token for a user. Any earlier link the user still has stops working.
+     * @param {number} userId - The ID of the user.
+     * @param {number} lifetimeMinutes - How long the link works for.
+     * @returns {Promise<string>} Promise that resolves to the token to send to the user (only its hash is stored).
+     */
+    static async create(userId, lifetimeMinutes) {
+        const token = crypto.randomBytes(32).toString("hex");
+        const expiresAt = DatabaseModel.toMySqlDateTime(new Date(Date.now() + lifetimeMinutes * 60 * 1000));
+        await this.revokeByUserId(userId);
+        await this.query(
+            "INSERT INTO password_reset_tokens (user_id, token_hash, expires_at, created_at) VALUES (?, ?, ?, ?)",
+            [userId, this.hashToken(token), expiresAt, DatabaseModel.toMySqlDateTime(new Date())]
+        );
+        return token;
+    }
+
+    /**
+     * Retrieves an unused, unexpired token.
+     * @param {string} token - The token from the reset link.
+     * @returns {Promise<PasswordResetTokenModel>} Promise that resolves to the token, or rejects if it is unknown, used, or expired.
+     */
+    static getValidByToken(token) {
+        return this.query(`
+            SELECT * FROM password_reset_tokens
+            WHERE token_hash = ? AND used_at IS NULL AND expires_at > ?
+        `, [this.hashToken(token), DatabaseModel.toMySqlDateTime(new Date())])
+            .then(result => result.length > 0
+                ? this.tableToModel(result[0])
+                : Promise.reject("Reset token not found"));
+    }
+
+    /**
+     * Marks a token as used. Only one request can redeem a token, even if two arrive at once.
+     * @param {number} id - The unique ID of the token.
+     * @returns {Promise<boolean>} Promise that resolves to true if this call redeemed the token.
+     */
+    static async markUsed(id) {
+        const result = await this.query(
+            "UPDATE password_reset_tokens SET used_at = ? WHERE id = ? AND used_at IS NULL",
+            [DatabaseModel.toMySqlDateTime(new Date()), id]
+        );
+        return result.affectedRows > 0;
+    }
+
+    /**
+     * Stops all of a user's outstanding reset links from working.
+     * @param {number} userId - The ID of the user.
+     * @returns {Promise<mysql.OkPacket>} Promise that resolves to MySQL result packet containing update operation details.
+     */
+    static revokeByUserId(userId) {
+        return this.query(
+            "UPDATE password_reset_tokens SET used_at = ? WHERE user_id = ? AND used_at IS NULL",
+            [DatabaseModel.toMySqlDateTime(new Date()), userId]
+        );
+    }
+}
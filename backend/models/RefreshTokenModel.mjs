@@ -0,0 +1,133 @@
+import crypto from "crypto";
+import { DatabaseModel } from "./DatabaseModel.mjs";
+
+export class RefreshTokenModel extends DatabaseModel {
+    /**
+     * Constructor to initialize a RefreshTokenModel instance (one link in a chain of rotated refresh tokens)
+     * @param {number} id - The unique ID of the token.
+     * @param {number} userId - The ID of the user the token logs in as.
+     * @param {string} familyId - Shared by every token rotated from the same login, so they can be revoked together.
+     * @param {string} tokenHash - The SHA-256 hash (hex) of the refresh token. The token itself is never stored.
+     * @param {string|null} label - A name for the client, e.g. the integration or its User-Agent.
+     * @param {string|null} createdAt - When the token was issued.
+     * @param {string} expiresAt - When the token stops working (YYYY-MM-DD HH:MM:SS, gym local time).
+     * @param {string|null} rotatedAt - When the token was exchanged for a new one (null while it can still be used).
+     * @param {string|null} revokedAt - When the token's family was revoked (null while it can still be used).
+     */
+    constructor(id, userId, familyId, tokenHash, label, createdAt, expiresAt, rotatedAt = null, revokedAt = null) {
+        super();
+        this.id = id;
+        this.userId = userId;
+        this.familyId = familyId;
+        this.tokenHash = tokenHash;
+        this.label = label;
+        this.createdAt = createdAt;
+        this.expiresAt = expiresAt;
+        this.rotatedAt = rotatedAt;
+        this.revokedAt = revokedAt;
+    }
+
+    /**
+     * Converts a database row to a RefreshTokenModel instance.
+     * @param {Object} row - A database row representing a refresh token.
+     * @returns {RefreshTokenModel} A new instance of RefreshTokenModel with the provided database row data.
+     */
+    static tableToModel(row) {
+        const data = row.refresh_tokens || row; // Handles nested structures if nestTables: true
+        return new RefreshTokenModel(
+            data["id"],
+            data["user_id"],
+            data["family_id"],
+            data["token_hash"],
+            data["label"] ?? null,
+            data["created_at"] ?? null,
+            data["expires_at"],
+            data["rotated_at"] ?? null,
+            data["revoked_at"] ?? null
+        );
+    }
+
+    /**
+     * Hashes a token the way it is stored.
+     * @param {string} token - The refresh token from the client.
+     * @returns {string} The SHA-256 hash of the token (hex).
+     */
+    static hashToken(token) {
+        return crypto.createHash("sha256").update(String(token)).digest("hex");
+    }
+
+    /**
+     * Creates a new token family ID, for a fresh login.
+     * @returns {string} A random 32 character family ID.
+     */
+    static newFamilyId() {
+        return crypto.randomBytes(16).toString("hex");
+    }
+
+    /**
+     * Issues a new refresh token.
+     * @param {number} userId - The ID of the user.
+     * @param {string} familyId - The family the token belongs to (newFamilyId() for a fresh login).
+     * @param {string|null} label - A name for the client.
+     * @param {number} lifetimeDays - How long the token works for.
+     * @returns {Promise<string>} Promise that resolves to the token to give to the client (only its hash is stored).
+     */
+    static async create(userId, familyId, label, lifetimeDays) {
+        const token = crypto.randomBytes(32).toString("hex");
+        const expiresAt = DatabaseModel.toMySqlDateTime(new Date(Date.now() + lifetimeDays * 24 * 60 * 60 * 1000));
+        await this.query(
+            "INSERT INTO refresh_tokens (user_id, family_id, token_hash, label, created_at, expires_at) VALUES (?, ?, ?, ?, ?, ?)",
+            [userId, familyId, this.hashToken(token), label, DatabaseModel.toMySqlDateTime(new Date()), expiresAt]
+        );
+        return token;
+    }
+
+    /**
+     * Retrieves a token whether or not it can still be used, so that reuse of a rotated token can be detected.
+     * @param {string} token - The refresh token from the client.
+     * @returns {Promise<RefreshTokenModel>} Promise that resolves to the token, or rejects if it is unknown.
+     */
+    static getByToken(token) {
+        return this.query("SELECT * FROM refresh_tokens WHERE token_hash = ?", [this.hashToken(token)])
+            .then(result => result.length > 0
+                ? this.tableToModel(result[0])
+                : Promise.reject("Refresh token not found"));
+    }
+
+    /**
+     * Marks a token as exchanged for a new one. Only one request can rotate a token, even if two arrive at once.
+     * @param {number} id - The unique ID of the token.
+     * @returns {Promise<boolean>} Promise that resolves to true if this call rotated the token.
+     */
+    static async markRotated(id) {
+        const result = await this.query(
+            "UPDATE refresh_tokens SET rotated_at = ? WHERE id = ? AND rotated_at IS NULL AND revoked_at IS NULL",
+            [DatabaseModel.toMySqlDateTime(new Date()), id]
+        );
+        return result.affectedRows > 0;
+    }
+
+    /**
+     * Revokes every token rotated from the same login.
+     * @param {string} familyId - The family ID.
+     * @returns {Promise<mysql.OkPacket>} Promise that resolves to MySQL result packet containing update operation details.
+     */
+    static revokeFamily(familyId) {
+        return this.query(
+            "UPDATE refresh_tokens SET revoked_at = ? WHERE family_id = ? AND revoked_at IS NULL",
+            [DatabaseModel.toMySqlDateTime(new Date()), familyId]
+        );
+    }
+
+    /**
+     * Revokes all of a user's refresh tokens, so every bearer login has to start again.
+     * @param {number} userId - The ID of the user.
+     * @returns {Promise<mysql.OkPacket>} Promise that resolves to MySQL result packet containing update operation details.
+     */
+    static revokeByUserId(userId) {
+        return this.query(
+            "UPDATE refresh_tokens SET revoked_at = ? WHERE user_id = ? AND revoked_at IS NULL",
+            [DatabaseModel.toMySqlDateTime(new Date()), userId]
+        );
+    }
+}
@@ -0,0 +1,81 @@
+import { DatabaseModel } from "./DatabaseModel.mjs";
+import { USER_ROLE_MEMBER, USER_ROLE_TRAINER, USER_ROLE_ADMIN } from "./UserModel.mjs";
+
+export class RolePermissionModel extends DatabaseModel {
+    // The roles a user can have, in the order the Roles page shows them
+    static ROLES = [USER_ROLE_MEMBER, USER_ROLE_TRAINER, USER_ROLE_ADMIN];
+
+    // Every permission a role can be given, with what it allows
+    static PERMISSIONS = {
+        "blogs.create": "Write blog posts and delete their own",
+        "blogs.moderate": "Delete anyone's blog posts",
+        "bookings.create": "Book sessions for themselves, change or cancel their own bookings and use the waitlist",
+        "bookings.create.any": "Book sessions for any member and move their bookings",
+        "bookings.view.any": "See every member's bookings",
+        "bookings.cancel.any": "Cancel any member's booking, even inside the cancellation window",
+        "bookings.export": "Export their booking history and upcoming bookings",
+        "sessions.manage": "Create sessions, change and cancel the ones they teach, and take attendance",
+        "sessions.manage.any": "Change, cancel and take attendance for any trainer's sessions",
+        "sessions.export": "Export the sessions they teach",
+        "activities.manage": "Add, change and remove activities",
+        "locations.manage": "Add, change and remove locations",
+        "users.manage": "Manage user accounts, memberships and the booking and two-factor policies",
+        "payments.view.any": "Download any member's receipts",
+        "memberships.purchase": "Buy memberships",
+        "roles.manage": "Change what each role can do"
+    };
+
+    // Admins always keep this, so nobody can lock themselves out of the Roles page
+    static LOCKED_PERMISSIONS = {
+        [USER_ROLE_ADMIN]: ["roles.manage"]
+    };
+
+    /**
+     * Retrieves the permissions of one role.
+     * @param {string} role - The role.
+     * @returns {Promise<Array<string>>} Promise that resolves to the role's permission names (empty for unknown roles).
+     */
+    static async getByRole(role) {
+        const result = await this.query("SELECT permission FROM role_permissions WHERE role = ?", [role]);
+        return result.map(row => (row.role_permissions || row).permission);
+    }
+
+    /**
+     * Retrieves the permissions of every role.
+     * @returns {Promise<Object>} Promise that resolves to an object mapping each role to its permission names.
+     */
+    static async getAll() {
+        const bundles = Object.fromEntries(RolePermissionModel.ROLES.map(role => [role, []]));
+        const result = await this.query("SELECT * FROM role_permissions ORDER BY role, permission");
+        for (const row of result) {
+            const data = row.role_permissions || row;
+            if (bundles[data.role]) {
+                bundles[data.role].push(data.permission);
+            }
+        }
+        return bundles;
+    }
+
+    /**
+     * Replaces the permissions of a role. Unknown permission names are ignored, and locked ones are always kept.
+     * @param {string} role - The role.
+     * @param {Array<string>} permissions - The permission names the role should have.
+     * @returns {Promise<void>}
+     */
+    static async setForRole(role, permissions) {
+        const kept = new Set([
+            ...permissions.filter(permission => permission in RolePermissionModel.PERMISSIONS),
+            ...(RolePermissionModel.LOCKED_PERMISSIONS[role] || [])
+        ]);
+        // One transaction, so the role is never left without its permissions if the insert fails
+        await this.transaction(async () => {
+            await this.query("DELETE FROM role_permissions WHERE role = ?", [role]);
+            if (kept.size > 0) {
+                await this.query(
+                    "INSERT INTO role_permissions (role, permission) VALUES ?",
+                    [[...kept].map(permission => [role, permission])]
+                );
+            }
+        });
+    }
+}
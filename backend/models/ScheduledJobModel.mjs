@@ -0,0 +1,54 @@
+import { DatabaseModel } from "./DatabaseModel.mjs";
+
+/**
+ * Persistent schedule and lock for background jobs (see utils/scheduler.mjs).
+ * All times are gym local time (YYYY-MM-DD HH:MM:SS), as produced by DatabaseModel.toMySqlDateTime.
+ */
+export class ScheduledJobModel extends DatabaseModel {
+    /**
+     * Creates the row for a job the first time it is scheduled. An existing row keeps its next run time.
+     * @param {string} name - The unique name of the job.
+     * @param {string} nextRunAt - When the job should first run.
+     * @returns {Promise<mysql.OkPacket>} Promise that resolves to MySQL result packet containing insert operation details.
+     */
+    static ensure(name, nextRunAt) {
+        return this.query(
+            "INSERT IGNORE INTO scheduled_jobs (name, next_run_at) VALUES (?, ?)",
+            [name, nextRunAt]
+        );
+    }
+
+    /**
+     * Claims a job that is due, so no other process runs it at the same time.
+     * The claim fails if the job is not due yet or another process holds an unexpired lock.
+     * @param {string} name - The unique name of the job.
+     * @param {string} workerId - Identifies the process claiming the job.
+     * @param {string} now - The current time.
+     * @param {string} lockedUntil - When the lock expires if the job is never released (e.g. the process dies).
+     * @returns {Promise<boolean>} Promise that resolves to true if this process now holds the job.
+     */
+    static async claim(name, workerId, now, lockedUntil) {
+        const result = await this.query(`
+            UPDATE scheduled_jobs
+            SET locked_by = ?, locked_until = ?, last_started_at = ?
+            WHERE name = ? AND next_run_at <= ? AND (locked_until IS NULL OR locked_until <= ?)
+        `, [workerId, lockedUntil, now, name, now, now]);
+        return result.affectedRows > 0;
+    }
+
+    /**
+     * Records the outcome of a run, schedules the next one, and releases the lock.
+     * Nothing changes if the lock expired and was claimed by another process in the meantime.
+     * @param {string} name - The unique name of the job.
+     * @param {string} workerId - Identifies the process that ran the job.
+     * @param {Object} run - The outcome: nextRunAt, finishedAt, status ('succeeded' or 'failed'), and error (null on success).
+     * @returns {Promise<mysql.OkPacket>} Promise that resolves to MySQL result packet containing update operation details.
+     */
+    static release(name, workerId, run) {
+        return this.query(`
+            UPDATE scheduled_jobs
+            SET next_run_at = ?, locked_by = NULL, locked_until = NULL, last_finished_at = ?, last_status = ?, last_error = ?
+            WHERE name = ? AND locked_by = ?
+        `, [run.nextRunAt, run.finishedAt, run.status, run.error ? String(run.error).slice(0, 1000) : null, name, workerId]);
+    }
+}
@@ -16,13 +16,16 @@ export class SessionActivityLocationUserModel extends DatabaseModel {
      * @param {ActivityModel} activity - The activity associated with the session.
      * @param {LocationModel} location - The location associated with the session.
      * @param {UserModel} user - The user (trainer) associated with the session.
+     * @param {number} bookedCount - The number of active bookings for the session.
      */
-    constructor(session, activity, location, user) {
+    constructor(session, activity, location, user, bookedCount = 0) {
         super();
         this.session = session;
         this.activity = activity;
         this.location = location;
         this.user = user;
+        this.bookedCount = bookedCount;
+        this.spotsRemaining = SessionModel.spotsRemaining(session.capacity, bookedCount);
     }
 
     /**
@@ -35,7 +38,8 @@ export class SessionActivityLocationUserModel extends DatabaseModel {
             SessionModel.tableToModel(row.sessions || row),  // Mapping session data
             ActivityModel.tableToModel(row.activities || row),
             LocationModel.tableToModel(row.locations || row),
-            UserModel.tableToModel(row.users || row)  // Mapping user data
+            UserModel.tableToModel(row.users || row),  // Mapping user data
+            Number(row.booking_counts?.booked_count || 0)  // Active bookings (null when the session has none)
         );
     }
 
@@ -49,6 +53,11 @@ export class SessionActivityLocationUserModel extends DatabaseModel {
             INNER JOIN activities ON sessions.activity_id = activities.id
             INNER JOIN locations ON sessions.location_id = locations.id
             INNER JOIN users ON sessions.trainer_id = users.id
+            LEFT JOIN (
+                SELECT session_id, COUNT(*) AS booked_count FROM bookings
+                WHERE deleted = 0
+                GROUP BY session_id
+            ) AS booking_counts ON booking_counts.session_id = sessions.id
             WHERE sessions.deleted = 0
             AND activities.deleted = 0 
             AND locations.deleted = 0 
@@ -62,6 +71,30 @@ export class SessionActivityLocationUserModel extends DatabaseModel {
         });
     }
 
+    /**
+     * Fetch the active sessions on a specific day with activity, location, and trainer details.
+     * @param {string} sessionDate - The day in YYYY-MM-DD format
+     * @returns {Promise<Array<SessionActivityLocationUserModel>>} Promise that resolves to an array of the day's sessions with complete details, sorted by time.
+     */
+    static getByDate(sessionDate) {
+        return this.query(`
+            SELECT * FROM sessions
+            INNER JOIN activities ON sessions.activity_id = activities.id
+            INNER JOIN locations ON sessions.location_id = locations.id
+            INNER JOIN users ON sessions.trainer_id = users.id
+            LEFT JOIN (
+                SELECT session_id, COUNT(*) AS booked_count FROM bookings
+                WHERE deleted = 0
+                GROUP BY session_id
+            ) AS booking_counts ON booking_counts.session_id = sessions.id
+            WHERE sessions.session_date = ?
+            AND sessions.deleted = 0
+            AND users.deleted = 0
+            ORDER BY sessions.session_time ASC
+        `, [sessionDate])
+        .then(result => result.map(row => this.tableToModel(row)));
+    }
+
     /**
      * Fetch a specific session by session ID with activity, location, and trainer details.
      * @param {number} sessionId
@@ -73,11 +106,17 @@ export class SessionActivityLocationUserModel extends DatabaseModel {
                 sessions.*, 
                 activities.*, 
                 locations.*, 
-                users.* 
+                users.*,
+                booking_counts.*
             FROM sessions
             INNER JOIN activities ON sessions.activity_id = activities.id
             INNER JOIN locations ON sessions.location_id = locations.id
             INNER JOIN users ON sessions.trainer_id = users.id
+            LEFT JOIN (
+                SELECT session_id, COUNT(*) AS booked_count FROM bookings
+                WHERE deleted = 0
+                GROUP BY session_id
+            ) AS booking_counts ON booking_counts.session_id = sessions.id
             WHERE sessions.id = ? AND sessions.deleted = 0
         `, [sessionId])
         .then(result => 
@@ -87,6 +126,86 @@ export class SessionActivityLocationUserModel extends DatabaseModel {
         );
     }
 
+    /**
+     * Fetch the sessions whose time range overlaps the given one for the same trainer or at the same location.
+     * A session runs from its start time for its duration, so back-to-back sessions do not overlap.
+     * @param {number} trainerId - The trainer to check
+     * @param {number} locationId - The location to check
+     * @param {string} sessionDate - The date of the proposed session (YYYY-MM-DD)
+     * @param {string} sessionTime - The start time of the proposed session (HH:MM:SS)
+     * @param {number} durationMinutes - How long the proposed session runs, in minutes
+     * @param {number|null} excludeId - Optional session ID to leave out (the session being updated)
+     * @returns {Promise<Array<SessionActivityLocationUserModel>>} Promise that resolves to the conflicting sessions with complete details, sorted by date and time.
+     */
+    static getOverlapping(trainerId, locationId, sessionDate, sessionTime, durationMinutes, excludeId = null) {
+        return this.query(`
+            SELECT 
+                sessions.*, 
+                activities.*, 
+                locations.*, 
+                users.*,
+                booking_counts.*
+            FROM sessions
+            INNER JOIN activities ON sessions.activity_id = activities.id
+            INNER JOIN locations ON sessions.location_id = locations.id
+            INNER JOIN users ON sessions.trainer_id = users.id
+            LEFT JOIN (
+                SELECT session_id, COUNT(*) AS booked_count FROM bookings
+                WHERE deleted = 0
+                GROUP BY session_id
+            ) AS booking_counts ON booking_counts.session_id = sessions.id
+            WHERE sessions.deleted = 0
+            AND (sessions.trainer_id = ? OR sessions.location_id = ?)
+            AND sessions.session_date BETWEEN DATE_SUB(?, INTERVAL 1 DAY) AND DATE_ADD(?, INTERVAL 1 DAY)
+            AND TIMESTAMP(sessions.session_date, sessions.session_time) < TIMESTAMP(?, ?) + INTERVAL ? MINUTE
+            AND TIMESTAMP(sessions.session_date, sessions.session_time) + INTERVAL sessions.duration_minutes MINUTE > TIMESTAMP(?, ?)
+            AND sessions.id != ?
+            ORDER BY sessions.session_date ASC, sessions.session_time ASC
+        `, [
+            trainerId,
+            locationId,
+            sessionDate,
+            sessionDate,
+            sessionDate,
+            sessionTime,
+            durationMinutes,
+            sessionDate,
+            sessionTime,
+            excludeId || 0
+        ])
+        .then(result => result.map(row => this.tableToModel(row)));
+    }
+
+    /**
+     * Fetch a trainer's sessions for their calendar, including cancelled ones so calendar apps can remove them.
+     * @param {number} trainerId - The trainer whose sessions to fetch
+     * @param {string} fromDate - The earliest session date to include (YYYY-MM-DD)
+     * @returns {Promise<Array<SessionActivityLocationUserModel>>} Promise that resolves to the trainer's active and cancelled sessions from the given date, sorted by date and time.
+     */
+    static getCalendarByTrainerId(trainerId, fromDate) {
+        return this.query(`
+            SELECT 
+                sessions.*, 
+                activities.*, 
+                locations.*, 
+                users.*,
+                booking_counts.*
+            FROM sessions
+            INNER JOIN activities ON sessions.activity_id = activities.id
+            INNER JOIN locations ON sessions.location_id = locations.id
+            INNER JOIN users ON sessions.trainer_id = users.id
+            LEFT JOIN (
+                SELECT session_id, COUNT(*) AS booked_count FROM bookings
+                WHERE deleted = 0
+                GROUP BY session_id
+            ) AS booking_counts ON booking_counts.session_id = sessions.id
+            WHERE sessions.trainer_id = ?
+            AND sessions.session_date >= ?
+            ORDER BY sessions.session_date ASC, sessions.session_time ASC
+        `, [trainerId, fromDate])
+        .then(result => result.map(row => this.tableToModel(row)));
+    }
+
     /**
      * Fetch all sessions assigned to a specific trainer.
      * @param {number} trainerId
@@ -98,11 +217,17 @@ export class SessionActivityLocationUserModel extends DatabaseModel {
                 sessions.*, 
                 activities.*, 
                 locations.*, 
-                users.* 
+                users.*,
+                booking_counts.*
             FROM sessions
             INNER JOIN activities ON sessions.activity_id = activities.id
             INNER JOIN locations ON sessions.location_id = locations.id
             INNER JOIN users ON sessions.trainer_id = users.id
+            LEFT JOIN (
+                SELECT session_id, COUNT(*) AS booked_count FROM bookings
+                WHERE deleted = 0
+                GROUP BY session_id
+            ) AS booking_counts ON booking_counts.session_id = sessions.id
             WHERE sessions.trainer_id = ? AND sessions.deleted = 0
             ORDER BY sessions.session_date ASC, sessions.session_time ASC
         `, [trainerId])
@@ -122,11 +247,17 @@ export class SessionActivityLocationUserModel extends DatabaseModel {
                 sessions.*, 
                 activities.*, 
                 locations.*, 
-                users.* 
+                users.*,
+                booking_counts.*
             FROM sessions
             INNER JOIN activities ON sessions.activity_id = activities.id
             INNER JOIN locations ON sessions.location_id = locations.id
             INNER JOIN users ON sessions.trainer_id = users.id
+            LEFT JOIN (
+                SELECT session_id, COUNT(*) AS booked_count FROM bookings
+                WHERE deleted = 0
+                GROUP BY session_id
+            ) AS booking_counts ON booking_counts.session_id = sessions.id
             WHERE sessions.trainer_id = ? 
             AND sessions.session_date >= ? 
             AND sessions.session_date <= ?
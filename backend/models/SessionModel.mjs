@@ -1,7 +1,12 @@
 import { DatabaseModel } from "./DatabaseModel.mjs";
+import { ActivityModel } from "./ActivityModel.mjs";
+import { LocationModel } from "./LocationModel.mjs";
+import { publishSessionChanged } from "../utils/sessionEvents.mjs";
 import mysql from "mysql2/promise";
 
 export class SessionModel extends DatabaseModel {
+    // Length of a session when none is given (minutes)
+    static DEFAULT_DURATION_MINUTES = 60;
 
     /**
      * Creates an instance of the SessionModel class.
@@ -12,8 +17,12 @@ export class SessionModel extends DatabaseModel {
      * @param {string} sessionDate - The date of the session (YYYY-MM-DD).
      * @param {string} sessionTime - The time of the session (HH:MM:SS).
      * @param {number} deleted - A flag indicating whether the session is deleted (0 for active, 1 for deleted).
+     * @param {number|null} capacity - The maximum number of bookings allowed for the session (null = unlimited).
+     * @param {number|null} seriesId - The recurring series this session is an occurrence of (null = one-off session).
+     * @param {number} durationMinutes - How long the session runs, in minutes.
+     * @param {string|null} updatedAt - When the session last changed (YYYY-MM-DD HH:MM:SS).
      */
-    constructor(id, activityId, trainerId, locationId, sessionDate, sessionTime, deleted) {
+    constructor(id, activityId, trainerId, locationId, sessionDate, sessionTime, deleted, capacity = null, seriesId = null, durationMinutes = SessionModel.DEFAULT_DURATION_MINUTES, updatedAt = null) {
         super();
         this.id = id;
         this.activityId = activityId;
@@ -22,6 +31,10 @@ export class SessionModel extends DatabaseModel {
         this.sessionDate = sessionDate;
         this.sessionTime = sessionTime;
         this.deleted = deleted;
+        this.capacity = capacity;
+        this.seriesId = seriesId;
+        this.durationMinutes = durationMinutes;
+        this.updatedAt = updatedAt;
     }
 
     /**
@@ -38,7 +51,11 @@ export class SessionModel extends DatabaseModel {
             data["location_id"],
             data["session_date"],
             data["session_time"],
-            data["deleted"]
+            data["deleted"],
+            data["capacity"],
+            data["series_id"],
+            data["duration_minutes"] ?? SessionModel.DEFAULT_DURATION_MINUTES,
+            data["updated_at"]
         );
     }
 
@@ -73,24 +90,32 @@ export class SessionModel extends DatabaseModel {
      * @returns {Promise<mysql.OkPacket>} Promise that resolves to the MySQL result packet containing insert information (insertId, affectedRows, etc.).
      */
     static async create(sessionInstance) {
-        return this.query(`
+        const result = await this.query(`
             INSERT INTO sessions 
             (activity_id,
             trainer_id,
             location_id,
             session_date,
             session_time,
+            duration_minutes,
+            capacity,
+            series_id,
             deleted)
-            VALUES (?, ?, ?, ?, ?, 0)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, 0)
         `,
             [
                 sessionInstance.activityId,
                 sessionInstance.trainerId,
                 sessionInstance.locationId,
                 sessionInstance.sessionDate,
-                sessionInstance.sessionTime
+                sessionInstance.sessionTime,
+                sessionInstance.durationMinutes || SessionModel.DEFAULT_DURATION_MINUTES,
+                sessionInstance.capacity || null,
+                sessionInstance.seriesId || null
             ]
         );
+        publishSessionChanged(result.insertId);
+        return result;
     }
 
     /**
@@ -98,10 +123,10 @@ export class SessionModel extends DatabaseModel {
      * @returns {Promise<mysql.ResultSetHeader>} Promise that resolves to the MySQL result packet containing update information (affectedRows, changedRows, etc.).
      */
     static async update(sessionInstance) {
-        return this.query(`
+        const result = await this.query(`
             UPDATE sessions
             SET activity_id = ?, trainer_id = ?, location_id = ?, 
-                session_date = ?, session_time = ?, deleted = ?
+                session_date = ?, session_time = ?, duration_minutes = ?, capacity = ?, deleted = ?
             WHERE id = ?
         `, 
         [
@@ -110,20 +135,26 @@ export class SessionModel extends DatabaseModel {
             sessionInstance.locationId,
             sessionInstance.sessionDate,
             sessionInstance.sessionTime,
+            sessionInstance.durationMinutes || SessionModel.DEFAULT_DURATION_MINUTES,
+            sessionInstance.capacity || null,
             sessionInstance.deleted,
             sessionInstance.id
         ]);
+        publishSessionChanged(sessionInstance.id);
+        return result;
     }
 
     /**
      * @param {number} id 
      * @returns {Promise<mysql.OkPacket>} Promise that resolves to the MySQL result packet containing delete information (affectedRows, etc.) after soft-deleting the session.
      */
-    static delete(id) {
-        return this.query(
+    static async delete(id) {
+        const result = await this.query(
             `UPDATE sessions SET deleted = 1 WHERE id = ?`,
             [id]
         );
+        publishSessionChanged(id);
+        return result;
     }
 
     /**
@@ -198,4 +229,98 @@ export class SessionModel extends DatabaseModel {
         `, [trainerId])
         .then(result => result.map(row => this.tableToModel(row)));
     }
+
+    /**
+     * Get the active occurrences of a recurring series.
+     * @param {number} seriesId - The series ID
+     * @param {string|null} fromDate - Only include occurrences on or after this date (YYYY-MM-DD), or null for all
+     * @returns {Promise<Array<SessionModel>>} Promise that resolves to an array of the series' sessions, sorted by date and time.
+     */
+    static getBySeriesId(seriesId, fromDate = null) {
+        let query = `
+            SELECT * FROM sessions
+            WHERE series_id = ? AND deleted = 0
+        `;
+        const params = [seriesId];
+
+        if (fromDate) {
+            query += ` AND session_date >= ?`;
+            params.push(fromDate);
+        }
+        query += ` ORDER BY session_date ASC, session_time ASC`;
+
+        return this.query(query, params)
+            .then(result => result.map(row => this.tableToModel(row)));
+    }
+
+    /**
+     * Moves the occurrences of a series on or after a date into another series (used to split a series).
+     * @param {number} seriesId - The current series ID
+     * @param {string} fromDate - The first date to move (YYYY-MM-DD)
+     * @param {number} newSeriesId - The series the occurrences now belong to
+     * @returns {Promise<mysql.OkPacket>} Promise that resolves to MySQL result packet containing update operation details.
+     */
+    static reassignSeries(seriesId, fromDate, newSeriesId) {
+        return this.query(`
+            UPDATE sessions SET series_id = ?
+            WHERE series_id = ? AND session_date >= ? AND deleted = 0
+        `, [newSeriesId, seriesId, fromDate]);
+    }
+
+    /**
+     * Works out the default capacity for a new session from its activity and location.
+     * The location capacity is a physical limit, so the smaller of the two wins when both are set.
+     * @param {number} activityId - The activity ID
+     * @param {number} locationId - The location ID
+     * @returns {Promise<number|null>} Promise that resolves to the default capacity, or null if neither the activity nor the location sets one.
+     */
+    static async resolveDefaultCapacity(activityId, locationId) {
+        const [activity, location] = await Promise.all([
+            ActivityModel.getById(activityId).catch(() => null),
+            LocationModel.getById(locationId).catch(() => null)
+        ]);
+        const limits = [activity?.defaultCapacity, location?.capacity]
+            .filter(limit => limit !== null && limit !== undefined);
+        return limits.length > 0 ? Math.min(...limits) : null;
+    }
+
+    /**
+     * Counts the active bookings for a session.
+     * @param {number} sessionId - The session ID
+     * @returns {Promise<number>} Promise that resolves to the number of active bookings for the session.
+     */
+    static async getBookedCount(sessionId) {
+        return this.query(`
+            SELECT * FROM (
+                SELECT COUNT(*) AS booked_count FROM bookings
+                WHERE session_id = ? AND deleted = 0
+            ) AS booking_counts
+        `, [sessionId])
+        .then(result => Number(result[0].booking_counts.booked_count));
+    }
+
+    /**
+     * Calculates the remaining spots for a session.
+     * @param {number|null} capacity - The session capacity (null = unlimited)
+     * @param {number} bookedCount - The number of active bookings
+     * @returns {number|null} The number of spots left (never below 0), or null if the session is unlimited.
+     */
+    static spotsRemaining(capacity, bookedCount) {
+        if (capacity === null || capacity === undefined) {
+            return null;
+        }
+        return Math.max(capacity - bookedCount, 0);
+    }
+
+    /**
+     * Calculates when a session finishes.
+     * @param {string} sessionTime - The start time (HH:MM or HH:MM:SS)
+     * @param {number} durationMinutes - How long the session runs, in minutes
+     * @returns {string} The end time (HH:MM), wrapping past midnight.
+     */
+    static getEndTime(sessionTime, durationMinutes) {
+        const [hours, minutes] = String(sessionTime).split(':').map(Number);
+        const endMinutes = (hours * 60 + minutes + Number(durationMinutes)) % (24 * 60);
+        return `${String(Math.floor(endMinutes / 60)).padStart(2, '0')}:${String(endMinutes % 60).padStart(2, '0')}`;
+    }
 }
@@ -0,0 +1,157 @@
+import { DatabaseModel } from "./DatabaseModel.mjs";
+import { SessionModel } from "./SessionModel.mjs";
+
+export class SessionSeriesModel extends DatabaseModel {
+    // Longest span a single series may cover, to keep one form submission from flooding the schedule
+    static MAX_SERIES_DAYS = 366;
+
+    static WEEKDAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+    /**
+     * Constructor to initialize a SessionSeriesModel instance (the template for a recurring session)
+     * @param {number} id - The unique ID of the series.
+     * @param {number} activityId - The ID of the activity for every occurrence.
+     * @param {number} trainerId - The ID of the trainer for every occurrence.
+     * @param {number} locationId - The ID of the location for every occurrence.
+     * @param {string} sessionTime - The time of every occurrence (HH:MM:SS).
+     * @param {number[]} weekdays - The days the session repeats on (0 = Sunday ... 6 = Saturday).
+     * @param {string} startDate - The first date of the series (YYYY-MM-DD).
+     * @param {string} endDate - The last date of the series, inclusive (YYYY-MM-DD).
+     * @param {number|null} capacity - The capacity of every occurrence (null = unlimited).
+     * @param {number} durationMinutes - How long every occurrence runs, in minutes.
+     * @param {number} deleted - A flag indicating whether the series is cancelled (0 for active, 1 for cancelled).
+     */
+    constructor(id, activityId, trainerId, locationId, sessionTime, weekdays, startDate, endDate, capacity = null, durationMinutes = SessionModel.DEFAULT_DURATION_MINUTES, deleted = 0) {
+        super();
+        this.id = id;
+        this.activityId = activityId;
+        this.trainerId = trainerId;
+        this.locationId = locationId;
+        this.sessionTime = sessionTime;
+        this.weekdays = weekdays;
+        this.startDate = startDate;
+        this.endDate = endDate;
+        this.capacity = capacity;
+        this.durationMinutes = durationMinutes;
+        this.deleted = deleted;
+    }
+
+    /**
+     * Converts a database row into a SessionSeriesModel instance.
+     * @param {Object} row - The database row representing a session series.
+     * @returns {SessionSeriesModel} A new instance of SessionSeriesModel with the provided database row data.
+     */
+    static tableToModel(row) {
+        const data = row.session_series || row; // Handles nested structures if nestTables: true
+        return new SessionSeriesModel(
+            data["id"],
+            data["activity_id"],
+            data["trainer_id"],
+            data["location_id"],
+            data["session_time"],
+            String(data["weekdays"] || "").split(",").filter(day => day !== "").map(Number),
+            data["start_date"],
+            data["end_date"],
+            data["capacity"],
+            data["duration_minutes"] ?? SessionModel.DEFAULT_DURATION_MINUTES,
+            data["deleted"]
+        );
+    }
+
+    /**
+     * Creates a new series record.
+     * @param {SessionSeriesModel} series - The series to be created.
+     * @returns {Promise<mysql.OkPacket>} Promise that resolves to MySQL result packet containing insert operation details and new series ID.
+     */
+    static create(series) {
+        return this.query(`
+            INSERT INTO session_series
+            (activity_id, trainer_id, location_id, session_time, weekdays, start_date, end_date, duration_minutes, capacity, deleted)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 0)
+        `, [
+            series.activityId,
+            series.trainerId,
+            series.locationId,
+            series.sessionTime,
+            series.weekdays.join(","),
+            series.startDate,
+            series.endDate,
+            series.durationMinutes || SessionModel.DEFAULT_DURATION_MINUTES,
+            series.capacity || null
+        ]);
+    }
+
+    /**
+     * Retrieves an active series by its ID.
+     * @param {number} id - The series ID.
+     * @returns {Promise<SessionSeriesModel>} Promise that resolves to the series, or rejects if not found.
+     */
+    static getById(id) {
+        return this.query("SELECT * FROM session_series WHERE id = ? AND deleted = 0", [id])
+            .then(result => result.length > 0
+                ? this.tableToModel(result[0])
+                : Promise.reject("Session series not found"));
+    }
+
+    /**
+     * Updates the template of an existing series (used when editing the whole series or this-and-following).
+     * @param {SessionSeriesModel} series - The updated series.
+     * @returns {Promise<mysql.OkPacket>} Promise that resolves to MySQL result packet containing update operation details.
+     */
+    static update(series) {
+        return this.query(`
+            UPDATE session_series
+            SET activity_id = ?, trainer_id = ?, location_id = ?, session_time = ?,
+                weekdays = ?, start_date = ?, end_date = ?, duration_minutes = ?, capacity = ?
+            WHERE id = ?
+        `, [
+            series.activityId,
+            series.trainerId,
+            series.locationId,
+            series.sessionTime,
+            series.weekdays.join(","),
+            series.startDate,
+            series.endDate,
+            series.durationMinutes || SessionModel.DEFAULT_DURATION_MINUTES,
+            series.capacity || null,
+            series.id
+        ]);
+    }
+
+    /**
+     * Soft deletes a series by setting its 'deleted' flag to 1.
+     * @param {number} id - The series ID.
+     * @returns {Promise<mysql.OkPacket>} Promise that resolves to MySQL result packet containing soft delete operation details.
+     */
+    static delete(id) {
+        return this.query("UPDATE session_series SET deleted = 1 WHERE id = ?", [id]);
+    }
+
+    /**
+     * Lists the dates a series produces: every matching weekday from the start date to the end date, inclusive.
+     * @param {number[]} weekdays - The days the session repeats on (0 = Sunday ... 6 = Saturday).
+     * @param {string} startDate - The first date (YYYY-MM-DD).
+     * @param {string} endDate - The last date, inclusive (YYYY-MM-DD).
+     * @returns {string[]} The occurrence dates in order (YYYY-MM-DD).
+     */
+    static getOccurrenceDates(weekdays, startDate, endDate) {
+        const dates = [];
+        for (let date = startDate; date <= endDate; date = DatabaseModel.addDays(date, 1)) {
+            if (weekdays.includes(new Date(`${date}T00:00:00Z`).getUTCDay())) {
+                dates.push(date);
+            }
+        }
+        return dates;
+    }
+
+    /**
+     * Describes a series for display, e.g. "Every Mon, Wed at 06:00-07:00 until 2026-03-31".
+     * @param {SessionSeriesModel} series - The series to describe.
+     * @returns {string} A short human-readable description.
+     */
+    static describe(series) {
+        const days = [...series.weekdays].sort().map(day => SessionSeriesModel.WEEKDAY_NAMES[day]).join(", ");
+        const startTime = String(series.sessionTime).substring(0, 5);
+        return `Every ${days} at ${startTime}-${SessionModel.getEndTime(series.sessionTime, series.durationMinutes)} until ${series.endDate}`;
+    }
+}
@@ -0,0 +1,113 @@
+import crypto from "crypto";
+import { DatabaseModel } from "./DatabaseModel.mjs";
+
+export class TwoFactorChallengeModel extends DatabaseModel {
+    /**
+     * Constructor to initialize a TwoFactorChallengeModel instance (an API login waiting for its second step)
+     * @param {number} id - The unique ID of the challenge.
+     * @param {number} userId - The ID of the user logging in.
+     * @param {string} tokenHash - The SHA-256 hash (hex) of the challenge token returned by the login. The token itself is never stored.
+     * @param {number} failedAttempts - How many wrong codes have been entered against the challenge.
+     * @param {string} expiresAt - When the challenge stops working (YYYY-MM-DD HH:MM:SS, gym local time).
+     * @param {string|null} usedAt - When the challenge was completed or given up on (null while it can still be used).
+     * @param {string|null} createdAt - When the password check passed.
+     */
+    constructor(id, userId, tokenHash, failedAttempts, expiresAt, usedAt = null, createdAt = null) {
+        super();
+        this.id = id;
+        this.userId = userId;
+        this.tokenHash = tokenHash;
+        this.failedAttempts = failedAttempts;
+        this.expiresAt = expiresAt;
+        this.usedAt = usedAt;
+        this.createdAt = createdAt;
+    }
+
+    /**
+     * Converts a database row to a TwoFactorChallengeModel instance.
+     * @param {Object} row - A database row representing a two-factor challenge.
+     * @returns {TwoFactorChallengeModel} A new instance of TwoFactorChallengeModel with the provided database row data.
+     */
+    static tableToModel(row) {
+        const data = row.two_factor_challenges || row; // Handles nested structures if nestTables: true
+        return new TwoFactorChallengeModel(
+            data["id"],
+            data["user_id"],
+            data["token_hash"],
+            data["failed_attempts"],
+            data["expires_at"],
+            data["used_at"] ?? null,
+            data["created_at"] ?? null
+        );
+    }
+
+    /**
+     * Hashes a challenge token the way it is stored.
+     * @param {string} token - The challenge token from the login response.
+     * @returns {string} The SHA-256 hash of the token (hex).
+     */
+    static hashToken(token) {
+        return crypto.createHash("sha256").update(String(token)).digest("hex");
+    }
+
+    /**
+     * Starts the second step of a login, once the user's password has been checked.
+     * @param {number} userId - The ID of the user logging in.
+     * @param {number} lifetimeMinutes - How long the user has to enter a code.
+     * @returns {Promise<string>} Promise that resolves to the token to return to the client (only its hash is stored).
+     */
+    static async create(userId, lifetimeMinutes) {
+        const token = crypto.randomBytes(32).toString("hex");
+        const expiresAt = DatabaseModel.toMySqlDateTime(new Date(Date.now() + lifetimeMinutes * 60 * 1000));
+        await this.query(
+            "INSERT INTO two_factor_challenges (user_id, token_hash, expires_at, created_at) VALUES (?, ?, ?, ?)",
+            [userId, this.hashToken(token), expiresAt, DatabaseModel.toMySqlDateTime(new Date())]
+        );
+        return token;
+    }
+
+    /**
+     * Retrieves an unused, unexpired challenge.
+     * @param {string} token - The challenge token from the login response.
+     * @returns {Promise<TwoFactorChallengeModel>} Promise that resolves to the challenge, or rejects if it is unknown, used, or expired.
+     */
+    static getValidByToken(token) {
+        return this.query(`
+            SELECT * FROM two_factor_challenges
+            WHERE token_hash = ? AND used_at IS NULL AND expires_at > ?
+        `, [this.hashToken(token), DatabaseModel.toMySqlDateTime(new Date())])
+            .then(result => result.length > 0
+                ? this.tableToModel(result[0])
+                : Promise.reject("Challenge not found"));
+    }
+
+    /**
+     * Counts a wrong code against a challenge. Once maxAttempts is reached the challenge stops working
+     * and the user has to log in with their password again.
+     * @param {number} id - The unique ID of the challenge.
+     * @param {number} maxAttempts - How many wrong codes are allowed.
+     * @returns {Promise<mysql.OkPacket>} Promise that resolves to MySQL result packet containing update operation details.
+     */
+    static recordFailedAttempt(id, maxAttempts) {
+        // MySQL applies SET assignments left to right, so the IF sees the increased count
+        return this.query(`
+            UPDATE two_factor_challenges
+            SET failed_attempts = failed_attempts + 1,
+                used_at = IF(failed_attempts >= ?, ?, used_at)
+            WHERE id = ? AND used_at IS NULL
+        `, [maxAttempts, DatabaseModel.toMySqlDateTime(new Date()), id]);
+    }
+
+    /**
+     * Marks a challenge as completed. Only one request can complete a challenge, even if two arrive at once.
+     * @param {number} id - The unique ID of the challenge.
+     * @returns {Promise<boolean>} Promise that resolves to true if this call completed the challenge.
+     */
+    static async markUsed(id) {
+        const result = await this.query(
+            "UPDATE two_factor_challenges SET used_at = ? WHERE id = ? AND used_at IS NULL",
+            [DatabaseModel.toMySqlDateTime(new Date()), id]
+        );
+        return result.affectedRows > 0;
+    }
+}
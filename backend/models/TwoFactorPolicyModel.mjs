@@ -0,0 +1,73 @@
+import { DatabaseModel } from "./DatabaseModel.mjs";
+import { USER_ROLE_ADMIN, USER_ROLE_TRAINER } from "./UserModel.mjs";
+
+export class TwoFactorPolicyModel extends DatabaseModel {
+    // Roles the policy can make two-factor authentication mandatory for
+    static STAFF_ROLES = [USER_ROLE_ADMIN, USER_ROLE_TRAINER];
+
+    // Rules that apply until an admin saves their own
+    static DEFAULTS = {
+        requiredForStaff: false
+    };
+
+    /**
+     * Constructor to initialize a TwoFactorPolicyModel instance (the gym's two-factor authentication rules)
+     * @param {boolean} requiredForStaff - Whether trainers and admins must set up two-factor authentication before they can use staff pages.
+     */
+    constructor(requiredForStaff) {
+        super();
+        this.requiredForStaff = requiredForStaff;
+    }
+
+    /**
+     * Converts a database row to a TwoFactorPolicyModel instance.
+     * @param {Object} row - A database row representing the two-factor policy.
+     * @returns {TwoFactorPolicyModel} A new instance of TwoFactorPolicyModel with the provided database row data.
+     */
+    static tableToModel(row) {
+        const data = row.two_factor_policy || row; // Handles nested structures if nestTables: true
+        return new TwoFactorPolicyModel(
+            !!data["required_for_staff"]
+        );
+    }
+
+    /**
+     * Retrieves the current two-factor policy.
+     * @returns {Promise<TwoFactorPolicyModel>} Promise that resolves to the saved policy, or the defaults if none has been saved.
+     */
+    static async get() {
+        const result = await this.query("SELECT * FROM two_factor_policy WHERE id = 1");
+        if (result.length > 0) {
+            return this.tableToModel(result[0]);
+        }
+        return new TwoFactorPolicyModel(TwoFactorPolicyModel.DEFAULTS.requiredForStaff);
+    }
+
+    /**
+     * Saves the two-factor policy (there is only ever one).
+     * @param {TwoFactorPolicyModel} policy - The policy to save.
+     * @returns {Promise<mysql.OkPacket>} Promise that resolves to MySQL result packet containing insert or update operation details.
+     */
+    static update(policy) {
+        return this.query(`
+            INSERT INTO two_factor_policy (id, required_for_staff)
+            VALUES (1, ?)
+            ON DUPLICATE KEY UPDATE
+                required_for_staff = VALUES(required_for_staff)
+        `, [policy.requiredForStaff ? 1 : 0]);
+    }
+
+    /**
+     * Works out whether a user has to set up two-factor authentication before they can carry on.
+     * Only staff who haven't switched it on are affected, and only while the policy requires it.
+     * @param {UserModel} user - The logged-in user.
+     * @returns {Promise<boolean>} Promise that resolves to true if the user must set up two-factor authentication.
+     */
+    static async isSetupRequired(user) {
+        if (user.totpEnabledAt || !TwoFactorPolicyModel.STAFF_ROLES.includes(user.role)) {
+            return false;
+        }
+        const policy = await TwoFactorPolicyModel.get();
+        return policy.requiredForStaff;
+    }
+}
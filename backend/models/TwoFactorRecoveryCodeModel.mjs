@@ -0,0 +1,109 @@
+import crypto from "crypto";
+import { DatabaseModel } from "./DatabaseModel.mjs";
+
+export class TwoFactorRecoveryCodeModel extends DatabaseModel {
+    // How many recovery codes a user is given at a time
+    static CODE_COUNT = 10;
+
+    /**
+     * Constructor to initialize a TwoFactorRecoveryCodeModel instance (one single-use recovery code)
+     * @param {number} id - The unique ID of the recovery code.
+     * @param {number} userId - The ID of the user the code belongs to.
+     * @param {string} codeHash - The SHA-256 hash (hex) of the code. The code itself is only ever shown to the user once.
+     * @param {string|null} usedAt - When the code was used to log in (null while it can still be used).
+     * @param {string|null} createdAt - When the code was issued.
+     */
+    constructor(id, userId, codeHash, usedAt = null, createdAt = null) {
+        super();
+        this.id = id;
+        this.userId = userId;
+        this.codeHash = codeHash;
+        this.usedAt = usedAt;
+        this.createdAt = createdAt;
+    }
+
+    /**
+     * Converts a database row to a TwoFactorRecoveryCodeModel instance.
+     * @param {Object} row - A database row representing a recovery code.
+     * @returns {TwoFactorRecoveryCodeModel} A new instance of TwoFactorRecoveryCodeModel with the provided database row data.
+     */
+    static tableToModel(row) {
+        const data = row.two_factor_recovery_codes || row; // Handles nested structures if nestTables: true
+        return new TwoFactorRecoveryCodeModel(
+            data["id"],
+            data["user_id"],
+            data["code_hash"],
+            data["used_at"] ?? null,
+            data["created_at"] ?? null
+        );
+    }
+
+    /**
+     * Hashes a recovery code the way it is stored. Case, spaces and dashes are ignored,
+     * so "ABCDE-12345" and "abcde12345" are the same code.
+     * @param {string} code - The recovery code as the user typed it.
+     * @returns {string} The SHA-256 hash of the code (hex).
+     */
+    static hashCode(code) {
+        const normalised = String(code).toLowerCase().replace(/[\s-]/g, "");
+        return crypto.createHash("sha256").update(normalised).digest("hex");
+    }
+
+    /**
+     * Issues a new set of recovery codes for a user. Codes from any earlier set stop working.
+     * @param {number} userId - The ID of the user.
+     * @returns {Promise<Array<string>>} Promise that resolves to the codes to show the user (only their hashes are stored).
+     */
+    static async replaceForUser(userId) {
+        const codes = [];
+        for (let i = 0; i < TwoFactorRecoveryCodeModel.CODE_COUNT; i++) {
+            const code = crypto.randomBytes(5).toString("hex");
+            codes.push(`${code.slice(0, 5)}-${code.slice(5)}`);
+        }
+
+        await this.deleteByUserId(userId);
+        const createdAt = DatabaseModel.toMySqlDateTime(new Date());
+        await this.query(
+            "INSERT INTO two_factor_recovery_codes (user_id, code_hash, created_at) VALUES ?",
+            [codes.map(code => [userId, this.hashCode(code), createdAt])]
+        );
+        return codes;
+    }
+
+    /**
+     * Uses up one of a user's recovery codes. Only one login can redeem a code, even if two arrive at once.
+     * @param {number} userId - The ID of the user.
+     * @param {string} code - The recovery code as the user typed it.
+     * @returns {Promise<boolean>} Promise that resolves to true if the code was valid and is now used.
+     */
+    static async redeem(userId, code) {
+        const result = await this.query(
+            "UPDATE two_factor_recovery_codes SET used_at = ? WHERE user_id = ? AND code_hash = ? AND used_at IS NULL",
+            [DatabaseModel.toMySqlDateTime(new Date()), userId, this.hashCode(code)]
+        );
+        return result.affectedRows > 0;
+    }
+
+    /**
+     * Counts how many of a user's recovery codes are still unused.
+     * @param {number} userId - The ID of the user.
+     * @returns {Promise<number>} Promise that resolves to the number of unused codes.
+     */
+    static countUnusedByUserId(userId) {
+        return this.query(`
+            SELECT * FROM (
+                SELECT COUNT(*) AS unused_count FROM two_factor_recovery_codes
+                WHERE user_id = ? AND used_at IS NULL
+            ) AS unused_codes
+        `, [userId]).then(result => Number(result[0].unused_codes.unused_count));
+    }
+
+    /**
+     * Deletes all of a user's recovery codes (when two-factor is switched off or the codes are replaced).
+     * @param {number} userId - The ID of the user.
+     * @returns {Promise<mysql.OkPacket>} Promise that resolves to MySQL result packet containing delete operation details.
+     */
+    static deleteByUserId(userId) {
+        return this.query("DELETE FROM two_factor_recovery_codes WHERE user_id = ?", [userId]);
+    }
+}
@@ -16,9 +16,14 @@ export class UserModel extends DatabaseModel {
      * @param {string} firstName - The first name of the user.
      * @param {string} lastName - The last name of the user.
      * @param {number} deleted - The deletion status of the user (0 for active, 1 for deleted).
-     * @param {string|null} authenticationKey - The authentication key for the user.
+     * @param {number} sessionVersion - Bumped when the password is reset, which ends the user's web sessions.
+     * @param {string|null} emailVerifiedAt - When the user confirmed their email address (null while unverified).
+     * @param {string|null} totpSecret - The base32 secret shared with the user's authenticator app (null if two-factor was never set up).
+     * @param {string|null} totpEnabledAt - When two-factor authentication was switched on (null while it is off).
+     * @param {number} failedLoginCount - Wrong passwords entered in a row since the last login or lockout.
+     * @param {string|null} lockedUntil - When a lockout after too many wrong passwords ends (null if the account was never locked).
      */
-    constructor(id, email, password, role, firstName, lastName, deleted, authenticationKey = null) {
+    constructor(id, email, password, role, firstName, lastName, deleted, sessionVersion = 0, emailVerifiedAt = null, totpSecret = null, totpEnabledAt = null, failedLoginCount = 0, lockedUntil = null) {
         super();
         this.id = id;
         this.email = email;
@@ -27,7 +32,12 @@ export class UserModel extends DatabaseModel {
         this.firstName = firstName;
         this.lastName = lastName;
         this.deleted = deleted;
-        this.authenticationKey = authenticationKey;
+        this.sessionVersion = sessionVersion;
+        this.emailVerifiedAt = emailVerifiedAt;
+        this.totpSecret = totpSecret;
+        this.totpEnabledAt = totpEnabledAt;
+        this.failedLoginCount = failedLoginCount;
+        this.lockedUntil = lockedUntil;
     }
 
     /**
@@ -44,7 +54,12 @@ export class UserModel extends DatabaseModel {
             row["first_name"],  // Database column (snake_case) → maps to firstName (camelCase)
             row["last_name"],   // Database column (snake_case) → maps to lastName (camelCase)
             row["deleted"],
-            row["authentication_key"]
+            row["session_version"] ?? 0,
+            row["email_verified_at"] ?? null,
+            row["totp_secret"] ?? null,
+            row["totp_enabled_at"] ?? null,
+            row["failed_login_count"] ?? 0,
+            row["locked_until"] ?? null
         );
     }
 
@@ -106,20 +121,6 @@ export class UserModel extends DatabaseModel {
             .then(results => results.map(row => this.tableToModel(row.users)));  // Corrected 'row' to 'row.users'
     }
 
-    /**
-     * Retrieves a user by their authentication key.
-     * @param {string} authenticationKey - User authentication key.
-     * @returns {Promise<UserModel>} Promise that resolves to the user with the specified authentication key, or rejects if not found.
-     */
-    static async getByAuthenticationKey(authenticationKey) {
-        return this.query("SELECT * FROM users WHERE authentication_key = ? AND deleted = 0", [authenticationKey])
-            .then(result =>
-                result.length > 0
-                    ? this.tableToModel(result[0].users)
-                    : Promise.reject("not found")
-            );
-    }
-
     /**
      * Creates a new user in the database.
      * @param {UserModel} user - User object.
@@ -162,7 +163,7 @@ export class UserModel extends DatabaseModel {
         if (user.password) {
         return this.query(
             `UPDATE users
-            SET email = ?, password = ?, role = ?, first_name = ?, last_name = ?, authentication_key = ?, deleted = ?
+            SET email = ?, password = ?, role = ?, first_name = ?, last_name = ?, deleted = ?
             WHERE id = ?`,
             [
                 user.email,
@@ -170,7 +171,6 @@ export class UserModel extends DatabaseModel {
                 user.role,
                 user.firstName,  // Match camelCase with firstName
                 user.lastName,   // Match camelCase with lastName
-                user.authenticationKey || null,  // Handle authentication key
                 user.deleted || 0,  // Ensure deleted is either 0 or the value passed in the request
                 id  // Ensure the ID passed as parameter is used in the WHERE clause
             ]
@@ -179,14 +179,13 @@ export class UserModel extends DatabaseModel {
             // Don't update password if not provided
             return this.query(
                 `UPDATE users
-                SET email = ?, role = ?, first_name = ?, last_name = ?, authentication_key = ?, deleted = ?
+                SET email = ?, role = ?, first_name = ?, last_name = ?, deleted = ?
                 WHERE id = ?`,
                 [
                     user.email,
                     user.role,
                     user.firstName,  // Match camelCase with firstName
                     user.lastName,   // Match camelCase with lastName
-                    user.authenticationKey || null,  // Handle authentication key
                     user.deleted || 0,  // Ensure deleted is either 0 or the value passed in the request
                     id  // Ensure the ID passed as parameter is used in the WHERE clause
                 ]
@@ -195,14 +194,14 @@ export class UserModel extends DatabaseModel {
     }
 
     /**
-     * Updates a user object directly (used for API authentication).
+     * Updates a user object directly (used by the API).
      * @param {UserModel} user - User object to update.
      * @returns {Promise<mysql.ResultSetHeader>} Promise that resolves to the MySQL result packet containing update information.
      */
     static async update(user) {
         return this.query(
             `UPDATE users
-            SET email = ?, password = ?, role = ?, first_name = ?, last_name = ?, authentication_key = ?, deleted = ?
+            SET email = ?, password = ?, role = ?, first_name = ?, last_name = ?, deleted = ?
             WHERE id = ?`,
             [
                 user.email,
@@ -210,13 +209,137 @@ export class UserModel extends DatabaseModel {
                 user.role,
                 user.firstName,  // Use camelCase property
                 user.lastName,   // Use camelCase property
-                user.authenticationKey || null,
                 user.deleted || 0,
                 user.id
             ]
         );
     }
 
+    /**
+     * Sets a new password after a password reset, and ends the user's web sessions by bumping session_version.
+     * Their API tokens are revoked separately (ApiTokenModel.revokeByUserId). Following the emailed link also unlocks the account.
+     * @param {number} id - User ID.
+     * @param {string} password - The new password (hashed before saving).
+     * @returns {Promise<mysql.ResultSetHeader>} Promise that resolves to the MySQL result packet containing update information.
+     */
+    static async resetPassword(id, password) {
+        const saltRounds = 10;
+        const hashedPassword = await bcrypt.hash(password, saltRounds);
+        return this.query(
+            `UPDATE users
+            SET password = ?, session_version = session_version + 1, failed_login_count = 0, locked_until = NULL
+            WHERE id = ? AND deleted = 0`,
+            [hashedPassword, id]
+        );
+    }
+
+    /**
+     * Marks a user's email address as verified. Verifying an address that is already verified keeps the original time.
+     * @param {number} id - User ID.
+     * @returns {Promise<mysql.ResultSetHeader>} Promise that resolves to the MySQL result packet containing update information.
+     */
+    static async markEmailVerified(id) {
+        return this.query(
+            "UPDATE users SET email_verified_at = COALESCE(email_verified_at, ?) WHERE id = ? AND deleted = 0",
+            [DatabaseModel.toMySqlDateTime(new Date()), id]
+        );
+    }
+
+    /**
+     * Counts a wrong password, and locks the account once there have been too many in a row.
+     * Locking starts the count again, so the next lockout needs the same number of wrong passwords.
+     * @param {number} id - User ID.
+     * @param {number} maxFailedLogins - How many wrong passwords in a row lock the account.
+     * @param {number} lockoutMinutes - How long the account stays locked.
+     * @returns {Promise<string|null>} Promise that resolves to when the lockout ends if this wrong password locked the account, or null.
+     */
+    static async recordFailedLogin(id, maxFailedLogins, lockoutMinutes) {
+        const lockedUntil = DatabaseModel.toMySqlDateTime(new Date(Date.now() + lockoutMinutes * 60 * 1000));
+        // MySQL applies SET assignments left to right, so the IF()s see the incremented count
+        await this.query(
+            `UPDATE users
+            SET failed_login_count = failed_login_count + 1,
+                locked_until = IF(failed_login_count >= ?, ?, locked_until),
+                failed_login_count = IF(failed_login_count >= ?, 0, failed_login_count)
+            WHERE id = ?`,
+            [maxFailedLogins, lockedUntil, maxFailedLogins, id]
+        );
+        const user = await this.getById(id);
+        return user.lockedUntil === lockedUntil ? lockedUntil : null;
+    }
+
+    /**
+     * Clears the count of wrong passwords after a successful login.
+     * @param {number} id - User ID.
+     * @returns {Promise<mysql.ResultSetHeader>} Promise that resolves to the MySQL result packet containing update information.
+     */
+    static async clearFailedLogins(id) {
+        return this.query("UPDATE users SET failed_login_count = 0 WHERE id = ? AND failed_login_count > 0", [id]);
+    }
+
+    /**
+     * Ends a lockout straight away (from the emailed unlock link, or by an admin).
+     * @param {number} id - User ID.
+     * @returns {Promise<mysql.ResultSetHeader>} Promise that resolves to the MySQL result packet containing update information.
+     */
+    static async unlock(id) {
+        return this.query("UPDATE users SET failed_login_count = 0, locked_until = NULL WHERE id = ?", [id]);
+    }
+
+    /**
+     * Saves a new authenticator secret while two-factor authentication is being set up.
+     * Users who already have two-factor switched on keep their current secret.
+     * @param {number} id - User ID.
+     * @param {string} totpSecret - The base32 secret shown to the user as a QR code.
+     * @returns {Promise<boolean>} Promise that resolves to true if the secret was saved.
+     */
+    static async setTotpSecret(id, totpSecret) {
+        const result = await this.query(
+            "UPDATE users SET totp_secret = ?, totp_last_step = NULL WHERE id = ? AND totp_enabled_at IS NULL AND deleted = 0",
+            [totpSecret, id]
+        );
+        return result.affectedRows > 0;
+    }
+
+    /**
+     * Switches two-factor authentication on, once the user has entered a code from their authenticator app.
+     * @param {number} id - User ID.
+     * @returns {Promise<mysql.ResultSetHeader>} Promise that resolves to the MySQL result packet containing update information.
+     */
+    static async enableTwoFactor(id) {
+        return this.query(
+            "UPDATE users SET totp_enabled_at = ? WHERE id = ? AND totp_secret IS NOT NULL AND deleted = 0",
+            [DatabaseModel.toMySqlDateTime(new Date()), id]
+        );
+    }
+
+    /**
+     * Switches two-factor authentication off and forgets the authenticator secret.
+     * @param {number} id - User ID.
+     * @returns {Promise<mysql.ResultSetHeader>} Promise that resolves to the MySQL result packet containing update information.
+     */
+    static async disableTwoFactor(id) {
+        return this.query(
+            "UPDATE users SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL WHERE id = ?",
+            [id]
+        );
+    }
+
+    /**
+     * Records the time step of an accepted authenticator code. Each code only works once,
+     * even if two logins using it arrive at the same time.
+     * @param {number} id - User ID.
+     * @param {number} step - The TOTP time step the code belongs to.
+     * @returns {Promise<boolean>} Promise that resolves to true if the code had not been used before.
+     */
+    static async useTotpStep(id, step) {
+        const result = await this.query(
+            "UPDATE users SET totp_last_step = ? WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)",
+            [step, id, step]
+        );
+        return result.affectedRows > 0;
+    }
+
     /**
      * Soft deletes a user by ID.
      * @param {number} id - User ID.
@@ -0,0 +1,244 @@
+import { DatabaseModel } from "./DatabaseModel.mjs";
+import { BookingModel } from "./BookingModel.mjs";
+import { BookingPolicyModel } from "./BookingPolicyModel.mjs";
+import { MembershipModel } from "./MembershipModel.mjs";
+import { SessionModel } from "./SessionModel.mjs";
+import { notifyBookingConfirmed } from "../utils/notifications.mjs";
+
+export class WaitlistModel extends DatabaseModel {
+    /**
+     * Constructor to initialize a WaitlistModel instance
+     * @param {number} id - The unique ID for the waitlist entry.
+     * @param {number} memberId - The ID of the member waiting for a spot.
+     * @param {number} sessionId - The ID of the full session.
+     * @param {string} createdAt - When the member joined the waitlist (YYYY-MM-DD HH:MM:SS).
+     * @param {number} deleted - Flag indicating if the entry is closed (0 = waiting, 1 = left or promoted).
+     * @param {number|null} position - The member's place in the queue (1 = next to be promoted), when known.
+     */
+    constructor(id, memberId, sessionId, createdAt, deleted, position = null) {
+        super();
+        this.id = id;
+        this.memberId = memberId;
+        this.sessionId = sessionId;
+        this.createdAt = createdAt;
+        this.deleted = deleted;
+        this.position = position;
+    }
+
+    /**
+     * Converts a database row to a WaitlistModel instance.
+     * Handles both nested structures (e.g., when using joins) and flat structures.
+     *
+     * @param {Object} row - A database row representing a waitlist entry.
+     * @returns {WaitlistModel} A new instance of WaitlistModel with the provided database row data.
+     */
+    static tableToModel(row) {
+        const data = row.waitlist_entries || row; // Handles nested structures if nestTables: true
+        const position = row.waitlist_positions?.position;
+        return new WaitlistModel(
+            data["id"],
+            data["member_id"],
+            data["session_id"],
+            data["created_at"],
+            data["deleted"],
+            position !== undefined && position !== null ? Number(position) : null
+        );
+    }
+
+    /**
+     * Adds a member to the end of the waitlist for a session.
+     * Ensures that the member is not already waiting for the same session. The session row is locked
+     * while checking, so two requests at once can't both add the same member.
+     *
+     * @param {WaitlistModel} entry - The WaitlistModel instance to be created.
+     * @returns {Promise<mysql.OkPacket>} Promise that resolves to MySQL result packet containing insert operation details and new entry ID, or rejects if the member is already on the waitlist.
+     */
+    static async create(entry) {
+        return this.transaction(async () => {
+            await this.lockRows("sessions", [entry.sessionId]);
+
+            const existingEntry = await this.getByMemberAndSession(entry.memberId, entry.sessionId).catch(() => null);
+            if (existingEntry) {
+                return Promise.reject(`Member ID ${entry.memberId} is already on the waitlist for Session ID ${entry.sessionId}.`);
+            }
+
+            return this.query(`
+                INSERT INTO waitlist_entries (member_id, session_id, created_at, deleted)
+                VALUES (?, ?, NOW(), 0)
+            `, [entry.memberId, entry.sessionId]);
+        });
+    }
+
+    /**
+     * Retrieves a waiting entry by its unique ID, including its current position.
+     *
+     * @param {number} id - The unique ID of the waitlist entry.
+     * @returns {Promise<WaitlistModel>} Promise that resolves to the waitlist entry, or rejects if not found.
+     */
+    static getById(id) {
+        return this.query(`
+            SELECT waitlist_entries.*, waitlist_positions.position
+            FROM waitlist_entries
+            INNER JOIN (
+                SELECT entries.id, (
+                    SELECT COUNT(*) FROM waitlist_entries AS earlier_entries
+                    WHERE earlier_entries.session_id = entries.session_id
+                    AND earlier_entries.deleted = 0
+                    AND earlier_entries.id <= entries.id
+                ) AS position
+                FROM waitlist_entries AS entries
+                WHERE entries.id = ?
+            ) AS waitlist_positions ON waitlist_positions.id = waitlist_entries.id
+            WHERE waitlist_entries.deleted = 0
+        `, [id])
+            .then(result => result.length > 0
+                ? this.tableToModel(result[0])
+                : Promise.reject("Waitlist entry not found"));
+    }
+
+    /**
+     * Retrieves a member's waiting entry for a specific session, including its current position.
+     *
+     * @param {number} memberId - The ID of the member.
+     * @param {number} sessionId - The ID of the session.
+     * @returns {Promise<WaitlistModel>} Promise that resolves to the waitlist entry, or rejects if the member is not waiting for the session.
+     */
+    static getByMemberAndSession(memberId, sessionId) {
+        return this.query(
+            "SELECT id FROM waitlist_entries WHERE member_id = ? AND session_id = ? AND deleted = 0",
+            [memberId, sessionId]
+        ).then(result => result.length > 0
+            ? this.getById(result[0].waitlist_entries.id)
+            : Promise.reject("Waitlist entry not found"));
+    }
+
+    /**
+     * Retrieves all waiting entries for a member on upcoming sessions, including each entry's position.
+     *
+     * @param {number} memberId - The ID of the member whose waitlist entries are to be retrieved.
+     * @returns {Promise<WaitlistModel[]>} Promise that resolves to an array of the member's waitlist entries, soonest session first.
+     */
+    static getByMemberId(memberId) {
+        return this.query(`
+            SELECT waitlist_entries.*, waitlist_positions.position
+            FROM waitlist_entries
+            INNER JOIN sessions ON waitlist_entries.session_id = sessions.id
+            INNER JOIN (
+                SELECT entries.id, (
+                    SELECT COUNT(*) FROM waitlist_entries AS earlier_entries
+                    WHERE earlier_entries.session_id = entries.session_id
+                    AND earlier_entries.deleted = 0
+                    AND earlier_entries.id <= entries.id
+                ) AS position
+                FROM waitlist_entries AS entries
+                WHERE entries.member_id = ? AND entries.deleted = 0
+            ) AS waitlist_positions ON waitlist_positions.id = waitlist_entries.id
+            WHERE waitlist_entries.deleted = 0
+            AND sessions.deleted = 0
+            AND sessions.session_date >= ?
+            ORDER BY sessions.session_date ASC, sessions.session_time ASC
+        `, [memberId, DatabaseModel.toMySqlDate(new Date())])
+            .then(result => result.map(row => this.tableToModel(row)));
+    }
+
+    /**
+     * Retrieves the waiting entries for a session in queue order (first in, first out).
+     *
+     * @param {number} sessionId - The ID of the session.
+     * @returns {Promise<WaitlistModel[]>} Promise that resolves to an array of waitlist entries, next to be promoted first.
+     */
+    static getBySessionId(sessionId) {
+        return this.query(
+            "SELECT * FROM waitlist_entries WHERE session_id = ? AND deleted = 0 ORDER BY id ASC",
+            [sessionId]
+        ).then(result => result.map((row, index) => {
+            const entry = this.tableToModel(row);
+            entry.position = index + 1;
+            return entry;
+        }));
+    }
+
+    /**
+     * Closes a waitlist entry by setting its 'deleted' flag to 1 (used when a member leaves or is promoted).
+     *
+     * @param {number} id - The unique ID of the waitlist entry.
+     * @returns {Promise<mysql.OkPacket>} Promise that resolves to MySQL result packet containing soft delete operation details.
+     */
+    static delete(id) {
+        return this.query("UPDATE waitlist_entries SET deleted = 1 WHERE id = ?", [id]);
+    }
+
+    /**
+     * Closes all waiting entries for a session (used when the session is cancelled).
+     *
+     * @param {number} sessionId - The ID of the session.
+     * @returns {Promise<mysql.OkPacket>} Promise that resolves to MySQL result packet containing soft delete operation details.
+     */
+    static deleteBySessionId(sessionId) {
+        return this.query("UPDATE waitlist_entries SET deleted = 1 WHERE session_id = ? AND deleted = 0", [sessionId]);
+    }
+
+    /**
+     * Closes all of a member's waiting entries (used when their account is deleted).
+     *
+     * @param {number} memberId - The ID of the member.
+     * @returns {Promise<mysql.OkPacket>} Promise that resolves to MySQL result packet containing soft delete operation details.
+     */
+    static deleteByMemberId(memberId) {
+        return this.query("UPDATE waitlist_entries SET deleted = 1 WHERE member_id = ? AND deleted = 0", [memberId]);
+    }
+
+    /**
+     * Promotes waitlisted members into real bookings, in queue order, until the session is full again.
+     * Members who have since booked the session themselves are dropped from the queue.
+     * Members suspended under the booking policy, or without a membership covering the session, are skipped but keep their place for later.
+     * Promoted bookings are paid for like any other booking (class packs spend a credit), and the member is emailed that they are booked.
+     * Safe to call from concurrent cancellations: BookingModel.create re-checks capacity atomically,
+     * and a member promoted by another request is treated as already booked.
+     *
+     * @param {number} sessionId - The ID of the session that may have free spots.
+     * @returns {Promise<WaitlistModel[]>} Promise that resolves to the entries that were promoted to bookings.
+     */
+    static async promoteFromWaitlist(sessionId) {
+        const promotedEntries = [];
+        const session = await SessionModel.getById(sessionId).catch(() => null);
+        if (!session) {
+            return promotedEntries;
+        }
+        const waitingEntries = await this.getBySessionId(sessionId);
+        const policy = await BookingPolicyModel.get();
+
+        for (const entry of waitingEntries) {
+            const standing = await BookingPolicyModel.getMemberStanding(entry.memberId, policy);
+            if (standing.isSuspended) {
+                continue;
+            }
+            let result;
+            try {
+                // The booking and leaving the queue happen together
+                result = await this.transaction(async () => {
+                    const booked = await MembershipModel.bookWithEntitlement(new BookingModel(null, entry.memberId, sessionId, 0), session);
+                    await this.delete(entry.id);
+                    return booked;
+                });
+            } catch (error) {
+                if (typeof error === 'string' && error.includes("is full")) {
+                    break;
+                }
+                if (typeof error === 'string' && error.includes("no valid membership")) {
+                    continue;
+                }
+                if (typeof error !== 'string' || !error.includes("already booked")) {
+                    throw error;
+                }
+                // Already booked - drop the entry from the queue
+                await this.delete(entry.id);
+                continue;
+            }
+            promotedEntries.push(entry);
+            await notifyBookingConfirmed(result.insertId, { fromWaitlist: true });
+        }
+
+        return promotedEntries;
+    }
+}
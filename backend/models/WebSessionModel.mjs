@@ -0,0 +1,97 @@
+import { DatabaseModel } from "./DatabaseModel.mjs";
+
+// expires_at is only pushed back when it has moved on by more than this, so browsing doesn't write on every request
+const EXPIRY_RESOLUTION_MINUTES = 5;
+
+export class WebSessionModel extends DatabaseModel {
+    /**
+     * Retrieves the data of a session that hasn't expired.
+     * @param {string} sid - The session ID from the cookie.
+     * @returns {Promise<Object|null>} Promise that resolves to the session data, or null if there is no such session or it has expired.
+     */
+    static async getData(sid) {
+        const result = await this.query(
+            "SELECT data FROM web_sessions WHERE sid = ? AND expires_at > ?",
+            [sid, DatabaseModel.toMySqlDateTime(new Date())]
+        );
+        return result.length > 0 ? JSON.parse((result[0].web_sessions || result[0]).data) : null;
+    }
+
+    /**
+     * Saves a session, creating it or replacing its data.
+     * @param {string} sid - The session ID.
+     * @param {number|null} userId - The logged-in user, or null if nobody is logged in yet.
+     * @param {Object} data - The session data.
+     * @param {Date} expiresAt - When the session expires.
+     * @returns {Promise<mysql.OkPacket>} Promise that resolves to MySQL result packet containing insert or update operation details.
+     */
+    static save(sid, userId, data, expiresAt) {
+        return this.query(`
+            INSERT INTO web_sessions (sid, user_id, data, expires_at)
+            VALUES (?, ?, ?, ?)
+            ON DUPLICATE KEY UPDATE
+                user_id = VALUES(user_id),
+                data = VALUES(data),
+                expires_at = VALUES(expires_at)
+        `, [sid, userId, JSON.stringify(data), DatabaseModel.toMySqlDateTime(expiresAt)]);
+    }
+
+    /**
+     * Pushes back the expiry of a session that is still being used.
+     * @param {string} sid - The session ID.
+     * @param {Date} expiresAt - The new expiry.
+     * @returns {Promise<mysql.OkPacket>} Promise that resolves to MySQL result packet containing update operation details.
+     */
+    static touch(sid, expiresAt) {
+        const staleBefore = new Date(expiresAt.getTime() - EXPIRY_RESOLUTION_MINUTES * 60 * 1000);
+        return this.query(
+            "UPDATE web_sessions SET expires_at = ? WHERE sid = ? AND expires_at < ?",
+            [DatabaseModel.toMySqlDateTime(expiresAt), sid, DatabaseModel.toMySqlDateTime(staleBefore)]
+        );
+    }
+
+    /**
+     * Deletes a session (logging it out).
+     * @param {string} sid - The session ID.
+     * @returns {Promise<mysql.OkPacket>} Promise that resolves to MySQL result packet containing delete operation details.
+     */
+    static delete(sid) {
+        return this.query("DELETE FROM web_sessions WHERE sid = ?", [sid]);
+    }
+
+    /**
+     * Counts a user's sessions that haven't expired (browsers they are logged in on).
+     * @param {number} userId - The ID of the user.
+     * @returns {Promise<number>} Promise that resolves to the number of sessions.
+     */
+    static async countActiveByUserId(userId) {
+        const result = await this.query(`
+            SELECT counts.total FROM (
+                SELECT COUNT(*) AS total FROM web_sessions WHERE user_id = ? AND expires_at > ?
+            ) AS counts
+        `, [userId, DatabaseModel.toMySqlDateTime(new Date())]);
+        return Number((result[0].counts || result[0]).total);
+    }
+
+    /**
+     * Deletes all of a user's sessions, logging them out of every browser.
+     * @param {number} userId - The ID of the user.
+     * @returns {Promise<number>} Promise that resolves to the number of sessions deleted.
+     */
+    static async deleteByUserId(userId) {
+        const result = await this.query("DELETE FROM web_sessions WHERE user_id = ?", [userId]);
+        return result.affectedRows;
+    }
+
+    /**
+     * Deletes expired sessions.
+     * @returns {Promise<number>} Promise that resolves to the number of sessions deleted.
+     */
+    static async deleteExpired() {
+        const result = await this.query(
+            "DELETE FROM web_sessions WHERE expires_at <= ?",
+            [DatabaseModel.toMySqlDateTime(new Date())]
+        );
+        return result.affectedRows;
+    }
+}
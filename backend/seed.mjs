@@ -0,0 +1,177 @@
+import bcrypt from "bcryptjs";
+import { connect, getStatus } from "./utils/migrations.mjs";
+import { config } from "./config.mjs";
+
+// Demo data for development and testing: node seed.mjs (after node migrate.mjs up)
+// Adds the demo users (admin1@hsg.com etc., all with the password below), activities, locations,
+// a week of sessions from tomorrow, memberships, a couple of bookings and a welcome blog post.
+// Anything already there (matched by email, name or time slot) is left alone, so it can be run again.
+
+const DEMO_PASSWORD = "0000";
+
+const USERS = [
+    { email: "admin1@hsg.com", role: "admin", firstName: "Joe", lastName: "Smith" },
+    { email: "trainer1@hsg.com", role: "trainer", firstName: "Jane", lastName: "Smith" },
+    { email: "trainer2@hsg.com", role: "trainer", firstName: "Sam", lastName: "Lee" },
+    { email: "member1@hsg.com", role: "member", firstName: "Alex", lastName: "Brown" },
+    { email: "member2@hsg.com", role: "member", firstName: "Priya", lastName: "Patel" }
+];
+
+const ACTIVITIES = [
+    { name: "Yoga", description: "Stretch, strengthen and breathe in a calm flow class for all levels.", defaultCapacity: 20 },
+    { name: "HIIT", description: "Short bursts of high-intensity intervals to build fitness fast.", defaultCapacity: 15 },
+    { name: "Pilates", description: "Core strength, posture and control on the mat.", defaultCapacity: 12 },
+    { name: "Spin", description: "Indoor cycling to music, paced by the instructor.", defaultCapacity: 20 }
+];
+
+const LOCATIONS = [
+    { name: "Main Hall", address: "1 High Street, Brisbane QLD 4000", capacity: 30 },
+    { name: "Studio A", address: "1 High Street (Level 1), Brisbane QLD 4000", capacity: 15 },
+    { name: "Studio B", address: "1 High Street (Level 2), Brisbane QLD 4000", capacity: 12 }
+];
+
+// The daily timetable, run for each of the next seven days
+const TIMETABLE = [
+    { activity: "Yoga", trainer: "trainer1@hsg.com", location: "Studio A", time: "06:30:00" },
+    { activity: "HIIT", trainer: "trainer2@hsg.com", location: "Main Hall", time: "12:00:00" },
+    { activity: "Pilates", trainer: "trainer1@hsg.com", location: "Studio B", time: "17:30:00" },
+    { activity: "Spin", trainer: "trainer2@hsg.com", location: "Main Hall", time: "18:30:00" }
+];
+const TIMETABLE_DAYS = 7;
+
+// member1 is booked on tomorrow's first two sessions
+const BOOKINGS = [
+    { member: "member1@hsg.com", activity: "Yoga" },
+    { member: "member1@hsg.com", activity: "HIIT" }
+];
+
+const BLOG = {
+    author: "admin1@hsg.com",
+    title: "Welcome to High Street Gym",
+    content: "We are excited to announce our new facilities and classes. Book a session from the timetable and see you soon!"
+};
+
+/**
+ * Look up an ID, or insert the row if it's missing
+ * @param {mysql.Connection} connection - The connection
+ * @param {string} findSql - SELECT id ... for the existing row
+ * @param {Array} findValues - Values for findSql
+ * @param {string} insertSql - INSERT for the new row
+ * @param {Array} insertValues - Values for insertSql
+ * @returns {Promise<Object>} { id, created }
+ */
+async function findOrInsert(connection, findSql, findValues, insertSql, insertValues) {
+    const [rows] = await connection.query(findSql, findValues);
+    if (rows.length > 0) {
+        return { id: rows[0].id, created: false };
+    }
+    const [result] = await connection.query(insertSql, insertValues);
+    return { id: result.insertId, created: true };
+}
+
+if (config.profile === "production") {
+    console.error("❌ The demo data has well-known passwords, so it can't be seeded into a production database");
+    process.exit(1);
+}
+
+const connection = await connect();
+try {
+    const pending = (await getStatus(connection)).filter(migration => !migration.appliedAt);
+    if (pending.length > 0) {
+        throw new Error(`${pending.length} migration(s) have not been applied - run node migrate.mjs up first`);
+    }
+
+    const created = { users: 0, activities: 0, locations: 0, sessions: 0, memberships: 0, bookings: 0, blogs: 0 };
+    const count = (table, result) => {
+        created[table] += result.created ? 1 : 0;
+        return result.id;
+    };
+
+    const passwordHash = await bcrypt.hash(DEMO_PASSWORD, 10);
+    const userIds = {};
+    for (const user of USERS) {
+        userIds[user.email] = count("users", await findOrInsert(connection,
+            "SELECT id FROM users WHERE email = ? AND deleted = 0", [user.email],
+            `INSERT INTO users (email, password, role, first_name, last_name, email_verified_at)
+            VALUES (?, ?, ?, ?, ?, NOW())`,
+            [user.email, passwordHash, user.role, user.firstName, user.lastName]
+        ));
+    }
+
+    const activities = {};
+    for (const activity of ACTIVITIES) {
+        const id = count("activities", await findOrInsert(connection,
+            "SELECT id FROM activities WHERE name = ? AND deleted = 0", [activity.name],
+            "INSERT INTO activities (name, description, default_capacity) VALUES (?, ?, ?)",
+            [activity.name, activity.description, activity.defaultCapacity]
+        ));
+        activities[activity.name] = { id: id, capacity: activity.defaultCapacity };
+    }
+
+    const locations = {};
+    for (const location of LOCATIONS) {
+        const id = count("locations", await findOrInsert(connection,
+            "SELECT id FROM locations WHERE name = ? AND deleted = 0", [location.name],
+            "INSERT INTO locations (name, address, capacity) VALUES (?, ?, ?)",
+            [location.name, location.address, location.capacity]
+        ));
+        locations[location.name] = { id: id, capacity: location.capacity };
+    }
+
+    // Tomorrow's session for each activity, for the bookings below
+    const firstSessionIds = {};
+    for (let day = 1; day <= TIMETABLE_DAYS; day++) {
+        for (const slot of TIMETABLE) {
+            const activity = activities[slot.activity];
+            const location = locations[slot.location];
+            const trainerId = userIds[slot.trainer];
+            const id = count("sessions", await findOrInsert(connection,
+                `SELECT id FROM sessions
+                WHERE trainer_id = ? AND session_date = CURDATE() + INTERVAL ? DAY AND session_time = ? AND deleted = 0`,
+                [trainerId, day, slot.time],
+                `INSERT INTO sessions (activity_id, trainer_id, location_id, session_date, session_time, capacity)
+                VALUES (?, ?, ?, CURDATE() + INTERVAL ? DAY, ?, ?)`,
+                [activity.id, trainerId, location.id, day, slot.time, Math.min(activity.capacity, location.capacity)]
+            ));
+            firstSessionIds[slot.activity] ??= id;
+        }
+    }
+
+    const membershipIds = {};
+    for (const user of USERS.filter(user => user.role === "member")) {
+        membershipIds[user.email] = count("memberships", await findOrInsert(connection,
+            "SELECT id FROM memberships WHERE user_id = ? AND expiry_date >= CURDATE() AND deleted = 0",
+            [userIds[user.email]],
+            `INSERT INTO memberships (user_id, plan_id, start_date, expiry_date, credits_remaining)
+            SELECT ?, id, CURDATE(), CURDATE() + INTERVAL duration_days DAY, credits
+            FROM membership_plans
+            WHERE name = 'Unlimited' AND deleted = 0
+            LIMIT 1`,
+            [userIds[user.email]]
+        ));
+    }
+
+    for (const booking of BOOKINGS) {
+        const memberId = userIds[booking.member];
+        const sessionId = firstSessionIds[booking.activity];
+        count("bookings", await findOrInsert(connection,
+            "SELECT id FROM bookings WHERE member_id = ? AND session_id = ? AND deleted = 0", [memberId, sessionId],
+            "INSERT INTO bookings (member_id, session_id, membership_id) VALUES (?, ?, ?)",
+            [memberId, sessionId, membershipIds[booking.member]]
+        ));
+    }
+
+    count("blogs", await findOrInsert(connection,
+        "SELECT id FROM blogs WHERE title = ? AND deleted = 0", [BLOG.title],
+        "INSERT INTO blogs (title, content, author_id) VALUES (?, ?, ?)",
+        [BLOG.title, BLOG.content, userIds[BLOG.author]]
+    ));
+
+    console.log("✅ Demo data seeded:", Object.entries(created).map(([table, number]) => `${number} ${table}`).join(", "));
+    console.log(`   Log in as ${USERS.map(user => user.email).join(", ")} with the password "${DEMO_PASSWORD}"`);
+} catch (error) {
+    console.error("❌ Seeding failed:", error.message);
+    process.exitCode = 1;
+} finally {
+    await connection.end();
+}
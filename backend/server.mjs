@@ -9,12 +9,16 @@ import { ActivityController} from "./controllers/ActivityController.mjs";
 import { UserController } from "./controllers/UserController.mjs";
 import { SessionController } from "./controllers/SessionController.mjs"; // ✅ Added ClassController
 import { BookingController } from "./controllers/BookingController.mjs";
+import { CalendarController } from "./controllers/CalendarController.mjs";
+import { RoleController } from "./controllers/RoleController.mjs";
 import { APIController } from "./controllers/api/APICotroller.mjs";
+import { startScheduler } from "./utils/scheduler.mjs";
+import { config } from "./config.mjs";
 
 
 // Create Express app instance
 const app = express();
-const port = 8080;
+const port = config.port;
 
 // Enable cross-origin resources sharing (CORS) and preflight OPTIONS requests
 app.use(cors({
@@ -41,6 +45,8 @@ app.use("/activities", ActivityController.routes);          // ✅ Activity rout
 app.use("/users", UserController.routes);          // ✅ Trainer routes
 app.use("/sessions", SessionController.routes);  // ✅ Class routes for handling class-related actions
 app.use("/bookings", BookingController.routes);          // ✅ Trainer routes
+app.use("/calendar", CalendarController.routes);        // ✅ Calendar feed routes
+app.use("/roles", RoleController.routes);                // ✅ Role permission routes
 app.use("/api", APIController.routes)                   // ✅ API routes
 
 // ✅ Default route (Home page)
@@ -59,5 +65,8 @@ app.use(express.static(path.join(import.meta.dirname, "public")));
 
 // ✅ Start server
 app.listen(port, () => {
-    console.log("Backend started on http://localhost:" + port);
+    console.log(`Backend started on http://localhost:${port} (${config.profile})`);
 });
+
+// ✅ Run background jobs (email outbox, session reminders, trainer rosters)
+startScheduler().catch(error => console.error("Error starting the job scheduler:", error));
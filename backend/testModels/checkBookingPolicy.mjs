@@ -0,0 +1,49 @@
+import assert from "assert/strict";
+import { DatabaseModel } from "../models/DatabaseModel.mjs";
+import { BookingPolicyModel } from "../models/BookingPolicyModel.mjs";
+
+// Checks the booking policy's cancellation windows and date arithmetic (no database needed).
+// The server is put in a timezone far from Brisbane, so anything read in server time instead of gym time shows up.
+process.env.TZ = "America/Los_Angeles";
+
+(async () => {
+    try {
+        console.log("Checking BookingPolicyModel...");
+
+        // 08:00 on 10 March 2026 in Brisbane (UTC+10 all year)
+        const now = new Date("2026-03-09T22:00:00Z");
+        const policy = { cancellationCutoffMinutes: 120 };
+        const windowFor = sessionTime => BookingPolicyModel.getCancellationWindow({ sessionDate: "2026-03-10", sessionTime }, policy, now);
+
+        console.log("Working out cancellation windows...");
+        assert.equal(windowFor("10:30:00"), "free", "2.5 hours ahead is before the cut-off");
+        assert.equal(windowFor("10:00:01"), "free", "just before the cut-off");
+        assert.equal(windowFor("10:00:00"), "late", "exactly at the cut-off");
+        assert.equal(windowFor("09:30"), "late", "HH:MM times are read too");
+        assert.equal(windowFor("08:00:00"), "started", "the session starts now");
+        assert.equal(windowFor("07:00:00"), "started", "the session started an hour ago");
+        assert.equal(
+            BookingPolicyModel.getCancellationWindow({ sessionDate: "2026-03-11", sessionTime: "07:00:00" }, policy, now),
+            "free",
+            "tomorrow's session"
+        );
+
+        console.log("Moving dates...");
+        assert.equal(DatabaseModel.addDays("2026-03-10", 7), "2026-03-17");
+        assert.equal(DatabaseModel.addDays("2026-03-01", -1), "2026-02-28");
+        assert.equal(DatabaseModel.addDays("2024-02-28", 1), "2024-02-29", "leap year");
+        assert.equal(DatabaseModel.addDays("2025-12-31", 1), "2026-01-01", "new year");
+        assert.equal(DatabaseModel.addDays("2026-11-01", 1), "2026-11-02", "the day daylight saving ends in the server's timezone");
+
+        console.log("Reading gym local time...");
+        assert.equal(DatabaseModel.toMySqlDate(now), "2026-03-10");
+        assert.equal(DatabaseModel.toMySqlDateTime(now), "2026-03-10 08:00:00");
+
+        console.log("✅ All booking policy checks passed");
+    } catch (error) {
+        console.error("Test failed:", error);
+        process.exitCode = 1;
+    } finally {
+        process.exit(); // Ensure the process exits after execution
+    }
+})();
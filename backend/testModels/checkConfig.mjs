@@ -0,0 +1,109 @@
+import assert from "assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { loadBackendConfig, loadFrontendConfig, getProfile, readEnvFiles, ConfigError } from "../../config/index.mjs";
+
+// Checks how settings are read from environment variables and .env files for each profile (no database needed).
+// Each check passes its own variables and an empty folder of .env files, so the developer's own settings don't matter.
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), "high-street-gym-config-"));
+
+// Settings production has no defaults for
+const productionSettings = {
+    API_URL: "https://gym.example.com/api",
+    FRONTEND_URL: "https://gym.example.com",
+    DB_USER: "gym",
+    DB_PASSWORD: "secret",
+    SESSION_SECRET: "s".repeat(32),
+    JWT_SECRET: "j".repeat(32),
+    PAYMENT_PROVIDER: "mock",
+    SMTP_HOST: "smtp.example.com"
+};
+
+/**
+ * Loads the backend config and returns the problems it was rejected for
+ * @param {Object} options - See loadBackendConfig
+ * @returns {Array<string>} The problems
+ */
+function getProblems(options) {
+    try {
+        loadBackendConfig({ directory, ...options });
+    } catch (error) {
+        assert.ok(error instanceof ConfigError, "invalid settings throw a ConfigError");
+        return error.problems;
+    }
+    assert.fail("Expected a ConfigError, but the config loaded");
+}
+
+(async () => {
+    try {
+        console.log("Checking configuration loading...");
+
+        console.log("Working out the profile...");
+        assert.equal(getProfile({}), "development");
+        assert.equal(getProfile({ NODE_ENV: "prod" }), "production", "short names are accepted");
+        assert.equal(getProfile({ APP_ENV: "test", NODE_ENV: "production" }), "test", "APP_ENV wins over NODE_ENV");
+        assert.throws(() => getProfile({ APP_ENV: "staging" }), ConfigError);
+
+        console.log("Filling in profile defaults...");
+        const development = loadBackendConfig({ env: {}, directory });
+        assert.equal(development.profile, "development");
+        assert.equal(development.apiUrl, "http://localhost:8080/api", "defaults can use settings read before them");
+        assert.equal(development.database.name, "high_street_gym");
+        assert.equal(development.payments.provider, "mock");
+        assert.equal(loadBackendConfig({ profile: "test", env: {}, directory }).database.name, "high_street_gym_test", "a profile default beats the shared one");
+        assert.ok(Object.isFrozen(development.database), "settings can't be changed while the app runs");
+
+        console.log("Reading setting types...");
+        const typed = loadBackendConfig({ env: { PORT: "3000", SMTP_SECURE: "true", FRONTEND_URL: "http://localhost:5173/", TRAINER_ROSTER_TIME: "07:30" }, directory });
+        assert.equal(typed.port, 3000);
+        assert.equal(typed.apiUrl, "http://localhost:3000/api");
+        assert.equal(typed.smtp.secure, true);
+        assert.equal(typed.frontendUrl, "http://localhost:5173", "trailing slashes are removed from URLs");
+        assert.equal(typed.scheduler.trainerRosterTime, "07:30");
+        assert.deepEqual(
+            getProblems({ env: { SMTP_PORT: "80a", SMTP_SECURE: "yes", FRONTEND_URL: "localhost", TRAINER_ROSTER_TIME: "24:00", JWT_SECRET: "short" } }),
+            [
+                "FRONTEND_URL must be a full URL, e.g. http://localhost:8080",
+                "JWT_SECRET must be at least 32 characters",
+                "SMTP_PORT must be a whole number",
+                "SMTP_SECURE must be \"true\" or \"false\"",
+                "TRAINER_ROSTER_TIME must be a time of day as HH:MM"
+            ],
+            "every problem is listed at once"
+        );
+        assert.deepEqual(getProblems({ env: { PAYMENT_PROVIDER: "paypal" } }), ["PAYMENT_PROVIDER must be one of mock"], "only registered payment gateways");
+
+        console.log("Requiring production settings...");
+        assert.deepEqual(getProblems({ profile: "production", env: {} }), Object.keys(productionSettings).map(name => `${name} is required`));
+        const production = loadBackendConfig({ profile: "production", env: productionSettings, directory });
+        assert.equal(production.database.host, "localhost", "settings with a default for every profile still have one");
+        assert.equal(production.jwt.accessTokenMinutes, 15);
+        assert.deepEqual(loadFrontendConfig({ profile: "production", env: { API_URL: productionSettings.API_URL, FRONTEND_URL: productionSettings.FRONTEND_URL }, directory }), {
+            profile: "production",
+            port: 8080,
+            apiUrl: productionSettings.API_URL,
+            frontendUrl: productionSettings.FRONTEND_URL
+        }, "the frontend build doesn't need backend secrets");
+
+        console.log("Reading .env files...");
+        fs.writeFileSync(path.join(directory, ".env"), "DB_NAME=from_env\nDB_HOST=env-host\nSMTP_PORT=2525\n");
+        fs.writeFileSync(path.join(directory, ".env.development"), "DB_NAME=from_profile\nDB_HOST=profile-host\n");
+        fs.writeFileSync(path.join(directory, ".env.local"), "DB_NAME=from_local\n");
+        assert.deepEqual(readEnvFiles("development", directory), { DB_NAME: "from_local", DB_HOST: "profile-host", SMTP_PORT: "2525" }, "more specific files win");
+        assert.equal(readEnvFiles("test", directory).DB_NAME, "from_env", "tests skip .env.local");
+        const fromFiles = loadBackendConfig({ env: { DB_HOST: "real-host" }, directory });
+        assert.equal(fromFiles.database.host, "real-host", "environment variables override the files");
+        assert.equal(fromFiles.database.name, "from_local");
+        assert.equal(fromFiles.smtp.port, 2525);
+
+        console.log("✅ All configuration checks passed");
+    } catch (error) {
+        console.error("Test failed:", error);
+        process.exitCode = 1;
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+        process.exit(); // Ensure the process exits after execution
+    }
+})();
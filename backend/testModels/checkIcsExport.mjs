@@ -0,0 +1,75 @@
+import assert from "assert/strict";
+import { escapeICS, foldICSLine, formatICSDateTime, parseLocalDateTime, buildEventUID, generateICS } from "../utils/icsExport.mjs";
+
+// Checks the iCalendar export helpers: escaping, line folding, UIDs and event times (no database needed).
+// The server is put in a timezone far from Brisbane, so anything read in server time instead of gym time shows up.
+process.env.TZ = "America/Los_Angeles";
+
+(async () => {
+    try {
+        console.log("Checking iCalendar exports...");
+
+        console.log("Escaping text values...");
+        assert.equal(escapeICS("Yoga; stretch, relax"), "Yoga\\; stretch\\, relax");
+        assert.equal(escapeICS("C:\\path"), "C:\\\\path");
+        assert.equal(escapeICS("Line one\r\nLine two\nLine three"), "Line one\\nLine two\\nLine three");
+        assert.equal(escapeICS(null), "");
+        assert.equal(escapeICS(42), "42");
+
+        console.log("Folding long lines...");
+        assert.equal(foldICSLine("SUMMARY:Short"), "SUMMARY:Short", "short lines are left alone");
+        const longLine = `DESCRIPTION:${"a".repeat(200)}`;
+        const folded = foldICSLine(longLine).split("\r\n");
+        assert.equal(folded[0].length, 75, "the first line holds 75 octets");
+        assert.ok(folded.slice(1).every(part => part.startsWith(" ") && part.length <= 75), "continuation lines start with a space");
+        assert.equal(folded.map((part, index) => index === 0 ? part : part.slice(1)).join(""), longLine, "unfolding gives the original line");
+        // Multi-byte characters are never split across lines
+        const emojiLine = `SUMMARY:${"💪".repeat(30)}`;
+        const encoder = new TextEncoder();
+        for (const part of foldICSLine(emojiLine).split("\r\n")) {
+            assert.ok(encoder.encode(part).length <= 75, "no line is longer than 75 octets");
+            assert.ok(!part.includes("\uFFFD"), "no character is split");
+        }
+
+        console.log("Building event UIDs...");
+        assert.equal(buildEventUID("session", 12), "session-12@highstreetgym");
+        assert.equal(buildEventUID("booking", 12), "booking-12@highstreetgym");
+
+        console.log("Reading session times as gym local time...");
+        assert.equal(formatICSDateTime(parseLocalDateTime("2026-03-10", "06:00:00")), "20260309T200000Z", "Brisbane is UTC+10");
+        assert.equal(formatICSDateTime(parseLocalDateTime("2026-07-01", "18:30")), "20260701T083000Z", "no daylight saving in winter either");
+        assert.equal(formatICSDateTime(parseLocalDateTime("2026-01-01")), "20251231T140000Z", "midnight by default");
+        assert.equal(formatICSDateTime(new Date("invalid")), "");
+
+        console.log("Generating a calendar...");
+        const ics = generateICS({
+            calendarName: "Jane's sessions",
+            events: [{
+                uid: buildEventUID("session", 7),
+                start: parseLocalDateTime("2026-03-10", "06:00:00"),
+                durationMinutes: 45,
+                lastModified: new Date("2026-03-01T00:00:00Z"),
+                summary: "Spin, advanced",
+                description: "Bring water",
+                location: "Studio 1",
+                cancelled: true
+            }]
+        });
+        assert.ok(ics.endsWith("\r\n"), "lines end with CRLF");
+        const lines = ics.split("\r\n");
+        assert.equal(lines[0], "BEGIN:VCALENDAR");
+        assert.ok(lines.includes("UID:session-7@highstreetgym"));
+        assert.ok(lines.includes("DTSTART:20260309T200000Z"));
+        assert.ok(lines.includes("DTEND:20260309T204500Z"));
+        assert.ok(lines.includes("DTSTAMP:20260301T000000Z"));
+        assert.ok(lines.includes("SUMMARY:Spin\\, advanced"));
+        assert.ok(lines.includes("STATUS:CANCELLED"));
+
+        console.log("✅ All iCalendar export checks passed");
+    } catch (error) {
+        console.error("Test failed:", error);
+        process.exitCode = 1;
+    } finally {
+        process.exit(); // Ensure the process exits after execution
+    }
+})();
@@ -0,0 +1,67 @@
+import assert from "assert/strict";
+import { createRateLimiter } from "../utils/rateLimiter.mjs";
+
+// Checks the progressive login delays: free attempts, doubling waits, the maximum wait and forgetting keys (no database needed).
+// The limiter reads the time from Date.now, so the checks move a fake clock instead of waiting.
+
+const realNow = Date.now;
+let clock = Date.parse("2026-03-10T00:00:00Z");
+
+/**
+ * Move the fake clock forward
+ * @param {number} seconds - How far to move it
+ */
+function advance(seconds) {
+    clock += seconds * 1000;
+}
+
+(async () => {
+    try {
+        console.log("Checking the rate limiter...");
+        Date.now = () => clock;
+        const limiter = createRateLimiter({ freeAttempts: 2, baseDelaySeconds: 2, maxDelaySeconds: 10, forgetAfterSeconds: 60 });
+
+        console.log("Allowing the free attempts...");
+        assert.equal(limiter.retryAfter("jane@example.com"), 0, "an unknown key can go ahead");
+        limiter.recordFailure("jane@example.com");
+        limiter.recordFailure("jane@example.com");
+        assert.equal(limiter.retryAfter("jane@example.com"), 0, "the free failures don't cause a wait");
+
+        console.log("Doubling the wait after each failure...");
+        const waits = [];
+        for (let failure = 0; failure < 5; failure++) {
+            limiter.recordFailure("jane@example.com");
+            waits.push(limiter.retryAfter("jane@example.com"));
+        }
+        assert.deepEqual(waits, [2, 4, 8, 10, 10], "the wait doubles up to the maximum");
+
+        console.log("Counting down the wait...");
+        advance(9.5);
+        assert.equal(limiter.retryAfter("jane@example.com"), 1, "part seconds round up");
+        advance(0.5);
+        assert.equal(limiter.retryAfter("jane@example.com"), 0, "the attempt can go ahead once the wait is over");
+
+        console.log("Keeping keys apart...");
+        assert.equal(limiter.retryAfter("203.0.113.7"), 0);
+        limiter.recordFailure("jane@example.com");
+        assert.equal(limiter.retryAfter("jane@example.com"), 10, "failures still count after a wait ends");
+
+        console.log("Forgetting keys...");
+        advance(61);
+        limiter.recordFailure("jane@example.com");
+        assert.equal(limiter.retryAfter("jane@example.com"), 0, "a key that has been quiet long enough starts again from zero");
+        limiter.recordFailure("jane@example.com");
+        limiter.recordFailure("jane@example.com");
+        assert.equal(limiter.retryAfter("jane@example.com"), 2);
+        limiter.reset("jane@example.com");
+        assert.equal(limiter.retryAfter("jane@example.com"), 0, "reset clears the wait straight away");
+
+        console.log("✅ All rate limiter checks passed");
+    } catch (error) {
+        console.error("Test failed:", error);
+        process.exitCode = 1;
+    } finally {
+        Date.now = realNow;
+        process.exit(); // Ensure the process exits after execution
+    }
+})();
@@ -0,0 +1,62 @@
+import assert from "assert/strict";
+import { SessionSeriesModel } from "../models/SessionSeriesModel.mjs";
+import { SessionController } from "../controllers/SessionController.mjs";
+
+// Checks the recurring series rules: occurrence dates, repeat validation and descriptions (no database needed).
+// The server is put in a timezone far from Brisbane, so anything read in server time instead of gym time shows up.
+process.env.TZ = "America/Los_Angeles";
+
+(async () => {
+    try {
+        console.log("Checking recurring session series...");
+
+        console.log("Listing occurrence dates...");
+        // 2 March 2026 is a Monday
+        assert.deepEqual(
+            SessionSeriesModel.getOccurrenceDates([1, 3], "2026-03-02", "2026-03-15"),
+            ["2026-03-02", "2026-03-04", "2026-03-09", "2026-03-11"]
+        );
+        assert.deepEqual(SessionSeriesModel.getOccurrenceDates([0], "2026-03-02", "2026-03-08"), ["2026-03-08"], "the end date is included");
+        assert.deepEqual(SessionSeriesModel.getOccurrenceDates([2], "2026-03-02", "2026-03-02"), [], "no matching weekday");
+        assert.deepEqual(
+            SessionSeriesModel.getOccurrenceDates([6], "2026-10-31", "2026-11-14"),
+            ["2026-10-31", "2026-11-07", "2026-11-14"],
+            "across the server's daylight saving change"
+        );
+        assert.deepEqual(
+            SessionSeriesModel.getOccurrenceDates([4], "2025-12-25", "2026-01-08"),
+            ["2025-12-25", "2026-01-01", "2026-01-08"],
+            "across the new year"
+        );
+
+        console.log("Validating repeat settings...");
+        const valid = SessionController.validateSeries(["1", "3", "1"], "2026-03-02", "2026-06-30");
+        assert.equal(valid.isValid, true);
+        assert.deepEqual(valid.weekdays, [1, 3], "checkbox values are parsed and de-duplicated");
+        assert.equal(SessionController.validateSeries(undefined, "2026-03-02", "2026-06-30").status, "Invalid Repeat Days");
+        assert.equal(SessionController.validateSeries("7", "2026-03-02", "2026-06-30").status, "Invalid Repeat Days");
+        assert.equal(SessionController.validateSeries("1", "2026-03-02", "2026-03-01").status, "Invalid Repeat End Date");
+        assert.equal(SessionController.validateSeries("1", "2026-03-02", "30/06/2026").status, "Invalid Repeat End Date");
+        assert.equal(SessionController.validateSeries("1", "2026-03-02", "2027-03-03").isValid, true, "exactly MAX_SERIES_DAYS");
+        assert.equal(SessionController.validateSeries("1", "2026-03-02", "2027-03-04").status, "Series Too Long");
+
+        console.log("Normalising series scopes...");
+        assert.equal(SessionController.normalizeSeriesScope("following"), "following");
+        assert.equal(SessionController.normalizeSeriesScope("series"), "series");
+        assert.equal(SessionController.normalizeSeriesScope("everything"), "single");
+        assert.equal(SessionController.normalizeSeriesScope(undefined), "single");
+
+        console.log("Describing a series...");
+        assert.equal(
+            SessionSeriesModel.describe({ weekdays: [3, 1], sessionTime: "06:00:00", durationMinutes: 45, endDate: "2026-03-31" }),
+            "Every Mon, Wed at 06:00-06:45 until 2026-03-31"
+        );
+
+        console.log("✅ All session series checks passed");
+    } catch (error) {
+        console.error("Test failed:", error);
+        process.exitCode = 1;
+    } finally {
+        process.exit(); // Ensure the process exits after execution
+    }
+})();
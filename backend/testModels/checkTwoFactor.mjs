@@ -0,0 +1,64 @@
+import assert from "assert/strict";
+import { verifyTotp, getTwoFactorSetup } from "../utils/twoFactor.mjs";
+import { TwoFactorRecoveryCodeModel } from "../models/TwoFactorRecoveryCodeModel.mjs";
+
+// Checks TOTP codes against the RFC 6238 test vectors, plus setup links and recovery code hashing (no database needed).
+
+// The RFC 6238 SHA-1 secret "12345678901234567890", base32 encoded the way authenticator apps take it
+const secret = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+
+/**
+ * The time for a number of seconds since 1970
+ * @param {number} seconds - Seconds since the Unix epoch
+ * @returns {Date} The date
+ */
+const at = seconds => new Date(seconds * 1000);
+
+(async () => {
+    try {
+        console.log("Checking two-factor authentication...");
+
+        console.log("Verifying RFC 6238 codes...");
+        // The RFC lists 8-digit codes; authenticator apps show the last 6 digits
+        assert.equal(verifyTotp(secret, "287082", at(59)), 1);
+        assert.equal(verifyTotp(secret, "081804", at(1111111109)), 37037036);
+        assert.equal(verifyTotp(secret, "050471", at(1111111111)), 37037037);
+        assert.equal(verifyTotp(secret, "005924", at(1234567890)), 41152263);
+        assert.equal(verifyTotp(secret, "279037", at(2000000000)), 66666666);
+
+        console.log("Allowing for clock drift...");
+        assert.equal(verifyTotp(secret, "081804", at(1111111109 + 30)), 37037036, "a code from the previous period is accepted");
+        assert.equal(verifyTotp(secret, "081804", at(1111111109 - 30)), 37037036, "a code from the next period is accepted");
+        assert.equal(verifyTotp(secret, "081804", at(1111111109 + 60)), null, "two periods late is too late");
+
+        console.log("Rejecting malformed codes...");
+        assert.equal(verifyTotp(secret, "081 804", at(1111111109)), 37037036, "spaces are ignored");
+        assert.equal(verifyTotp(secret.toLowerCase(), "081804", at(1111111109)), 37037036, "secrets are case-insensitive");
+        assert.equal(verifyTotp(secret, "81804", at(1111111109)), null, "too short");
+        assert.equal(verifyTotp(secret, "08180a", at(1111111109)), null, "not digits");
+        assert.equal(verifyTotp(secret, undefined, at(1111111109)), null);
+        assert.equal(verifyTotp(null, "081804", at(1111111109)), null, "no secret set up");
+
+        console.log("Describing the setup for authenticator apps...");
+        const setup = await getTwoFactorSetup({ email: "jane@example.com", totpSecret: secret });
+        assert.equal(setup.secret, secret);
+        assert.equal(
+            setup.otpauthUrl,
+            `otpauth://totp/High%20Street%20Gym%3Ajane%40example.com?secret=${secret}&issuer=High%20Street%20Gym&algorithm=SHA1&digits=6&period=30`
+        );
+        assert.match(setup.qrCode, /^data:image\/png;base64,/);
+
+        console.log("Hashing recovery codes...");
+        const hash = TwoFactorRecoveryCodeModel.hashCode("ABCDE-12345");
+        assert.match(hash, /^[0-9a-f]{64}$/);
+        assert.equal(TwoFactorRecoveryCodeModel.hashCode("abcde 12345"), hash, "case, spaces and dashes are ignored");
+        assert.notEqual(TwoFactorRecoveryCodeModel.hashCode("abcde12346"), hash);
+
+        console.log("✅ All two-factor checks passed");
+    } catch (error) {
+        console.error("Test failed:", error);
+        process.exitCode = 1;
+    } finally {
+        process.exit(); // Ensure the process exits after execution
+    }
+})();
@@ -0,0 +1,25 @@
+import fs from "fs";
+import path from "path";
+import { spawnSync } from "child_process";
+
+// Runs every check*.mjs script in this folder (npm test). Checks cover logic that doesn't need the database,
+// so they run anywhere; the test*.mjs scripts next to them need a MySQL server (e.g. npm run test:db).
+
+const checks = fs.readdirSync(import.meta.dirname)
+    .filter(file => /^check\w*\.mjs$/.test(file))
+    .sort();
+
+const failed = [];
+for (const check of checks) {
+    console.log(`\n▶ ${check}`);
+    const result = spawnSync(process.execPath, [path.join(import.meta.dirname, check)], { stdio: "inherit" });
+    if (result.status !== 0) {
+        failed.push(check);
+    }
+}
+
+console.log(`\n${checks.length - failed.length} of ${checks.length} check script(s) passed`);
+if (failed.length > 0) {
+    console.error(`❌ Failed: ${failed.join(", ")}`);
+    process.exitCode = 1;
+}
@@ -0,0 +1,127 @@
+import assert from "assert/strict";
+import { DatabaseModel } from "../models/DatabaseModel.mjs";
+import { ActivityModel } from "../models/ActivityModel.mjs";
+import { LocationModel } from "../models/LocationModel.mjs";
+
+// Checks DatabaseModel.transaction, afterCommit and lockRows against the configured database
+// (npm run test:db; run with APP_ENV=test to use the test database). Rows committed by the checks are removed at the end.
+
+const testName = `Transaction test ${Date.now()}`;
+const committedRows = [];
+
+/**
+ * Checks whether a row is in a table (deleted or not), outside any transaction
+ * @param {string} table - The table
+ * @param {number} id - The row's ID
+ * @returns {Promise<boolean>} Whether the row exists
+ */
+async function rowExists(table, id) {
+    const result = await DatabaseModel.query("SELECT id FROM ?? WHERE id = ?", [table, id]);
+    return result.length > 0;
+}
+
+/**
+ * Runs work and returns the error it throws
+ * @param {Function} work - Async function expected to throw
+ * @returns {Promise<*>} The error
+ */
+async function getError(work) {
+    try {
+        await work();
+    } catch (error) {
+        return error;
+    }
+    assert.fail("Expected an error, but none was thrown");
+}
+
+(async () => {
+    try {
+        console.log("Testing DatabaseModel transactions...");
+        await DatabaseModel.query("SELECT 1"); // Fails straight away if the database can't be reached
+
+        // An error rolls back the writes of every model in the transaction
+        console.log("Rolling back writes from several models...");
+        let activityId;
+        let locationId;
+        const rollbackError = await getError(() => DatabaseModel.transaction(async () => {
+            activityId = (await ActivityModel.create(new ActivityModel(null, testName, "Rolled back", 0))).insertId;
+            locationId = (await LocationModel.create(testName, "Rolled back")).insertId;
+            throw new Error("Stop part way");
+        }));
+        assert.equal(rollbackError.message, "Stop part way");
+        assert.equal(await rowExists("activities", activityId), false, "the activity should have rolled back");
+        assert.equal(await rowExists("locations", locationId), false, "the location should have rolled back");
+
+        // Committed writes are kept, and the transaction resolves to what work returned
+        console.log("Committing writes from several models...");
+        const committed = await DatabaseModel.transaction(async () => {
+            const activity = await ActivityModel.create(new ActivityModel(null, testName, "Committed", 0));
+            const location = await LocationModel.create(testName, "Committed");
+            return { activityId: activity.insertId, locationId: location.insertId };
+        });
+        committedRows.push(["activities", committed.activityId], ["locations", committed.locationId]);
+        assert.equal(await rowExists("activities", committed.activityId), true, "the activity should be committed");
+        assert.equal(await rowExists("locations", committed.locationId), true, "the location should be committed");
+
+        // A nested call joins the outer transaction, so it rolls back with it
+        console.log("Rolling back a nested transaction with the outer one...");
+        let nestedActivityId;
+        await getError(() => DatabaseModel.transaction(async () => {
+            await DatabaseModel.transaction(async () => {
+                nestedActivityId = (await ActivityModel.create(new ActivityModel(null, testName, "Nested", 0))).insertId;
+            });
+            throw new Error("Outer transaction fails after the nested one finished");
+        }));
+        assert.equal(await rowExists("activities", nestedActivityId), false, "the nested write should have rolled back");
+
+        // afterCommit callbacks wait for the commit, and are dropped on rollback
+        console.log("Running afterCommit callbacks...");
+        const calls = [];
+        await DatabaseModel.transaction(async () => {
+            DatabaseModel.afterCommit(() => calls.push("committed"));
+            calls.push("work finished");
+        });
+        await getError(() => DatabaseModel.transaction(async () => {
+            DatabaseModel.afterCommit(() => calls.push("rolled back"));
+            throw new Error("Roll back");
+        }));
+        DatabaseModel.afterCommit(() => calls.push("outside a transaction"));
+        assert.deepEqual(calls, ["work finished", "committed", "outside a transaction"]);
+
+        // lockRows only works inside a transaction, and returns the rows that exist
+        console.log("Locking rows...");
+        const lockError = await getError(() => DatabaseModel.lockRows("activities", [committed.activityId]));
+        assert.match(lockError.message, /inside DatabaseModel.transaction/);
+        const lockedIds = await DatabaseModel.transaction(() => DatabaseModel.lockRows("activities", [committed.activityId, 0]));
+        assert.deepEqual(lockedIds, [committed.activityId]);
+
+        // A second transaction locking the same row waits until the first has committed
+        console.log("Waiting for a locked row...");
+        const events = [];
+        let firstHasLock;
+        const firstLocked = new Promise(resolve => firstHasLock = resolve);
+        const first = DatabaseModel.transaction(async () => {
+            await DatabaseModel.lockRows("activities", [committed.activityId]);
+            firstHasLock();
+            await new Promise(resolve => setTimeout(resolve, 500));
+            events.push("first finished");
+        });
+        await firstLocked;
+        const second = DatabaseModel.transaction(async () => {
+            await DatabaseModel.lockRows("activities", [committed.activityId]);
+            events.push("second locked");
+        });
+        await Promise.all([first, second]);
+        assert.deepEqual(events, ["first finished", "second locked"]);
+
+        console.log("✅ All transaction checks passed");
+    } catch (error) {
+        console.error("Test failed:", error);
+        process.exitCode = 1;
+    } finally {
+        for (const [table, id] of committedRows) {
+            await DatabaseModel.query("DELETE FROM ?? WHERE id = ?", [table, id]).catch(() => {});
+        }
+        process.exit(); // Ensure the process exits after execution (the pool keeps it open otherwise)
+    }
+})();
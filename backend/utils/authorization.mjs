@@ -0,0 +1,84 @@
+import { RolePermissionModel } from "../models/RolePermissionModel.mjs";
+
+// Shared by the web pages (AuthenticationController.restrict) and the API (APIAuthenticationController.restrict),
+// which only differ in how they report a refusal.
+
+// role => Promise of its permission names. Roles change rarely, so each is read once and kept until the
+// Roles page saves it (forgetRolePermissions). Kept in memory, so each backend process has its own copy.
+const rolePermissions = new Map();
+
+/**
+ * Get a role's permissions, reading them from the database the first time they're needed
+ * @param {string} role - The role
+ * @returns {Promise<Array<string>>} The role's permission names
+ */
+function getRolePermissions(role) {
+    if (!rolePermissions.has(role)) {
+        const loading = RolePermissionModel.getByRole(role).then(permissions => Object.freeze(permissions));
+        // A failed read isn't kept, so the next request tries again
+        loading.catch(() => rolePermissions.delete(role));
+        rolePermissions.set(role, loading);
+    }
+    return rolePermissions.get(role);
+}
+
+/**
+ * Forget a role's cached permissions, so the next request reads the saved ones
+ * @param {string} role - The role whose permissions changed
+ */
+export function forgetRolePermissions(role) {
+    rolePermissions.delete(role);
+}
+
+/**
+ * Load the logged-in user's permissions onto the request (req.permissions), once per request
+ * @param {express.Request} req - The request
+ * @returns {Promise<Array<string>>} The permission names of the user's role (empty for guests)
+ */
+export async function loadPermissions(req) {
+    // Not remembered for guests - API requests are only authenticated after the session middleware has run
+    if (!req.authenticatedUser) {
+        return [];
+    }
+    // Keyed by role in case an API key or access token replaced the session's user
+    if (!req.permissions || req.permissionsRole !== req.authenticatedUser.role) {
+        req.permissions = await getRolePermissions(req.authenticatedUser.role);
+        req.permissionsRole = req.authenticatedUser.role;
+    }
+    return req.permissions;
+}
+
+/**
+ * Whether the logged-in user has a permission. The permissions must already be loaded (the authentication
+ * middleware and restrict() both do this).
+ * @param {express.Request} req - The request
+ * @param {string} permission - The permission name, e.g. "bookings.cancel.any"
+ * @returns {boolean} True if the user's role includes the permission
+ */
+export function can(req, permission) {
+    return !!req.authenticatedUser
+        && req.permissionsRole === req.authenticatedUser.role
+        && req.permissions.includes(permission);
+}
+
+/**
+ * Decide whether a request may use a route
+ * @param {express.Request} req - The request
+ * @param {string|Array<string>} permissions - A permission, a list of permissions (any one will do), or "any" for any logged-in user
+ * @param {boolean} allowDuringTwoFactorSetup - Whether staff who still have to set up two-factor authentication can use the route
+ * @returns {Promise<"allowed"|"unauthenticated"|"two_factor_setup"|"forbidden">} The outcome
+ */
+export async function authorize(req, permissions, allowDuringTwoFactorSetup = false) {
+    if (!req.authenticatedUser) {
+        return "unauthenticated";
+    }
+    if (req.twoFactorSetupRequired && !allowDuringTwoFactorSetup) {
+        return "two_factor_setup";
+    }
+    if (permissions === "any") {
+        return "allowed";
+    }
+    await loadPermissions(req);
+    const required = Array.isArray(permissions) ? permissions : [permissions];
+    return required.some(permission => can(req, permission)) ? "allowed" : "forbidden";
+}
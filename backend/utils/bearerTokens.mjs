@@ -0,0 +1,126 @@
+import jwt from "jsonwebtoken";
+import { UserModel } from "../models/UserModel.mjs";
+import { RefreshTokenModel } from "../models/RefreshTokenModel.mjs";
+import { DatabaseModel } from "../models/DatabaseModel.mjs";
+import { config } from "../config.mjs";
+
+// Access tokens can't be revoked, so they are kept short-lived; refresh tokens are stored and can be
+export const ACCESS_TOKEN_MINUTES = config.jwt.accessTokenMinutes;
+export const REFRESH_TOKEN_DAYS = config.jwt.refreshTokenDays;
+
+const JWT_ISSUER = "high-street-gym";
+const JWT_ALGORITHM = "HS256";
+
+// Signs access tokens; changing it logs out every app user (their refresh tokens still work)
+const JWT_SECRET = config.jwt.secret;
+
+const invalidRefreshToken = "Your login has expired. Please log in again.";
+
+/**
+ * Issue an access token and a refresh token for a user
+ * @param {UserModel} user - The user logging in
+ * @param {string|null} label - A name for the client
+ * @param {string} familyId - The refresh token family (a new one for a fresh login, the old one when refreshing)
+ * @returns {Promise<Object>} { accessToken, tokenType, expiresIn, refreshToken, refreshExpiresIn } with lifetimes in seconds
+ */
+export async function issueBearerTokens(user, label, familyId = RefreshTokenModel.newFamilyId()) {
+    const accessToken = jwt.sign(
+        { role: user.role, ver: user.sessionVersion },
+        JWT_SECRET,
+        {
+            algorithm: JWT_ALGORITHM,
+            subject: String(user.id),
+            issuer: JWT_ISSUER,
+            expiresIn: ACCESS_TOKEN_MINUTES * 60
+        }
+    );
+    const refreshToken = await RefreshTokenModel.create(user.id, familyId, label, REFRESH_TOKEN_DAYS);
+    return {
+        accessToken: accessToken,
+        tokenType: "Bearer",
+        expiresIn: ACCESS_TOKEN_MINUTES * 60,
+        refreshToken: refreshToken,
+        refreshExpiresIn: REFRESH_TOKEN_DAYS * 24 * 60 * 60
+    };
+}
+
+/**
+ * Check an access token from an Authorization: Bearer header
+ * @param {string} accessToken - The JWT
+ * @returns {Object|null} { userId, sessionVersion } if the token is genuine and unexpired, or null if it isn't
+ */
+export function verifyAccessToken(accessToken) {
+    try {
+        const payload = jwt.verify(accessToken, JWT_SECRET, {
+            algorithms: [JWT_ALGORITHM],
+            issuer: JWT_ISSUER
+        });
+        return { userId: Number(payload.sub), sessionVersion: payload.ver ?? 0 };
+    } catch (error) {
+        if (error instanceof jwt.JsonWebTokenError) {
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Exchange a refresh token for a new access token and refresh token. The old refresh token stops working.
+ * Presenting a refresh token that was already exchanged means it has leaked, so its whole family is revoked.
+ * @param {string} refreshToken - The refresh token from the client
+ * @returns {Promise<Object>} { user, tokens } with tokens as from issueBearerTokens(). Rejects with { reused, message } if the token can't be used.
+ */
+export async function refreshBearerTokens(refreshToken) {
+    if (!refreshToken) {
+        return Promise.reject({ reused: false, message: invalidRefreshToken });
+    }
+
+    let stored;
+    try {
+        stored = await RefreshTokenModel.getByToken(refreshToken);
+    } catch (error) {
+        if (error === "Refresh token not found") {
+            return Promise.reject({ reused: false, message: invalidRefreshToken });
+        }
+        throw error;
+    }
+
+    if (stored.revokedAt || stored.expiresAt <= DatabaseModel.toMySqlDateTime(new Date())) {
+        return Promise.reject({ reused: false, message: invalidRefreshToken });
+    }
+
+    // An already rotated token (or losing a race to rotate it) means two clients hold the same token
+    if (stored.rotatedAt || !await RefreshTokenModel.markRotated(stored.id)) {
+        await RefreshTokenModel.revokeFamily(stored.familyId);
+        console.warn(`Refresh token reuse detected for user ${stored.userId} - token family revoked`);
+        return Promise.reject({ reused: true, message: invalidRefreshToken });
+    }
+
+    let user;
+    try {
+        user = await UserModel.getById(stored.userId);
+    } catch (error) {
+        if (error === "User not found") {
+            return Promise.reject({ reused: false, message: invalidRefreshToken });
+        }
+        throw error;
+    }
+    return { user: user, tokens: await issueBearerTokens(user, stored.label, stored.familyId) };
+}
+
+/**
+ * End a bearer login: the refresh token and every token rotated from the same login stop working.
+ * Access tokens already issued keep working until they expire.
+ * @param {string} refreshToken - The refresh token from the client
+ * @returns {Promise<void>} Resolves whether or not the token was known
+ */
+export async function revokeRefreshToken(refreshToken) {
+    try {
+        const stored = await RefreshTokenModel.getByToken(refreshToken);
+        await RefreshTokenModel.revokeFamily(stored.familyId);
+    } catch (error) {
+        if (error !== "Refresh token not found") {
+            throw error;
+        }
+    }
+}
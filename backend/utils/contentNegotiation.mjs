@@ -0,0 +1,57 @@
+// The web login, logout and registration endpoints are used both by HTML forms and by scripts (fetch/AJAX).
+// Forms get a page or a redirect; scripts get JSON with the same status code.
+
+// Request bodies the endpoints can read (server.mjs parses both)
+const SUPPORTED_BODY_TYPES = ["application/x-www-form-urlencoded", "application/json"];
+
+/**
+ * Whether a request was sent with a body type the endpoints can read. Parameters such as
+ * "; charset=UTF-8" are allowed.
+ * @param {express.Request} req - The request
+ * @returns {boolean} True for form and JSON bodies
+ */
+export function hasSupportedBody(req) {
+    return !!req.is(SUPPORTED_BODY_TYPES);
+}
+
+/**
+ * Whether to answer with JSON rather than a page: the body was JSON, the script asked for JSON
+ * in its Accept header (in preference to HTML), or it marked itself as an XMLHttpRequest.
+ * @param {express.Request} req - The request
+ * @returns {boolean} True if the response should be JSON
+ */
+export function wantsJson(req) {
+    return !!req.is("application/json")
+        || req.xhr
+        || req.accepts(["html", "json"]) === "json";
+}
+
+/**
+ * Send an outcome the way the client asked for it: as JSON ({ status, message, ...json }),
+ * or as the status page
+ * @param {express.Request} req - The request
+ * @param {express.Response} res - The response
+ * @param {number} httpStatus - The HTTP status code
+ * @param {Object} page - The status.ejs data (status and message are also used for JSON; details are HTML and page only)
+ * @param {Object} json - Extra fields for JSON responses
+ */
+export function sendStatus(req, res, httpStatus, page, json = {}) {
+    if (wantsJson(req)) {
+        return res.status(httpStatus).json({ status: page.status, message: page.message, ...json });
+    }
+    return res.status(httpStatus).render("status.ejs", page);
+}
+
+/**
+ * Send the client on to another page: a redirect for forms, or JSON naming the page for scripts
+ * @param {express.Request} req - The request
+ * @param {express.Response} res - The response
+ * @param {string} location - Where forms are redirected to
+ * @param {Object} json - The JSON body for scripts ({ redirect: location } is added)
+ */
+export function sendRedirect(req, res, location, json) {
+    if (wantsJson(req)) {
+        return res.status(200).json({ ...json, redirect: location });
+    }
+    return res.redirect(location);
+}
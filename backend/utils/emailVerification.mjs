@@ -0,0 +1,56 @@
+import { UserModel } from "../models/UserModel.mjs";
+import { EmailVerificationTokenModel } from "../models/EmailVerificationTokenModel.mjs";
+import { renderEmail } from "./notifications.mjs";
+import { sendMail } from "./smtp.mjs";
+import { config } from "../config.mjs";
+
+// How long a verification link works for
+export const VERIFICATION_LINK_HOURS = config.emailVerification.linkHours;
+
+/**
+ * Email a user a link to verify their email address
+ * Any earlier link the user was sent stops working. Like password resets, the email is sent straight away
+ * rather than through the outbox, so the working link is never stored.
+ * @param {UserModel} user - The user to verify
+ * @param {Function} buildVerifyUrl - Called with the token to build the link the email opens
+ * @returns {Promise<void>} Rejects if the email could not be sent
+ */
+export async function sendVerificationEmail(user, buildVerifyUrl) {
+    const token = await EmailVerificationTokenModel.create(user.id, VERIFICATION_LINK_HOURS * 60);
+    const subject = "Verify your High Street Gym email address";
+    const body = await renderEmail("verify-email", {
+        subject: subject,
+        recipient: user,
+        verifyUrl: buildVerifyUrl(token),
+        lifetimeHours: VERIFICATION_LINK_HOURS,
+        footerNote: "You are receiving this email because this address was used to create a High Street Gym account."
+    });
+    await sendMail({ to: user.email, subject: subject, text: body.text, html: body.html });
+}
+
+/**
+ * Verify a user's email address using the link from their verification email
+ * @param {string} token - The token from the verification link
+ * @returns {Promise<number>} The ID of the verified user. Rejects with a message if the link is invalid, used, or expired.
+ */
+export async function verifyEmail(token) {
+    const invalidLink = "This verification link is invalid or has expired. Please request a new one.";
+    if (!token) {
+        return Promise.reject(invalidLink);
+    }
+
+    let verificationToken;
+    try {
+        verificationToken = await EmailVerificationTokenModel.getValidByToken(token);
+    } catch (error) {
+        if (error === "Verification token not found") {
+            return Promise.reject(invalidLink);
+        }
+        throw error;
+    }
+
+    // Following the link twice at once (e.g. a double click) still verifies the address once
+    await EmailVerificationTokenModel.markUsed(verificationToken.id);
+    await UserModel.markEmailVerified(verificationToken.userId);
+    return verificationToken.userId;
+}
@@ -0,0 +1,218 @@
+// Domain part of every event UID - keeps UIDs globally unique and stable across exports and feeds
+const UID_DOMAIN = "highstreetgym";
+
+// Session dates and times are stored in Brisbane time, which is UTC+10 all year (no daylight saving)
+const GYM_UTC_OFFSET = "+10:00";
+
+/**
+ * Sends iCalendar content as a downloadable .ics file
+ * @param {Object} res - Express response object
+ * @param {string} icsContent - The iCalendar content to export
+ * @param {string} filename - The filename for the download (should include .ics extension)
+ * @returns {void}
+ */
+export function exportICS(res, icsContent, filename) {
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(icsContent);
+}
+
+/**
+ * Sends iCalendar content as a calendar feed for subscription (displayed inline, never cached)
+ * @param {Object} res - Express response object
+ * @param {string} icsContent - The iCalendar content to serve
+ * @returns {void}
+ */
+export function sendICSFeed(res, icsContent) {
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+    res.send(icsContent);
+}
+
+/**
+ * Build the subscription URLs for a calendar feed from the incoming request's host
+ * @param {Object} req - Express request object
+ * @param {string} token - The feed's secret token
+ * @returns {Object} The http(s) URL and the webcal:// URL that opens calendar apps directly
+ */
+export function buildFeedUrls(req, token) {
+    const url = `${req.protocol}://${req.get('host')}/calendar/feed/${token}.ics`;
+    return {
+        url: url,
+        webcalUrl: url.replace(/^https?:/, 'webcal:')
+    };
+}
+
+/**
+ * Escape special characters for an iCalendar TEXT value (RFC 5545 section 3.3.11)
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+export function escapeICS(text) {
+    if (!text) return '';
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line so no line is longer than 75 octets (RFC 5545 section 3.1)
+ * @param {string} line - The unfolded content line
+ * @returns {string} The folded line, continuation lines starting with a space
+ */
+export function foldICSLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let currentLength = 0;
+
+    for (const character of line) {
+        const characterLength = encoder.encode(character).length;
+        // The first line may hold 75 octets, continuation lines 74 plus the leading space
+        const limit = parts.length === 0 ? 75 : 74;
+        if (currentLength + characterLength > limit) {
+            parts.push(current);
+            current = '';
+            currentLength = 0;
+        }
+        current += character;
+        currentLength += characterLength;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+}
+
+/**
+ * Format a date and time as an iCalendar UTC date-time (YYYYMMDDTHHMMSSZ)
+ * @param {Date} date - Date object to format
+ * @returns {string} Formatted UTC date-time, or an empty string for an invalid date
+ */
+export function formatICSDateTime(date) {
+    if (!date || isNaN(date.getTime())) {
+        return '';
+    }
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Parse a database date and time (gym local time, Australia/Brisbane) into a Date, whatever the server's timezone
+ * @param {string} dateString - Date in YYYY-MM-DD format
+ * @param {string} timeString - Time in HH:MM:SS format (defaults to midnight)
+ * @returns {Date} The parsed date
+ */
+export function parseLocalDateTime(dateString, timeString = '00:00:00') {
+    return new Date(`${dateString}T${timeString}${GYM_UTC_OFFSET}`);
+}
+
+/**
+ * Build a stable event UID, so re-exported and re-fetched events update the same calendar entry
+ * @param {string} type - What the event represents (e.g., 'session', 'booking')
+ * @param {number} id - The database ID of the session or booking
+ * @returns {string} The event UID
+ */
+export function buildEventUID(type, id) {
+    return `${type}-${id}@${UID_DOMAIN}`;
+}
+
+/**
+ * Generate iCalendar (RFC 5545) content from a list of events
+ * @param {Object} config - Configuration object
+ * @param {string} config.calendarName - Calendar name shown by calendar apps
+ * @param {Array<Object>} config.events - Events to include
+ * @param {string} config.events[].uid - Stable unique ID (see buildEventUID)
+ * @param {Date} config.events[].start - When the event starts
+ * @param {number} config.events[].durationMinutes - How long the event runs, in minutes
+ * @param {Date|null} config.events[].lastModified - When the event last changed (used for DTSTAMP)
+ * @param {string} config.events[].summary - Event title
+ * @param {string} config.events[].description - Event description
+ * @param {string} config.events[].location - Event location
+ * @param {boolean} config.events[].cancelled - Whether the event has been cancelled
+ * @returns {string} Generated iCalendar content (CRLF line endings)
+ */
+export function generateICS({ calendarName, events }) {
+    const now = new Date();
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//High Street Gym//Sessions//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeICS(calendarName)}`,
+        // Ask subscribed calendar apps to refresh the feed hourly
+        'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+        'X-PUBLISHED-TTL:PT1H'
+    ];
+
+    events.forEach(event => {
+        const end = new Date(event.start.getTime() + event.durationMinutes * 60 * 1000);
+        const lastModified = event.lastModified && !isNaN(event.lastModified.getTime()) ? event.lastModified : now;
+
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${event.uid}`,
+            `DTSTAMP:${formatICSDateTime(lastModified)}`,
+            `LAST-MODIFIED:${formatICSDateTime(lastModified)}`,
+            `DTSTART:${formatICSDateTime(event.start)}`,
+            `DTEND:${formatICSDateTime(end)}`,
+            `SUMMARY:${escapeICS(event.summary)}`,
+            `DESCRIPTION:${escapeICS(event.description)}`,
+            `LOCATION:${escapeICS(event.location)}`,
+            `STATUS:${event.cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+            'END:VEVENT'
+        );
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldICSLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Build the calendar event for a session a trainer teaches (one event per session)
+ * @param {SessionActivityLocationUserModel} sessionItem - Session with activity, location, and trainer details
+ * @returns {Object} Event for generateICS
+ */
+export function buildSessionEvent(sessionItem) {
+    const { session, activity, location } = sessionItem;
+    const bookedText = session.capacity !== null && session.capacity !== undefined
+        ? `${sessionItem.bookedCount} of ${session.capacity} spots booked`
+        : `${sessionItem.bookedCount} booked`;
+
+    return {
+        uid: buildEventUID('session', session.id),
+        start: parseLocalDateTime(session.sessionDate, session.sessionTime),
+        durationMinutes: session.durationMinutes,
+        lastModified: session.updatedAt ? new Date(String(session.updatedAt).replace(' ', 'T')) : null,
+        summary: activity.name,
+        description: `${activity.description || ''}\n${bookedText}`.trim(),
+        location: [location.name, location.address].filter(Boolean).join(', '),
+        cancelled: session.deleted == 1
+    };
+}
+
+/**
+ * Build the calendar event for a member's booking (one event per booking)
+ * @param {BookingSessionActivityLocationUserModel} bookingItem - Booking with session, activity, location, and trainer details
+ * @returns {Object} Event for generateICS
+ */
+export function buildBookingEvent(bookingItem) {
+    const { booking, session, activity, location, trainer } = bookingItem;
+
+    // The event changes when either the booking or its session changes
+    const modifiedTimes = [booking.updatedAt, session.updatedAt]
+        .filter(Boolean)
+        .map(value => new Date(String(value).replace(' ', 'T')).getTime());
+
+    return {
+        uid: buildEventUID('booking', booking.id),
+        start: parseLocalDateTime(session.sessionDate, session.sessionTime),
+        durationMinutes: session.durationMinutes,
+        lastModified: modifiedTimes.length > 0 ? new Date(Math.max(...modifiedTimes)) : null,
+        summary: activity.name,
+        description: `${activity.description || ''}\nTrainer: ${trainer.firstName} ${trainer.lastName}`.trim(),
+        location: [location.name, location.address].filter(Boolean).join(', '),
+        cancelled: booking.deleted == 1 || session.deleted == 1
+    };
+}
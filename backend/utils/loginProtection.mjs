@@ -0,0 +1,188 @@
+import bcrypt from "bcryptjs";
+import { UserModel } from "../models/UserModel.mjs";
+import { DatabaseModel } from "../models/DatabaseModel.mjs";
+import { AccountUnlockTokenModel } from "../models/AccountUnlockTokenModel.mjs";
+import { createRateLimiter } from "./rateLimiter.mjs";
+import { renderEmail } from "./notifications.mjs";
+import { sendMail } from "./smtp.mjs";
+import { config } from "../config.mjs";
+
+// Wrong passwords in a row that lock an account, and for how long
+export const MAX_FAILED_LOGINS = config.login.maxFailedAttempts;
+export const LOCKOUT_MINUTES = config.login.lockoutMinutes;
+
+// How long the "unlock your account" link works for
+export const UNLOCK_LINK_HOURS = 24;
+
+// Progressive delays between guesses: an IP address gets 10 free wrong passwords (shared offices and gyms
+// sit behind one address), an account 2, then each wrong password doubles the wait
+const ipLimiter = createRateLimiter({ freeAttempts: 10, baseDelaySeconds: 2, maxDelaySeconds: 15 * 60, forgetAfterSeconds: 60 * 60 });
+const accountLimiter = createRateLimiter({ freeAttempts: 2, baseDelaySeconds: 2, maxDelaySeconds: 60, forgetAfterSeconds: 60 * 60 });
+
+/**
+ * Seconds until a gym local time (YYYY-MM-DD HH:MM:SS), or 0 if it has passed
+ * @param {string|null} dateTime - The time
+ * @returns {number} Whole seconds, rounded up
+ */
+function secondsUntil(dateTime) {
+    if (!dateTime) {
+        return 0;
+    }
+    // Both times are gym local, so reading them as UTC keeps the difference right
+    const asUtc = value => Date.parse(value.replace(" ", "T") + "Z");
+    const ms = asUtc(dateTime) - asUtc(DatabaseModel.toMySqlDateTime(new Date()));
+    return ms > 0 ? Math.ceil(ms / 1000) : 0;
+}
+
+/**
+ * Build the message shown when logins have to wait
+ * @param {number} retryAfterSeconds - How long to wait
+ * @param {boolean} locked - Whether the account is locked (rather than the IP address or account being slowed down)
+ * @returns {Object} { throttled: true, retryAfterSeconds, message }
+ */
+function tooManyAttempts(retryAfterSeconds, locked) {
+    const minutes = Math.ceil(retryAfterSeconds / 60);
+    const wait = retryAfterSeconds < 60
+        ? `${retryAfterSeconds} ${retryAfterSeconds === 1 ? "second" : "seconds"}`
+        : `${minutes} ${minutes === 1 ? "minute" : "minutes"}`;
+    return {
+        throttled: true,
+        retryAfterSeconds: retryAfterSeconds,
+        message: locked
+            ? `This account is locked after too many incorrect passwords. Try again in ${wait}, or use the unlock link we emailed you.`
+            : `Too many login attempts. Please wait ${wait} and try again.`
+    };
+}
+
+/**
+ * Check an email and password, with brute-force protection:
+ * waits between repeated wrong passwords (per IP address and per account), and a temporary lockout of the account
+ * after too many in a row, with an email to unlock it.
+ * @param {string} email - The email address entered
+ * @param {string} password - The password entered
+ * @param {string} ip - The IP address the login came from
+ * @param {Function} buildUnlockUrl - Called with the token to build the link the lockout email opens
+ * @returns {Promise<UserModel>} The user if the password is correct. Rejects with { throttled: true, retryAfterSeconds, message }
+ * if the login has to wait, or { throttled: false, message } if the email or password is wrong.
+ */
+export async function attemptLogin(email, password, ip, buildUnlockUrl) {
+    const accountKey = String(email).trim().toLowerCase();
+    const waitSeconds = Math.max(ipLimiter.retryAfter(ip), accountLimiter.retryAfter(accountKey));
+    if (waitSeconds > 0) {
+        return Promise.reject(tooManyAttempts(waitSeconds, false));
+    }
+
+    let user = null;
+    try {
+        user = await UserModel.getByEmail(email);
+    } catch (error) {
+        if (error !== "User not found") {
+            throw error;
+        }
+    }
+
+    // Locked accounts aren't told whether the password was right
+    const lockedSeconds = user ? secondsUntil(user.lockedUntil) : 0;
+    if (lockedSeconds > 0) {
+        return Promise.reject(tooManyAttempts(lockedSeconds, true));
+    }
+
+    if (user && await bcrypt.compare(password, user.password)) {
+        // The IP address keeps its count, so one known password can't be used to keep guessing others
+        accountLimiter.reset(accountKey);
+        if (user.failedLoginCount > 0) {
+            await UserModel.clearFailedLogins(user.id);
+        }
+        return user;
+    }
+
+    ipLimiter.recordFailure(ip);
+    accountLimiter.recordFailure(accountKey);
+    if (user && await UserModel.recordFailedLogin(user.id, MAX_FAILED_LOGINS, LOCKOUT_MINUTES)) {
+        sendUnlockEmail(user, buildUnlockUrl)
+            .catch(error => console.error(`Error sending account unlock email to user ${user.id}:`, error));
+        return Promise.reject(tooManyAttempts(LOCKOUT_MINUTES * 60, true));
+    }
+    return Promise.reject({ throttled: false, message: "Invalid credentials" });
+}
+
+/**
+ * Email a locked-out user a link that unlocks their account straight away
+ * Any earlier link the user was sent stops working.
+ * @param {UserModel} user - The locked user
+ * @param {Function} buildUnlockUrl - Called with the token to build the link the email opens
+ * @returns {Promise<void>} Rejects if the email could not be sent
+ */
+export async function sendUnlockEmail(user, buildUnlockUrl) {
+    const token = await AccountUnlockTokenModel.create(user.id, UNLOCK_LINK_HOURS * 60);
+    const subject = "Your High Street Gym account has been locked";
+    const body = await renderEmail("account-locked", {
+        subject: subject,
+        recipient: user,
+        unlockUrl: buildUnlockUrl(token),
+        maxFailedLogins: MAX_FAILED_LOGINS,
+        lockoutMinutes: LOCKOUT_MINUTES,
+        lifetimeHours: UNLOCK_LINK_HOURS,
+        footerNote: "You are receiving this email because of failed login attempts on your High Street Gym account."
+    });
+    await sendMail({ to: user.email, subject: subject, text: body.text, html: body.html });
+}
+
+/**
+ * Build the link in the lockout email. It opens the backend's own unlock page, so it works for web and app users alike.
+ * @param {express.Request} req - The login request (for the server's address)
+ * @param {string} token - The unlock token
+ * @returns {string} The unlock URL
+ */
+export function getUnlockUrl(req, token) {
+    return `${req.protocol}://${req.get('host')}/authenticate/unlock-account?token=${token}`;
+}
+
+/**
+ * Unlock an account using the link from the lockout email
+ * @param {string} token - The token from the unlock link
+ * @returns {Promise<number>} The ID of the unlocked user. Rejects with a message if the link is invalid, used, or expired.
+ */
+export async function unlockAccount(token) {
+    const invalidLink = "This unlock link is invalid or has expired. Your account unlocks by itself after a few minutes, or you can reset your password.";
+    if (!token) {
+        return Promise.reject(invalidLink);
+    }
+
+    let unlockToken;
+    try {
+        unlockToken = await AccountUnlockTokenModel.getValidByToken(token);
+    } catch (error) {
+        if (error === "Unlock token not found") {
+            return Promise.reject(invalidLink);
+        }
+        throw error;
+    }
+
+    if (!await AccountUnlockTokenModel.markUsed(unlockToken.id)) {
+        return Promise.reject(invalidLink);
+    }
+    const user = await UserModel.getById(unlockToken.userId);
+    await unlockUser(user);
+    return user.id;
+}
+
+/**
+ * Unlock an account and forget its recent wrong passwords, e.g. when an admin unlocks it
+ * @param {UserModel} user - The user to unlock
+ * @returns {Promise<void>}
+ */
+export async function unlockUser(user) {
+    accountLimiter.reset(String(user.email).trim().toLowerCase());
+    await UserModel.unlock(user.id);
+    await AccountUnlockTokenModel.revokeByUserId(user.id);
+}
+
+/**
+ * Whether an account is locked right now
+ * @param {UserModel} user - The user
+ * @returns {boolean} True until the lockout ends
+ */
+export function isLocked(user) {
+    return secondsUntil(user.lockedUntil) > 0;
+}
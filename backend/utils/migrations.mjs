@@ -0,0 +1,132 @@
+import fs from "fs";
+import path from "path";
+import mysql from "mysql2/promise";
+import { config } from "../config.mjs";
+
+// Versioned schema changes. Each file in migrations/ is NNN_name.sql, with the SQL that applies it after
+// "-- migrate:up" and the SQL that undoes it after "-- migrate:down". Applied versions are recorded in
+// schema_migrations, so each database is moved forward (or back) from wherever it is.
+// MySQL commits schema changes as it goes, so a migration that fails part way can't be rolled back:
+// fix the database by hand, then run the remaining migrations.
+
+const MIGRATIONS_DIRECTORY = path.join(import.meta.dirname, "../migrations");
+const MIGRATION_FILE = /^(\d{3})_([a-z0-9_]+)\.sql$/;
+const UP_MARKER = "-- migrate:up";
+const DOWN_MARKER = "-- migrate:down";
+
+/**
+ * Read the migration files, oldest first
+ * @returns {Array<Object>} { version, name, up, down } for each migration. Throws if a file is missing a section.
+ */
+export function loadMigrations() {
+    return fs.readdirSync(MIGRATIONS_DIRECTORY)
+        .filter(file => MIGRATION_FILE.test(file))
+        .sort()
+        .map(file => {
+            const [, version, name] = file.match(MIGRATION_FILE);
+            const sql = fs.readFileSync(path.join(MIGRATIONS_DIRECTORY, file), "utf8");
+            const upAt = sql.indexOf(UP_MARKER);
+            const downAt = sql.indexOf(DOWN_MARKER);
+            if (upAt === -1 || downAt === -1 || downAt < upAt) {
+                throw new Error(`${file} needs a "${UP_MARKER}" section followed by a "${DOWN_MARKER}" section`);
+            }
+            return {
+                version: version,
+                name: name,
+                up: sql.slice(upAt + UP_MARKER.length, downAt).trim(),
+                down: sql.slice(downAt + DOWN_MARKER.length).trim()
+            };
+        });
+}
+
+/**
+ * Connect to the configured database, creating it first if it doesn't exist
+ * The connection runs several statements per query, as migration and seed files need.
+ * @returns {Promise<mysql.Connection>} The connection (the caller ends it)
+ */
+export async function connect() {
+    const connection = await mysql.createConnection({
+        host: config.database.host,
+        port: config.database.port,
+        user: config.database.user,
+        password: config.database.password,
+        multipleStatements: true,
+        dateStrings: true
+    });
+    await connection.query(`CREATE DATABASE IF NOT EXISTS ${mysql.escapeId(config.database.name)} CHARACTER SET utf8mb4`);
+    await connection.query(`USE ${mysql.escapeId(config.database.name)}`);
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version CHAR(3) NOT NULL,
+            name VARCHAR(255) NOT NULL,
+            applied_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (version)
+        )
+    `);
+    return connection;
+}
+
+/**
+ * List every migration and whether it has been applied
+ * @param {mysql.Connection} connection - From connect()
+ * @returns {Promise<Array<Object>>} { version, name, up, down, appliedAt } oldest first (appliedAt is null if pending)
+ */
+export async function getStatus(connection) {
+    const [rows] = await connection.query("SELECT version, applied_at FROM schema_migrations");
+    const appliedAt = new Map(rows.map(row => [row.version, row.applied_at]));
+    return loadMigrations().map(migration => ({ ...migration, appliedAt: appliedAt.get(migration.version) ?? null }));
+}
+
+/**
+ * Apply the pending migrations in order
+ * @param {mysql.Connection} connection - From connect()
+ * @param {string|null} toVersion - The last version to apply (all of them if null)
+ * @param {Function} log - Called with a line of progress for each migration
+ * @returns {Promise<number>} How many migrations were applied. Rejects at the first one that fails.
+ */
+export async function migrateUp(connection, toVersion = null, log = () => {}) {
+    const pending = (await getStatus(connection))
+        .filter(migration => !migration.appliedAt && (toVersion === null || migration.version <= toVersion));
+    for (const migration of pending) {
+        log(`Applying ${migration.version}_${migration.name}`);
+        await connection.query(migration.up);
+        await connection.query("INSERT INTO schema_migrations (version, name) VALUES (?, ?)", [migration.version, migration.name]);
+    }
+    return pending.length;
+}
+
+/**
+ * Undo the most recently applied migrations, newest first
+ * @param {mysql.Connection} connection - From connect()
+ * @param {number} steps - How many to undo
+ * @param {Function} log - Called with a line of progress for each migration
+ * @returns {Promise<number>} How many migrations were undone. Rejects at the first one that fails.
+ */
+export async function migrateDown(connection, steps = 1, log = () => {}) {
+    const applied = (await getStatus(connection))
+        .filter(migration => migration.appliedAt)
+        .reverse()
+        .slice(0, steps);
+    for (const migration of applied) {
+        log(`Reverting ${migration.version}_${migration.name}`);
+        await connection.query(migration.down);
+        await connection.query("DELETE FROM schema_migrations WHERE version = ?", [migration.version]);
+    }
+    return applied.length;
+}
+
+/**
+ * Record migrations as applied without running them, for a database whose tables were created by hand
+ * before migrations were tracked
+ * @param {mysql.Connection} connection - From connect()
+ * @param {string} toVersion - The last version the database already has
+ * @returns {Promise<number>} How many migrations were recorded
+ */
+export async function markApplied(connection, toVersion) {
+    const pending = (await getStatus(connection))
+        .filter(migration => !migration.appliedAt && migration.version <= toVersion);
+    for (const migration of pending) {
+        await connection.query("INSERT INTO schema_migrations (version, name) VALUES (?, ?)", [migration.version, migration.name]);
+    }
+    return pending.length;
+}
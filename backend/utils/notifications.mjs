@@ -0,0 +1,371 @@
+import ejs from "ejs";
+import path from "path";
+import { DatabaseModel } from "../models/DatabaseModel.mjs";
+import { EmailOutboxModel } from "../models/EmailOutboxModel.mjs";
+import { BookingSessionActivityLocationUserModel } from "../models/BookingSessionActivityLocationUserModel.mjs";
+import { SessionActivityLocationUserModel } from "../models/SessionActivityLocationUserModel.mjs";
+import { NotificationModel } from "../models/NotificationModel.mjs";
+import { UserModel } from "../models/UserModel.mjs";
+import { sendMail } from "./smtp.mjs";
+import { formatAmount } from "./payments.mjs";
+import { config } from "../config.mjs";
+
+// Email templates live alongside the other EJS views
+const TEMPLATE_DIRECTORY = path.join(import.meta.dirname, "../views/emails");
+
+// Where links in emails about the React app open (the SPA's origin)
+export const FRONTEND_URL = config.frontendUrl;
+
+// Session fields that members are told about when they change
+const SESSION_CHANGES = {
+    sessionDate: "date",
+    sessionTime: "time",
+    durationMinutes: "duration",
+    locationId: "location",
+    trainerId: "trainer",
+    activityId: "class"
+};
+
+/**
+ * Render an email template to HTML and plain text
+ * @param {string} template - The template name in views/emails (without .ejs)
+ * @param {Object} data - The template data (subject and recipient are used by the shared header)
+ * @returns {Promise<Object>} The html and text bodies
+ */
+export async function renderEmail(template, data) {
+    const html = await ejs.renderFile(path.join(TEMPLATE_DIRECTORY, `${template}.ejs`), data);
+    return { html: html, text: htmlToText(html) };
+}
+
+/**
+ * Build the plain text alternative of an HTML email
+ * @param {string} html - The HTML body
+ * @returns {string} The text body
+ */
+function htmlToText(html) {
+    return html
+        .replace(/<(head|style)[\s\S]*?<\/\1>/gi, "")
+        .replace(/<br\s*\/?>|<\/(p|tr|h1|h3|li)>/gi, "\n")
+        .replace(/<\/td>/gi, " ")
+        .replace(/<[^>]+>/g, "")
+        .replace(/&#39;/g, "'")
+        .replace(/&#34;|&quot;/g, '"')
+        .replace(/&lt;/g, "<")
+        .replace(/&gt;/g, ">")
+        .replace(/&amp;/g, "&")
+        .split("\n")
+        .map(line => line.replace(/\s+/g, " ").trim())
+        .join("\n")
+        .replace(/\n{3,}/g, "\n\n")
+        .trim();
+}
+
+/**
+ * Render an email and add it to the outbox. It is sent by the outbox worker, so callers never wait on SMTP.
+ * @param {string} to - The recipient address
+ * @param {string} subject - The subject line
+ * @param {string} template - The template name in views/emails
+ * @param {Object} data - The template data
+ * @param {string|null} dedupeKey - Key that stops the same email being queued twice (null to always queue)
+ * @returns {Promise<boolean>} True if the email was queued, false if it was a duplicate
+ */
+export async function queueEmail(to, subject, template, data, dedupeKey = null) {
+    const body = await renderEmail(template, { ...data, subject: subject });
+    return EmailOutboxModel.enqueue(new EmailOutboxModel(null, to, subject, template, body.html, body.text, dedupeKey));
+}
+
+/**
+ * Get the session details shown in emails from a booking
+ * @param {BookingSessionActivityLocationUserModel} bookingDetails - The booking with its session, activity, location, and trainer
+ * @returns {Object} activityName, date (DD/MM/YYYY), time (HH:MM), durationMinutes, locationName, and trainerName
+ */
+function describeSession(bookingDetails) {
+    const [year, month, day] = bookingDetails.session.sessionDate.split("-");
+    return {
+        activityName: bookingDetails.activity.name,
+        date: `${day}/${month}/${year}`,
+        time: bookingDetails.session.sessionTime.slice(0, 5),
+        durationMinutes: bookingDetails.session.durationMinutes,
+        locationName: bookingDetails.location.name,
+        trainerName: `${bookingDetails.trainer.firstName} ${bookingDetails.trainer.lastName}`
+    };
+}
+
+/**
+ * Add a notification to a user's in-app notification centre
+ * @param {number} userId - The ID of the user
+ * @param {string} type - One of NotificationModel.TYPES
+ * @param {string} title - The short headline
+ * @param {string} message - The full message
+ * @param {string|null} link - The frontend route the notification opens
+ * @returns {Promise<mysql.OkPacket>}
+ */
+function notifyInApp(userId, type, title, message, link = null) {
+    return NotificationModel.create(new NotificationModel(null, userId, type, title, message, link));
+}
+
+/**
+ * Email a member that their booking is confirmed, and add it to their notification centre
+ * Errors are logged rather than thrown so a mail problem never fails the booking itself.
+ * @param {number} bookingId - The ID of the new booking
+ * @param {Object} options - fromWaitlist is true when the booking was made by promoting the member off the waitlist
+ * @returns {Promise<void>}
+ */
+export async function notifyBookingConfirmed(bookingId, { fromWaitlist = false } = {}) {
+    try {
+        const bookingDetails = await BookingSessionActivityLocationUserModel.getByBookingId(bookingId);
+        if (!bookingDetails) {
+            return;
+        }
+        const details = describeSession(bookingDetails);
+        const title = fromWaitlist ? "You're off the waitlist" : "Booking confirmed";
+        const wasQueued = await queueEmail(
+            bookingDetails.user.email,
+            `${title}: ${details.activityName} on ${details.date}`,
+            "booking-confirmed",
+            { recipient: bookingDetails.user, details: details, fromWaitlist: fromWaitlist },
+            `booking-confirmed-${bookingId}`
+        );
+        if (wasQueued) {
+            await notifyInApp(
+                bookingDetails.user.id,
+                fromWaitlist ? "waitlist_promoted" : "booking_confirmed",
+                title,
+                `${fromWaitlist ? "A spot opened up and you are now booked on" : "You are booked on"} ${details.activityName} on ${details.date} at ${details.time} (${details.locationName}).`,
+                "/bookings"
+            );
+        }
+    } catch (error) {
+        console.error(`Error queueing confirmation email for booking ${bookingId}:`, error);
+    }
+}
+
+/**
+ * Email and notify every member booked on a session that it has changed
+ * Nothing is sent if none of the details members care about (date, time, duration, location, trainer, class) changed.
+ * @param {SessionModel} previousSession - The session before the update
+ * @param {SessionModel} updatedSession - The session after the update
+ * @returns {Promise<void>}
+ */
+export async function notifySessionChanged(previousSession, updatedSession) {
+    try {
+        const changes = Object.entries(SESSION_CHANGES)
+            .filter(([field]) => field === "sessionTime"
+                ? String(previousSession.sessionTime).slice(0, 5) !== String(updatedSession.sessionTime).slice(0, 5)
+                : String(previousSession[field]) !== String(updatedSession[field]))
+            .map(([, label]) => label);
+        if (changes.length === 0) {
+            return;
+        }
+
+        const roster = await BookingSessionActivityLocationUserModel.getBySessionId(updatedSession.id);
+        for (const bookingDetails of roster) {
+            const details = describeSession(bookingDetails);
+            await queueEmail(
+                bookingDetails.user.email,
+                `Session changed: ${details.activityName} on ${details.date}`,
+                "session-changed",
+                { recipient: bookingDetails.user, details: details, changes: changes }
+            );
+            await notifyInApp(
+                bookingDetails.user.id,
+                "session_changed",
+                "Session changed",
+                `The ${changes.join(", ")} of your ${details.activityName} session changed. It is now on ${details.date} at ${details.time} (${details.locationName}) with ${details.trainerName}.`,
+                "/bookings"
+            );
+        }
+    } catch (error) {
+        console.error(`Error queueing change emails for session ${updatedSession.id}:`, error);
+    }
+}
+
+/**
+ * Email and notify every member booked on a session that it has been cancelled
+ * Call this before the bookings are removed, while the roster can still be read.
+ * @param {number} sessionId - The ID of the cancelled session
+ * @returns {Promise<void>}
+ */
+export async function notifySessionCancelled(sessionId) {
+    try {
+        const roster = await BookingSessionActivityLocationUserModel.getBySessionId(sessionId);
+        for (const bookingDetails of roster) {
+            const details = describeSession(bookingDetails);
+            const wasQueued = await queueEmail(
+                bookingDetails.user.email,
+                `Session cancelled: ${details.activityName} on ${details.date}`,
+                "session-cancelled",
+                { recipient: bookingDetails.user, details: details },
+                `session-cancelled-booking-${bookingDetails.booking.id}`
+            );
+            if (wasQueued) {
+                await notifyInApp(
+                    bookingDetails.user.id,
+                    "session_cancelled",
+                    "Session cancelled",
+                    `${details.activityName} on ${details.date} at ${details.time} has been cancelled and your booking removed. Any class pack credit or drop-in payment has been refunded.`,
+                    "/"
+                );
+            }
+        }
+    } catch (error) {
+        console.error(`Error queueing cancellation emails for session ${sessionId}:`, error);
+    }
+}
+
+/**
+ * Email and notify a member that a refund owed to them could not be made, so they can contact the gym
+ * Errors are logged rather than thrown, like the other notifications.
+ * @param {InvoiceModel} invoice - The invoice whose refund failed
+ * @returns {Promise<void>}
+ */
+export async function notifyRefundFailed(invoice) {
+    try {
+        const member = await UserModel.getById(invoice.userId);
+        const amount = formatAmount(invoice.amountCents, invoice.currency);
+        const wasQueued = await queueEmail(
+            member.email,
+            `We couldn't refund your payment of ${amount}`,
+            "refund-failed",
+            { recipient: member, invoice: invoice, amount: amount },
+            `refund-failed-invoice-${invoice.id}`
+        );
+        if (wasQueued) {
+            await notifyInApp(
+                member.id,
+                "refund_failed",
+                "Refund failed",
+                `We couldn't refund ${amount} for "${invoice.description}". Please contact the front desk and we'll sort it out.`,
+                "/authenticate/profile"
+            );
+        }
+    } catch (error) {
+        console.error(`Error queueing refund failure email for invoice ${invoice.id}:`, error);
+    }
+}
+
+/**
+ * Tell every user about a new blog post in their notification centre (not by email)
+ * @param {number} blogId - The ID of the new post
+ * @param {string} title - The title of the post
+ * @param {number} authorId - The ID of the author, who is not notified
+ * @returns {Promise<void>}
+ */
+export async function notifyNewBlogPost(blogId, title, authorId) {
+    try {
+        await NotificationModel.createForAllUsers(
+            new NotificationModel(null, null, "blog_post", "New blog post", title, "/blogs"),
+            authorId
+        );
+    } catch (error) {
+        console.error(`Error creating notifications for blog post ${blogId}:`, error);
+    }
+}
+
+/**
+ * Queue reminder emails for booked sessions starting within a window of hours from now
+ * Each booking gets at most one reminder per lead time, however often this runs.
+ * @param {number} hoursAhead - The lead time, e.g. 24 for day-before reminders (the end of the window)
+ * @param {number} fromHoursAhead - The start of the window, so sessions close enough for a shorter reminder are left to it
+ * @returns {Promise<number>} The number of reminders queued
+ */
+export async function queueSessionReminders(hoursAhead, fromHoursAhead = 0) {
+    const now = new Date();
+    const from = new Date(now.getTime() + fromHoursAhead * 60 * 60 * 1000);
+    const until = new Date(now.getTime() + hoursAhead * 60 * 60 * 1000);
+    const upcoming = await BookingSessionActivityLocationUserModel.getStartingBetween(
+        DatabaseModel.toMySqlDateTime(from),
+        DatabaseModel.toMySqlDateTime(until)
+    );
+
+    let queued = 0;
+    for (const bookingDetails of upcoming) {
+        const details = describeSession(bookingDetails);
+        const sessionDay = bookingDetails.session.sessionDate === DatabaseModel.toMySqlDate(now) ? "today" : `on ${details.date}`;
+        const wasQueued = await queueEmail(
+            bookingDetails.user.email,
+            `Reminder: ${details.activityName} ${sessionDay} at ${details.time}`,
+            "session-reminder",
+            { recipient: bookingDetails.user, details: details, startsIn: `${sessionDay} at ${details.time}` },
+            `reminder-${hoursAhead}h-booking-${bookingDetails.booking.id}`
+        );
+        if (wasQueued) {
+            queued++;
+        }
+    }
+    return queued;
+}
+
+/**
+ * Queue each trainer's roster for a day: their sessions and the members booked on them
+ * Trainers with no sessions that day are not emailed, and each trainer gets one roster per day however often this runs.
+ * @param {string} sessionDate - The day of the roster (YYYY-MM-DD)
+ * @returns {Promise<number>} The number of rosters queued
+ */
+export async function queueTrainerRosters(sessionDate) {
+    const sessions = await SessionActivityLocationUserModel.getByDate(sessionDate);
+    const [year, month, day] = sessionDate.split("-");
+
+    // Group the day's sessions by trainer, each with its booked members
+    const rosters = new Map();
+    for (const sessionDetails of sessions) {
+        if (!rosters.has(sessionDetails.user.id)) {
+            rosters.set(sessionDetails.user.id, { trainer: sessionDetails.user, sessions: [] });
+        }
+        const roster = await BookingSessionActivityLocationUserModel.getBySessionId(sessionDetails.session.id);
+        rosters.get(sessionDetails.user.id).sessions.push({
+            time: sessionDetails.session.sessionTime.slice(0, 5),
+            durationMinutes: sessionDetails.session.durationMinutes,
+            activityName: sessionDetails.activity.name,
+            locationName: sessionDetails.location.name,
+            capacity: sessionDetails.session.capacity,
+            members: roster.map(bookingDetails => `${bookingDetails.user.firstName} ${bookingDetails.user.lastName}`)
+        });
+    }
+
+    let queued = 0;
+    for (const roster of rosters.values()) {
+        const wasQueued = await queueEmail(
+            roster.trainer.email,
+            `Your roster for ${day}/${month}/${year}`,
+            "trainer-roster",
+            {
+                recipient: roster.trainer,
+                date: `${day}/${month}/${year}`,
+                sessions: roster.sessions,
+                footerNote: "You are receiving this email because you are teaching sessions at High Street Gym."
+            },
+            `roster-${sessionDate}-trainer-${roster.trainer.id}`
+        );
+        if (wasQueued) {
+            queued++;
+        }
+    }
+    return queued;
+}
+
+/**
+ * Send the emails that are due from the outbox
+ * Each email is claimed before it is sent, so two processes never send the same one.
+ * Failed sends are retried later with back-off until they run out of attempts.
+ * @param {number} limit - The most emails to send in one run
+ * @returns {Promise<Object>} Counts of sent and failed emails
+ */
+export async function processOutbox(limit = 20) {
+    const due = await EmailOutboxModel.getDue(limit);
+    const counts = { sent: 0, failed: 0 };
+    for (const email of due) {
+        if (!await EmailOutboxModel.claim(email.id)) {
+            continue;
+        }
+        try {
+            await sendMail({ to: email.toAddress, subject: email.subject, text: email.bodyText, html: email.bodyHtml });
+            await EmailOutboxModel.markSent(email.id);
+            counts.sent++;
+        } catch (error) {
+            await EmailOutboxModel.markFailed(email, error.message || String(error));
+            counts.failed++;
+        }
+    }
+    return counts;
+}
@@ -0,0 +1,100 @@
+import { UserModel } from "../models/UserModel.mjs";
+import { PasswordResetTokenModel } from "../models/PasswordResetTokenModel.mjs";
+import { ApiTokenModel } from "../models/ApiTokenModel.mjs";
+import { RefreshTokenModel } from "../models/RefreshTokenModel.mjs";
+import { renderEmail } from "./notifications.mjs";
+import { sendMail } from "./smtp.mjs";
+import { config } from "../config.mjs";
+
+// How long a reset link works for
+export const RESET_LINK_MINUTES = config.passwordReset.linkMinutes;
+
+/**
+ * Email a user a link to reset their password
+ * Unknown email addresses are ignored without an error, so the response never reveals who has an account.
+ * The email is sent straight away rather than through the outbox, so the working link is never stored.
+ * @param {string} email - The email address the reset was requested for
+ * @param {Function} buildResetUrl - Called with the token to build the link the email opens
+ * @returns {Promise<void>}
+ */
+export async function requestPasswordReset(email, buildResetUrl) {
+    let user;
+    try {
+        user = await UserModel.getByEmail(String(email).trim());
+    } catch (error) {
+        if (error === "User not found") {
+            return;
+        }
+        throw error;
+    }
+
+    const token = await PasswordResetTokenModel.create(user.id, RESET_LINK_MINUTES);
+    const subject = "Reset your High Street Gym password";
+    const body = await renderEmail("password-reset", {
+        subject: subject,
+        recipient: user,
+        resetUrl: buildResetUrl(token),
+        lifetimeMinutes: RESET_LINK_MINUTES,
+        footerNote: "You are receiving this email because a password reset was requested for your High Street Gym account."
+    });
+
+    // Not awaited, so a slow mail server doesn't make known addresses take longer to answer than unknown ones
+    sendMail({ to: user.email, subject: subject, text: body.text, html: body.html })
+        .catch(error => console.error(`Error sending password reset email to user ${user.id}:`, error));
+}
+
+/**
+ * Check that a reset link can still be used
+ * @param {string} token - The token from the reset link
+ * @returns {Promise<boolean>} True if the token is unused and has not expired
+ */
+export async function isResetTokenValid(token) {
+    if (!token) {
+        return false;
+    }
+    try {
+        await PasswordResetTokenModel.getValidByToken(token);
+        return true;
+    } catch (error) {
+        if (error === "Reset token not found") {
+            return false;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Set a new password using a reset link
+ * The token is used up, any other outstanding links stop working, and the user is logged out
+ * everywhere (web sessions ended and API tokens revoked).
+ * @param {string} token - The token from the reset link
+ * @param {string} password - The new password
+ * @returns {Promise<number>} The ID of the user whose password was reset. Rejects with a message if the link is invalid, used, or expired.
+ */
+export async function resetPassword(token, password) {
+    const invalidLink = "This password reset link is invalid or has expired. Please request a new one.";
+    if (!token) {
+        return Promise.reject(invalidLink);
+    }
+
+    let resetToken;
+    try {
+        resetToken = await PasswordResetTokenModel.getValidByToken(token);
+    } catch (error) {
+        if (error === "Reset token not found") {
+            return Promise.reject(invalidLink);
+        }
+        throw error;
+    }
+
+    // Another request may have redeemed the same link in the meantime
+    if (!await PasswordResetTokenModel.markUsed(resetToken.id)) {
+        return Promise.reject(invalidLink);
+    }
+
+    await UserModel.resetPassword(resetToken.userId, password);
+    await ApiTokenModel.revokeByUserId(resetToken.userId);
+    await RefreshTokenModel.revokeByUserId(resetToken.userId);
+    await PasswordResetTokenModel.revokeByUserId(resetToken.userId);
+    return resetToken.userId;
+}
@@ -0,0 +1,117 @@
+import crypto from "crypto";
+import { config } from "../config.mjs";
+
+// Currency every price and invoice is charged in
+export const CURRENCY = "AUD";
+
+// Price of booking a single class without a membership (cents)
+export const DROP_IN_PRICE_CENTS = 2500;
+
+/**
+ * Interface every payment provider implements. Amounts are always in cents.
+ * Providers never throw for a declined card - they resolve with status 'declined' and a message for the member.
+ */
+export class PaymentProvider {
+    /**
+     * Short name stored against invoices so refunds go back through the same provider
+     * @returns {string} The provider name
+     */
+    get name() {
+        throw new Error("PaymentProvider.name is not implemented");
+    }
+
+    /**
+     * Charges a payment method
+     * @param {Object} payment - The charge to make
+     * @param {number} payment.amountCents - The amount to charge, in cents
+     * @param {string} payment.currency - The ISO currency code
+     * @param {string} payment.description - What the charge is for (shown on statements)
+     * @param {string} payment.paymentToken - The provider's token for the member's payment method
+     * @returns {Promise<Object>} Result with status ('succeeded' or 'declined'), transactionId, and message
+     */
+    async charge(payment) {
+        throw new Error("PaymentProvider.charge is not implemented");
+    }
+
+    /**
+     * Refunds a previous charge in full
+     * @param {Object} refund - The refund to make
+     * @param {string} refund.transactionId - The transaction ID returned by charge
+     * @param {number} refund.amountCents - The amount to refund, in cents
+     * @returns {Promise<Object>} Result with status ('refunded' or 'failed'), refundId, and message
+     */
+    async refund(refund) {
+        throw new Error("PaymentProvider.refund is not implemented");
+    }
+}
+
+/**
+ * Local payment gateway for development and testing - no money moves.
+ * The payment token decides the outcome: 'tok_mock_decline' is declined, any other token succeeds.
+ * Refunds succeed for any transaction this gateway issued.
+ */
+export class MockPaymentGateway extends PaymentProvider {
+    static DECLINE_TOKEN = "tok_mock_decline";
+
+    get name() {
+        return "mock";
+    }
+
+    async charge(payment) {
+        if (!payment.paymentToken || payment.paymentToken === MockPaymentGateway.DECLINE_TOKEN) {
+            return {
+                status: "declined",
+                transactionId: null,
+                message: "Your card was declined."
+            };
+        }
+        return {
+            status: "succeeded",
+            transactionId: `mock_ch_${crypto.randomBytes(12).toString("hex")}`,
+            message: "Payment approved."
+        };
+    }
+
+    async refund(refund) {
+        if (!refund.transactionId || !refund.transactionId.startsWith("mock_ch_")) {
+            return {
+                status: "failed",
+                refundId: null,
+                message: "Unknown transaction."
+            };
+        }
+        return {
+            status: "refunded",
+            refundId: `mock_re_${crypto.randomBytes(12).toString("hex")}`,
+            message: "Refund approved."
+        };
+    }
+}
+
+// Available providers by name - add real gateways here and to PAYMENT_PROVIDERS in config/index.mjs
+const providers = {
+    mock: new MockPaymentGateway()
+};
+
+/**
+ * Get a payment provider by name
+ * @param {string} name - The provider name (defaults to the PAYMENT_PROVIDER setting)
+ * @returns {PaymentProvider} The provider
+ */
+export function getPaymentProvider(name = config.payments.provider) {
+    const provider = providers[name];
+    if (!provider) {
+        throw new Error(`Unknown payment provider: ${name}`);
+    }
+    return provider;
+}
+
+/**
+ * Format an amount in cents for display, e.g. 2500 -> "$25.00"
+ * @param {number} amountCents - The amount in cents
+ * @param {string} currency - The ISO currency code
+ * @returns {string} The formatted amount
+ */
+export function formatAmount(amountCents, currency = CURRENCY) {
+    return new Intl.NumberFormat("en-AU", { style: "currency", currency: currency }).format(amountCents / 100);
+}
@@ -0,0 +1,72 @@
+// In-process limiter for repeated failures, e.g. wrong passwords from one IP address.
+// The first few failures for a key are free; after that each failure doubles the
+// wait before the next attempt, up to a maximum. State is kept in memory, so each
+// backend process limits the requests it handles and restarting clears it - the
+// account lockout stored in the database is what survives restarts.
+
+/**
+ * Create a limiter that slows down repeated failures for a key
+ * @param {Object} options
+ * @param {number} options.freeAttempts - Failures allowed before any wait
+ * @param {number} options.baseDelaySeconds - The wait after the first failure past the free ones
+ * @param {number} options.maxDelaySeconds - The longest wait
+ * @param {number} options.forgetAfterSeconds - How long after its last failure a key starts again from zero
+ * @returns {Object} { retryAfter(key), recordFailure(key), reset(key) }
+ */
+export function createRateLimiter({ freeAttempts, baseDelaySeconds, maxDelaySeconds, forgetAfterSeconds }) {
+    // key => { failures, lastFailureAt, blockedUntil } (times in milliseconds)
+    const entries = new Map();
+
+    const isForgotten = (entry, now) => now - entry.lastFailureAt > forgetAfterSeconds * 1000 && entry.blockedUntil <= now;
+
+    // Drop keys that have been quiet for a while, so the map doesn't grow forever
+    const pruneTimer = setInterval(() => {
+        const now = Date.now();
+        for (const [key, entry] of entries) {
+            if (isForgotten(entry, now)) {
+                entries.delete(key);
+            }
+        }
+    }, 60 * 1000);
+    pruneTimer.unref();
+
+    return {
+        /**
+         * How long the key has to wait before its next attempt
+         * @param {string} key - e.g. an IP address or email address
+         * @returns {number} Seconds to wait (0 if the attempt can go ahead)
+         */
+        retryAfter(key) {
+            const entry = entries.get(key);
+            const waitMs = entry ? entry.blockedUntil - Date.now() : 0;
+            return waitMs > 0 ? Math.ceil(waitMs / 1000) : 0;
+        },
+
+        /**
+         * Count a failed attempt, starting or lengthening the key's wait once its free attempts are used up
+         * @param {string} key - e.g. an IP address or email address
+         */
+        recordFailure(key) {
+            const now = Date.now();
+            let entry = entries.get(key);
+            if (!entry || isForgotten(entry, now)) {
+                entry = { failures: 0, lastFailureAt: now, blockedUntil: 0 };
+                entries.set(key, entry);
+            }
+            entry.failures++;
+            entry.lastFailureAt = now;
+            if (entry.failures > freeAttempts) {
+                const delaySeconds = Math.min(baseDelaySeconds * 2 ** (entry.failures - freeAttempts - 1), maxDelaySeconds);
+                entry.blockedUntil = now + delaySeconds * 1000;
+            }
+        },
+
+        /**
+         * Forget a key's failures, e.g. after a successful login
+         * @param {string} key - e.g. an IP address or email address
+         */
+        reset(key) {
+            entries.delete(key);
+        }
+    };
+}
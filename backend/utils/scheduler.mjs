@@ -0,0 +1,147 @@
+import os from "os";
+import crypto from "crypto";
+import { DatabaseModel } from "../models/DatabaseModel.mjs";
+import { ScheduledJobModel } from "../models/ScheduledJobModel.mjs";
+import { WebSessionModel } from "../models/WebSessionModel.mjs";
+import { InvoiceModel } from "../models/InvoiceModel.mjs";
+import { processOutbox, queueSessionReminders, queueTrainerRosters } from "./notifications.mjs";
+import { config } from "../config.mjs";
+
+// Identifies this process when it holds a job's lock
+const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString("hex")}`;
+
+/**
+ * Background jobs. A schedule is either everyMinutes (repeat that long after each run finishes)
+ * or dailyAt (once a day at HH:MM, gym local time). lockMinutes is how long a run may take before
+ * another process may assume this one died and run the job again.
+ */
+export const JOBS = [
+    {
+        name: "email-outbox",
+        schedule: { everyMinutes: 1 },
+        lockMinutes: 10,
+        run: () => processOutbox()
+    },
+    {
+        // Day-before reminders skip sessions inside the hour-before window so members get one or the other, not both at once
+        name: "session-reminders",
+        schedule: { everyMinutes: 5 },
+        lockMinutes: 10,
+        run: async () => {
+            await queueSessionReminders(24, 1);
+            await queueSessionReminders(1);
+        }
+    },
+    {
+        name: "trainer-rosters",
+        schedule: { dailyAt: config.scheduler.trainerRosterTime },
+        lockMinutes: 30,
+        run: () => queueTrainerRosters(DatabaseModel.addDays(DatabaseModel.toMySqlDate(new Date()), 1))
+    },
+    {
+        // Refunds the payment provider refused, or that a stopped process never sent
+        name: "payment-refunds",
+        schedule: { everyMinutes: 5 },
+        lockMinutes: 10,
+        run: () => InvoiceModel.retryRefunds()
+    },
+    {
+        name: "web-session-prune",
+        schedule: { everyMinutes: 15 },
+        lockMinutes: 10,
+        run: () => WebSessionModel.deleteExpired()
+    }
+];
+
+/**
+ * Work out when a job should next run
+ * @param {Object} schedule - The job's schedule: everyMinutes or dailyAt (HH:MM)
+ * @param {Date} now - The time to schedule from
+ * @returns {string} The next run time (YYYY-MM-DD HH:MM:SS, gym local time)
+ */
+export function getNextRunAt(schedule, now = new Date()) {
+    if (schedule.everyMinutes) {
+        return DatabaseModel.toMySqlDateTime(new Date(now.getTime() + schedule.everyMinutes * 60 * 1000));
+    }
+
+    // Today's run time if it is still ahead, otherwise tomorrow's
+    const today = DatabaseModel.toMySqlDate(now);
+    const runToday = `${today} ${schedule.dailyAt}:00`;
+    if (runToday > DatabaseModel.toMySqlDateTime(now)) {
+        return runToday;
+    }
+    return `${DatabaseModel.addDays(today, 1)} ${schedule.dailyAt}:00`;
+}
+
+/**
+ * Run a job if it is due and no other process is running it
+ * The next run is scheduled whether the job succeeds or fails, so a failing job does not retry in a tight loop.
+ * @param {Object} job - A job from JOBS
+ * @returns {Promise<boolean>} True if this process ran the job
+ */
+export async function runJobIfDue(job) {
+    const startedAt = new Date();
+    const lockedUntil = new Date(startedAt.getTime() + job.lockMinutes * 60 * 1000);
+    const claimed = await ScheduledJobModel.claim(
+        job.name,
+        WORKER_ID,
+        DatabaseModel.toMySqlDateTime(startedAt),
+        DatabaseModel.toMySqlDateTime(lockedUntil)
+    );
+    if (!claimed) {
+        return false;
+    }
+
+    let error = null;
+    try {
+        await job.run();
+    } catch (runError) {
+        error = runError;
+        console.error(`Scheduled job ${job.name} failed:`, runError);
+    }
+
+    const finishedAt = new Date();
+    await ScheduledJobModel.release(job.name, WORKER_ID, {
+        nextRunAt: getNextRunAt(job.schedule, finishedAt),
+        finishedAt: DatabaseModel.toMySqlDateTime(finishedAt),
+        status: error ? "failed" : "succeeded",
+        error: error ? error.message || error : null
+    });
+    return true;
+}
+
+/**
+ * Start running the background jobs
+ * Every backend process can start the scheduler - the locks in scheduled_jobs make sure each run happens in only one of them.
+ * Polls are skipped while the previous one is still going, and the timer does not keep the process alive on shutdown.
+ * @param {number} pollMs - How often to check for due jobs (defaults to the SCHEDULER_POLL_MS setting, 30 seconds unless set)
+ * @returns {Promise<NodeJS.Timeout>} The polling timer
+ */
+export async function startScheduler(pollMs = config.scheduler.pollMs) {
+    // New jobs are due straight away, except daily jobs, which wait for their time of day
+    for (const job of JOBS) {
+        const firstRunAt = job.schedule.dailyAt
+            ? getNextRunAt(job.schedule)
+            : DatabaseModel.toMySqlDateTime(new Date());
+        await ScheduledJobModel.ensure(job.name, firstRunAt);
+    }
+
+    let isPolling = false;
+    const timer = setInterval(async () => {
+        if (isPolling) {
+            return;
+        }
+        isPolling = true;
+        try {
+            for (const job of JOBS) {
+                await runJobIfDue(job);
+            }
+        } catch (error) {
+            console.error("Error running scheduled jobs:", error);
+        } finally {
+            isPolling = false;
+        }
+    }, pollMs);
+    timer.unref();
+    return timer;
+}
@@ -0,0 +1,28 @@
+import { EventEmitter } from "events";
+import { DatabaseModel } from "../models/DatabaseModel.mjs";
+
+// In-process hub for session changes. Models publish here whenever a session's
+// details or booked count change, and the SSE stream (/api/sessions/stream)
+// forwards them to connected browsers. Only this process's listeners hear an
+// event, so each backend process streams the changes made through it. Changes
+// made in a transaction are announced once it commits.
+const sessionEvents = new EventEmitter();
+sessionEvents.setMaxListeners(0);
+
+/**
+ * Announce that a session was created, changed, cancelled, or had a booking added or removed
+ * @param {number} sessionId - The ID of the session
+ */
+export function publishSessionChanged(sessionId) {
+    DatabaseModel.afterCommit(() => sessionEvents.emit("changed", Number(sessionId)));
+}
+
+/**
+ * Listen for session changes
+ * @param {Function} listener - Called with the ID of each changed session
+ * @returns {Function} Call to stop listening
+ */
+export function onSessionChanged(listener) {
+    sessionEvents.on("changed", listener);
+    return () => sessionEvents.off("changed", listener);
+}
@@ -0,0 +1,48 @@
+import session from "express-session";
+import { WebSessionModel } from "../models/WebSessionModel.mjs";
+import { config } from "../config.mjs";
+
+// How long a web session lasts without being used. The cookie itself still ends when the browser closes.
+export const SESSION_IDLE_HOURS = config.session.idleHours;
+
+/**
+ * When a session should expire: when its cookie does, or after SESSION_IDLE_HOURS for browser-session cookies
+ * @param {Object} sess - The session
+ * @returns {Date} The expiry
+ */
+function getExpiry(sess) {
+    if (sess && sess.cookie && sess.cookie.expires) {
+        return new Date(sess.cookie.expires);
+    }
+    return new Date(Date.now() + SESSION_IDLE_HOURS * 60 * 60 * 1000);
+}
+
+/**
+ * express-session store that keeps sessions in MySQL (the web_sessions table), so logins survive restarts
+ * and are shared by every backend process. Expired sessions are ignored, and pruned by the scheduler.
+ */
+export class MySqlSessionStore extends session.Store {
+    get(sid, callback) {
+        WebSessionModel.getData(sid)
+            .then(data => callback(null, data))
+            .catch(error => callback(error));
+    }
+
+    set(sid, sess, callback) {
+        WebSessionModel.save(sid, sess.userId ?? null, sess, getExpiry(sess))
+            .then(() => callback && callback(null))
+            .catch(error => callback && callback(error));
+    }
+
+    touch(sid, sess, callback) {
+        WebSessionModel.touch(sid, getExpiry(sess))
+            .then(() => callback && callback(null))
+            .catch(error => callback && callback(error));
+    }
+
+    destroy(sid, callback) {
+        WebSessionModel.delete(sid)
+            .then(() => callback && callback(null))
+            .catch(error => callback && callback(error));
+    }
+}
@@ -0,0 +1,212 @@
+import net from "net";
+import tls from "tls";
+import os from "os";
+import crypto from "crypto";
+import { config } from "../config.mjs";
+
+/**
+ * Get the SMTP settings from the config
+ * Development defaults suit a local SMTP catcher (Mailpit or MailHog listen on localhost:1025 without authentication).
+ * @returns {Object} host, port, secure (implicit TLS), user, pass, from, and timeoutMs
+ */
+export function getSMTPConfig() {
+    return {
+        host: config.smtp.host,
+        port: config.smtp.port,
+        secure: config.smtp.secure,
+        user: config.smtp.user || null,
+        pass: config.smtp.pass || null,
+        from: config.smtp.from,
+        timeoutMs: config.smtp.timeoutMs
+    };
+}
+
+/**
+ * Get the bare address from a mailbox such as "High Street Gym <no-reply@example.com>"
+ * @param {string} mailbox - The mailbox
+ * @returns {string} The address between the angle brackets, or the mailbox itself
+ */
+function getAddress(mailbox) {
+    const match = mailbox.match(/<([^>]+)>/);
+    return match ? match[1] : mailbox.trim();
+}
+
+/**
+ * Encode a header value so non-ASCII text (e.g. names with accents) survives
+ * @param {string} value - The header value
+ * @returns {string} The value, as an RFC 2047 encoded word if needed
+ */
+function encodeHeader(value) {
+    return /^[\x20-\x7e]*$/.test(value)
+        ? value
+        : `=?UTF-8?B?${Buffer.from(value, "utf8").toString("base64")}?=`;
+}
+
+/**
+ * Base64 encode a body part, wrapped to the 76 character lines MIME requires
+ * @param {string} content - The content
+ * @returns {string} The wrapped base64
+ */
+function encodeBody(content) {
+    return Buffer.from(content, "utf8").toString("base64").replace(/.{1,76}/g, "$&\r\n");
+}
+
+/**
+ * Build a MIME message with plain text and HTML alternatives
+ * @param {Object} email - The email
+ * @param {string} email.from - The sender mailbox
+ * @param {string} email.to - The recipient address
+ * @param {string} email.subject - The subject line
+ * @param {string} email.text - The plain text body
+ * @param {string} email.html - The HTML body
+ * @returns {string} The message, ready for the SMTP DATA command
+ */
+export function buildMessage(email) {
+    const boundary = `hsg-${crypto.randomBytes(12).toString("hex")}`;
+    return [
+        `From: ${email.from}`,
+        `To: ${email.to}`,
+        `Subject: ${encodeHeader(email.subject)}`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: <${crypto.randomUUID()}@${getAddress(email.from).split("@")[1] || os.hostname()}>`,
+        "MIME-Version: 1.0",
+        `Content-Type: multipart/alternative; boundary="${boundary}"`,
+        "",
+        `--${boundary}`,
+        "Content-Type: text/plain; charset=utf-8",
+        "Content-Transfer-Encoding: base64",
+        "",
+        encodeBody(email.text),
+        `--${boundary}`,
+        "Content-Type: text/html; charset=utf-8",
+        "Content-Transfer-Encoding: base64",
+        "",
+        encodeBody(email.html),
+        `--${boundary}--`,
+        ""
+    ].join("\r\n");
+}
+
+/**
+ * Minimal SMTP client conversation over one connection (RFC 5321)
+ */
+class SMTPConnection {
+    constructor(socket, timeoutMs) {
+        this.socket = socket;
+        this.buffer = "";
+        this.lines = [];
+        this.waiting = null;
+        this.error = null;
+
+        socket.setEncoding("utf8");
+        socket.setTimeout(timeoutMs, () => socket.destroy(new Error("SMTP connection timed out")));
+        socket.on("data", chunk => {
+            this.buffer += chunk;
+            let newline;
+            while ((newline = this.buffer.indexOf("\n")) !== -1) {
+                this.lines.push(this.buffer.slice(0, newline).replace(/\r$/, ""));
+                this.buffer = this.buffer.slice(newline + 1);
+            }
+            this.deliver();
+        });
+        socket.on("error", error => {
+            this.error = error;
+            this.deliver();
+        });
+        socket.on("close", () => {
+            this.error = this.error || new Error("SMTP connection closed");
+            this.deliver();
+        });
+    }
+
+    // Resolve the pending read once a complete (possibly multi-line) reply has arrived
+    deliver() {
+        if (!this.waiting) {
+            return;
+        }
+        const lastLine = this.lines.findIndex(line => /^\d{3}( |$)/.test(line));
+        if (lastLine !== -1) {
+            const replyLines = this.lines.splice(0, lastLine + 1);
+            const { resolve } = this.waiting;
+            this.waiting = null;
+            resolve({ code: Number(replyLines[lastLine].slice(0, 3)), text: replyLines.join("\n") });
+        } else if (this.error) {
+            const { reject } = this.waiting;
+            this.waiting = null;
+            reject(this.error);
+        }
+    }
+
+    readReply() {
+        return new Promise((resolve, reject) => {
+            this.waiting = { resolve, reject };
+            this.deliver();
+        });
+    }
+
+    /**
+     * Send a command and check the reply code
+     * @param {string|null} command - The command (null just reads the next reply, e.g. the greeting)
+     * @param {number} expectedCode - The reply code that means success
+     * @returns {Promise<Object>} The reply
+     */
+    async command(command, expectedCode) {
+        if (command !== null) {
+            this.socket.write(`${command}\r\n`);
+        }
+        const reply = await this.readReply();
+        if (reply.code !== expectedCode) {
+            throw new Error(`SMTP ${command === null ? "greeting" : command.split(" ")[0]} failed: ${reply.text}`);
+        }
+        return reply;
+    }
+}
+
+/**
+ * Open a connection to the SMTP server
+ * @param {Object} config - SMTP settings from getSMTPConfig
+ * @returns {Promise<net.Socket>} The connected socket
+ */
+function connect(config) {
+    return new Promise((resolve, reject) => {
+        const socket = config.secure
+            ? tls.connect({ host: config.host, port: config.port, servername: config.host })
+            : net.connect({ host: config.host, port: config.port });
+        socket.once(config.secure ? "secureConnect" : "connect", () => {
+            socket.removeListener("error", reject);
+            resolve(socket);
+        });
+        socket.once("error", reject);
+        socket.setTimeout(config.timeoutMs, () => socket.destroy(new Error("SMTP connection timed out")));
+    });
+}
+
+/**
+ * Send an email through SMTP
+ * @param {Object} email - The email: to, subject, text, and html (from defaults to the configured sender)
+ * @param {Object} config - SMTP settings (defaults to getSMTPConfig())
+ * @returns {Promise<void>} Resolves once the server has accepted the message, rejects with the server's reply otherwise
+ */
+export async function sendMail(email, config = getSMTPConfig()) {
+    const from = email.from || config.from;
+    const socket = await connect(config);
+    const smtp = new SMTPConnection(socket, config.timeoutMs);
+    try {
+        await smtp.command(null, 220);
+        await smtp.command(`EHLO ${os.hostname()}`, 250);
+        if (config.user) {
+            const credentials = Buffer.from(`\u0000${config.user}\u0000${config.pass || ""}`, "utf8").toString("base64");
+            await smtp.command(`AUTH PLAIN ${credentials}`, 235);
+        }
+        await smtp.command(`MAIL FROM:<${getAddress(from)}>`, 250);
+        await smtp.command(`RCPT TO:<${getAddress(email.to)}>`, 250);
+        await smtp.command("DATA", 354);
+
+        // Lines starting with a dot are escaped so they cannot end the message early
+        const message = buildMessage({ ...email, from: from }).replace(/^\./gm, "..");
+        await smtp.command(`${message}\r\n.`, 250);
+        await smtp.command("QUIT", 221).catch(() => {});
+    } finally {
+        socket.destroy();
+    }
+}
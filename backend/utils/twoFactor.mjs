@@ -0,0 +1,276 @@
+import crypto from "crypto";
+import QRCode from "qrcode";
+import { UserModel } from "../models/UserModel.mjs";
+import { TwoFactorRecoveryCodeModel } from "../models/TwoFactorRecoveryCodeModel.mjs";
+import { TwoFactorChallengeModel } from "../models/TwoFactorChallengeModel.mjs";
+import { TwoFactorPolicyModel } from "../models/TwoFactorPolicyModel.mjs";
+import { config } from "../config.mjs";
+
+// Name shown next to the account in authenticator apps
+export const TOTP_ISSUER = "High Street Gym";
+
+// RFC 6238 settings - the defaults every authenticator app understands
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+
+// Codes from one period either side are accepted, to allow for clock drift
+const TOTP_WINDOW = 1;
+
+// How long an API login has to complete its second step, and how many wrong codes it allows
+export const CHALLENGE_MINUTES = config.twoFactor.challengeMinutes;
+export const MAX_CODE_ATTEMPTS = 5;
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const invalidCode = "That code didn't work. Please enter the current code from your authenticator app, or one of your recovery codes.";
+
+/**
+ * Encode bytes as base32 (RFC 4648, without padding), the format authenticator apps expect secrets in
+ * @param {Buffer} buffer - The bytes to encode
+ * @returns {string} The base32 string
+ */
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = "";
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+/**
+ * Decode a base32 secret back into bytes
+ * @param {string} secret - The base32 string (case and padding are ignored)
+ * @returns {Buffer} The decoded bytes
+ */
+function base32Decode(secret) {
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of secret.toUpperCase().replace(/=+$/, "")) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            continue;
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+/**
+ * Work out the code an authenticator app shows for a time step (RFC 4226 HOTP with the step as the counter)
+ * @param {string} secret - The user's base32 secret
+ * @param {number} step - The TOTP time step
+ * @returns {string} The code, zero-padded to 6 digits
+ */
+function generateCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 15;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+}
+
+/**
+ * Check a code from an authenticator app
+ * @param {string} secret - The user's base32 secret
+ * @param {string} code - The code the user entered
+ * @param {Date} now - The time to check against (defaults to now)
+ * @returns {number|null} The time step the code belongs to, or null if it doesn't match
+ */
+export function verifyTotp(secret, code, now = new Date()) {
+    const digits = String(code ?? "").replace(/\s/g, "");
+    if (!secret || !new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(digits)) {
+        return null;
+    }
+    const currentStep = Math.floor(now.getTime() / 1000 / TOTP_PERIOD_SECONDS);
+    for (let step = currentStep - TOTP_WINDOW; step <= currentStep + TOTP_WINDOW; step++) {
+        const expected = generateCode(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(digits))) {
+            return step;
+        }
+    }
+    return null;
+}
+
+/**
+ * Check the second step of a login: a code from the user's authenticator app, or one of their recovery codes.
+ * Either kind of code only works once.
+ * @param {UserModel} user - The user logging in (with their totpSecret loaded)
+ * @param {string} code - The code the user entered
+ * @returns {Promise<Object|null>} { usedRecoveryCode } if the code was accepted, or null if it wasn't
+ */
+export async function checkSecondFactor(user, code) {
+    if (!code) {
+        return null;
+    }
+    const step = verifyTotp(user.totpSecret, code);
+    if (step !== null) {
+        return await UserModel.useTotpStep(user.id, step) ? { usedRecoveryCode: false } : null;
+    }
+    if (await TwoFactorRecoveryCodeModel.redeem(user.id, code)) {
+        return { usedRecoveryCode: true };
+    }
+    return null;
+}
+
+/**
+ * Start setting up two-factor authentication: create a new secret for the user's authenticator app.
+ * Two-factor stays off until the user confirms a code with enableTwoFactor().
+ * @param {UserModel} user - The user setting up two-factor
+ * @returns {Promise<Object>} The setup details from getTwoFactorSetup(). Rejects with a message if two-factor is already on.
+ */
+export async function beginTwoFactorSetup(user) {
+    const secret = base32Encode(crypto.randomBytes(20));
+    if (!await UserModel.setTotpSecret(user.id, secret)) {
+        return Promise.reject("Two-factor authentication is already turned on for your account.");
+    }
+    return getTwoFactorSetup({ ...user, totpSecret: secret });
+}
+
+/**
+ * Describe a secret the way authenticator apps add it: an otpauth:// link and a QR code of it
+ * @param {UserModel} user - The user setting up two-factor (with their totpSecret loaded)
+ * @returns {Promise<Object>} { secret, otpauthUrl, qrCode } where qrCode is a PNG data URL
+ */
+export async function getTwoFactorSetup(user) {
+    const label = encodeURIComponent(`${TOTP_ISSUER}:${user.email}`);
+    const otpauthUrl = `otpauth://totp/${label}?secret=${user.totpSecret}&issuer=${encodeURIComponent(TOTP_ISSUER)}`
+        + `&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_PERIOD_SECONDS}`;
+    return {
+        secret: user.totpSecret,
+        otpauthUrl: otpauthUrl,
+        qrCode: await QRCode.toDataURL(otpauthUrl)
+    };
+}
+
+/**
+ * Finish setting up two-factor authentication once the user has entered a code from their app
+ * @param {number} userId - The ID of the user setting up two-factor
+ * @param {string} code - The code from the authenticator app
+ * @returns {Promise<Array<string>>} The user's recovery codes, to show once. Rejects with a message if setup wasn't started or the code is wrong.
+ */
+export async function enableTwoFactor(userId, code) {
+    const user = await UserModel.getById(userId);
+    if (user.totpEnabledAt) {
+        return Promise.reject("Two-factor authentication is already turned on for your account.");
+    }
+    if (!user.totpSecret) {
+        return Promise.reject("Please start two-factor setup again.");
+    }
+    const step = verifyTotp(user.totpSecret, code);
+    if (step === null || !await UserModel.useTotpStep(user.id, step)) {
+        return Promise.reject("That code didn't match. Please check your authenticator app and enter the current code.");
+    }
+    await UserModel.enableTwoFactor(user.id);
+    return TwoFactorRecoveryCodeModel.replaceForUser(user.id);
+}
+
+/**
+ * Turn two-factor authentication off, after checking a current code.
+ * Staff can't turn it off while the two-factor policy requires it.
+ * @param {number} userId - The ID of the user
+ * @param {string} code - A code from the authenticator app, or a recovery code
+ * @returns {Promise<void>} Rejects with a message if two-factor is off, required, or the code is wrong
+ */
+export async function disableTwoFactor(userId, code) {
+    const user = await UserModel.getById(userId);
+    if (!user.totpEnabledAt) {
+        return Promise.reject("Two-factor authentication is not turned on for your account.");
+    }
+    if (await TwoFactorPolicyModel.isSetupRequired({ ...user, totpEnabledAt: null })) {
+        return Promise.reject("Two-factor authentication is required for staff accounts, so it can't be turned off.");
+    }
+    if (!await checkSecondFactor(user, code)) {
+        return Promise.reject(invalidCode);
+    }
+    await resetTwoFactor(user.id);
+}
+
+/**
+ * Replace a user's recovery codes, after checking a current code. The old codes stop working.
+ * @param {number} userId - The ID of the user
+ * @param {string} code - A code from the authenticator app, or a recovery code
+ * @returns {Promise<Array<string>>} The new recovery codes, to show once. Rejects with a message if two-factor is off or the code is wrong.
+ */
+export async function regenerateRecoveryCodes(userId, code) {
+    const user = await UserModel.getById(userId);
+    if (!user.totpEnabledAt) {
+        return Promise.reject("Two-factor authentication is not turned on for your account.");
+    }
+    if (!await checkSecondFactor(user, code)) {
+        return Promise.reject(invalidCode);
+    }
+    return TwoFactorRecoveryCodeModel.replaceForUser(user.id);
+}
+
+/**
+ * Turn a user's two-factor authentication off without a code, e.g. when an admin resets it for a staff member who lost their phone
+ * @param {number} userId - The ID of the user
+ * @returns {Promise<void>}
+ */
+export async function resetTwoFactor(userId) {
+    await UserModel.disableTwoFactor(userId);
+    await TwoFactorRecoveryCodeModel.deleteByUserId(userId);
+}
+
+/**
+ * Start the second step of an API login for a user who has two-factor turned on
+ * @param {number} userId - The ID of the user whose password was correct
+ * @returns {Promise<string>} The challenge token the client sends back with the code
+ */
+export function startLoginChallenge(userId) {
+    return TwoFactorChallengeModel.create(userId, CHALLENGE_MINUTES);
+}
+
+/**
+ * Complete the second step of an API login
+ * @param {string} challengeToken - The token returned by the password step
+ * @param {string} code - A code from the authenticator app, or a recovery code
+ * @returns {Promise<Object>} { user, usedRecoveryCode } once the code is accepted. Rejects with { expired, message } if the challenge
+ * is unknown, used up, or expired (the user must log in again), or { expired: false, message } if the code is wrong.
+ */
+export async function completeLoginChallenge(challengeToken, code) {
+    const expiredChallenge = { expired: true, message: "Your login has expired. Please log in again." };
+    if (!challengeToken) {
+        return Promise.reject(expiredChallenge);
+    }
+
+    let challenge;
+    try {
+        challenge = await TwoFactorChallengeModel.getValidByToken(challengeToken);
+    } catch (error) {
+        if (error === "Challenge not found") {
+            return Promise.reject(expiredChallenge);
+        }
+        throw error;
+    }
+
+    const user = await UserModel.getById(challenge.userId);
+    const result = user.totpEnabledAt ? await checkSecondFactor(user, code) : null;
+    if (!result) {
+        await TwoFactorChallengeModel.recordFailedAttempt(challenge.id, MAX_CODE_ATTEMPTS);
+        return Promise.reject(challenge.failedAttempts + 1 >= MAX_CODE_ATTEMPTS
+            ? { expired: true, message: "Too many incorrect codes. Please log in again." }
+            : { expired: false, message: invalidCode });
+    }
+    if (!await TwoFactorChallengeModel.markUsed(challenge.id)) {
+        return Promise.reject(expiredChallenge);
+    }
+    return { user: user, usedRecoveryCode: result.usedRecoveryCode };
+}
@@ -0,0 +1,247 @@
+import fs from "fs";
+import path from "path";
+import util from "util";
+import { fileURLToPath } from "url";
+
+// Settings for the backend and the Vite build, read from environment variables and .env files.
+// Each profile (development, test, production) has its own defaults; production has no defaults
+// for secrets or addresses, so a misconfigured server stops at start-up instead of running with
+// the development database password.
+
+// The .env files live in the repository root, next to this folder
+// (import.meta.url rather than import.meta.dirname, which Vite can't map back when it bundles vite.config.js)
+const ENV_DIRECTORY = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+export const PROFILES = ["development", "test", "production"];
+
+// Short names people tend to use for NODE_ENV / APP_ENV / the Vite mode
+const PROFILE_ALIASES = { dev: "development", prod: "production" };
+
+// Payment gateways registered in backend/utils/payments.mjs - add a name here when a gateway is added there
+export const PAYMENT_PROVIDERS = ["mock"];
+
+/**
+ * Thrown when the configuration is invalid. The message lists every problem at once.
+ */
+export class ConfigError extends Error {
+    constructor(profile, problems) {
+        super(`Invalid configuration for the ${profile} profile:\n${problems.map(problem => `  - ${problem}`).join("\n")}`);
+        this.name = "ConfigError";
+        this.problems = problems;
+    }
+}
+
+// How to read each type of setting. Each returns the value, or throws a message saying what is wrong.
+const TYPES = {
+    string: value => value,
+    integer: value => {
+        if (!/^\d+$/.test(value)) {
+            throw "must be a whole number";
+        }
+        return Number(value);
+    },
+    boolean: value => {
+        if (!["true", "false"].includes(value)) {
+            throw 'must be "true" or "false"';
+        }
+        return value === "true";
+    },
+    url: value => {
+        try {
+            new URL(value);
+        } catch {
+            throw "must be a full URL, e.g. http://localhost:8080";
+        }
+        return value.replace(/\/+$/, "");
+    },
+    time: value => {
+        if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(value)) {
+            throw "must be a time of day as HH:MM";
+        }
+        return value;
+    }
+};
+
+/**
+ * Every setting. scope says who needs it ("backend", "frontend" or "shared"), key is where it goes in the
+ * loaded config, and defaults gives its value per profile when it isn't set (a default for "all" applies
+ * to every profile without one of its own). Settings without a default for the profile must be set.
+ * secret settings must be at least minLength characters, and settings with choices must be one of them.
+ * Defaults may be functions of the values read so far.
+ */
+export const SETTINGS = {
+    PORT: { scope: "shared", key: "port", type: "integer", defaults: { all: "8080" } },
+    API_URL: { scope: "shared", key: "apiUrl", type: "url", defaults: { development: values => `http://localhost:${values.port}/api`, test: values => `http://localhost:${values.port}/api` } },
+    FRONTEND_URL: { scope: "shared", key: "frontendUrl", type: "url", defaults: { development: "http://localhost:5173", test: "http://localhost:5173" } },
+
+    DB_HOST: { scope: "backend", key: "database.host", type: "string", defaults: { all: "localhost" } },
+    DB_PORT: { scope: "backend", key: "database.port", type: "integer", defaults: { all: "3306" } },
+    DB_USER: { scope: "backend", key: "database.user", type: "string", defaults: { development: "root", test: "root" } },
+    DB_PASSWORD: { scope: "backend", key: "database.password", type: "string", defaults: { development: "0000", test: "0000" } },
+    DB_NAME: { scope: "backend", key: "database.name", type: "string", defaults: { all: "high_street_gym", test: "high_street_gym_test" } },
+    DB_CONNECTION_LIMIT: { scope: "backend", key: "database.connectionLimit", type: "integer", defaults: { all: "10" } },
+
+    SESSION_SECRET: { scope: "backend", key: "session.secret", type: "string", secret: true, minLength: 32, defaults: { development: "development-only-session-secret-do-not-use", test: "test-only-session-secret-do-not-use-anywhere" } },
+    SESSION_IDLE_HOURS: { scope: "backend", key: "session.idleHours", type: "integer", defaults: { all: "8" } },
+    JWT_SECRET: { scope: "backend", key: "jwt.secret", type: "string", secret: true, minLength: 32, defaults: { development: "development-only-jwt-secret-do-not-use-anywhere", test: "test-only-jwt-secret-do-not-use-anywhere-else" } },
+    JWT_ACCESS_TOKEN_MINUTES: { scope: "backend", key: "jwt.accessTokenMinutes", type: "integer", defaults: { all: "15" } },
+    JWT_REFRESH_TOKEN_DAYS: { scope: "backend", key: "jwt.refreshTokenDays", type: "integer", defaults: { all: "30" } },
+    API_TOKEN_LIFETIME_DAYS: { scope: "backend", key: "apiTokens.lifetimeDays", type: "integer", defaults: { all: "30" } },
+
+    LOGIN_MAX_FAILED_ATTEMPTS: { scope: "backend", key: "login.maxFailedAttempts", type: "integer", defaults: { all: "5" } },
+    LOGIN_LOCKOUT_MINUTES: { scope: "backend", key: "login.lockoutMinutes", type: "integer", defaults: { all: "15" } },
+    TWO_FACTOR_CHALLENGE_MINUTES: { scope: "backend", key: "twoFactor.challengeMinutes", type: "integer", defaults: { all: "5" } },
+    PASSWORD_RESET_MINUTES: { scope: "backend", key: "passwordReset.linkMinutes", type: "integer", defaults: { all: "60" } },
+    EMAIL_VERIFICATION_HOURS: { scope: "backend", key: "emailVerification.linkHours", type: "integer", defaults: { all: "72" } },
+
+    PAYMENT_PROVIDER: { scope: "backend", key: "payments.provider", type: "string", choices: PAYMENT_PROVIDERS, defaults: { development: "mock", test: "mock" } },
+
+    SMTP_HOST: { scope: "backend", key: "smtp.host", type: "string", defaults: { development: "localhost", test: "localhost" } },
+    SMTP_PORT: { scope: "backend", key: "smtp.port", type: "integer", defaults: { all: "1025" } },
+    SMTP_SECURE: { scope: "backend", key: "smtp.secure", type: "boolean", defaults: { all: "false" } },
+    SMTP_USER: { scope: "backend", key: "smtp.user", type: "string", defaults: { all: "" } },
+    SMTP_PASS: { scope: "backend", key: "smtp.pass", type: "string", defaults: { all: "" } },
+    SMTP_FROM: { scope: "backend", key: "smtp.from", type: "string", defaults: { all: "High Street Gym <no-reply@highstreetgym.local>" } },
+    SMTP_TIMEOUT_MS: { scope: "backend", key: "smtp.timeoutMs", type: "integer", defaults: { all: "10000" } },
+
+    SCHEDULER_POLL_MS: { scope: "backend", key: "scheduler.pollMs", type: "integer", defaults: { all: "30000" } },
+    TRAINER_ROSTER_TIME: { scope: "backend", key: "scheduler.trainerRosterTime", type: "time", defaults: { all: "18:00" } }
+};
+
+/**
+ * Work out the profile from APP_ENV, then NODE_ENV (development if neither is set)
+ * @param {Object} env - The environment variables
+ * @returns {string} One of PROFILES. Throws a ConfigError for anything else.
+ */
+export function getProfile(env = process.env) {
+    const name = (env.APP_ENV || env.NODE_ENV || "development").toLowerCase();
+    const profile = PROFILE_ALIASES[name] || name;
+    if (!PROFILES.includes(profile)) {
+        throw new ConfigError(name, [`APP_ENV / NODE_ENV must be one of ${PROFILES.join(", ")}`]);
+    }
+    return profile;
+}
+
+/**
+ * Read the .env files for a profile. Earlier files win: .env.<profile>.local, .env.local (not for test, so tests
+ * don't pick up someone's local overrides), .env.<profile>, then .env. Files that don't exist are skipped.
+ * @param {string} profile - The profile
+ * @param {string} directory - Where the files are
+ * @returns {Object} The variables from the files
+ */
+export function readEnvFiles(profile, directory = ENV_DIRECTORY) {
+    const files = [
+        `.env.${profile}.local`,
+        ...(profile === "test" ? [] : [".env.local"]),
+        `.env.${profile}`,
+        ".env"
+    ];
+    const variables = {};
+    for (const file of [...files].reverse()) {
+        const filePath = path.join(directory, file);
+        if (fs.existsSync(filePath)) {
+            Object.assign(variables, util.parseEnv(fs.readFileSync(filePath, "utf8")));
+        }
+    }
+    return variables;
+}
+
+/**
+ * Set a value at a dotted key, e.g. "database.host"
+ * @param {Object} target - The object to set it in
+ * @param {string} key - The dotted key
+ * @param {*} value - The value
+ */
+function setAt(target, key, value) {
+    const parts = key.split(".");
+    const last = parts.pop();
+    let node = target;
+    for (const part of parts) {
+        node = node[part] ??= {};
+    }
+    node[last] = value;
+}
+
+/**
+ * Load and check the settings for some scopes. Real environment variables override the .env files.
+ * @param {Array<string>} scopes - Which settings to load ("shared" plus "backend" or "frontend")
+ * @param {Object} options
+ * @param {string} options.profile - The profile (worked out from APP_ENV / NODE_ENV if not given)
+ * @param {Object} options.env - The environment variables (process.env if not given)
+ * @param {string} options.directory - Where the .env files are
+ * @returns {Object} The frozen config, with profile and each setting at its key. Throws a ConfigError listing every problem.
+ */
+function load(scopes, { profile, env = process.env, directory = ENV_DIRECTORY } = {}) {
+    profile = profile ? getProfile({ APP_ENV: profile }) : getProfile(env);
+    const variables = { ...readEnvFiles(profile, directory), ...env };
+
+    const config = { profile };
+    const values = {};
+    const problems = [];
+    for (const [name, setting] of Object.entries(SETTINGS)) {
+        if (!scopes.includes(setting.scope)) {
+            continue;
+        }
+
+        let raw = variables[name];
+        if (raw === undefined || raw === "") {
+            const fallback = profile in setting.defaults ? setting.defaults[profile] : setting.defaults.all;
+            raw = typeof fallback === "function" ? fallback(values) : fallback;
+        }
+        if (raw === undefined) {
+            problems.push(`${name} is required`);
+            continue;
+        }
+
+        try {
+            const value = TYPES[setting.type](String(raw));
+            if (setting.secret && value.length < setting.minLength) {
+                throw `must be at least ${setting.minLength} characters`;
+            }
+            if (setting.choices && !setting.choices.includes(value)) {
+                throw `must be one of ${setting.choices.join(", ")}`;
+            }
+            values[setting.key] = value;
+            setAt(config, setting.key, value);
+        } catch (message) {
+            problems.push(`${name} ${message}`);
+        }
+    }
+
+    if (problems.length > 0) {
+        throw new ConfigError(profile, problems);
+    }
+    return deepFreeze(config);
+}
+
+/**
+ * Freeze an object and everything in it, so settings can't be changed while the app runs
+ * @param {Object} object - The object
+ * @returns {Object} The same object
+ */
+function deepFreeze(object) {
+    for (const value of Object.values(object)) {
+        if (value && typeof value === "object") {
+            deepFreeze(value);
+        }
+    }
+    return Object.freeze(object);
+}
+
+/**
+ * Load the backend's settings (the shared ones plus database, secrets, email, etc.)
+ * @param {Object} options - See load(): profile, env, directory
+ * @returns {Object} The frozen config. Throws a ConfigError if anything is missing or invalid.
+ */
+export function loadBackendConfig(options) {
+    return load(["shared", "backend"], options);
+}
+
+/**
+ * Load the settings the React app is built with (the shared ones). Backend secrets aren't needed to build it.
+ * @param {Object} options - See load(): profile, env, directory
+ * @returns {Object} The frozen config. Throws a ConfigError if anything is missing or invalid.
+ */
+export function loadFrontendConfig(options) {
+    return load(["shared", "frontend"], options);
+}
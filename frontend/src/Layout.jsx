@@ -1,10 +1,16 @@
+import { useEffect, useState } from "react";
 // React Router hooks for navigation, location, and URL params
 import { Outlet, useLocation, useNavigate, useSearchParams } from "react-router";
 // React Icons for navigation dock buttons
 import { FaDumbbell, FaBook, FaCalendarCheck, FaUser, FaUserPlus } from "react-icons/fa";
-import { FaLock } from "react-icons/fa";
+import { FaLock, FaBell } from "react-icons/fa";
 // Authentication hook for user context
 import { useAuthenticate } from "./authentication/useAuthenticate.jsx";
+// API utilities for the notification bell's unread count
+import { fetchAPI } from "./services/api.mjs";
+
+// How often the notification bell checks for new notifications (milliseconds)
+const NOTIFICATION_POLL_INTERVAL_MS = 30000;
 
 function Layout() {
     const navigate = useNavigate();
@@ -13,6 +19,37 @@ function Layout() {
     const { user, logout } = useAuthenticate();
     
     const isAuthenticated = !!user;
+    const [unreadCount, setUnreadCount] = useState(0);
+
+    // Polls the unread count shown on the notification bell while logged in, and refreshes it on every page change
+    useEffect(() => {
+        if (!isAuthenticated) {
+            return;
+        }
+        const getUnreadCount = () => {
+            const authKey = localStorage.getItem("authKey");
+            if (!authKey) {
+                return;
+            }
+            fetchAPI("GET", "/notifications/unread-count", null, authKey)
+                .then(response => {
+                    if (response.status === 200) {
+                        setUnreadCount(response.body.unreadCount);
+                    }
+                })
+                .catch(error => console.error("Error fetching unread notification count:", error));
+        };
+        getUnreadCount();
+        const interval = setInterval(getUnreadCount, NOTIFICATION_POLL_INTERVAL_MS);
+        return () => clearInterval(interval);
+    }, [isAuthenticated, location.pathname]);
+
+    // Picks up count changes from the notifications page (mark as read) straight away
+    useEffect(() => {
+        const handleNotificationsChanged = (event) => setUnreadCount(event.detail.unreadCount);
+        window.addEventListener("notifications-changed", handleNotificationsChanged);
+        return () => window.removeEventListener("notifications-changed", handleNotificationsChanged);
+    }, []);
 
     // Common button styling for navigation dock
     const dockButtonBase = "flex flex-col items-center gap-1 px-3 py-2 bg-white/10 border-none rounded-[20px] cursor-pointer text-black transition-all duration-300 hover:bg-white/20 hover:text-white";
@@ -48,9 +85,21 @@ function Layout() {
             // return { title: path.startsWith("/bookings/") ? "Booking Details" : "My Bookings", meta };
             return { title: "My Bookings", meta };
         }
+        if (path.startsWith("/notifications")) {
+            return { title: "Notifications", meta };
+        }
         if (path.startsWith("/authenticate/login")) {
             return { title: "Login", meta };
         }
+        if (path.startsWith("/authenticate/forgot-password")) {
+            return { title: "Forgot Password", meta };
+        }
+        if (path.startsWith("/authenticate/reset-password")) {
+            return { title: "Reset Password", meta };
+        }
+        if (path.startsWith("/authenticate/verify-email")) {
+            return { title: "Verify Email", meta };
+        }
         if (path.startsWith("/authenticate/register")) {
             return { title: "Register", meta };
         }
@@ -78,12 +127,29 @@ function Layout() {
             <main className="max-w-[430px] min-h-screen mx-auto shadow pb-20 bg-white">
                 {/* Sticky header wrapper: keeps header and page title visible while scrolling */}
                 <div className="sticky top-0 z-50">
-                    {/* Header: displays app title */}
+                    {/* Header: displays app title and, when logged in, the notification bell */}
                     <header className="bg-[#30d939] text-white">
-                        <div className="flex justify-center items-center p-4">
+                        <div className="relative flex justify-center items-center p-4">
                             <h1 className="text-2xl md:text-3xl font-extrabold uppercase text-black text-center">
                                 High Street Gym
                             </h1>
+                            {/* Notification bell: opens the notifications page, badge shows unread count */}
+                            {isAuthenticated && (
+                                <button
+                                    type="button"
+                                    onClick={() => navigate("/notifications")}
+                                    className="absolute right-4 p-2 text-black rounded-full transition-all duration-300 hover:bg-white/20"
+                                    aria-label={unreadCount > 0 ? `Notifications (${unreadCount} unread)` : "Notifications"}
+                                    title="Notifications"
+                                >
+                                    <FaBell className="text-2xl" />
+                                    {unreadCount > 0 && (
+                                        <span className="absolute -top-0.5 -right-0.5 min-w-5 h-5 px-1 flex items-center justify-center rounded-full bg-red-600 text-white text-[11px] font-bold">
+                                            {unreadCount > 99 ? "99+" : unreadCount}
+                                        </span>
+                                    )}
+                                </button>
+                            )}
                         </div>
                     </header>
                     {/* Page title band: displays current page title and user descriptor */}
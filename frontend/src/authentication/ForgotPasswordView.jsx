@@ -0,0 +1,128 @@
+import { useState } from "react"
+// React Router hook for navigation
+import { useNavigate } from "react-router"
+// API utilities for backend communication
+import { fetchAPI } from "../services/api.mjs"
+// Validation pattern for email
+import { emailPattern } from "../utils/validationPatterns.js"
+
+function ForgotPasswordView() {
+    const navigate = useNavigate()
+
+    const [email, setEmail] = useState("")
+    const [error, setError] = useState(null)
+    const [loading, setLoading] = useState(false)
+    const [message, setMessage] = useState(null)
+    const [validationErrors, setValidationErrors] = useState({})
+
+    // Handles form submission: asks the backend to email a reset link
+    // The same message comes back whether or not the email has an account
+    const handleSubmit = async (e) => {
+        e.preventDefault()
+        setError(null)
+        setMessage(null)
+
+        if (!emailPattern.test(email.trim())) {
+            setValidationErrors({ email: "Enter a valid email address (e.g. name@example.com)." })
+            return
+        }
+
+        setLoading(true)
+
+        try {
+            const response = await fetchAPI("POST", "/users/forgot-password", { email: email.trim() }, null)
+            if (response.status === 200) {
+                setMessage(response.body.message)
+            } else {
+                setError(response.body?.message || "Failed to send password reset email")
+            }
+        } catch (error) {
+            setError(String(error))
+        } finally {
+            setLoading(false)
+        }
+    }
+
+    return (
+        <section className="bg-[#6a2f6a] text-white min-h-[calc(100vh-200px)] flex items-center py-16 px-4">
+            <div className="max-w-md w-full mx-auto">
+                <div className="text-center mb-8">
+                    <h2 className="text-3xl md:text-4xl font-extrabold mb-4">Forgot your password?</h2>
+                    <p className="text-lg md:text-xl opacity-90">Enter your email and we'll send you a link to choose a new one</p>
+                </div>
+
+                {/* Forgot password form: sends a reset link to the entered email */}
+                <form
+                    onSubmit={handleSubmit}
+                    className="bg-white/10 backdrop-blur-sm p-6 md:p-8 rounded-lg border-l-4 border-[#30d939] max-w-md mx-auto"
+                >
+                    {/* Email input: controlled component, clears error on change */}
+                    <div className="mb-5">
+                        <label htmlFor="email" className="block mb-2 font-semibold text-[#30d939] text-base">
+                            Email Address:
+                        </label>
+                        <input
+                            id="email"
+                            value={email}
+                            onChange={e => {
+                                setEmail(e.target.value)
+                                if (validationErrors.email) {
+                                    setValidationErrors({})
+                                }
+                            }}
+                            className="w-full px-4 py-3 border-2 border-white/20 rounded-lg bg-white/10 text-white text-base transition-all duration-300 focus:outline-none focus:border-[#30d939] focus:bg-white/15 focus:shadow-[0_0_0_3px_rgba(48,217,57,0.2)] placeholder:text-white/60"
+                            type="email"
+                            placeholder="Enter your email"
+                            required
+                        />
+                        {/* Email validation error message */}
+                        {validationErrors.email && (
+                            <p className="mt-2 text-sm text-red-300">{validationErrors.email}</p>
+                        )}
+                    </div>
+
+                    {/* Submit button: displays spinner while the request is sent */}
+                    <button
+                        type="submit"
+                        className="w-full bg-white text-[#30d939] py-4 px-8 rounded-full font-semibold text-lg transition-all duration-300 shadow-lg hover:shadow-xl hover:-translate-y-0.5 disabled:opacity-50 disabled:cursor-not-allowed disabled:hover:translate-y-0"
+                        disabled={loading}
+                    >
+                        {loading
+                            ? <span className="loading loading-spinner"></span>
+                            : <span>Send reset link</span>
+                        }
+                    </button>
+                </form>
+
+                {/* Error message: displays if the request fails */}
+                {error && (
+                    <div className="mt-6 bg-red-500/20 border border-red-500 text-white p-4 rounded-lg text-center max-w-md mx-auto">
+                        <span>{error}</span>
+                    </div>
+                )}
+
+                {/* Success message: tells the user to check their email */}
+                {message && (
+                    <div className="mt-6 bg-green-500/20 border border-green-500 text-white p-4 rounded-lg text-center max-w-md mx-auto">
+                        <span>{message}</span>
+                    </div>
+                )}
+
+                {/* Login link: navigates back to login page */}
+                <div className="mt-6 text-center">
+                    <p className="text-white/80 text-sm">
+                        Remembered it?{" "}
+                        <button
+                            onClick={() => navigate("/authenticate/login")}
+                            className="text-[#30d939] font-semibold hover:underline"
+                        >
+                            Back to login
+                        </button>
+                    </p>
+                </div>
+            </div>
+        </section>
+    )
+}
+
+export default ForgotPasswordView
@@ -8,11 +8,13 @@ import { emailPattern, passwordPattern } from "../utils/validationPatterns.js"
 
 function LoginView() {
     const navigate = useNavigate()
-    const { login, status, user } = useAuthenticate()
+    const { login, completeTwoFactorLogin, cancelTwoFactorLogin, twoFactorRequired, status, user } = useAuthenticate()
 
     // Form input state (controlled components)
     const [email, setEmail] = useState("")
     const [password, setPassword] = useState("")
+    // Two-factor code (authenticator app or recovery code), asked for after the password when two-factor is on
+    const [code, setCode] = useState("")
     // Validation error messages displayed below inputs
     const [validationErrors, setValidationErrors] = useState({})
 
@@ -37,6 +39,13 @@ function LoginView() {
         }
         login(email.trim(), password)
     }
+
+    // Handles two-factor form submission: sends the code to finish logging in
+    const handleTwoFactorSubmit = (e) => {
+        e.preventDefault()
+        completeTwoFactorLogin(code.trim())
+        setCode("")
+    }
     
     // Auto-redirects to profile page when user becomes authenticated
     useEffect(() => {
@@ -53,73 +62,136 @@ function LoginView() {
                     <p className="text-lg md:text-xl opacity-90">Please log in to access your account</p>
                 </div>
                 
-                {/* Login form: validates inputs and calls login() on submit */}
-                <form 
-                    onSubmit={handleSubmit}
-                    className="bg-white/10 backdrop-blur-sm p-6 md:p-8 rounded-lg border-l-4 border-[#30d939] max-w-md mx-auto"
-                >
-                    {/* Email input: controlled component, clears error on change */}
-                    <div className="mb-5">
-                        <label htmlFor="email" className="block mb-2 font-semibold text-[#30d939] text-base">
-                            Email Address:
-                        </label>
-                        <input
-                            id="email"
-                            value={email}
-                            onChange={e => {
-                                setEmail(e.target.value)
-                                if (validationErrors.email) {
-                                    setValidationErrors(prev => ({ ...prev, email: undefined }))
-                                }
-                            }}
-                            className="w-full px-4 py-3 border-2 border-white/20 rounded-lg bg-white/10 text-white text-base transition-all duration-300 focus:outline-none focus:border-[#30d939] focus:bg-white/15 focus:shadow-[0_0_0_3px_rgba(48,217,57,0.2)] placeholder:text-white/60"
-                            type="email" 
-                            placeholder="Enter your email"
-                            required
-                        />
-                        {/* Email validation error message */}
-                        {validationErrors.email && (
-                            <p className="mt-2 text-sm text-red-300">{validationErrors.email}</p>
-                        )}
-                    </div>
-                    
-                    {/* Password input: controlled component, masked, clears error on change */}
-                    <div className="mb-5">
-                        <label htmlFor="password" className="block mb-2 font-semibold text-[#30d939] text-base">
-                            Password:
-                        </label>
-                        <input
-                            id="password"
-                            value={password}
-                            onChange={e => {
-                                setPassword(e.target.value)
-                                if (validationErrors.password) {
-                                    setValidationErrors(prev => ({ ...prev, password: undefined }))
+                {/* Two-factor form: shown after the password is accepted for users with two-factor turned on */}
+                {twoFactorRequired ? (
+                    <form
+                        onSubmit={handleTwoFactorSubmit}
+                        className="bg-white/10 backdrop-blur-sm p-6 md:p-8 rounded-lg border-l-4 border-[#30d939] max-w-md mx-auto"
+                    >
+                        {/* Code input: 6-digit code from the authenticator app, or a recovery code */}
+                        <div className="mb-5">
+                            <label htmlFor="code" className="block mb-2 font-semibold text-[#30d939] text-base">
+                                Authentication Code:
+                            </label>
+                            <input
+                                id="code"
+                                value={code}
+                                onChange={e => setCode(e.target.value)}
+                                className="w-full px-4 py-3 border-2 border-white/20 rounded-lg bg-white/10 text-white text-base transition-all duration-300 focus:outline-none focus:border-[#30d939] focus:bg-white/15 focus:shadow-[0_0_0_3px_rgba(48,217,57,0.2)] placeholder:text-white/60"
+                                type="text"
+                                autoComplete="one-time-code"
+                                autoFocus
+                                maxLength={11}
+                                placeholder="123456"
+                                required
+                            />
+                            <p className="mt-2 text-sm opacity-90">
+                                Enter the code from your authenticator app. Lost your phone? Use one of your recovery codes.
+                            </p>
+                        </div>
+
+                        {/* Submit button: disabled while the code is checked */}
+                        <button
+                            type="submit"
+                            className="w-full bg-white text-[#30d939] py-4 px-8 rounded-full font-semibold text-lg transition-all duration-300 shadow-lg hover:shadow-xl hover:-translate-y-0.5 disabled:opacity-50 disabled:cursor-not-allowed disabled:hover:translate-y-0"
+                            disabled={status === "authenticating"}
+                        >
+                            {status === "authenticating"
+                                ? <span className="loading loading-spinner"></span>
+                                : <span>Verify</span>
+                            }
+                        </button>
+
+                        {/* Start again button: returns to the email and password form */}
+                        <button
+                            type="button"
+                            onClick={cancelTwoFactorLogin}
+                            className="w-full mt-4 text-[#30d939] font-semibold text-sm hover:underline"
+                        >
+                            Start again
+                        </button>
+                    </form>
+                ) : (
+                    <>
+                        {/* Login form: validates inputs and calls login() on submit */}
+                        <form 
+                            onSubmit={handleSubmit}
+                            className="bg-white/10 backdrop-blur-sm p-6 md:p-8 rounded-lg border-l-4 border-[#30d939] max-w-md mx-auto"
+                        >
+                            {/* Email input: controlled component, clears error on change */}
+                            <div className="mb-5">
+                                <label htmlFor="email" className="block mb-2 font-semibold text-[#30d939] text-base">
+                                    Email Address:
+                                </label>
+                                <input
+                                    id="email"
+                                    value={email}
+                                    onChange={e => {
+                                        setEmail(e.target.value)
+                                        if (validationErrors.email) {
+                                            setValidationErrors(prev => ({ ...prev, email: undefined }))
+                                        }
+                                    }}
+                                    className="w-full px-4 py-3 border-2 border-white/20 rounded-lg bg-white/10 text-white text-base transition-all duration-300 focus:outline-none focus:border-[#30d939] focus:bg-white/15 focus:shadow-[0_0_0_3px_rgba(48,217,57,0.2)] placeholder:text-white/60"
+                                    type="email" 
+                                    placeholder="Enter your email"
+                                    required
+                                />
+                                {/* Email validation error message */}
+                                {validationErrors.email && (
+                                    <p className="mt-2 text-sm text-red-300">{validationErrors.email}</p>
+                                )}
+                            </div>
+                        
+                            {/* Password input: controlled component, masked, clears error on change */}
+                            <div className="mb-5">
+                                <label htmlFor="password" className="block mb-2 font-semibold text-[#30d939] text-base">
+                                    Password:
+                                </label>
+                                <input
+                                    id="password"
+                                    value={password}
+                                    onChange={e => {
+                                        setPassword(e.target.value)
+                                        if (validationErrors.password) {
+                                            setValidationErrors(prev => ({ ...prev, password: undefined }))
+                                        }
+                                    }}
+                                    className="w-full px-4 py-3 border-2 border-white/20 rounded-lg bg-white/10 text-white text-base transition-all duration-300 focus:outline-none focus:border-[#30d939] focus:bg-white/15 focus:shadow-[0_0_0_3px_rgba(48,217,57,0.2)] placeholder:text-white/60"
+                                    type="password"
+                                    placeholder="Enter your password"
+                                    required
+                                />
+                                {/* Password validation error message */}
+                                {validationErrors.password && (
+                                    <p className="mt-2 text-sm text-red-300">{validationErrors.password}</p>
+                                )}
+                            </div>
+                        
+                            {/* Submit button: disabled during authentication, shows spinner when status === "authenticating" */}
+                            <button
+                                type="submit"
+                                className="w-full bg-white text-[#30d939] py-4 px-8 rounded-full font-semibold text-lg transition-all duration-300 shadow-lg hover:shadow-xl hover:-translate-y-0.5 disabled:opacity-50 disabled:cursor-not-allowed disabled:hover:translate-y-0"
+                                disabled={status === "authenticating"}
+                            >
+                                {status === "authenticating" 
+                                    ? <span className="loading loading-spinner"></span>
+                                    : <span>Login</span> 
                                 }
-                            }}
-                            className="w-full px-4 py-3 border-2 border-white/20 rounded-lg bg-white/10 text-white text-base transition-all duration-300 focus:outline-none focus:border-[#30d939] focus:bg-white/15 focus:shadow-[0_0_0_3px_rgba(48,217,57,0.2)] placeholder:text-white/60"
-                            type="password"
-                            placeholder="Enter your password"
-                            required
-                        />
-                        {/* Password validation error message */}
-                        {validationErrors.password && (
-                            <p className="mt-2 text-sm text-red-300">{validationErrors.password}</p>
-                        )}
-                    </div>
+                            </button>
+                        </form>
                     
-                    {/* Submit button: disabled during authentication, shows spinner when status === "authenticating" */}
-                    <button
-                        type="submit"
-                        className="w-full bg-white text-[#30d939] py-4 px-8 rounded-full font-semibold text-lg transition-all duration-300 shadow-lg hover:shadow-xl hover:-translate-y-0.5 disabled:opacity-50 disabled:cursor-not-allowed disabled:hover:translate-y-0"
-                        disabled={status === "authenticating"}
-                    >
-                        {status === "authenticating" 
-                            ? <span className="loading loading-spinner"></span>
-                            : <span>Login</span> 
-                        }
-                    </button>
-                </form>
+                        {/* Forgot password link: navigates to the page for requesting a reset email */}
+                        <div className="mt-6 text-center">
+                            <button
+                                onClick={() => navigate("/authenticate/forgot-password")}
+                                className="text-[#30d939] font-semibold text-sm hover:underline"
+                            >
+                                Forgot your password?
+                            </button>
+                        </div>
+                    </>
+                )}
                 
                 {/* Server error message: displays when status contains error (filters out "authenticating", "resuming", "loaded") */}
                 {status && status !== "authenticating" && status !== "resuming" && status !== "loaded" && (
@@ -0,0 +1,172 @@
+import { useState } from "react"
+// React Router hooks for navigation and reading the token from the emailed link
+import { useNavigate, useSearchParams } from "react-router"
+// API utilities for backend communication
+import { fetchAPI } from "../services/api.mjs"
+// Validation pattern for password
+import { passwordPattern } from "../utils/validationPatterns.js"
+
+function ResetPasswordView() {
+    const navigate = useNavigate()
+    const [searchParams] = useSearchParams()
+    const token = searchParams.get("token") || ""
+
+    const [password, setPassword] = useState("")
+    const [confirmPassword, setConfirmPassword] = useState("")
+    const [error, setError] = useState(null)
+    const [loading, setLoading] = useState(false)
+    const [success, setSuccess] = useState(false)
+    const [validationErrors, setValidationErrors] = useState({})
+
+    // Validates the new password and its confirmation
+    const validateForm = () => {
+        const errors = {}
+        if (!passwordPattern.test(password)) {
+            errors.password = "Password must be at least 4 characters long."
+        }
+        if (password !== confirmPassword) {
+            errors.confirmPassword = "Passwords must match."
+        }
+        setValidationErrors(errors)
+        return Object.keys(errors).length === 0
+    }
+
+    // Handles form submission: sends the token and new password to the backend
+    // The backend logs the user out everywhere, so the stored key is dropped and the user logs in again
+    const handleSubmit = async (e) => {
+        e.preventDefault()
+        setError(null)
+
+        if (!validateForm()) {
+            return
+        }
+
+        setLoading(true)
+
+        try {
+            const response = await fetchAPI("POST", "/users/reset-password", { token, password }, null)
+            if (response.status === 200) {
+                setSuccess(true)
+                localStorage.removeItem("authKey")
+                // Redirects to login page after 2 seconds
+                setTimeout(() => {
+                    window.location.assign("/authenticate/login")
+                }, 2000)
+            } else {
+                setError(response.body?.message || "Failed to reset password")
+            }
+        } catch (error) {
+            setError(String(error))
+        } finally {
+            setLoading(false)
+        }
+    }
+
+    return (
+        <section className="bg-[#6a2f6a] text-white min-h-[calc(100vh-200px)] flex items-center py-16 px-4">
+            <div className="max-w-md w-full mx-auto">
+                <div className="text-center mb-8">
+                    <h2 className="text-3xl md:text-4xl font-extrabold mb-4">Choose a new password</h2>
+                    <p className="text-lg md:text-xl opacity-90">You'll be logged out on every device once it's changed</p>
+                </div>
+
+                {!token ? (
+                    // Missing token: the page was opened without the link from the email
+                    <div className="bg-red-500/20 border border-red-500 text-white p-4 rounded-lg text-center max-w-md mx-auto">
+                        <span>This password reset link is incomplete. Please open the link from your email again, or </span>
+                        <button
+                            onClick={() => navigate("/authenticate/forgot-password")}
+                            className="text-[#30d939] font-semibold hover:underline"
+                        >
+                            request a new one
+                        </button>
+                    </div>
+                ) : (
+                    // Reset password form: validates inputs and submits the new password
+                    <form
+                        onSubmit={handleSubmit}
+                        className="bg-white/10 backdrop-blur-sm p-6 md:p-8 rounded-lg border-l-4 border-[#30d939] max-w-md mx-auto"
+                    >
+                        {/* New password input: controlled component with validation */}
+                        <div className="mb-5">
+                            <label htmlFor="password" className="block mb-2 font-semibold text-[#30d939] text-base">
+                                New Password:
+                            </label>
+                            <input
+                                id="password"
+                                value={password}
+                                onChange={e => {
+                                    setPassword(e.target.value)
+                                    if (validationErrors.password || validationErrors.confirmPassword) {
+                                        setValidationErrors({})
+                                    }
+                                }}
+                                className="w-full px-4 py-3 border-2 border-white/20 rounded-lg bg-white/10 text-white text-base transition-all duration-300 focus:outline-none focus:border-[#30d939] focus:bg-white/15 focus:shadow-[0_0_0_3px_rgba(48,217,57,0.2)] placeholder:text-white/60"
+                                type="password"
+                                placeholder="Enter a new password"
+                                required
+                            />
+                            {/* Password validation error message */}
+                            {validationErrors.password && (
+                                <p className="mt-2 text-sm text-red-300">{validationErrors.password}</p>
+                            )}
+                        </div>
+
+                        {/* Confirm password input: controlled component with validation */}
+                        <div className="mb-5">
+                            <label htmlFor="confirmPassword" className="block mb-2 font-semibold text-[#30d939] text-base">
+                                Confirm Password:
+                            </label>
+                            <input
+                                id="confirmPassword"
+                                value={confirmPassword}
+                                onChange={e => {
+                                    setConfirmPassword(e.target.value)
+                                    if (validationErrors.confirmPassword) {
+                                        setValidationErrors(prev => ({ ...prev, confirmPassword: undefined }))
+                                    }
+                                }}
+                                className="w-full px-4 py-3 border-2 border-white/20 rounded-lg bg-white/10 text-white text-base transition-all duration-300 focus:outline-none focus:border-[#30d939] focus:bg-white/15 focus:shadow-[0_0_0_3px_rgba(48,217,57,0.2)] placeholder:text-white/60"
+                                type="password"
+                                placeholder="Enter the new password again"
+                                required
+                            />
+                            {/* Confirm password validation error message */}
+                            {validationErrors.confirmPassword && (
+                                <p className="mt-2 text-sm text-red-300">{validationErrors.confirmPassword}</p>
+                            )}
+                        </div>
+
+                        {/* Submit button: disabled once the password has been reset */}
+                        <button
+                            type="submit"
+                            className="w-full bg-white text-[#30d939] py-4 px-8 rounded-full font-semibold text-lg transition-all duration-300 shadow-lg hover:shadow-xl hover:-translate-y-0.5 disabled:opacity-50 disabled:cursor-not-allowed disabled:hover:translate-y-0"
+                            disabled={loading || success}
+                        >
+                            {loading
+                                ? <span className="loading loading-spinner"></span>
+                                : <span>Reset password</span>
+                            }
+                        </button>
+                    </form>
+                )}
+
+                {/* Error message: displays if the link is invalid, used, or expired */}
+                {error && (
+                    <div className="mt-6 bg-red-500/20 border border-red-500 text-white p-4 rounded-lg text-center max-w-md mx-auto">
+                        <span>{error}</span>
+                    </div>
+                )}
+
+                {/* Success message: displays when the password has been reset */}
+                {success && (
+                    <div className="mt-6 bg-green-500/20 border border-green-500 text-white p-4 rounded-lg text-center max-w-md mx-auto">
+                        <span>Password reset! Redirecting to login...</span>
+                    </div>
+                )}
+            </div>
+        </section>
+    )
+}
+
+export default ResetPasswordView
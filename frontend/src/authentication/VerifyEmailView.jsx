@@ -0,0 +1,72 @@
+import { useEffect, useRef, useState } from "react"
+// React Router hooks for navigation and reading the token from the emailed link
+import { useNavigate, useSearchParams } from "react-router"
+// Authentication hook: reloads the logged-in user once their email is verified
+import { useAuthenticate } from "./useAuthenticate.jsx"
+// API utilities for backend communication
+import { fetchAPI } from "../services/api.mjs"
+
+function VerifyEmailView() {
+    const navigate = useNavigate()
+    const [searchParams] = useSearchParams()
+    const token = searchParams.get("token") || ""
+    const { user, refresh } = useAuthenticate()
+
+    // Result of following the link: null while checking, then { verified, message }
+    const [result, setResult] = useState(null)
+    // Links work once, so the token must only be sent once (StrictMode runs effects twice in development)
+    const sentTokenRef = useRef(null)
+
+    // Sends the token to the backend as soon as the page opens
+    useEffect(() => {
+        if (!token || sentTokenRef.current === token) {
+            return
+        }
+        sentTokenRef.current = token
+        fetchAPI("POST", "/users/verify-email", { token }, null)
+            .then(response => {
+                if (response.status === 200) {
+                    setResult({ verified: true, message: "Thanks for confirming your email address. You can now book sessions." })
+                    refresh()
+                } else {
+                    setResult({ verified: false, message: response.body?.message || "Failed to verify your email address" })
+                }
+            })
+            .catch(error => setResult({ verified: false, message: String(error) }))
+    }, [token, refresh])
+
+    return (
+        <section className="bg-[#6a2f6a] text-white min-h-[calc(100vh-200px)] flex items-center py-16 px-4">
+            <div className="max-w-md w-full mx-auto text-center">
+                <h2 className="text-3xl md:text-4xl font-extrabold mb-8">Verify your email</h2>
+
+                {!token ? (
+                    // Missing token: the page was opened without the link from the email
+                    <div className="bg-red-500/20 border border-red-500 text-white p-4 rounded-lg">
+                        <span>This verification link is incomplete. Please open the link from your email again.</span>
+                    </div>
+                ) : !result ? (
+                    // Checking the link
+                    <span className="loading loading-spinner loading-xl"></span>
+                ) : (
+                    // Result message: success or why the link didn't work
+                    <div className={`${result.verified ? "bg-green-500/20 border-green-500" : "bg-red-500/20 border-red-500"} border text-white p-4 rounded-lg`}>
+                        <span>{result.message}</span>
+                    </div>
+                )}
+
+                {/* Next step: book a session once verified, or send a new link from the profile page */}
+                {result && (
+                    <button
+                        onClick={() => navigate(result.verified ? "/" : user ? "/authenticate/profile" : "/authenticate/login")}
+                        className="mt-6 bg-white text-[#30d939] py-3 px-8 rounded-full font-semibold transition-all duration-300 shadow-lg hover:shadow-xl hover:-translate-y-0.5"
+                    >
+                        {result.verified ? "Book a session" : user ? "Send a new link" : "Log in to send a new link"}
+                    </button>
+                )}
+            </div>
+        </section>
+    )
+}
+
+export default VerifyEmailView
@@ -44,6 +44,8 @@ export function AuthenticationProvider({ children }) {
 export function useAuthenticate(restrictToRoles = null) {
     const [user, setUser, status, setStatus] = useContext(AuthenticationContext)
     const navigate = useNavigate()
+    // Challenge token from a login that still needs a two-factor code (null when no code is needed)
+    const [twoFactorChallenge, setTwoFactorChallenge] = useState(null)
 
     // Fetches current user by authentication key
     const getUser = useCallback((authenticationKey) => {
@@ -82,6 +84,10 @@ export function useAuthenticate(restrictToRoles = null) {
                     localStorage.setItem("authKey", authenticationKey)
                     setUser(response.body.user)
                     setStatus("loaded")
+                } else if (response.status === 202) {
+                    // Password accepted, but two-factor is on - completeTwoFactorLogin() finishes the login
+                    setTwoFactorChallenge(response.body.challengeToken)
+                    setStatus(null)
                 } else {
                     setStatus(response.body?.message || "Login failed")
                 }
@@ -92,6 +98,43 @@ export function useAuthenticate(restrictToRoles = null) {
             })
     }, [setStatus, setUser])
 
+    // Finishes a two-factor login with a code from the authenticator app (or a recovery code)
+    const completeTwoFactorLogin = useCallback((code) => {
+        const body = {
+            challengeToken: twoFactorChallenge,
+            code
+        }
+
+        setStatus("authenticating")
+
+        fetchAPI("POST", "/login/two-factor", body, null)
+            .then(response => {
+                if (response.status === 200) {
+                    const authenticationKey = response.body.key
+                    localStorage.setItem("authKey", authenticationKey)
+                    setTwoFactorChallenge(null)
+                    setUser(response.body.user)
+                    setStatus("loaded")
+                } else {
+                    // 401 means the challenge expired or had too many wrong codes - start again with the password
+                    if (response.status === 401) {
+                        setTwoFactorChallenge(null)
+                    }
+                    setStatus(response.body?.message || "Login failed")
+                }
+            })
+            .catch(error => {
+                console.error(error)
+                setStatus(String(error))
+            })
+    }, [twoFactorChallenge, setStatus, setUser])
+
+    // Abandons a two-factor login and goes back to the email and password form
+    const cancelTwoFactorLogin = useCallback(() => {
+        setTwoFactorChallenge(null)
+        setStatus(null)
+    }, [setStatus])
+
     // Handles user logout: clears authKey on backend and local state
     const logout = useCallback(() => {
         const authenticationKey = localStorage.getItem("authKey")
@@ -134,6 +177,9 @@ export function useAuthenticate(restrictToRoles = null) {
     return {
         user,
         login,
+        completeTwoFactorLogin,
+        cancelTwoFactorLogin,
+        twoFactorRequired: !!twoFactorChallenge,
         logout,
         refresh,
         status,
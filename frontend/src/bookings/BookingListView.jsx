@@ -1,5 +1,5 @@
 import { useCallback, useEffect, useRef, useState } from "react"
-import { FaInfoCircle, FaDownload, FaTrash } from "react-icons/fa"
+import { FaInfoCircle, FaDownload, FaTrash, FaCalendarAlt } from "react-icons/fa"
 import { fetchAPI, API_BASE_URL } from "../services/api.mjs"
 import { useNavigate, useSearchParams, useParams } from "react-router"
 import { useAuthenticate } from "../authentication/useAuthenticate.jsx"
@@ -25,6 +25,7 @@ function BookingListView() {
     
     const [exportingXML, setExportingXML] = useState(false)
     const [exportError, setExportError] = useState(null)
+    const [exportingCalendar, setExportingCalendar] = useState(false)
     
     const [selectedBooking, setSelectedBooking] = useState(null)
     const [selectedBookingLoading, setSelectedBookingLoading] = useState(false)
@@ -37,6 +38,10 @@ function BookingListView() {
     const [selectedBookingGroup, setSelectedBookingGroup] = useState([])
     const [selectedBookingGroupMeta, setSelectedBookingGroupMeta] = useState(null)
     
+    const [waitlist, setWaitlist] = useState([])
+    const [waitlistError, setWaitlistError] = useState(null)
+    const [leavingWaitlistSessionId, setLeavingWaitlistSessionId] = useState(null)
+    
     // Ref to track request IDs for race condition prevention
     // Used in: handleViewBooking() to ignore stale API responses
     const bookingRequestIdRef = useRef(0)
@@ -113,6 +118,32 @@ function BookingListView() {
         }
     }, [isAuthorized, activeTab])
 
+    // Fetches the member's waitlist entries (with queue positions) from backend API
+    // Only relevant on the "active" tab since waitlists only exist for upcoming sessions
+    const getWaitlist = useCallback(async () => {
+        if (!isAuthorized || activeTab !== "active") {
+            setWaitlist([])
+            return
+        }
+
+        setWaitlistError(null)
+
+        try {
+            const authKey = localStorage.getItem("authKey")
+            const response = await fetchAPI("GET", "/bookings/waitlist/self", null, authKey)
+            if (response.status === 200) {
+                setWaitlist(response.body || [])
+            } else {
+                setWaitlistError(response.body?.message || "Failed to load waitlist")
+                setWaitlist([])
+            }
+        } catch (error) {
+            console.error("Error fetching waitlist:", error)
+            setWaitlistError(String(error))
+            setWaitlist([])
+        }
+    }, [isAuthorized, activeTab])
+
     // Fetches single booking details from backend
     // skipNavigate: prevents URL update to avoid infinite loop when called from useEffect
     // Race condition handling: requestId prevents stale responses from overwriting newer ones
@@ -220,6 +251,11 @@ function BookingListView() {
         getBookings()
     }, [getBookings])
 
+    // Fetches waitlist on mount and when dependencies change
+    useEffect(() => {
+        getWaitlist()
+    }, [getWaitlist])
+
     // Groups bookings by month and day for display
     const groupBookingsByDay = (bookings) => {
         const grouped = {}
@@ -271,6 +307,16 @@ function BookingListView() {
         }
     }
 
+    // Formats recorded attendance for display (past bookings without a record show as not recorded)
+    const formatAttendance = (attendance) => {
+        const labels = {
+            attended: "Attended",
+            no_show: "No-show",
+            late_cancelled: "Late cancelled"
+        }
+        return labels[attendance] || "Not recorded"
+    }
+
     // Formats time string for display
     const formatTime = (timeString) => {
         if (!timeString) return ""
@@ -365,6 +411,61 @@ function BookingListView() {
         }
     }
 
+    // Exports upcoming bookings as an iCalendar (.ics) file for Google/Apple Calendar
+    const handleExportBookingsCalendar = async () => {
+        setExportingCalendar(true)
+        setExportError(null)
+
+        try {
+            const authKey = localStorage.getItem("authKey")
+            if (!authKey) {
+                setExportError("Authentication required. Please log in.")
+                setExportingCalendar(false)
+                return
+            }
+
+            const response = await fetch(`${API_BASE_URL}/bookings/export/ics`, {
+                method: "GET",
+                headers: {
+                    "x-auth-key": authKey
+                }
+            })
+
+            if (response.ok) {
+                const icsContent = await response.text()
+
+                const blob = new Blob([icsContent], { type: "text/calendar" })
+                const url = window.URL.createObjectURL(blob)
+                const link = document.createElement("a")
+                link.href = url
+
+                // Get filename from Content-Disposition header or use default
+                const contentDisposition = response.headers.get("Content-Disposition")
+                let filename = "bookings.ics"
+                if (contentDisposition) {
+                    const filenameMatch = contentDisposition.match(/filename="(.+)"/)
+                    if (filenameMatch) {
+                        filename = filenameMatch[1]
+                    }
+                }
+
+                link.download = filename
+                document.body.appendChild(link)
+                link.click()
+                document.body.removeChild(link)
+                window.URL.revokeObjectURL(url)
+            } else {
+                const errorData = await response.json().catch(() => ({ message: "Failed to export bookings calendar" }))
+                setExportError(errorData.message || "Failed to export bookings calendar")
+            }
+        } catch (error) {
+            console.error("Error exporting bookings calendar:", error)
+            setExportError(String(error))
+        } finally {
+            setExportingCalendar(false)
+        }
+    }
+
     // Opens the cancel booking confirmation modal
     const handleOpenCancelModal = () => {
         if (!selectedBooking) {
@@ -424,6 +525,31 @@ function BookingListView() {
         }
     }
 
+    // Leaves the waitlist for a session
+    const handleLeaveWaitlist = async (sessionId) => {
+        setLeavingWaitlistSessionId(sessionId)
+        setWaitlistError(null)
+
+        try {
+            const authKey = localStorage.getItem("authKey")
+            if (!authKey) {
+                setWaitlistError("Authentication required. Please log in.")
+                return
+            }
+
+            const response = await fetchAPI("DELETE", `/bookings/waitlist/${sessionId}`, null, authKey)
+            if (response.status === 200) {
+                getWaitlist()
+            } else {
+                setWaitlistError(response.body?.message || "Failed to leave waitlist")
+            }
+        } catch (error) {
+            setWaitlistError(String(error))
+        } finally {
+            setLeavingWaitlistSessionId(null)
+        }
+    }
+
     const groupedBookings = groupBookingsByDay(bookings)
 
     // Access denied view: shown when user is not authorized (not member or admin)
@@ -477,6 +603,27 @@ function BookingListView() {
                     </div>
                 </div>
 
+                {/* Calendar export button: downloads upcoming bookings as .ics file (only shown on Active tab) */}
+                {activeTab === "active" && (
+                    <div className="mb-6">
+                        {/* Export calendar button: triggers handleExportBookingsCalendar() */}
+                        <button
+                            onClick={handleExportBookingsCalendar}
+                            disabled={exportingCalendar}
+                            className="w-full py-3 px-6 rounded-full font-semibold transition-all duration-300 shadow-lg hover:shadow-xl hover:-translate-y-0.5 flex items-center justify-center gap-2 bg-[#30d939] text-[#6a2f6a] border-2 border-[#30d939] hover:bg-[#30d939]/80 disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                            <FaCalendarAlt />
+                            <span>{exportingCalendar ? "Exporting..." : "Export to Calendar"}</span>
+                        </button>
+                        {/* Export error message: displays if export operation fails */}
+                        {exportError && (
+                            <div className="mt-4 bg-red-500/20 border border-red-500 text-white p-3 rounded-lg text-sm text-center">
+                                {exportError}
+                            </div>
+                        )}
+                    </div>
+                )}
+
                 {/* Export button: downloads previous bookings as XML file (only shown on Previous tab) */}
                 {activeTab === "previous" && (
                     <div className="mb-6">
@@ -609,6 +756,15 @@ function BookingListView() {
                                         {selectedBooking.trainerName || `Trainer #${selectedBooking.trainerId}`}
                                     </p>
                                 </div>
+                                {/* Attendance display: shown once the session has happened or attendance is recorded */}
+                                {(selectedBooking.attendance || isPastBooking(selectedBooking.sessionDate)) && (
+                                    <div>
+                                        <p className="text-xs uppercase text-white/60">Attendance</p>
+                                        <p className={`font-semibold ${selectedBooking.attendance === "attended" ? "text-[#30d939]" : selectedBooking.attendance ? "text-red-300" : "text-white/70"}`}>
+                                            {formatAttendance(selectedBooking.attendance)}
+                                        </p>
+                                    </div>
+                                )}
                                 {/* Cancel/Delete button: shown only for admin or booking owner */}
                                 {user && (user.role === "admin" || (user.role === "member" && selectedBooking.memberId == user.id)) && (
                                     <button
@@ -812,6 +968,52 @@ function BookingListView() {
                         </div>
                     )}
                 </div>
+
+                {/* Waitlist: full sessions the member is queued for, with their position (only shown on Active tab) */}
+                {activeTab === "active" && (waitlist.length > 0 || waitlistError) && (
+                    <div className="mt-6 bg-white/10 backdrop-blur-sm p-6 md:p-8 rounded-lg border-l-4 border-white/40">
+                        <h3 className="text-xl font-bold text-[#30d939] mb-4">Waitlist</h3>
+
+                        {/* Waitlist error message: displays if fetching or leaving the waitlist fails */}
+                        {waitlistError && (
+                            <div className="mb-4 bg-red-500/20 border border-red-500 text-white p-3 rounded-lg text-sm text-center">
+                                {waitlistError}
+                            </div>
+                        )}
+
+                        <div className="space-y-2">
+                            {waitlist.map(entry => (
+                                // Waitlist entry: session summary, queue position, and leave button
+                                <div
+                                    key={entry.id}
+                                    className="bg-white/10 border border-white/20 rounded-lg p-3 flex items-center gap-3"
+                                >
+                                    <div className="flex-1 min-w-0">
+                                        <div className="font-semibold text-sm text-white">
+                                            {entry.activityName || `Activity #${entry.activityId}`}
+                                        </div>
+                                        <div className="text-xs text-white/70">
+                                            {formatDate(entry.sessionDate)} · {formatTime(entry.sessionTime)} · {entry.locationName || `Location #${entry.locationId}`}
+                                        </div>
+                                    </div>
+                                    {/* Queue position display */}
+                                    <span className="text-xs font-semibold text-[#6a2f6a] bg-[#30d939] rounded-full px-3 py-1 whitespace-nowrap">
+                                        #{entry.position} in line
+                                    </span>
+                                    {/* Leave waitlist button */}
+                                    <button
+                                        onClick={() => handleLeaveWaitlist(entry.sessionId)}
+                                        disabled={leavingWaitlistSessionId === entry.sessionId}
+                                        className="text-red-300 hover:text-red-200 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                                        title="Leave Waitlist"
+                                    >
+                                        <FaTrash className="text-lg" />
+                                    </button>
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+                )}
             </div>
         </section>
     )
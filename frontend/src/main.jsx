@@ -10,10 +10,14 @@ import { AuthenticationProvider } from './authentication/useAuthenticate.jsx'
 // View components for different routes
 import BlogListView from './blog/BlogListView'
 import LoginView from './authentication/LoginView'
+import ForgotPasswordView from './authentication/ForgotPasswordView.jsx'
+import ResetPasswordView from './authentication/ResetPasswordView.jsx'
+import VerifyEmailView from './authentication/VerifyEmailView.jsx'
 import RegisterView from './user/RegisterView.jsx'
 import ProfileView from './user/ProfileView.jsx'
 import SessionListView from './sessions/SessionListView'
 import BookingListView from './bookings/BookingListView'
+import NotificationListView from './notifications/NotificationListView.jsx'
 // Layout component that wraps all routes
 import Layout from './Layout'
 
@@ -43,11 +47,31 @@ const router = createBrowserRouter([
         path: '/bookings/:id',
         Component: BookingListView
       },
+      // Notifications page: booking, session and blog notifications for the logged-in user
+      {
+        path: '/notifications',
+        Component: NotificationListView
+      },
       // Login page: user authentication
       {
         path: '/authenticate/login',
         Component: LoginView
       },
+      // Forgot password page: request a password reset email
+      {
+        path: '/authenticate/forgot-password',
+        Component: ForgotPasswordView
+      },
+      // Reset password page: opened from the link in the reset email
+      {
+        path: '/authenticate/reset-password',
+        Component: ResetPasswordView
+      },
+      // Verify email page: opened from the link in the verification email
+      {
+        path: '/authenticate/verify-email',
+        Component: VerifyEmailView
+      },
       // Registration page: new user signup
       {
         path: '/authenticate/register',
@@ -0,0 +1,221 @@
+import { useCallback, useEffect, useState } from "react"
+import { FaBell, FaBook, FaCalendarCheck, FaCalendarTimes, FaEdit, FaArrowUp, FaExclamationTriangle } from "react-icons/fa"
+// API utilities for backend communication
+import { fetchAPI } from "../services/api.mjs"
+// React Router hook for opening the page a notification links to
+import { useNavigate } from "react-router"
+// Authentication hook for user context
+import { useAuthenticate } from "../authentication/useAuthenticate.jsx"
+
+// How often to check for new notifications while the page is open (milliseconds)
+const POLL_INTERVAL_MS = 30000
+
+// Icon shown for each type of notification
+const NOTIFICATION_ICONS = {
+    booking_confirmed: FaCalendarCheck,
+    waitlist_promoted: FaArrowUp,
+    session_changed: FaEdit,
+    session_cancelled: FaCalendarTimes,
+    blog_post: FaBook,
+    refund_failed: FaExclamationTriangle
+}
+
+// Formats a date-time string (YYYY-MM-DD HH:MM:SS) as DD/MM/YYYY HH:MM
+const formatDateTime = (dateTime) => {
+    if (!dateTime) return ""
+    const [date, time] = dateTime.split(" ")
+    const [year, month, day] = date.split("-")
+    return `${day}/${month}/${year} ${(time || "").slice(0, 5)}`
+}
+
+// Lets the notification bell in Layout know the unread count changed without waiting for its next poll
+const announceUnreadCount = (unreadCount) => {
+    window.dispatchEvent(new CustomEvent("notifications-changed", { detail: { unreadCount } }))
+}
+
+function NotificationListView() {
+    const { user } = useAuthenticate()
+    const navigate = useNavigate()
+    const [notifications, setNotifications] = useState([])
+    const [unreadCount, setUnreadCount] = useState(0)
+    const [error, setError] = useState(null)
+    const [loading, setLoading] = useState(true)
+    const [markingAll, setMarkingAll] = useState(false)
+
+    // Fetches the user's notifications from backend API
+    // Polls pass showSpinner = false so the list doesn't flash while the user reads it
+    const getNotifications = useCallback(async (showSpinner = true) => {
+        const authKey = localStorage.getItem("authKey")
+        if (!authKey) {
+            setLoading(false)
+            return
+        }
+
+        if (showSpinner) {
+            setLoading(true)
+        }
+
+        try {
+            const response = await fetchAPI("GET", "/notifications", null, authKey)
+            if (response.status === 200) {
+                setNotifications(response.body.notifications || [])
+                setUnreadCount(response.body.unreadCount)
+                announceUnreadCount(response.body.unreadCount)
+                setError(null)
+            } else {
+                setError(response.body?.message || "Failed to load notifications")
+            }
+        } catch (error) {
+            console.error("Error fetching notifications:", error)
+            setError(String(error))
+        } finally {
+            setLoading(false)
+        }
+    }, [])
+
+    // Loads notifications when the user is known, then polls for new ones until the page is left
+    useEffect(() => {
+        if (!user) {
+            return
+        }
+        getNotifications()
+        const interval = setInterval(() => getNotifications(false), POLL_INTERVAL_MS)
+        return () => clearInterval(interval)
+    }, [user, getNotifications])
+
+    // Marks a notification as read, then opens the page it links to
+    const handleOpenNotification = async (notification) => {
+        if (!notification.isRead) {
+            try {
+                const authKey = localStorage.getItem("authKey")
+                const response = await fetchAPI("PUT", `/notifications/${notification.id}/read`, null, authKey)
+                if (response.status === 200) {
+                    setNotifications(prev => prev.map(item => item.id === notification.id ? response.body.notification : item))
+                    setUnreadCount(response.body.unreadCount)
+                    announceUnreadCount(response.body.unreadCount)
+                }
+            } catch (error) {
+                console.error("Error marking notification as read:", error)
+            }
+        }
+        if (notification.link) {
+            navigate(notification.link)
+        }
+    }
+
+    // Marks every notification as read
+    const handleMarkAllRead = async () => {
+        setMarkingAll(true)
+        setError(null)
+        try {
+            const authKey = localStorage.getItem("authKey")
+            const response = await fetchAPI("PUT", "/notifications/read-all", null, authKey)
+            if (response.status === 200) {
+                setNotifications(prev => prev.map(item => ({ ...item, isRead: true })))
+                setUnreadCount(0)
+                announceUnreadCount(0)
+            } else {
+                setError(response.body?.message || "Failed to mark notifications as read")
+            }
+        } catch (error) {
+            setError(String(error))
+        } finally {
+            setMarkingAll(false)
+        }
+    }
+
+    return (
+        <section className="bg-[#6a2f6a] text-white min-h-[calc(100vh-200px)] py-8 px-4">
+            <div className="max-w-2xl w-full mx-auto">
+                {!user ? (
+                    // Signed out: notifications belong to an account
+                    <div className="p-8 text-center">
+                        <p className="text-white/80">Please log in to see your notifications.</p>
+                    </div>
+                ) : (
+                    <>
+                        {/* Header row: unread count and Mark all as read button */}
+                        <div className="flex items-center justify-between mb-4">
+                            <p className="text-sm text-white/80">
+                                {unreadCount > 0 ? `${unreadCount} unread` : "You're all caught up"}
+                            </p>
+                            {unreadCount > 0 && (
+                                <button
+                                    type="button"
+                                    onClick={handleMarkAllRead}
+                                    disabled={markingAll}
+                                    className="bg-white text-[#30d939] py-2 px-4 rounded-full text-sm font-semibold transition-all duration-300 hover:shadow-lg disabled:opacity-50"
+                                >
+                                    {markingAll
+                                        ? <span className="loading loading-spinner loading-sm"></span>
+                                        : <span>Mark all as read</span>
+                                    }
+                                </button>
+                            )}
+                        </div>
+
+                        {/* Error message: displays if loading or updating notifications fails */}
+                        {error && (
+                            <div className="mb-6 bg-red-500/20 border border-red-500 text-white p-4 rounded-lg text-center">
+                                <span>{error}</span>
+                            </div>
+                        )}
+
+                        {/* Loading state: spinner shown while fetching notifications */}
+                        {loading ? (
+                            <div className="flex justify-center py-8">
+                                <span className="loading loading-spinner loading-xl"></span>
+                            </div>
+                        ) : notifications.length === 0 ? (
+                            // Empty state: shown when the user has no notifications
+                            <div className="p-8 text-center">
+                                <FaBell className="text-4xl text-white/40 mx-auto mb-3" />
+                                <p className="text-white/80">No notifications yet</p>
+                            </div>
+                        ) : (
+                            // Notifications list: unread notifications are highlighted
+                            <div className="space-y-3 max-h-[65vh] overflow-y-auto">
+                                {notifications.map(notification => {
+                                    const Icon = NOTIFICATION_ICONS[notification.type] || FaBell
+                                    return (
+                                        <button
+                                            key={notification.id}
+                                            type="button"
+                                            onClick={() => handleOpenNotification(notification)}
+                                            className={`w-full rounded-lg p-4 text-left transition-all duration-300 border ${
+                                                notification.isRead
+                                                    ? "bg-white/5 border-white/10 hover:bg-white/10"
+                                                    : "bg-white/15 border-[#30d939] hover:bg-white/20"
+                                            }`}
+                                        >
+                                            <div className="flex items-start gap-3">
+                                                <Icon className={`text-xl shrink-0 mt-0.5 ${notification.isRead ? "text-white/50" : "text-[#30d939]"}`} />
+                                                <div className="flex-1 min-w-0">
+                                                    <div className="flex items-center gap-2 mb-1">
+                                                        <span className={`text-base ${notification.isRead ? "text-white/80" : "font-semibold text-white"}`}>
+                                                            {notification.title}
+                                                        </span>
+                                                        {/* Unread dot */}
+                                                        {!notification.isRead && (
+                                                            <span className="w-2 h-2 rounded-full bg-[#30d939] shrink-0"></span>
+                                                        )}
+                                                    </div>
+                                                    <p className="text-sm text-white/80 mb-1">{notification.message}</p>
+                                                    <div className="text-xs text-white/60">
+                                                        {formatDateTime(notification.createdAt)}
+                                                    </div>
+                                                </div>
+                                            </div>
+                                        </button>
+                                    )
+                                })}
+                            </div>
+                        )}
+                    </>
+                )}
+            </div>
+        </section>
+    )
+}
+
+export default NotificationListView
@@ -1,5 +1,5 @@
-// Base URL for backend API
-export const API_BASE_URL = "http://localhost:8080/api"
+// Base URL for backend API (API_URL in the .env files, set by vite.config.js at build time)
+export const API_BASE_URL = import.meta.env.VITE_API_URL
 
 /**
  * Centralized API fetch utility function
@@ -47,7 +47,7 @@ export async function fetchAPI(method, route, body, authKey) {
     } catch (error) {
         // Provides user-friendly error message for connection failures
         if (error instanceof TypeError && error.message === "Failed to fetch") {
-            throw "Unable to connect to the server. Please ensure the backend is running on http://localhost:8080"
+            throw `Unable to connect to the server. Please ensure the backend is running on ${new URL(API_BASE_URL).origin}`
         }
         throw String(error)
     }
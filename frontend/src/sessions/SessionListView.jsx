@@ -1,5 +1,5 @@
-import { useCallback, useEffect, useState } from "react"
-import { FaSearch, FaInfoCircle, FaTrash, FaDownload } from "react-icons/fa"
+import { useCallback, useEffect, useRef, useState } from "react"
+import { FaSearch, FaInfoCircle, FaTrash, FaDownload, FaCalendarAlt } from "react-icons/fa"
 // API utilities for backend communication
 import { fetchAPI, API_BASE_URL } from "../services/api.mjs"
 // React Router hooks for navigation and URL params
@@ -18,6 +18,7 @@ function SessionListView() {
     const [exportEndDate, setExportEndDate] = useState("")
     const [exportingWeekly, setExportingWeekly] = useState(false)
     const [exportWeeklyError, setExportWeeklyError] = useState(null)
+    const [exportingCalendar, setExportingCalendar] = useState(false)
     const [selectedSession, setSelectedSession] = useState(null)
     const [selectedSessionError, setSelectedSessionError] = useState(null)
     const [bookingSelectedSession, setBookingSelectedSession] = useState(false)
@@ -27,6 +28,8 @@ function SessionListView() {
     const [showCancelModal, setShowCancelModal] = useState(false)
     const [selectedSessionGroup, setSelectedSessionGroup] = useState([])
     const [selectedSessionGroupMeta, setSelectedSessionGroupMeta] = useState(null)
+    // ID of the session open in the details panel, for the live update stream to check against
+    const selectedSessionIdRef = useRef(null)
 
     // Initializes showMySessions from URL query parameter, defaults to false (All Sessions)
     const [showMySessions, setShowMySessions] = useState(() => {
@@ -119,6 +122,58 @@ function SessionListView() {
         getSessions()
     }, [getSessions])
 
+    useEffect(() => {
+        selectedSessionIdRef.current = selectedSession ? selectedSession.id : null
+    }, [selectedSession])
+
+    // Subscribes to live session changes so booked counts, new sessions and cancellations show without reloading
+    // EventSource reconnects by itself if the connection drops; the list is reloaded then to catch up on missed changes
+    useEffect(() => {
+        const stream = new EventSource(`${API_BASE_URL}/sessions/stream`)
+        let hasConnected = false
+
+        stream.addEventListener("open", () => {
+            if (hasConnected) {
+                getSessions()
+            }
+            hasConnected = true
+        })
+
+        // A session was created or changed: replace it, or add it in date/time order
+        stream.addEventListener("session", (event) => {
+            const session = JSON.parse(event.data)
+            const belongsInList = !showMySessions || (user && session.trainerId === user.id)
+            const replaceSession = (item) => item.id === session.id ? session : item
+
+            setSessions(prev => {
+                const others = prev.filter(item => item.id !== session.id)
+                if (!belongsInList) {
+                    return others.length === prev.length ? prev : others
+                }
+                return [...others, session].sort((a, b) =>
+                    `${a.sessionDate} ${a.sessionTime}`.localeCompare(`${b.sessionDate} ${b.sessionTime}`)
+                )
+            })
+            setSelectedSession(prev => prev ? replaceSession(prev) : prev)
+            setSelectedSessionGroup(prev => prev.map(replaceSession))
+        })
+
+        // A session was cancelled (or has started): drop it, and tell the user if it was open
+        stream.addEventListener("session-removed", (event) => {
+            const { id } = JSON.parse(event.data)
+
+            setSessions(prev => prev.filter(item => item.id !== id))
+            setSelectedSessionGroup(prev => prev.filter(item => item.id !== id))
+            if (selectedSessionIdRef.current === id) {
+                setSelectedSession(null)
+                setShowCancelModal(false)
+                setSelectedSessionError("This session is no longer available - it has been cancelled or has already started.")
+            }
+        })
+
+        return () => stream.close()
+    }, [getSessions, showMySessions, user])
+
     // Group sessions by month and day (similar to backend)
     const groupSessionsByDay = (sessions) => {
         const grouped = {}
@@ -190,6 +245,13 @@ function SessionListView() {
         }
     }
 
+    // Format remaining spots (null capacity means unlimited places)
+    const formatSpotsRemaining = (spotsRemaining) => {
+        if (spotsRemaining === null || spotsRemaining === undefined) return "Unlimited"
+        if (spotsRemaining === 0) return "Full"
+        return `${spotsRemaining} ${spotsRemaining === 1 ? "spot" : "spots"} left`
+    }
+
     // Exports weekly sessions as XML file (only for trainers/admins viewing their own sessions)
     const handleExportWeeklySessions = async () => {
         setExportWeeklyError(null)
@@ -249,6 +311,55 @@ function SessionListView() {
         }
     }
 
+    // Exports the trainer's upcoming sessions as an iCalendar (.ics) file for Google/Apple Calendar
+    const handleExportSessionsCalendar = async () => {
+        setExportWeeklyError(null)
+
+        const authKey = localStorage.getItem("authKey")
+        if (!authKey) {
+            setExportWeeklyError("Authentication required. Please log in.")
+            return
+        }
+
+        setExportingCalendar(true)
+        try {
+            const response = await fetch(`${API_BASE_URL}/sessions/export/ics`, {
+                method: "GET",
+                headers: {
+                    "x-auth-key": authKey
+                }
+            })
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({ message: "Failed to export sessions calendar" }))
+                throw new Error(errorData.message || "Failed to export sessions calendar")
+            }
+
+            const blob = await response.blob()
+            const downloadUrl = window.URL.createObjectURL(blob)
+            const link = document.createElement("a")
+            const contentDisposition = response.headers.get("Content-Disposition")
+            let filename = "sessions.ics"
+            if (contentDisposition) {
+                const match = contentDisposition.match(/filename="(.+)"/)
+                if (match) {
+                    filename = match[1]
+                }
+            }
+            link.href = downloadUrl
+            link.download = filename
+            document.body.appendChild(link)
+            link.click()
+            document.body.removeChild(link)
+            window.URL.revokeObjectURL(downloadUrl)
+        } catch (err) {
+            console.error("Error exporting sessions calendar:", err)
+            setExportWeeklyError(String(err))
+        } finally {
+            setExportingCalendar(false)
+        }
+    }
+
     // Displays session details from local sessions array (no API call needed)
     const handleViewSession = (sessionId, sessionGroup = null, groupMeta = null) => {
         setSelectedSessionError(null)
@@ -333,6 +444,40 @@ function SessionListView() {
         }
     }
 
+    // Joins the waitlist for the selected full session (members only)
+    const handleJoinWaitlistSelectedSession = async () => {
+        if (!selectedSession) {
+            setBookingSelectedSessionError("Unable to determine session.")
+            return
+        }
+        if (!user || user.role !== "member") {
+            setBookingSelectedSessionError("Only members can join a waitlist.")
+            return
+        }
+
+        setBookingSelectedSession(true)
+        setBookingSelectedSessionError(null)
+
+        try {
+            const authKey = localStorage.getItem("authKey")
+            if (!authKey) {
+                setBookingSelectedSessionError("Authentication required. Please log in.")
+                setBookingSelectedSession(false)
+                return
+            }
+            const response = await fetchAPI("POST", "/bookings/waitlist", { sessionId: selectedSession.id }, authKey)
+            if (response.status === 201) {
+                navigate("/bookings")
+            } else {
+                setBookingSelectedSessionError(response.body?.message || "Failed to join waitlist")
+            }
+        } catch (error) {
+            setBookingSelectedSessionError(String(error))
+        } finally {
+            setBookingSelectedSession(false)
+        }
+    }
+
     // Opens the cancel session confirmation modal
     const handleOpenCancelModal = () => {
         if (!selectedSession) {
@@ -486,6 +631,17 @@ function SessionListView() {
                                         <span>{exportingWeekly ? "Exporting..." : "Export as XML"}</span>
                                     </button>
                                 </div>
+                                {/* Calendar export button: triggers handleExportSessionsCalendar() to download upcoming sessions as .ics */}
+                                <div className="flex-none w-full md:w-auto">
+                                    <button
+                                        onClick={handleExportSessionsCalendar}
+                                        disabled={exportingCalendar}
+                                        className="w-full py-3 px-6 rounded-full font-semibold transition-all duration-300 shadow-lg hover:shadow-xl hover:-translate-y-0.5 flex items-center justify-center gap-2 bg-transparent text-white border-2 border-[#30d939] hover:bg-[#30d939]/20 disabled:opacity-50 disabled:cursor-not-allowed"
+                                    >
+                                        <FaCalendarAlt />
+                                        <span>{exportingCalendar ? "Exporting..." : "Export to Calendar"}</span>
+                                    </button>
+                                </div>
                             </div>
                             {/* Export error message: displays if export operation fails */}
                             {exportWeeklyError && (
@@ -566,6 +722,12 @@ function SessionListView() {
                                                         {sessionOption.trainerName || `Trainer #${sessionOption.trainerId}`}
                                                     </span>
                                                 </div>
+                                                {/* Remaining spots display: shown only for sessions with a capacity */}
+                                                {sessionOption.spotsRemaining !== null && sessionOption.spotsRemaining !== undefined && (
+                                                    <div className="text-[0.7rem] opacity-80 mt-1">
+                                                        {formatSpotsRemaining(sessionOption.spotsRemaining)}
+                                                    </div>
+                                                )}
                                             </button>
                                         )
                                     })}
@@ -606,6 +768,15 @@ function SessionListView() {
                                         })()}
                                     </p>
                                 </div>
+                                {/* Spots remaining display: booked places out of the session capacity */}
+                                <div>
+                                    <p className="text-xs uppercase text-white/60">Spots</p>
+                                    <p className={`font-semibold ${selectedSession.spotsRemaining === 0 ? "text-red-300" : "text-white"}`}>
+                                        {selectedSession.capacity !== null && selectedSession.capacity !== undefined
+                                            ? `${formatSpotsRemaining(selectedSession.spotsRemaining)} (${selectedSession.bookedCount} / ${selectedSession.capacity} booked)`
+                                            : formatSpotsRemaining(null)}
+                                    </p>
+                                </div>
                                 {/* Cancel/Delete button: shown only for admin or session owner (trainer) */}
                                 {user && (user.role === "trainer" || user.role === "admin") && (user.role === "admin" || selectedSession.trainerId === user.id) && (
                                     <button
@@ -619,16 +790,26 @@ function SessionListView() {
                                 )}
                             </div>
 
-                            {/* Book session button: shown only for members */}
+                            {/* Book session button: shown only for members, switches to joining the waitlist once the session is full */}
                             {user && user.role === "member" && (
                                 <div className="mt-4">
-                                    <button
-                                        onClick={handleBookSelectedSession}
-                                        disabled={bookingSelectedSession}
-                                        className="w-full bg-[#30d939] text-[#6a2f6a] font-semibold py-3 px-6 rounded-full text-center hover:bg-[#30d939]/90 transition disabled:opacity-50 disabled:cursor-not-allowed"
-                                    >
-                                        {bookingSelectedSession ? "Adding..." : "Book this Session"}
-                                    </button>
+                                    {selectedSession.spotsRemaining === 0 ? (
+                                        <button
+                                            onClick={handleJoinWaitlistSelectedSession}
+                                            disabled={bookingSelectedSession}
+                                            className="w-full bg-white/20 text-white font-semibold py-3 px-6 rounded-full text-center hover:bg-white/30 transition disabled:opacity-50 disabled:cursor-not-allowed"
+                                        >
+                                            {bookingSelectedSession ? "Joining..." : "Session Full - Join Waitlist"}
+                                        </button>
+                                    ) : (
+                                        <button
+                                            onClick={handleBookSelectedSession}
+                                            disabled={bookingSelectedSession}
+                                            className="w-full bg-[#30d939] text-[#6a2f6a] font-semibold py-3 px-6 rounded-full text-center hover:bg-[#30d939]/90 transition disabled:opacity-50 disabled:cursor-not-allowed"
+                                        >
+                                            {bookingSelectedSession ? "Adding..." : "Book this Session"}
+                                        </button>
+                                    )}
                                     {/* Booking error message: shown if booking operation fails */}
                                     {bookingSelectedSessionError && (
                                         <div className="mt-3 bg-red-500/20 border border-red-500 text-white p-3 rounded-lg text-sm text-center">
@@ -674,6 +855,9 @@ function SessionListView() {
                                         <p>
                                             <span className="font-semibold">Time:</span> {formatTime(selectedSession.sessionTime)}
                                         </p>
+                                        <p>
+                                            <span className="font-semibold">Duration:</span> {selectedSession.durationMinutes} minutes
+                                        </p>
                                         <p>
                                             <span className="font-semibold">Location:</span> {selectedSession.locationName || `Location #${selectedSession.locationId}`}
                                         </p>
@@ -789,6 +973,12 @@ function SessionListView() {
                                                                                 ? `${activityName} (${sessionCount})`
                                                                                 : activityName}
                                                                         </div>
+                                                                        {/* Remaining spots: shown for a single capped session */}
+                                                                        {sessionCount === 1 && sessionsForActivity[0].spotsRemaining !== null && sessionsForActivity[0].spotsRemaining !== undefined && (
+                                                                            <div className={`text-xs ${sessionsForActivity[0].spotsRemaining === 0 ? "text-red-300" : "text-white/60"}`}>
+                                                                                {formatSpotsRemaining(sessionsForActivity[0].spotsRemaining)}
+                                                                            </div>
+                                                                        )}
                                                                     </div>
                                                                 </div>
                                                             </button>
@@ -4,14 +4,14 @@ import { useAuthenticate } from "../authentication/useAuthenticate.jsx"
 // React Router hooks for navigation and location
 import { useNavigate, useLocation } from "react-router"
 // API utilities for backend communication
-import { fetchAPI } from "../services/api.mjs"
+import { API_BASE_URL, fetchAPI } from "../services/api.mjs"
 // Validation patterns for name and password
 import { namePattern, passwordPattern } from "../utils/validationPatterns.js"
 
 function ProfileView() {
     const navigate = useNavigate()
     const location = useLocation()
-    const { user, status, refresh } = useAuthenticate()
+    const { user, status, refresh, logout } = useAuthenticate()
     const [isEditing, setIsEditing] = useState(false)
     const [firstName, setFirstName] = useState("")
     const [lastName, setLastName] = useState("")
@@ -21,6 +21,26 @@ function ProfileView() {
     const [success, setSuccess] = useState(null)
     const [loading, setLoading] = useState(false)
     const [validationErrors, setValidationErrors] = useState({})
+    const [calendarFeed, setCalendarFeed] = useState(null)
+    const [calendarFeedError, setCalendarFeedError] = useState(null)
+    const [regeneratingCalendarFeed, setRegeneratingCalendarFeed] = useState(false)
+    const [memberships, setMemberships] = useState(null)
+    const [membershipsError, setMembershipsError] = useState(null)
+    const [invoices, setInvoices] = useState(null)
+    const [invoicesError, setInvoicesError] = useState(null)
+    const [downloadingReceiptId, setDownloadingReceiptId] = useState(null)
+    const [sendingVerification, setSendingVerification] = useState(false)
+    const [verificationMessage, setVerificationMessage] = useState(null)
+    // Two-factor authentication: setup details (QR code) while enrolling, and recovery codes to show once
+    const [twoFactorSetup, setTwoFactorSetup] = useState(null)
+    const [recoveryCodes, setRecoveryCodes] = useState(null)
+    const [twoFactorCode, setTwoFactorCode] = useState("")
+    const [twoFactorError, setTwoFactorError] = useState(null)
+    const [twoFactorMessage, setTwoFactorMessage] = useState(null)
+    const [twoFactorLoading, setTwoFactorLoading] = useState(false)
+    const [devices, setDevices] = useState(null)
+    const [devicesError, setDevicesError] = useState(null)
+    const [revokingDeviceId, setRevokingDeviceId] = useState(null)
 
     // Redirects to login page if user is not authenticated
     useEffect(() => {
@@ -37,6 +57,81 @@ function ProfileView() {
         }
     }, [user])
 
+    // Loads the user's calendar subscription URL (created by the backend on first request)
+    useEffect(() => {
+        if (!user) return
+        const authKey = localStorage.getItem("authKey")
+        fetchAPI("GET", "/users/self/calendar-feed", null, authKey)
+            .then(response => {
+                if (response.status === 200) {
+                    setCalendarFeed(response.body)
+                } else {
+                    setCalendarFeedError(response.body?.message || "Failed to load calendar link")
+                }
+            })
+            .catch(error => setCalendarFeedError(String(error)))
+    }, [user])
+
+    // Loads the devices logged in to the user's account
+    useEffect(() => {
+        if (!user) return
+        const authKey = localStorage.getItem("authKey")
+        fetchAPI("GET", "/users/self/devices", null, authKey)
+            .then(response => {
+                if (response.status === 200) {
+                    setDevices(response.body)
+                } else {
+                    setDevicesError(response.body?.message || "Failed to load devices")
+                }
+            })
+            .catch(error => setDevicesError(String(error)))
+    }, [user])
+
+    // Loads the member's current memberships and remaining class credits
+    useEffect(() => {
+        if (!user || user.role !== "member") return
+        const authKey = localStorage.getItem("authKey")
+        fetchAPI("GET", "/users/self/memberships", null, authKey)
+            .then(response => {
+                if (response.status === 200) {
+                    setMemberships(response.body)
+                } else {
+                    setMembershipsError(response.body?.message || "Failed to load memberships")
+                }
+            })
+            .catch(error => setMembershipsError(String(error)))
+    }, [user])
+
+    // Loads the member's payments (memberships and drop-in classes) for receipts
+    useEffect(() => {
+        if (!user || user.role !== "member") return
+        const authKey = localStorage.getItem("authKey")
+        fetchAPI("GET", "/payments/invoices", null, authKey)
+            .then(response => {
+                if (response.status === 200) {
+                    setInvoices(response.body)
+                } else {
+                    setInvoicesError(response.body?.message || "Failed to load payments")
+                }
+            })
+            .catch(error => setInvoicesError(String(error)))
+    }, [user])
+
+    // Format dates for display
+    const formatDate = (dateString) => {
+        if (!dateString) return ""
+        try {
+            const date = new Date(dateString)
+            return date.toLocaleDateString("en-AU", {
+                year: "numeric",
+                month: "short",
+                day: "numeric"
+            })
+        } catch {
+            return dateString
+        }
+    }
+
     // Resets to view mode when profile icon is clicked (reset signal from Layout)
     useEffect(() => {
         if (location.state?.reset && isEditing) {
@@ -117,6 +212,171 @@ function ProfileView() {
         return Object.keys(errors).length === 0
     }
 
+    // Downloads the receipt for a payment as a printable HTML file
+    const handleDownloadReceipt = async (invoice) => {
+        setInvoicesError(null)
+        setDownloadingReceiptId(invoice.id)
+        try {
+            const authKey = localStorage.getItem("authKey")
+            const response = await fetch(`${API_BASE_URL}/payments/invoices/${invoice.id}/receipt`, {
+                method: "GET",
+                headers: {
+                    "x-auth-key": authKey
+                }
+            })
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({ message: "Failed to download receipt" }))
+                throw new Error(errorData.message || "Failed to download receipt")
+            }
+
+            const blob = await response.blob()
+            const downloadUrl = window.URL.createObjectURL(blob)
+            const link = document.createElement("a")
+            link.href = downloadUrl
+            link.download = `receipt-${invoice.receiptNumber}.html`
+            document.body.appendChild(link)
+            link.click()
+            document.body.removeChild(link)
+            window.URL.revokeObjectURL(downloadUrl)
+        } catch (error) {
+            setInvoicesError(error.message || String(error))
+        } finally {
+            setDownloadingReceiptId(null)
+        }
+    }
+
+    // Format an amount in cents for display, e.g. 2500 -> "$25.00"
+    const formatAmount = (amountCents, currency) => {
+        return new Intl.NumberFormat("en-AU", { style: "currency", currency: currency }).format(amountCents / 100)
+    }
+
+    // Emails a new verification link (earlier links stop working)
+    const handleResendVerification = async () => {
+        setVerificationMessage(null)
+        setSendingVerification(true)
+        try {
+            const authKey = localStorage.getItem("authKey")
+            const response = await fetchAPI("POST", "/users/self/verification-email", null, authKey)
+            if (response.status === 200) {
+                setVerificationMessage(response.body.message)
+            } else if (response.status === 409) {
+                // Verified in another tab or by the front desk - reload the user so the notice goes away
+                refresh()
+            } else {
+                setVerificationMessage(response.body?.message || "Failed to send verification email")
+            }
+        } catch (error) {
+            setVerificationMessage(String(error))
+        } finally {
+            setSendingVerification(false)
+        }
+    }
+
+    // Sends a two-factor request and shows its error message if it fails; returns the response body on success
+    const sendTwoFactorRequest = async (route, body) => {
+        setTwoFactorError(null)
+        setTwoFactorMessage(null)
+        setTwoFactorLoading(true)
+        try {
+            const authKey = localStorage.getItem("authKey")
+            const response = await fetchAPI("POST", route, body, authKey)
+            if (response.status === 200) {
+                return response.body
+            }
+            setTwoFactorError(response.body?.message || "Two-factor request failed")
+        } catch (error) {
+            setTwoFactorError(String(error))
+        } finally {
+            setTwoFactorLoading(false)
+        }
+        return null
+    }
+
+    // Starts two-factor setup: shows a QR code to scan with an authenticator app
+    const handleStartTwoFactorSetup = async () => {
+        setRecoveryCodes(null)
+        const setup = await sendTwoFactorRequest("/users/self/two-factor/setup", null)
+        if (setup) {
+            setTwoFactorSetup(setup)
+        }
+    }
+
+    // Confirms setup with a code from the app, then shows the recovery codes
+    const handleEnableTwoFactor = async (e) => {
+        e.preventDefault()
+        const result = await sendTwoFactorRequest("/users/self/two-factor/enable", { code: twoFactorCode.trim() })
+        if (result) {
+            setTwoFactorSetup(null)
+            setTwoFactorCode("")
+            setRecoveryCodes(result.recoveryCodes)
+            refresh()
+        }
+    }
+
+    // Replaces the recovery codes (needs a current code), then shows the new ones
+    const handleRegenerateRecoveryCodes = async () => {
+        const result = await sendTwoFactorRequest("/users/self/two-factor/recovery-codes", { code: twoFactorCode.trim() })
+        if (result) {
+            setTwoFactorCode("")
+            setRecoveryCodes(result.recoveryCodes)
+        }
+    }
+
+    // Turns two-factor off (needs a current code)
+    const handleDisableTwoFactor = async () => {
+        const result = await sendTwoFactorRequest("/users/self/two-factor/disable", { code: twoFactorCode.trim() })
+        if (result) {
+            setTwoFactorCode("")
+            setRecoveryCodes(null)
+            setTwoFactorMessage(result.message)
+            refresh()
+        }
+    }
+
+    // Replaces the calendar subscription URL (the old link stops working)
+    const handleRegenerateCalendarFeed = async () => {
+        setCalendarFeedError(null)
+        setRegeneratingCalendarFeed(true)
+        try {
+            const authKey = localStorage.getItem("authKey")
+            const response = await fetchAPI("POST", "/users/self/calendar-feed", null, authKey)
+            if (response.status === 200) {
+                setCalendarFeed(response.body)
+            } else {
+                setCalendarFeedError(response.body?.message || "Failed to create a new calendar link")
+            }
+        } catch (error) {
+            setCalendarFeedError(String(error))
+        } finally {
+            setRegeneratingCalendarFeed(false)
+        }
+    }
+
+    // Logs a device out of the user's account (it has to log in again); this device logs out as normal
+    const handleRevokeDevice = async (deviceId, current) => {
+        if (current) {
+            logout()
+            navigate("/authenticate/login")
+            return
+        }
+        setDevicesError(null)
+        setRevokingDeviceId(deviceId)
+        try {
+            const authKey = localStorage.getItem("authKey")
+            const response = await fetchAPI("DELETE", `/users/self/devices/${deviceId}`, null, authKey)
+            if (response.status === 200) {
+                setDevices(devices => devices.filter(device => device.id !== deviceId))
+            } else {
+                setDevicesError(response.body?.message || "Failed to log out device")
+            }
+        } catch (error) {
+            setDevicesError(String(error))
+        } finally {
+            setRevokingDeviceId(null)
+        }
+    }
+
     // Handles profile update: validates form, checks for changes, sends PUT request to backend
     const handleUpdate = async (e) => {
         e.preventDefault()
@@ -188,6 +448,28 @@ function ProfileView() {
                     <p className="text-lg md:text-xl opacity-90">Your Profile Information</p>
                 </div>
                 
+                {/* Email verification notice: members can't book until they follow the emailed link */}
+                {user.emailVerified === false && (
+                    <div className="mb-6 bg-yellow-500/20 border border-yellow-500 text-white p-4 rounded-lg text-center max-w-md mx-auto">
+                        <p className="mb-3">
+                            Please verify your email address - we sent a link to {user.email}.
+                            {user.role === "member" && " You'll be able to book sessions once it's verified."}
+                        </p>
+                        <button
+                            type="button"
+                            onClick={handleResendVerification}
+                            className="bg-white text-[#30d939] py-2 px-6 rounded-full font-semibold text-sm transition-all duration-300 hover:shadow-lg disabled:opacity-50 disabled:cursor-not-allowed"
+                            disabled={sendingVerification}
+                        >
+                            {sendingVerification ? "Sending..." : "Resend link"}
+                        </button>
+                        {/* Resend result message */}
+                        {verificationMessage && (
+                            <p className="mt-3 text-sm">{verificationMessage}</p>
+                        )}
+                    </div>
+                )}
+
                 {/* Profile form container: displays view mode or edit mode based on isEditing state */}
                 <div className="bg-white/10 backdrop-blur-sm p-6 md:p-8 rounded-lg border-l-4 border-[#30d939] max-w-md mx-auto">
                     {!isEditing ? (
@@ -368,6 +650,306 @@ function ProfileView() {
                     )}
                 </div>
                 
+                {/* Membership: plans and remaining class credits (members only) */}
+                {user.role === "member" && (
+                    <div className="mt-6 bg-white/10 backdrop-blur-sm p-6 md:p-8 rounded-lg border-l-4 border-[#30d939] max-w-md mx-auto">
+                        <h3 className="text-xl font-bold text-[#30d939] mb-2">Membership</h3>
+                        {memberships ? (
+                            memberships.length === 0 ? (
+                                <p className="text-sm opacity-90">
+                                    You don't have an active membership, so you can't book sessions yet. Visit the front desk to sign up or renew.
+                                </p>
+                            ) : (
+                                <ul className="space-y-4">
+                                    {memberships.map(membership => (
+                                        <li key={membership.id}>
+                                            {/* Plan name with remaining credits */}
+                                            <div className="flex justify-between items-baseline gap-3">
+                                                <span className="font-semibold">{membership.planName}</span>
+                                                <span className="text-[#30d939] font-bold">
+                                                    {membership.creditsRemaining === null
+                                                        ? "Unlimited"
+                                                        : `${membership.creditsRemaining} of ${membership.credits} credits left`}
+                                                </span>
+                                            </div>
+                                            <p className="text-sm opacity-90">
+                                                {formatDate(membership.startDate)} - {formatDate(membership.expiryDate)}
+                                                {membership.offPeakOnly && " · Off-peak sessions only"}
+                                            </p>
+                                        </li>
+                                    ))}
+                                </ul>
+                            )
+                        ) : !membershipsError && (
+                            <span className="loading loading-spinner"></span>
+                        )}
+                        {/* Membership error message */}
+                        {membershipsError && (
+                            <p className="mt-4 text-sm text-red-300">{membershipsError}</p>
+                        )}
+                    </div>
+                )}
+
+                {/* Payments: memberships and drop-in classes paid for, with downloadable receipts (members only) */}
+                {user.role === "member" && (
+                    <div className="mt-6 bg-white/10 backdrop-blur-sm p-6 md:p-8 rounded-lg border-l-4 border-[#30d939] max-w-md mx-auto">
+                        <h3 className="text-xl font-bold text-[#30d939] mb-2">Payments &amp; Receipts</h3>
+                        {invoices ? (
+                            invoices.length === 0 ? (
+                                <p className="text-sm opacity-90">No payments yet.</p>
+                            ) : (
+                                <ul className="space-y-4">
+                                    {invoices.map(invoice => (
+                                        <li key={invoice.id} className="flex justify-between items-center gap-3">
+                                            {/* Payment details: what was bought, amount and date */}
+                                            <div>
+                                                <p className="font-semibold">{invoice.description}</p>
+                                                <p className="text-sm opacity-90">
+                                                    {formatAmount(invoice.amountCents, invoice.currency)} · {formatDate(invoice.paidAt?.split(" ")[0])}
+                                                    {invoice.status === "refunded" && " · Refunded"}
+                                                    {invoice.status === "refund_pending" && " · Refund in progress"}
+                                                    {invoice.status === "refund_failed" && " · Refund failed - please contact the front desk"}
+                                                </p>
+                                            </div>
+                                            {/* Receipt download button */}
+                                            <button
+                                                type="button"
+                                                onClick={() => handleDownloadReceipt(invoice)}
+                                                className="flex-none bg-white/20 text-white py-2 px-4 rounded-full text-sm font-semibold transition-all duration-300 hover:bg-white/30 disabled:opacity-50 disabled:cursor-not-allowed"
+                                                disabled={downloadingReceiptId === invoice.id}
+                                            >
+                                                {downloadingReceiptId === invoice.id ? "Downloading..." : "Receipt"}
+                                            </button>
+                                        </li>
+                                    ))}
+                                </ul>
+                            )
+                        ) : !invoicesError && (
+                            <span className="loading loading-spinner"></span>
+                        )}
+                        {/* Payments error message */}
+                        {invoicesError && (
+                            <p className="mt-4 text-sm text-red-300">{invoicesError}</p>
+                        )}
+                    </div>
+                )}
+
+                {/* Calendar subscription: secret feed URL for Google/Apple Calendar */}
+                <div className="mt-6 bg-white/10 backdrop-blur-sm p-6 md:p-8 rounded-lg border-l-4 border-[#30d939] max-w-md mx-auto">
+                    <h3 className="text-xl font-bold text-[#30d939] mb-2">Calendar Subscription</h3>
+                    <p className="text-sm opacity-90 mb-4">
+                        {user.role === "trainer"
+                            ? "Subscribe to this link in Google Calendar, Apple Calendar or Outlook to see the sessions you teach."
+                            : "Subscribe to this link in Google Calendar, Apple Calendar or Outlook to see your bookings."}
+                        {" "}Keep it private - anyone with the link can see your calendar.
+                    </p>
+                    {calendarFeed ? (
+                        <>
+                            {/* Feed URL: read-only, selected on focus for copying */}
+                            <input
+                                value={calendarFeed.url}
+                                readOnly
+                                onFocus={e => e.target.select()}
+                                className="w-full px-4 py-3 border-2 border-white/20 rounded-lg bg-white/10 text-white text-sm focus:outline-none focus:border-[#30d939]"
+                                type="text"
+                            />
+                            {/* Subscription actions: open in calendar app or replace the link */}
+                            <div className="flex gap-3 mt-4">
+                                <a
+                                    href={calendarFeed.webcalUrl}
+                                    className="flex-1 text-center bg-white text-[#30d939] py-3 px-6 rounded-full font-semibold transition-all duration-300 shadow-lg hover:shadow-xl hover:-translate-y-0.5"
+                                >
+                                    Subscribe
+                                </a>
+                                <button
+                                    type="button"
+                                    onClick={handleRegenerateCalendarFeed}
+                                    className="flex-1 bg-white/20 text-white py-3 px-6 rounded-full font-semibold transition-all duration-300 hover:bg-white/30 disabled:opacity-50 disabled:cursor-not-allowed"
+                                    disabled={regeneratingCalendarFeed}
+                                >
+                                    {regeneratingCalendarFeed ? "Creating..." : "New Link"}
+                                </button>
+                            </div>
+                        </>
+                    ) : !calendarFeedError && (
+                        <span className="loading loading-spinner"></span>
+                    )}
+                    {/* Calendar feed error message */}
+                    {calendarFeedError && (
+                        <p className="mt-4 text-sm text-red-300">{calendarFeedError}</p>
+                    )}
+                </div>
+
+                {/* Two-factor authentication: authenticator app codes at login, with single-use recovery codes */}
+                <div className="mt-6 bg-white/10 backdrop-blur-sm p-6 md:p-8 rounded-lg border-l-4 border-[#30d939] max-w-md mx-auto">
+                    <h3 className="text-xl font-bold text-[#30d939] mb-2">Two-Factor Authentication</h3>
+                    {/* Staff notice: shown while the gym requires two-factor for trainers and admins */}
+                    {user.twoFactorSetupRequired && (
+                        <p className="mb-4 bg-yellow-500/20 border border-yellow-500 p-3 rounded-lg text-sm">
+                            Staff accounts must use two-factor authentication. Please turn it on to keep managing the gym.
+                        </p>
+                    )}
+                    {recoveryCodes ? (
+                        <>
+                            {/* Recovery codes: only shown once, straight after they are created */}
+                            <p className="text-sm opacity-90 mb-4">
+                                Save these recovery codes somewhere safe. If you lose your phone, each one logs you in once. They won't be shown again.
+                            </p>
+                            <ul className="grid grid-cols-2 gap-2 mb-4 font-mono text-sm">
+                                {recoveryCodes.map(recoveryCode => (
+                                    <li key={recoveryCode} className="bg-white/10 rounded px-3 py-2 text-center">{recoveryCode}</li>
+                                ))}
+                            </ul>
+                            <button
+                                type="button"
+                                onClick={() => setRecoveryCodes(null)}
+                                className="w-full bg-white text-[#30d939] py-3 px-6 rounded-full font-semibold transition-all duration-300 shadow-lg hover:shadow-xl hover:-translate-y-0.5"
+                            >
+                                I've saved my codes
+                            </button>
+                        </>
+                    ) : twoFactorSetup ? (
+                        <form onSubmit={handleEnableTwoFactor}>
+                            {/* QR code: scanned with an authenticator app, with the key for typing in by hand */}
+                            <p className="text-sm opacity-90 mb-4">
+                                Scan this QR code with an authenticator app (e.g. Google Authenticator, Microsoft Authenticator or 1Password), then enter the code it shows.
+                            </p>
+                            <img src={twoFactorSetup.qrCode} alt="QR code for your authenticator app" className="mx-auto mb-4 bg-white p-2 rounded-lg w-48 h-48" />
+                            <p className="text-xs opacity-90 mb-4 break-all">
+                                Can't scan it? Enter this key instead: <span className="font-mono">{twoFactorSetup.secret}</span>
+                            </p>
+                            <input
+                                value={twoFactorCode}
+                                onChange={e => setTwoFactorCode(e.target.value)}
+                                className="w-full px-4 py-3 border-2 border-white/20 rounded-lg bg-white/10 text-white text-base focus:outline-none focus:border-[#30d939] placeholder:text-white/60"
+                                type="text"
+                                inputMode="numeric"
+                                autoComplete="one-time-code"
+                                maxLength={6}
+                                placeholder="123456"
+                                required
+                            />
+                            {/* Setup actions: confirm the code or give up */}
+                            <div className="flex gap-3 mt-4">
+                                <button
+                                    type="button"
+                                    onClick={() => {
+                                        setTwoFactorSetup(null)
+                                        setTwoFactorCode("")
+                                        setTwoFactorError(null)
+                                    }}
+                                    className="flex-1 bg-white/20 text-white py-3 px-6 rounded-full font-semibold transition-all duration-300 hover:bg-white/30"
+                                >
+                                    Cancel
+                                </button>
+                                <button
+                                    type="submit"
+                                    className="flex-1 bg-white text-[#30d939] py-3 px-6 rounded-full font-semibold transition-all duration-300 shadow-lg hover:shadow-xl hover:-translate-y-0.5 disabled:opacity-50 disabled:cursor-not-allowed"
+                                    disabled={twoFactorLoading}
+                                >
+                                    {twoFactorLoading ? "Checking..." : "Turn On"}
+                                </button>
+                            </div>
+                        </form>
+                    ) : user.twoFactorEnabled ? (
+                        <>
+                            {/* Enabled: new recovery codes or turning it off both need a current code */}
+                            <p className="text-sm opacity-90 mb-4">
+                                On - you'll be asked for a code from your authenticator app each time you log in. Enter a current code (or a recovery code) to change these settings.
+                            </p>
+                            <input
+                                value={twoFactorCode}
+                                onChange={e => setTwoFactorCode(e.target.value)}
+                                className="w-full px-4 py-3 border-2 border-white/20 rounded-lg bg-white/10 text-white text-base focus:outline-none focus:border-[#30d939] placeholder:text-white/60"
+                                type="text"
+                                autoComplete="one-time-code"
+                                maxLength={11}
+                                placeholder="123456"
+                            />
+                            <div className="flex gap-3 mt-4">
+                                <button
+                                    type="button"
+                                    onClick={handleRegenerateRecoveryCodes}
+                                    className="flex-1 bg-white text-[#30d939] py-3 px-6 rounded-full font-semibold transition-all duration-300 shadow-lg hover:shadow-xl hover:-translate-y-0.5 disabled:opacity-50 disabled:cursor-not-allowed"
+                                    disabled={twoFactorLoading || !twoFactorCode.trim()}
+                                >
+                                    New Codes
+                                </button>
+                                <button
+                                    type="button"
+                                    onClick={handleDisableTwoFactor}
+                                    className="flex-1 bg-white/20 text-white py-3 px-6 rounded-full font-semibold transition-all duration-300 hover:bg-white/30 disabled:opacity-50 disabled:cursor-not-allowed"
+                                    disabled={twoFactorLoading || !twoFactorCode.trim()}
+                                >
+                                    Turn Off
+                                </button>
+                            </div>
+                        </>
+                    ) : (
+                        <>
+                            {/* Disabled: offer to set it up */}
+                            <p className="text-sm opacity-90 mb-4">
+                                Protect your account by asking for a code from an authenticator app as well as your password.
+                            </p>
+                            <button
+                                type="button"
+                                onClick={handleStartTwoFactorSetup}
+                                className="w-full bg-white text-[#30d939] py-3 px-6 rounded-full font-semibold transition-all duration-300 shadow-lg hover:shadow-xl hover:-translate-y-0.5 disabled:opacity-50 disabled:cursor-not-allowed"
+                                disabled={twoFactorLoading}
+                            >
+                                {twoFactorLoading ? "Starting..." : "Set Up Two-Factor"}
+                            </button>
+                        </>
+                    )}
+                    {/* Two-factor result messages */}
+                    {twoFactorMessage && (
+                        <p className="mt-4 text-sm">{twoFactorMessage}</p>
+                    )}
+                    {twoFactorError && (
+                        <p className="mt-4 text-sm text-red-300">{twoFactorError}</p>
+                    )}
+                </div>
+
+                {/* Logged-in devices: each login gets its own key, which can be revoked here */}
+                <div className="mt-6 bg-white/10 backdrop-blur-sm p-6 md:p-8 rounded-lg border-l-4 border-[#30d939] max-w-md mx-auto">
+                    <h3 className="text-xl font-bold text-[#30d939] mb-2">Logged-In Devices</h3>
+                    <p className="text-sm opacity-90 mb-4">
+                        Logins expire after 30 days. Log out any device you don't recognise, then change your password.
+                    </p>
+                    {devices ? (
+                        <ul className="space-y-3">
+                            {devices.map(device => (
+                                <li key={device.id} className="flex items-center justify-between gap-3 bg-white/10 rounded-lg p-3">
+                                    {/* Device details: label, when it was last used and when it expires */}
+                                    <div className="min-w-0">
+                                        <p className="font-semibold truncate">
+                                            {device.label || "Unknown device"}
+                                            {device.current && <span className="ml-2 text-xs text-[#30d939]">(this device)</span>}
+                                        </p>
+                                        <p className="text-xs opacity-80">
+                                            Last used {formatDate(device.lastUsedAt?.split(" ")[0] || device.createdAt.split(" ")[0])} · Expires {formatDate(device.expiresAt.split(" ")[0])}
+                                        </p>
+                                    </div>
+                                    <button
+                                        type="button"
+                                        onClick={() => handleRevokeDevice(device.id, device.current)}
+                                        className="shrink-0 bg-white/20 text-white py-2 px-4 rounded-full text-sm font-semibold transition-all duration-300 hover:bg-white/30 disabled:opacity-50 disabled:cursor-not-allowed"
+                                        disabled={revokingDeviceId === device.id}
+                                    >
+                                        {revokingDeviceId === device.id ? "Logging out..." : "Log Out"}
+                                    </button>
+                                </li>
+                            ))}
+                        </ul>
+                    ) : !devicesError && (
+                        <span className="loading loading-spinner"></span>
+                    )}
+                    {/* Devices error message */}
+                    {devicesError && (
+                        <p className="mt-4 text-sm text-red-300">{devicesError}</p>
+                    )}
+                </div>
+
                 {/* Error message: displays if profile update fails */}
                 {error && (
                     <div className="mt-6 bg-red-500/20 border border-red-500 text-white p-4 rounded-lg text-center max-w-md mx-auto">
@@ -257,7 +257,7 @@ function RegisterView() {
                 {/* Success message: displays when registration is successful */}
                 {success && (
                     <div className="mt-6 bg-green-500/20 border border-green-500 text-white p-4 rounded-lg text-center max-w-md mx-auto">
-                        <span>Registration successful! Redirecting to login...</span>
+                        <span>Registration successful! Check your email for a link to verify your address. Redirecting to login...</span>
                     </div>
                 )}
                 
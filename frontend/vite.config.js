@@ -1,8 +1,17 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
+import { loadFrontendConfig } from '../config/index.mjs'
 
 // https://vite.dev/config/
-export default defineConfig({
-  plugins: [react(), tailwindcss()],
+// The Vite mode picks the settings profile (development for `vite`, production for `vite build`,
+// or e.g. `vite build --mode test`), read from the same .env files as the backend
+export default defineConfig(({ mode }) => {
+  const config = loadFrontendConfig({ profile: mode })
+  return {
+    plugins: [react(), tailwindcss()],
+    define: {
+      'import.meta.env.VITE_API_URL': JSON.stringify(config.apiUrl),
+    },
+  }
 })